@@ -0,0 +1,360 @@
+// Answers built from tool results: a templated summary with the key numbers and caveats behind it,
+// the prompt that asks a model to write the same answer, and the check that keeps it to those numbers
+
+const MAX_SENTENCES = 5;
+const MAX_KEY_NUMBERS = 8;
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function fixed(value, digits = 2) {
+  return isNumber(value) ? value.toFixed(digits) : 'n/a';
+}
+
+function signed(value, suffix = '') {
+  return isNumber(value) ? `${value >= 0 ? '+' : ''}${value.toFixed(2)}${suffix}` : 'n/a';
+}
+
+// "up 1.23%", "down 0.40%" or "unchanged"; percentages arrive already scaled unless `fraction` is set
+function movement(value, { fraction = false } = {}) {
+  if (!isNumber(value)) return 'with no change reported';
+  const percent = fraction ? value * 100 : value;
+  if (percent === 0) return 'unchanged';
+  return `${percent > 0 ? 'up' : 'down'} ${Math.abs(percent).toFixed(2)}%`;
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+// A number worth showing next to the answer, or null when the data does not have it
+function keyNumber(label, value, display = fixed(value)) {
+  return isNumber(value) ? { label, value, display } : null;
+}
+
+function quotePrice(q) {
+  return q.regularMarketPrice ?? q.price;
+}
+
+function quoteChangePercent(q) {
+  return q.regularMarketChangePercent ?? q.changePercent;
+}
+
+function quoteFacts(q) {
+  const name = q.longName || q.shortName || q.name;
+  const price = quotePrice(q);
+  const changePercent = quoteChangePercent(q);
+  const currency = q.currency ? ` ${q.currency}` : '';
+  if (!isNumber(price)) {
+    return { sentences: [], numbers: [], caveats: [`No price was returned for ${q.symbol}.`] };
+  }
+  return {
+    sentences: [`${name ? `${name} (${q.symbol})` : q.symbol} is at ${fixed(price)}${currency}, ${movement(changePercent)} today.`],
+    numbers: [
+      keyNumber(`${q.symbol} price`, price, `${fixed(price)}${currency}`),
+      keyNumber(`${q.symbol} change`, changePercent, signed(changePercent, '%'))
+    ],
+    caveats: []
+  };
+}
+
+function quoteErrorCaveats(errors = []) {
+  return errors.map(error => `No quote for ${error.symbol}: ${error.error}`);
+}
+
+// Quotes side by side, with the best and worst performers called out when there are several
+function quoteListFacts(quotes, { lead } = {}) {
+  const facts = quotes.map(quoteFacts);
+  const priced = quotes.filter(q => isNumber(quoteChangePercent(q)));
+  const sentences = facts.flatMap(fact => fact.sentences);
+  if (priced.length > 2) {
+    const sorted = [...priced].sort((a, b) => quoteChangePercent(b) - quoteChangePercent(a));
+    const best = sorted[0];
+    const worst = sorted[sorted.length - 1];
+    sentences.unshift(`${lead ? `${lead}: ` : ''}${best.symbol} leads at ${signed(quoteChangePercent(best), '%')} and ${worst.symbol} trails at ${signed(quoteChangePercent(worst), '%')}.`);
+  } else if (lead) {
+    sentences.unshift(`${lead}.`);
+  }
+  return {
+    sentences,
+    numbers: facts.flatMap(fact => fact.numbers),
+    caveats: facts.flatMap(fact => fact.caveats)
+  };
+}
+
+// The last non-null point of an indicator series
+function latestPoint(points = []) {
+  for (let i = points.length - 1; i >= 0; i--) {
+    if (isNumber(points[i][1])) return points[i];
+  }
+  return null;
+}
+
+function backtestFacts(label, run) {
+  return {
+    sentence: `${label} returned ${signed(run.metrics.totalReturn * 100, '%')} against ${signed(run.benchmark.totalReturn * 100, '%')} for buy and hold, with a ${fixed(run.metrics.maxDrawdown * 100)}% maximum drawdown.`,
+    numbers: [
+      keyNumber(`${label} return`, run.metrics.totalReturn * 100, signed(run.metrics.totalReturn * 100, '%')),
+      keyNumber(`${label} buy & hold`, run.benchmark.totalReturn * 100, signed(run.benchmark.totalReturn * 100, '%'))
+    ]
+  };
+}
+
+/**
+ * Facts for each tool's data: sentences for the summary, key numbers and caveats. Tools without an
+ * entry are described by the summary line the MCP server sent with the result.
+ */
+const FACTS = {
+  get_quote: (q) => quoteFacts(q),
+
+  get_quotes: ({ quotes, errors }) => {
+    const facts = quoteListFacts(quotes);
+    return { ...facts, caveats: [...facts.caveats, ...quoteErrorCaveats(errors)] };
+  },
+
+  get_watchlist_quotes: ({ watchlist, quotes, errors }) => {
+    const facts = quoteListFacts(quotes, { lead: `Watchlist "${watchlist}" has ${plural(quotes.length, 'quote')}` });
+    return { ...facts, caveats: [...facts.caveats, ...quoteErrorCaveats(errors)] };
+  },
+
+  get_trending_stocks: (items) => {
+    const top = items.slice(0, 3);
+    return {
+      sentences: items.length === 0 ? [] : [`The top trending names are ${top.map(q => `${q.symbol} (${signed(quoteChangePercent(q), '%')})`).join(', ')}.`],
+      numbers: top.map(q => keyNumber(`${q.symbol} change`, quoteChangePercent(q), signed(quoteChangePercent(q), '%'))),
+      caveats: items.length === 0 ? ['No trending stocks were returned.'] : []
+    };
+  },
+
+  get_historical_data: ({ symbol, data: bars, period }) => {
+    // Bars Yahoo has no close for are left out of the figures
+    const data = bars.filter(bar => typeof bar.close === 'number');
+    if (data.length === 0) {
+      return { sentences: [], numbers: [], caveats: [`No price history was returned for ${symbol}.`] };
+    }
+    const first = data[0];
+    const last = data[data.length - 1];
+    const change = first.close ? ((last.close - first.close) / first.close) * 100 : null;
+    const high = Math.max(...data.map(bar => bar.high ?? bar.close));
+    const low = Math.min(...data.map(bar => bar.low ?? bar.close));
+    const start = (period?.start || first.date || '').slice(0, 10);
+    const end = (period?.end || last.date || '').slice(0, 10);
+    return {
+      sentences: [`${symbol} closed at ${fixed(last.close)}, ${movement(change)} from ${fixed(first.close)} over ${plural(data.length, 'bar')}${start && end ? ` (${start} to ${end})` : ''}, trading between ${fixed(low)} and ${fixed(high)}.`],
+      numbers: [
+        keyNumber(`${symbol} last close`, last.close),
+        keyNumber(`${symbol} period change`, change, signed(change, '%')),
+        keyNumber(`${symbol} period high`, high),
+        keyNumber(`${symbol} period low`, low)
+      ],
+      caveats: []
+    };
+  },
+
+  compute_indicators: ({ symbol, indicators }) => {
+    const latest = indicators.flatMap(indicator => Object.entries(indicator.series).map(([line, points]) => ({
+      label: `${symbol} ${indicator.id}${line === indicator.type ? '' : ` ${line}`}`,
+      point: latestPoint(points)
+    })));
+    const known = latest.filter(entry => entry.point);
+    return {
+      sentences: known.length === 0 ? [] : [`Latest readings for ${symbol}: ${known.map(entry => `${entry.label.slice(symbol.length + 1)} ${fixed(entry.point[1])}`).join(', ')}.`],
+      numbers: known.map(entry => keyNumber(entry.label, entry.point[1])),
+      caveats: latest.filter(entry => !entry.point).map(entry => `${entry.label} has no value yet; the history is too short for its period.`)
+    };
+  },
+
+  get_market_summary: ({ indices }) => {
+    const priced = indices.filter(index => !index.error);
+    return {
+      sentences: priced.length === 0 ? [] : [`${priced.map(index => `${index.name || index.symbol} is ${movement(index.changePercent)} at ${fixed(index.price)}`).join('; ')}.`],
+      numbers: priced.map(index => keyNumber(index.name || index.symbol, index.price)),
+      caveats: indices.filter(index => index.error).map(index => `No data for ${index.symbol}: ${index.error}`)
+    };
+  },
+
+  analyze_portfolio: ({ portfolio, totals, holdings, errors }) => {
+    const largest = [...holdings].sort((a, b) => b.weight - a.weight)[0];
+    return {
+      sentences: [
+        `${portfolio ? `Portfolio "${portfolio}"` : 'The portfolio'} is worth ${fixed(totals.marketValue)} across ${plural(totals.positions, 'position')}, ${movement(totals.unrealizedPnlPercent)} overall (${signed(totals.unrealizedPnl)}) and ${signed(totals.dayPnl)} today.`,
+        ...(largest ? [`${largest.symbol} is the largest holding at ${fixed(largest.weight, 1)}% of the value.`] : [])
+      ],
+      numbers: [
+        keyNumber('Market value', totals.marketValue),
+        keyNumber('Unrealized P&L', totals.unrealizedPnl, signed(totals.unrealizedPnl)),
+        keyNumber('Unrealized P&L %', totals.unrealizedPnlPercent, signed(totals.unrealizedPnlPercent, '%')),
+        keyNumber("Today's P&L", totals.dayPnl, signed(totals.dayPnl))
+      ],
+      caveats: quoteErrorCaveats(errors).map(caveat => `${caveat} (left out of the totals)`)
+    };
+  },
+
+  backtest_strategy: ({ results, portfolio }) => {
+    const facts = [...results.map(run => backtestFacts(run.symbol, run)), ...(portfolio ? [backtestFacts('The combined portfolio', portfolio)] : [])];
+    return {
+      sentences: facts.map(fact => fact.sentence),
+      numbers: facts.flatMap(fact => fact.numbers),
+      caveats: ['Backtests use past prices and do not predict future returns.']
+    };
+  },
+
+  get_recommendations: (r) => {
+    const upside = isNumber(r.targetMeanPrice) && isNumber(r.currentPrice) && r.currentPrice > 0
+      ? ((r.targetMeanPrice - r.currentPrice) / r.currentPrice) * 100
+      : null;
+    return {
+      sentences: [`Analysts rate ${r.symbol} "${r.recommendationKey || 'no consensus'}"${r.numberOfAnalystOpinions ? ` (${plural(r.numberOfAnalystOpinions, 'opinion')})` : ''}${isNumber(r.targetMeanPrice) ? `, with a mean target of ${fixed(r.targetMeanPrice)}${isNumber(upside) ? ` (${signed(upside, '%')} from ${fixed(r.currentPrice)})` : ''}` : ''}.`],
+      numbers: [
+        keyNumber(`${r.symbol} mean target`, r.targetMeanPrice),
+        keyNumber(`${r.symbol} price`, r.currentPrice),
+        keyNumber('Implied upside', upside, signed(upside, '%'))
+      ],
+      caveats: isNumber(r.targetMeanPrice) ? [] : [`No analyst price targets were returned for ${r.symbol}.`]
+    };
+  },
+
+  get_options_analytics: ({ symbol, underlyingPrice, termStructure, errors = [], omittedExpirations = 0 }) => {
+    const nearest = termStructure.find(point => isNumber(point.atmIV));
+    return {
+      sentences: [`${symbol} trades at ${fixed(underlyingPrice)}${nearest ? `, with ${fixed(nearest.atmIV * 100, 1)}% at-the-money implied volatility for ${nearest.expirationDate}` : ''}.`],
+      numbers: [
+        keyNumber(`${symbol} price`, underlyingPrice),
+        ...(nearest ? [keyNumber(`ATM IV ${nearest.expirationDate}`, nearest.atmIV * 100, `${fixed(nearest.atmIV * 100, 1)}%`)] : [])
+      ],
+      caveats: [
+        ...(nearest ? [] : ['No implied volatility could be computed from the option quotes.']),
+        ...errors.map(({ expirationDate, error }) => `No options for the ${expirationDate} expiration: ${error}`),
+        ...(omittedExpirations > 0 ? [`${plural(omittedExpirations, 'later expiration')} were not analyzed.`] : [])
+      ]
+    };
+  },
+
+  search_symbols: (items) => ({
+    sentences: items.length === 0 ? [] : [`Found ${plural(items.length, 'result')}, led by ${items.slice(0, 3).map(r => `${r.symbol}${r.longName || r.shortName ? ` (${r.longName || r.shortName})` : ''}`).join(', ')}.`],
+    numbers: [],
+    caveats: items.length === 0 ? ['No matching symbols were found.'] : []
+  }),
+
+  get_news: (items) => ({
+    sentences: items.length === 0 ? [] : [`The latest headline is "${items[0].title}"${items[0].publisher ? ` (${items[0].publisher})` : ''}${items.length > 1 ? `, one of ${items.length}` : ''}.`],
+    numbers: [],
+    caveats: items.length === 0 ? ['No news was found.'] : []
+  })
+};
+FACTS.get_trending_etfs = FACTS.get_trending_stocks;
+
+// Why an agent run stopped early, in words
+const STOP_CAVEATS = {
+  max_steps: 'The lookup stopped at its step limit, so the answer may be incomplete.',
+  time_budget: 'The lookup stopped at its time limit, so the answer may be incomplete.',
+  error: 'The model stopped responding part way, so the answer may be incomplete.'
+};
+
+/**
+ * Summarize tool results without a model. `results` are successful calls ({ tool, data, text }),
+ * `failures` failed ones ({ tool, error: { message } }). Resolves to { summary, keyNumbers, caveats }.
+ */
+export function summarizeResults({ results = [], failures = [], stopReason } = {}) {
+  const sentences = [];
+  const numbers = [];
+  const caveats = [];
+
+  for (const { tool, data, text } of results) {
+    let facts = null;
+    try {
+      facts = FACTS[tool]?.(data) || null;
+    } catch {
+      // Data without the expected shape is described by the server's summary line instead
+    }
+    if (facts) {
+      sentences.push(...facts.sentences);
+      numbers.push(...facts.numbers.filter(Boolean));
+      caveats.push(...facts.caveats);
+    } else if (text) {
+      sentences.push(`${text.split('\n')[0].replace(/\.?$/, '.')}`);
+    }
+  }
+
+  caveats.push(...failures.map(({ tool, error }) => `${tool} failed: ${error?.message || 'Unknown error'}`));
+  if (STOP_CAVEATS[stopReason]) {
+    caveats.push(STOP_CAVEATS[stopReason]);
+  }
+
+  let summary = sentences.slice(0, MAX_SENTENCES).join(' ');
+  if (!summary) {
+    summary = results.length > 0 ? 'The tools returned no data to summarize.' : "I couldn't get any data for this question.";
+  }
+  return { summary, keyNumbers: numbers.slice(0, MAX_KEY_NUMBERS), caveats: [...new Set(caveats)] };
+}
+
+/**
+ * Prompt asking a model to answer the question from the templated facts only
+ */
+export function answerPrompt(question, { summary, keyNumbers, caveats }) {
+  return `Question: ${question}
+
+Facts from market data tools:
+${summary}
+
+Key numbers:
+${keyNumbers.map(({ label, display }) => `- ${label}: ${display}`).join('\n') || '- none'}
+
+Caveats:
+${caveats.map(caveat => `- ${caveat}`).join('\n') || '- none'}
+
+Answer the question in two to four plain sentences using only these facts. Copy numbers exactly as written above and do not calculate new ones. Mention a caveat when it limits the answer. Do not give investment advice.`;
+}
+
+// Numbers in a piece of text with their scale, leaving out dates and times
+const NUMBER_PATTERN = /(?<![\w.])(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)(?:\s*(%|trillion|billion|million|thousand|[TBMK]\b))?/gi;
+const SCALES = { t: 1e12, trillion: 1e12, b: 1e9, billion: 1e9, m: 1e6, million: 1e6, k: 1e3, thousand: 1e3 };
+
+function numbersIn(text) {
+  const cleaned = String(text).replace(/\b\d{4}-\d{2}-\d{2}(?:T[\d:.]+Z?)?\b|\b\d{1,2}:\d{2}\b/g, ' ');
+  return [...cleaned.matchAll(NUMBER_PATTERN)].map(([, digits, unit]) => {
+    const decimals = digits.split('.')[1]?.length || 0;
+    const scale = unit && unit !== '%' ? SCALES[unit.toLowerCase()] : 1;
+    return {
+      text: `${digits}${unit && unit !== '%' && unit.length > 1 ? ` ${unit}` : unit || ''}`,
+      value: parseFloat(digits.replace(/,/g, '')) * scale,
+      // Half a unit in the last written digit: 2.5T stands for anything from 2.45T to 2.55T
+      tolerance: 0.5 * 10 ** -decimals * scale,
+      percent: unit === '%',
+      whole: decimals === 0 && !unit
+    };
+  });
+}
+
+// Every number in the tool data, including those inside strings such as "S&P 500"
+function collectNumbers(value, into = []) {
+  if (isNumber(value)) {
+    into.push(Math.abs(value));
+  } else if (typeof value === 'string') {
+    into.push(...numbersIn(value).map(number => number.value));
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectNumbers(item, into));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectNumbers(item, into));
+  }
+  return into;
+}
+
+/**
+ * Numbers in a model's answer that appear nowhere in the question, the key numbers or the tool data.
+ * Small counts and years are allowed, and a percentage may match a fraction in the data.
+ */
+export function ungroundedNumbers(text, { question = '', keyNumbers = [], results = [] }) {
+  const known = [
+    ...keyNumbers.map(number => Math.abs(number.value)),
+    ...numbersIn(question).map(number => number.value),
+    ...collectNumbers(results.map(result => result.data))
+  ];
+  return numbersIn(text)
+    .filter(number => !(number.whole && (number.value <= 10 || (number.value >= 1900 && number.value <= 2100))))
+    .filter(number => !known.some(value =>
+      Math.abs(number.value - value) <= Math.max(number.tolerance, 0.005 * value) ||
+      (number.percent && Math.abs(number.value - value * 100) <= Math.max(number.tolerance, 0.5 * value))))
+    .map(number => number.text);
+}
@@ -1,6 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Layout, Input, Button, Card, Typography, Space, Divider, message, Drawer, Badge, Modal } from 'antd';
-import { SendOutlined, RobotOutlined, UserOutlined, DashboardOutlined, MessageOutlined, CloseOutlined, BulbOutlined } from '@ant-design/icons';
+import { Layout, Input, Button, Card, Typography, Space, Divider, Tag, message, notification, Drawer, Badge, Modal } from 'antd';
+import { SendOutlined, RobotOutlined, UserOutlined, DashboardOutlined, MessageOutlined, CloseOutlined, BulbOutlined, PlusOutlined } from '@ant-design/icons';
 import { RealMCPClient } from './services/RealMCPClient';
 import { DashboardWidget } from './components/DashboardWidget';
 import { StockTable } from './components/StockTable';
@@ -34,6 +34,17 @@ function App() {
     scrollToBottom();
   }, [messages]);
 
+  // Show alerts as they trigger on the bridge
+  useEffect(() => {
+    return mcpClient.current.subscribeToAlerts((trigger) => {
+      notification.warning({
+        message: `Alert: ${trigger.symbol}`,
+        description: trigger.message,
+        duration: 0
+      });
+    });
+  }, []);
+
   const handleSuggestionClick = (suggestion) => {
     setInputValue(suggestion);
     setSuggestionPopupOpen(false);
@@ -44,18 +55,19 @@ function App() {
     setSuggestionPopupOpen(true);
   };
 
-  const handleSendMessage = async () => {
-    if (!inputValue.trim()) return;
+  // Send the typed message, or `text` when re-running a query from a widget
+  const handleSendMessage = async (text = inputValue) => {
+    if (!text.trim()) return;
 
     const userMessage = {
       id: Date.now(),
       type: 'user',
-      content: inputValue,
+      content: text,
       timestamp: new Date()
     };
 
     setMessages(prev => [...prev, userMessage]);
-    setInputValue('');
+    if (text === inputValue) setInputValue('');
     setLoading(true);
     setLoadingMessage('Connecting to MCP server...');
     setLoadingStartTime(Date.now());
@@ -66,7 +78,7 @@ function App() {
       setTimeout(() => setLoadingMessage('Processing request...'), 1000);
       setTimeout(() => setLoadingMessage('Rendering widget...'), 1500);
 
-      const response = await mcpClient.current.sendMessage(inputValue);
+      const response = await mcpClient.current.sendMessage(text);
       
       const loadingTime = Date.now() - loadingStartTime;
       const loadingTimeSeconds = (loadingTime / 1000).toFixed(1);
@@ -78,43 +90,48 @@ function App() {
         timestamp: new Date(),
         data: response.data,
         widgetType: response.widgetType,
+        answer: response.answer,
+        trace: response.trace,
+        followUp: response.followUp,
         loadingTime: loadingTimeSeconds
       };
 
       setMessages(prev => [...prev, assistantMessage]);
       
-      // Update dashboard data if response contains structured data
-      if (response.data) {
-        // Check if data is empty or contains only error messages
-        const isEmpty = !response.data || 
-                       (typeof response.data === 'object' && 
-                        Object.keys(response.data).length === 0) ||
-                       (response.data.message && response.data.message.includes('Error:')) ||
-                       (Array.isArray(response.data) && response.data.length === 0);
+      // Update dashboard data if response contains structured data; a multi-step answer has one widget per tool call
+      const widgets = response.widgets?.length > 0 ? response.widgets : [response];
+      widgets.filter(widget => widget.data).forEach((widget, index) => {
+        // Failures arrive as error widgets; only empty results are kept off the dashboard
+        const isEmpty = !widget.data || 
+                       (typeof widget.data === 'object' && 
+                        Object.keys(widget.data).length === 0) ||
+                       (Array.isArray(widget.data) && widget.data.length === 0);
         
         if (isEmpty) {
           // Show message in chat instead of creating empty widget
           const emptyDataMessage = {
-            id: Date.now() + 2,
+            id: Date.now() + 2 + index,
             type: 'assistant',
-            content: `No data available for this query. The API returned empty results.`,
+            content: `No data available${widget.tool ? ` from ${widget.tool}` : ' for this query'}. The API returned empty results.`,
             timestamp: new Date(),
             isEmpty: true
           };
           setMessages(prev => [...prev, emptyDataMessage]);
         } else {
-          const widgetKey = `${response.widgetType || 'general'}_${Date.now()}`;
+          const widgetKey = `${widget.widgetType || 'general'}_${Date.now()}_${index}`;
           setDashboardData(prev => ({
             ...prev,
             [widgetKey]: {
-              data: response.data, // Keep array data as-is
-              widgetType: response.widgetType || 'general',
+              data: widget.data, // Keep array data as-is
+              widgetType: widget.widgetType || 'general',
+              query: text,
+              toolUsed: widget.tool,
               timestamp: new Date(),
-              title: response.widgetType ? response.widgetType.replace('_', ' ').toUpperCase() : 'GENERAL'
+              title: widget.widgetType ? widget.widgetType.replace('_', ' ').toUpperCase() : 'GENERAL'
             }
           }));
         }
-      }
+      });
 
       message.success(`Response received in ${loadingTimeSeconds}s!`);
     } catch (error) {
@@ -141,6 +158,12 @@ function App() {
     }
   };
 
+  // Clear the chat and start a new conversation, so follow-ups no longer refer to earlier messages
+  const handleNewConversation = () => {
+    setMessages([]);
+    mcpClient.current.resetSession();
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -163,12 +186,38 @@ function App() {
               )}
             </Text>
           </div>
+          {msg.followUp && (
+            <div style={{ marginBottom: 4, fontSize: 11 }}>
+              <Text type="secondary">Read as: "{msg.followUp.resolved}"</Text>
+            </div>
+          )}
           <div style={{ fontSize: 13, lineHeight: 1.4 }}>{msg.content}</div>
+          {msg.answer?.keyNumbers?.length > 0 && (
+            <div style={{ marginTop: 8 }}>
+              {msg.answer.keyNumbers.map(number => (
+                <Tag key={number.label} style={{ marginBottom: 4 }}>
+                  {number.label}: <strong>{number.display}</strong>
+                </Tag>
+              ))}
+            </div>
+          )}
+          {msg.answer?.caveats?.map(caveat => (
+            <div key={caveat} style={{ marginTop: 4, fontSize: 11 }}>
+              <Text type="warning">{caveat}</Text>
+            </div>
+          ))}
           {msg.data && (
             <div style={{ marginTop: 8, padding: 8, background: '#f5f5f5', borderRadius: 4, fontSize: 11 }}>
               <Text type="secondary">Widget created: {msg.widgetType}</Text>
             </div>
           )}
+          {msg.trace?.length > 1 && (
+            <div style={{ marginTop: 4, fontSize: 11 }}>
+              <Text type="secondary">
+                Steps: {msg.trace.map(step => `${step.tool}${step.status === 'ok' ? '' : ` (${step.status})`}`).join(' → ')}
+              </Text>
+            </div>
+          )}
         </div>
       </div>
     );
@@ -278,6 +327,15 @@ function App() {
                     delete newData[key];
                     setDashboardData(newData);
                   }}
+                  onRetry={(retryQuery = widgetData.query) => {
+                    // The new answer replaces the failed widget
+                    setDashboardData(prev => {
+                      const newData = { ...prev };
+                      delete newData[key];
+                      return newData;
+                    });
+                    handleSendMessage(retryQuery);
+                  }}
                 />
               ))}
             </div>
@@ -327,11 +385,20 @@ function App() {
           header: { padding: '16px 24px' }
         }}
         extra={
-          <Button
-            type="text"
-            icon={<CloseOutlined />}
-            onClick={() => setChatOpen(false)}
-          />
+          <Space size={4}>
+            <Button
+              type="text"
+              icon={<PlusOutlined />}
+              onClick={handleNewConversation}
+              disabled={loading || messages.length === 0}
+              title="New conversation"
+            />
+            <Button
+              type="text"
+              icon={<CloseOutlined />}
+              onClick={() => setChatOpen(false)}
+            />
+          </Space>
         }
       >
         <div className="chat-drawer">
@@ -378,7 +445,7 @@ function App() {
               <Button
                 type="primary"
                 icon={<SendOutlined />}
-                onClick={handleSendMessage}
+                onClick={() => handleSendMessage()}
                 loading={loading}
                 disabled={!inputValue.trim()}
                 size="small"
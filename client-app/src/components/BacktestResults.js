@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { Row, Col, Statistic, Select, Table, Tag, Typography } from 'antd';
+import Highcharts from 'highcharts';
+import HighchartsReact from 'highcharts-react-official';
+
+// Import required Highcharts modules
+import HighchartsExporting from 'highcharts/modules/exporting';
+import HighchartsExportData from 'highcharts/modules/export-data';
+
+// Initialize the modules
+HighchartsExporting(Highcharts);
+HighchartsExportData(Highcharts);
+
+const { Text } = Typography;
+
+const PORTFOLIO = '__portfolio__';
+
+const formatPercent = (value) => value != null ? `${(value * 100).toFixed(2)}%` : 'N/A';
+const formatRatio = (value) => value != null ? value.toFixed(2) : 'N/A';
+const formatMoney = (value) => value != null ? `$${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}` : 'N/A';
+
+export const BacktestResults = ({ data }) => {
+  // Handle both old and new data structures
+  const actualData = data.data || data;
+  const results = actualData?.results || [];
+  const [selected, setSelected] = useState(actualData?.portfolio ? PORTFOLIO : results[0]?.symbol);
+
+  if (results.length === 0) {
+    return (
+      <div style={{ textAlign: 'center', padding: '40px' }}>
+        <p>No backtest results available</p>
+      </div>
+    );
+  }
+
+  const run = selected === PORTFOLIO
+    ? actualData.portfolio
+    : results.find(result => result.symbol === selected) || results[0];
+  const trades = selected === PORTFOLIO
+    ? results.flatMap(result => result.trades.map(trade => ({ ...trade, symbol: result.symbol })))
+    : (run.trades || []).map(trade => ({ ...trade, symbol: run.symbol }));
+  const wins = trades.filter(trade => trade.pnl > 0).length;
+  const winRate = run.metrics.winRate !== undefined ? run.metrics.winRate : (trades.length > 0 ? wins / trades.length : null);
+
+  const equityOptions = {
+    chart: {
+      type: 'line',
+      height: 350
+    },
+    title: {
+      text: 'Equity Curve vs Buy & Hold'
+    },
+    xAxis: {
+      type: 'datetime'
+    },
+    yAxis: {
+      title: { text: 'Equity ($)' }
+    },
+    series: [
+      {
+        name: 'Strategy',
+        data: run.equityCurve,
+        color: '#1890ff'
+      },
+      {
+        name: 'Buy & Hold',
+        data: run.buyAndHold,
+        color: '#999',
+        dashStyle: 'Dash'
+      }
+    ],
+    plotOptions: {
+      line: {
+        marker: { enabled: false }
+      }
+    },
+    tooltip: {
+      shared: true,
+      xDateFormat: '%Y-%m-%d',
+      valuePrefix: '$',
+      valueDecimals: 2
+    },
+    credits: {
+      enabled: false
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Symbol',
+      dataIndex: 'symbol',
+      key: 'symbol',
+      render: (symbol) => <Tag color="blue">{symbol}</Tag>
+    },
+    {
+      title: 'Entry',
+      key: 'entry',
+      render: (_, trade) => `${trade.entryDate} @ $${trade.entryPrice.toFixed(2)}`
+    },
+    {
+      title: 'Exit',
+      key: 'exit',
+      render: (_, trade) => `${trade.exitDate} @ $${trade.exitPrice.toFixed(2)}`
+    },
+    {
+      title: 'Shares',
+      dataIndex: 'shares',
+      key: 'shares'
+    },
+    {
+      title: 'P&L',
+      dataIndex: 'pnl',
+      key: 'pnl',
+      render: (pnl) => <span style={{ color: pnl >= 0 ? '#3f8600' : '#cf1322' }}>{formatMoney(pnl)}</span>,
+      sorter: (a, b) => a.pnl - b.pnl
+    },
+    {
+      title: 'Return',
+      dataIndex: 'returnPercent',
+      key: 'returnPercent',
+      render: (value) => `${value.toFixed(2)}%`,
+      sorter: (a, b) => a.returnPercent - b.returnPercent
+    },
+    {
+      title: 'Bars',
+      dataIndex: 'barsHeld',
+      key: 'barsHeld'
+    },
+    {
+      title: 'Exit Reason',
+      dataIndex: 'exitReason',
+      key: 'exitReason',
+      render: (reason) => <Tag>{reason.replace(/_/g, ' ')}</Tag>
+    }
+  ];
+
+  return (
+    <div>
+      {(results.length > 1 || actualData.portfolio) && (
+        <Row style={{ marginBottom: 16 }} align="middle">
+          <Col>
+            <Text strong>Show: </Text>
+            <Select
+              value={selected}
+              onChange={setSelected}
+              style={{ width: 200 }}
+              options={[
+                ...(actualData.portfolio ? [{ value: PORTFOLIO, label: 'Portfolio (all symbols)' }] : []),
+                ...results.map(result => ({ value: result.symbol, label: result.symbol }))
+              ]}
+            />
+          </Col>
+        </Row>
+      )}
+
+      <Row gutter={16} style={{ marginBottom: 16 }}>
+        <Col span={4}>
+          <Statistic
+            title="Total Return"
+            value={formatPercent(run.metrics.totalReturn)}
+            valueStyle={{ color: run.metrics.totalReturn >= 0 ? '#3f8600' : '#cf1322' }}
+          />
+          <Text type="secondary">Buy & hold: {formatPercent(run.benchmark.totalReturn)}</Text>
+        </Col>
+        <Col span={4}>
+          <Statistic title="CAGR" value={formatPercent(run.metrics.cagr)} />
+          <Text type="secondary">Buy & hold: {formatPercent(run.benchmark.cagr)}</Text>
+        </Col>
+        <Col span={4}>
+          <Statistic title="Max Drawdown" value={formatPercent(run.metrics.maxDrawdown)} valueStyle={{ color: '#cf1322' }} />
+          <Text type="secondary">Buy & hold: {formatPercent(run.benchmark.maxDrawdown)}</Text>
+        </Col>
+        <Col span={4}>
+          <Statistic title="Sharpe" value={formatRatio(run.metrics.sharpe)} />
+          <Text type="secondary">Buy & hold: {formatRatio(run.benchmark.sharpe)}</Text>
+        </Col>
+        <Col span={4}>
+          <Statistic title="Sortino" value={formatRatio(run.metrics.sortino)} />
+          <Text type="secondary">Buy & hold: {formatRatio(run.benchmark.sortino)}</Text>
+        </Col>
+        <Col span={4}>
+          <Statistic title="Win Rate" value={formatPercent(winRate)} />
+          <Text type="secondary">{trades.length} trades</Text>
+        </Col>
+      </Row>
+
+      <HighchartsReact highcharts={Highcharts} options={equityOptions} />
+
+      <Table
+        dataSource={trades}
+        columns={columns}
+        rowKey={(trade) => `${trade.symbol}-${trade.entryDate}`}
+        pagination={{ pageSize: 10 }}
+        scroll={{ x: true }}
+        size="small"
+        style={{ marginTop: 16 }}
+      />
+    </div>
+  );
+};
@@ -1,15 +1,19 @@
-import React, { useState } from 'react';
-import { Card, Typography, Row, Col, Statistic, Progress, Tag, Button, Dropdown, Menu } from 'antd';
-import { TrendingUpOutlined, TrendingDownOutlined, DollarOutlined, ExpandOutlined, ShrinkOutlined, SettingOutlined, CloseOutlined } from '@ant-design/icons';
+import React, { useState, useEffect } from 'react';
+import { Card, Typography, Row, Col, Statistic, Progress, Tag, Button, Dropdown, Menu, Table } from 'antd';
+import { TrendingUpOutlined, TrendingDownOutlined, DollarOutlined, ExpandOutlined, ShrinkOutlined, SettingOutlined, CloseOutlined, ReloadOutlined, SearchOutlined } from '@ant-design/icons';
 import { StockTable } from './StockTable';
 import { StockChart } from './StockChart';
 import { MarketOverview } from './MarketOverview';
 import { PortfolioAnalysis } from './PortfolioAnalysis';
+import { OptionsAnalytics } from './OptionsAnalytics';
+import { BacktestResults } from './BacktestResults';
 import { SmartWidgetSelector } from './SmartWidgetSelector';
+import { LiveIndicator } from './LiveIndicator';
+import { useLiveQuotes } from '../services/QuoteStream';
 
 const { Title, Text } = Typography;
 
-export const DashboardWidget = ({ type, data, title, onRemove, query, toolUsed }) => {
+export const DashboardWidget = ({ type, data, title, onRemove, onRetry, query, toolUsed }) => {
   const [widgetSize, setWidgetSize] = useState('medium'); // small, medium, large, full
 
   const getSizeClass = () => {
@@ -133,6 +137,7 @@ export const DashboardWidget = ({ type, data, title, onRemove, query, toolUsed }
         return <QuoteSummaryWidget data={data} />;
       
       case 'fundamentals':
+      case 'financials':
         return <FundamentalsWidget data={data} />;
       
       case 'trending_symbols':
@@ -153,12 +158,42 @@ export const DashboardWidget = ({ type, data, title, onRemove, query, toolUsed }
       case 'quotes':
         return <SmartWidgetSelector data={data} query={query} toolUsed={toolUsed} />;
       
+      case 'batch_quotes':
+        return <BatchQuotesWidget data={data} />;
+      
+      case 'watchlists':
+        return <WatchlistsWidget data={data} />;
+      
+      case 'portfolios':
+        return <SavedPortfoliosWidget data={data} />;
+      
+      case 'alerts':
+        return <AlertsWidget data={data} />;
+      
+      case 'indicators':
+        return <StockChart data={data} />;
+      
+      case 'backtest':
+        return <BacktestResults data={data} />;
+      
       case 'error':
-        return <ErrorWidget data={data} title={title} />;
+        return <ErrorWidget data={data} title={title} onRetry={onRetry} query={query} />;
       
       case 'search':
         return <SearchResultsWidget data={data} />;
       
+      case 'news':
+        return <NewsWidget data={data} />;
+      
+      case 'recommendations':
+        return <RecommendationsWidget data={data} />;
+      
+      case 'options':
+        // Analytics responses carry per-expiration Greeks; plain chains fall back to the general view
+        return (data.data || data).expirations
+          ? <OptionsAnalytics data={data} />
+          : <GeneralWidget data={data} title={title} />;
+      
       default:
         return <GeneralWidget data={data} title={title} />;
     }
@@ -312,13 +347,16 @@ const StockComparisonWidget = ({ data }) => {
 const StockQuoteWidget = ({ data }) => {
   // Handle both old and new data structures
   const actualData = data.regularMarketPrice ? data : (data.data || data);
+  const symbol = data.symbol || actualData.symbol;
+  const { quotes, status, lastUpdate } = useLiveQuotes([symbol]);
+  const live = quotes[symbol] || {};
   
-  // Map Yahoo Finance API field names to widget field names
-  const price = actualData.regularMarketPrice || actualData.price;
-  const change = actualData.regularMarketChange || actualData.change;
-  const changePercent = actualData.regularMarketChangePercent || actualData.changePercent;
-  const volume = actualData.regularMarketVolume || actualData.volume;
-  const marketCap = actualData.marketCap;
+  // Map Yahoo Finance API field names to widget field names, preferring streamed values
+  const price = live.regularMarketPrice ?? (actualData.regularMarketPrice || actualData.price);
+  const change = live.regularMarketChange ?? (actualData.regularMarketChange || actualData.change);
+  const changePercent = live.regularMarketChangePercent ?? (actualData.regularMarketChangePercent || actualData.changePercent);
+  const volume = live.regularMarketVolume ?? (actualData.regularMarketVolume || actualData.volume);
+  const marketCap = live.marketCap ?? actualData.marketCap;
   const pe = actualData.trailingPE || actualData.pe;
   const dividendYield = actualData.dividendYield;
 
@@ -328,9 +366,10 @@ const StockQuoteWidget = ({ data }) => {
         <Col span={12}>
           <Statistic
             title="Symbol"
-            value={data.symbol}
+            value={symbol}
             valueStyle={{ fontSize: 24, fontWeight: 'bold' }}
           />
+          <LiveIndicator status={status} lastUpdate={lastUpdate} />
         </Col>
         <Col span={12}>
           <Statistic
@@ -426,6 +465,8 @@ const TrendingStocksWidget = ({ data }) => {
     actualData = [];
   }
   
+  const { quotes, status, lastUpdate } = useLiveQuotes(Array.isArray(actualData) ? actualData.map(stock => stock.symbol) : []);
+  
   if (!Array.isArray(actualData) || actualData.length === 0) {
     return (
       <div style={{ textAlign: 'center', padding: '40px' }}>
@@ -498,10 +539,23 @@ const TrendingStocksWidget = ({ data }) => {
     }
   ];
 
+  // Tick streamed prices into the rows in place
+  const liveData = actualData.map(stock => {
+    const live = quotes[stock.symbol];
+    return live ? {
+      ...stock,
+      price: live.regularMarketPrice ?? stock.price,
+      change: live.regularMarketChange ?? stock.change,
+      changePercent: live.regularMarketChangePercent ?? stock.changePercent,
+      volume: live.regularMarketVolume ?? stock.volume,
+      marketCap: live.marketCap ?? stock.marketCap
+    } : stock;
+  });
+
   return (
     <div>
-      <Row gutter={16} style={{ marginBottom: 16 }}>
-        <Col span={24}>
+      <Row gutter={16} style={{ marginBottom: 16 }} align="middle">
+        <Col span={18}>
           <Statistic
             title="Total Trending Stocks"
             value={actualData.length}
@@ -509,10 +563,13 @@ const TrendingStocksWidget = ({ data }) => {
             valueStyle={{ color: '#1890ff' }}
           />
         </Col>
+        <Col span={6} style={{ textAlign: 'right' }}>
+          <LiveIndicator status={status} lastUpdate={lastUpdate} />
+        </Col>
       </Row>
       
       <StockTable 
-        data={actualData} 
+        data={liveData} 
         columns={columns}
         pagination={{ pageSize: 10, showSizeChanger: true }}
         size="small"
@@ -701,16 +758,116 @@ const SearchResultsWidget = ({ data }) => {
   );
 };
 
-const ErrorWidget = ({ data, title }) => {
+// What to tell the user for each error code the bridge reports, and how they can recover
+const ERROR_GUIDANCE = {
+  INVALID_SYMBOL: {
+    heading: 'Symbol not recognised',
+    hint: 'Check the ticker, or search by company name.',
+    action: 'search'
+  },
+  NO_DATA: {
+    heading: 'No data available',
+    hint: 'Yahoo Finance has nothing for this request. Try a different date range or symbol.'
+  },
+  VALIDATION_FAILED: {
+    heading: 'Request could not be understood',
+    hint: 'Rephrase the question or check the values in it.'
+  },
+  UPSTREAM_RATE_LIMITED: {
+    heading: 'Too many requests',
+    hint: 'Yahoo Finance is limiting requests. The query can be retried shortly.',
+    action: 'retry',
+    retryAfterSeconds: 30
+  },
+  UPSTREAM_UNAVAILABLE: {
+    heading: 'Market data unavailable',
+    hint: 'The data source could not be reached. This is usually temporary.',
+    action: 'retry'
+  },
+  TIMEOUT: {
+    heading: 'Request timed out',
+    hint: 'The data source took too long to answer.',
+    action: 'retry'
+  },
+  INTERNAL_ERROR: {
+    heading: 'Server error',
+    hint: 'The finance server failed while handling this request. Rephrasing will not help; check the server logs.'
+  }
+};
+
+const DEFAULT_GUIDANCE = {
+  heading: 'Something went wrong',
+  hint: 'Please try a different query or check your input.'
+};
+
+// Seconds left before `seconds` have passed since the widget appeared
+const useCountdown = (seconds) => {
+  const [remaining, setRemaining] = useState(seconds || 0);
+
+  useEffect(() => {
+    if (remaining <= 0) return undefined;
+    const timer = setTimeout(() => setRemaining(remaining - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [remaining]);
+
+  return remaining;
+};
+
+// Words of a request that are not part of the company or ticker it is about
+const REQUEST_WORDS = /\b(what(?:'s| is)?|how|show|me|get|give|the|a|an|of|for|on|about|is|are|was|current|latest|today|stock|stocks|shares?|price|prices|quote|quotes|chart|history|historical|data|news|doing|trading|please)\b/gi;
+
+// What to search for when a symbol was not recognised: the symbol the error names, else what is left of the question
+const searchTerm = (message, query) => {
+  const symbol = message?.match(/\bfor ([A-Z0-9.^=-]+)/)?.[1];
+  if (symbol) return symbol;
+  const rest = (query || '').replace(REQUEST_WORDS, ' ').replace(/[^\w.&'-]+/g, ' ').trim();
+  return rest || null;
+};
+
+const ErrorWidget = ({ data, title, onRetry, query }) => {
+  const guidance = ERROR_GUIDANCE[data.code] || DEFAULT_GUIDANCE;
+  const waitSeconds = useCountdown(guidance.retryAfterSeconds);
+
+  const renderAction = () => {
+    if (!onRetry) return null;
+    if (guidance.action === 'search') {
+      const term = searchTerm(data.message, query);
+      if (!term) return null;
+      return (
+        <Button icon={<SearchOutlined />} onClick={() => onRetry(`Search for ${term}`)}>
+          {`Search for ${term}`}
+        </Button>
+      );
+    }
+    if (guidance.action === 'retry') {
+      return (
+        <Button icon={<ReloadOutlined />} disabled={waitSeconds > 0} onClick={() => onRetry()}>
+          {waitSeconds > 0 ? `Retry in ${waitSeconds}s` : 'Retry'}
+        </Button>
+      );
+    }
+    return null;
+  };
+  const action = renderAction();
+
   return (
     <div style={{ padding: '16px', textAlign: 'center' }}>
       <Text type="danger" style={{ fontSize: '16px' }}>
-        ⚠️ Error: {data.message || 'Something went wrong'}
+        ⚠️ {guidance.heading}
+      </Text>
+      <br />
+      <Text style={{ fontSize: '13px' }}>
+        {data.message || data.error || 'Something went wrong'}
       </Text>
       <br />
       <Text type="secondary" style={{ fontSize: '12px' }}>
-        Please try a different query or check your input.
+        {guidance.hint}
       </Text>
+      {action && (
+        <div style={{ marginTop: 12 }}>
+          {action}
+        </div>
+      )}
     </div>
   );
 };
@@ -1094,9 +1251,82 @@ const QuoteSummaryWidget = ({ data }) => {
   );
 };
 
+const STATEMENT_TITLES = {
+  income: 'Income Statement',
+  balance: 'Balance Sheet',
+  cashflow: 'Cash Flow Statement'
+};
+
+const formatStatementValue = (value) => {
+  if (value == null) return '—';
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${(value / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+  if (abs >= 1e3) return value.toLocaleString(undefined, { maximumFractionDigits: 0 });
+  return value.toFixed(2);
+};
+
+const FinancialStatementTable = ({ statement }) => {
+  const columns = [
+    {
+      title: 'Line Item',
+      dataIndex: 'label',
+      key: 'label',
+      fixed: 'left',
+      width: 220,
+      render: (label) => <Text strong style={{ fontSize: 12 }}>{label}</Text>
+    },
+    ...statement.periods.map((period, index) => ({
+      title: period,
+      key: period,
+      align: 'right',
+      render: (_, row) => (
+        <Text style={{ fontSize: 12, color: row.values[index] < 0 ? '#cf1322' : undefined }}>
+          {formatStatementValue(row.values[index])}
+        </Text>
+      )
+    }))
+  ];
+  
+  return (
+    <div>
+      <Row gutter={16} style={{ marginBottom: 16 }}>
+        <Col span={16}>
+          <Statistic 
+            title={`${statement.symbol} ${STATEMENT_TITLES[statement.type] || 'Financial Statement'}`} 
+            value={statement.frequency === 'quarterly' ? 'Quarterly' : 'Annual'} 
+            valueStyle={{ color: '#1890ff' }}
+          />
+        </Col>
+        <Col span={8}>
+          <Statistic title="Periods" value={statement.periods.length} />
+        </Col>
+      </Row>
+      
+      {statement.rows.length > 0 ? (
+        <Table 
+          dataSource={statement.rows} 
+          columns={columns} 
+          rowKey="key" 
+          pagination={{ pageSize: 20, hideOnSinglePage: true }} 
+          scroll={{ x: true }}
+          size="small"
+        />
+      ) : (
+        <Text type="secondary">No statement data reported for this symbol</Text>
+      )}
+    </div>
+  );
+};
+
 const FundamentalsWidget = ({ data }) => {
   const actualData = data.data || data;
   
+  // Statement tables come from get_financials
+  if (actualData && Array.isArray(actualData.rows) && Array.isArray(actualData.periods)) {
+    return <FinancialStatementTable statement={actualData} />;
+  }
+  
   // Check if we have a text message (from fundamentals_analysis tool)
   const textContent = actualData?.message || actualData?.text || actualData?.content;
   
@@ -1300,3 +1530,347 @@ const AutocWidget = ({ data }) => {
     </div>
   );
 };
+
+const NewsWidget = ({ data }) => {
+  const actualData = data.data || data;
+  const newsItems = Array.isArray(actualData) ? actualData : Object.values(actualData).filter(item => 
+    item && typeof item === 'object' && item.uuid
+  );
+  
+  if (newsItems.length === 0) {
+    return (
+      <div>
+        <Text type="secondary">No recent news available</Text>
+      </div>
+    );
+  }
+  
+  return (
+    <div>
+      <Row gutter={16} style={{ marginBottom: 16 }}>
+        <Col span={24}>
+          <Statistic title="Latest Headlines" value={newsItems.length} suffix="articles" valueStyle={{ color: '#1890ff' }} />
+        </Col>
+      </Row>
+      
+      {newsItems.map((item) => (
+        <div key={item.uuid} style={{ padding: '8px 0', borderBottom: '1px solid #f0f0f0' }}>
+          <a href={item.link} target="_blank" rel="noopener noreferrer">
+            <Text strong>{item.title}</Text>
+          </a>
+          <div style={{ marginTop: 4 }}>
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              {item.publisher || 'Unknown publisher'}
+              {item.providerPublishTime && ` • ${new Date(item.providerPublishTime).toLocaleString()}`}
+            </Text>
+          </div>
+          {item.relatedTickers && item.relatedTickers.length > 0 && (
+            <div style={{ marginTop: 4 }}>
+              {item.relatedTickers.slice(0, 5).map(ticker => (
+                <Tag key={ticker} color="blue">{ticker}</Tag>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const RecommendationsWidget = ({ data }) => {
+  const actualData = data.data || data;
+  const trend = actualData.trend || [];
+  const ratingHistory = actualData.ratingHistory || [];
+  const currentPeriod = trend.find(period => period.period === '0m') || trend[0];
+  const totalRatings = currentPeriod
+    ? currentPeriod.strongBuy + currentPeriod.buy + currentPeriod.hold + currentPeriod.sell + currentPeriod.strongSell
+    : 0;
+  const upside = actualData.currentPrice && actualData.targetMeanPrice
+    ? ((actualData.targetMeanPrice - actualData.currentPrice) / actualData.currentPrice) * 100
+    : null;
+  
+  const ratingRows = [
+    { key: 'strongBuy', label: 'Strong Buy', color: '#237804' },
+    { key: 'buy', label: 'Buy', color: '#52c41a' },
+    { key: 'hold', label: 'Hold', color: '#faad14' },
+    { key: 'sell', label: 'Sell', color: '#ff7a45' },
+    { key: 'strongSell', label: 'Strong Sell', color: '#cf1322' }
+  ];
+  
+  const trendColumns = [
+    { title: 'Period', dataIndex: 'period', key: 'period', render: (period) => <Text strong>{period === '0m' ? 'Current' : period}</Text> },
+    ...ratingRows.map(row => ({ title: row.label, dataIndex: row.key, key: row.key }))
+  ];
+  
+  return (
+    <div>
+      <Row gutter={16} style={{ marginBottom: 16 }}>
+        <Col span={8}>
+          <Statistic 
+            title="Consensus" 
+            value={actualData.recommendationKey ? actualData.recommendationKey.replace('_', ' ').toUpperCase() : 'N/A'} 
+            valueStyle={{ color: '#1890ff' }}
+          />
+        </Col>
+        <Col span={8}>
+          <Statistic title="Analysts" value={actualData.numberOfAnalystOpinions || 'N/A'} />
+        </Col>
+        <Col span={8}>
+          <Statistic 
+            title="Upside to Mean Target" 
+            value={upside != null ? `${upside >= 0 ? '+' : ''}${upside.toFixed(1)}%` : 'N/A'} 
+            valueStyle={{ color: upside >= 0 ? '#52c41a' : '#ff4d4f' }}
+          />
+        </Col>
+      </Row>
+      
+      <Row gutter={16} style={{ marginBottom: 16 }}>
+        <Col span={6}>
+          <Statistic title="Target Low" value={actualData.targetLowPrice != null ? `$${actualData.targetLowPrice.toFixed(2)}` : 'N/A'} />
+        </Col>
+        <Col span={6}>
+          <Statistic title="Target Mean" value={actualData.targetMeanPrice != null ? `$${actualData.targetMeanPrice.toFixed(2)}` : 'N/A'} />
+        </Col>
+        <Col span={6}>
+          <Statistic title="Target Median" value={actualData.targetMedianPrice != null ? `$${actualData.targetMedianPrice.toFixed(2)}` : 'N/A'} />
+        </Col>
+        <Col span={6}>
+          <Statistic title="Target High" value={actualData.targetHighPrice != null ? `$${actualData.targetHighPrice.toFixed(2)}` : 'N/A'} />
+        </Col>
+      </Row>
+      
+      {currentPeriod && totalRatings > 0 && (
+        <div style={{ marginBottom: 16 }}>
+          <Title level={5}>Current Ratings</Title>
+          {ratingRows.map(row => (
+            <Row key={row.key} gutter={8} align="middle">
+              <Col span={6}><Text>{row.label}</Text></Col>
+              <Col span={18}>
+                <Progress 
+                  percent={Math.round((currentPeriod[row.key] / totalRatings) * 100)} 
+                  format={() => currentPeriod[row.key]} 
+                  strokeColor={row.color} 
+                  size="small"
+                />
+              </Col>
+            </Row>
+          ))}
+        </div>
+      )}
+      
+      {trend.length > 0 && (
+        <div style={{ marginBottom: 16 }}>
+          <Title level={5}>Monthly Trend</Title>
+          <Table 
+            dataSource={trend} 
+            columns={trendColumns} 
+            rowKey="period" 
+            pagination={false} 
+            size="small"
+          />
+        </div>
+      )}
+      
+      {ratingHistory.length > 0 && (
+        <div>
+          <Title level={5}>Recent Rating Changes</Title>
+          {ratingHistory.slice(0, 5).map((change, index) => (
+            <div key={`${change.firm}_${index}`} style={{ padding: '4px 0' }}>
+              <Text type="secondary" style={{ fontSize: 12 }}>{new Date(change.date).toLocaleDateString()}</Text>
+              <Text strong style={{ marginLeft: 8 }}>{change.firm}</Text>
+              <Tag style={{ marginLeft: 8 }} color={change.action === 'up' ? 'green' : change.action === 'down' ? 'red' : 'blue'}>
+                {change.action}
+              </Tag>
+              <Text>{change.fromGrade ? `${change.fromGrade} → ${change.toGrade}` : change.toGrade}</Text>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const BatchQuotesWidget = ({ data }) => {
+  const actualData = data.data || data;
+  const quotes = (actualData.quotes || []).map(quote => ({
+    symbol: quote.symbol,
+    name: quote.longName || quote.shortName || quote.symbol,
+    price: quote.regularMarketPrice,
+    change: quote.regularMarketChange,
+    changePercent: quote.regularMarketChangePercent,
+    volume: quote.regularMarketVolume,
+    marketCap: quote.marketCap
+  }));
+  const errors = actualData.errors || [];
+  
+  return (
+    <div>
+      {actualData.watchlist && (
+        <Title level={5} style={{ marginTop: 0 }}>Watchlist: {actualData.watchlist}</Title>
+      )}
+      <StockTable data={quotes} />
+      {errors.length > 0 && (
+        <div style={{ marginTop: 12 }}>
+          <Text type="secondary">Unavailable: </Text>
+          {errors.map(({ symbol, error }) => (
+            <Tag key={symbol} color="red" title={error}>{symbol}</Tag>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const formatSavedDate = (value) => value ? new Date(value).toLocaleDateString() : 'N/A';
+
+const WatchlistsWidget = ({ data }) => {
+  const actualData = data.data || data;
+  // add_to_watchlist and remove_from_watchlist return the one list they changed
+  const watchlists = Array.isArray(actualData) ? actualData : [actualData];
+  
+  if (watchlists.length === 0) {
+    return <Text type="secondary">No saved watchlists yet. Try "Add AAPL and MSFT to my tech watchlist".</Text>;
+  }
+  
+  return (
+    <div>
+      {watchlists.map(watchlist => (
+        <Card key={watchlist.name} size="small" title={watchlist.name} style={{ marginBottom: 8 }}
+          extra={<Text type="secondary">Updated {formatSavedDate(watchlist.updatedAt)}</Text>}>
+          {watchlist.symbols.length > 0
+            ? watchlist.symbols.map(symbol => <Tag key={symbol} color="blue">{symbol}</Tag>)
+            : <Text type="secondary">Empty</Text>}
+        </Card>
+      ))}
+    </div>
+  );
+};
+
+const SavedPortfoliosWidget = ({ data }) => {
+  const actualData = data.data || data;
+  // save_portfolio returns the one portfolio it saved
+  const portfolios = Array.isArray(actualData) ? actualData : [actualData];
+  
+  if (portfolios.length === 0) {
+    return <Text type="secondary">No saved portfolios yet. Try "Save portfolio called Retirement: 10 AAPL at 150".</Text>;
+  }
+  
+  const columns = [
+    { title: 'Symbol', dataIndex: 'symbol', key: 'symbol', render: (symbol) => <Tag color="blue">{symbol}</Tag> },
+    { title: 'Quantity', dataIndex: 'quantity', key: 'quantity' },
+    { title: 'Cost', dataIndex: 'costBasis', key: 'costBasis', render: (value) => `$${value.toFixed(2)}` },
+    { title: 'Purchased', dataIndex: 'purchaseDate', key: 'purchaseDate', render: (value) => value || 'N/A' }
+  ];
+  
+  return (
+    <div>
+      {portfolios.map(portfolio => (
+        <Card key={portfolio.name} size="small" title={portfolio.name} style={{ marginBottom: 8 }}
+          extra={<Text type="secondary">Updated {formatSavedDate(portfolio.updatedAt)}</Text>}>
+          <Table
+            columns={columns}
+            dataSource={portfolio.positions}
+            rowKey={(position, index) => `${position.symbol}-${index}`}
+            pagination={false}
+            size="small"
+          />
+        </Card>
+      ))}
+    </div>
+  );
+};
+
+const formatAlertTime = (value) => value ? new Date(value).toLocaleString() : 'Never';
+
+const AlertsWidget = ({ data }) => {
+  const actualData = data.data || data;
+  
+  if (actualData.deleted) {
+    return <Text type="secondary">Alert {actualData.deleted} deleted.</Text>;
+  }
+  
+  // list_alerts returns alerts with recent triggers; create_alert returns the one alert it created
+  const alerts = actualData.alerts || (actualData.id ? [actualData] : []);
+  const triggers = actualData.recentTriggers || [];
+  
+  if (alerts.length === 0 && triggers.length === 0) {
+    return <Text type="secondary">No alerts yet. Try "Alert me when AAPL crosses above 200".</Text>;
+  }
+  
+  const columns = [
+    {
+      title: 'Alert',
+      dataIndex: 'description',
+      key: 'description',
+      render: (description, alert) => (
+        <div>
+          <Text strong>{description}</Text>
+          <div style={{ fontSize: 12, color: '#666' }}>
+            {alert.id}{alert.repeat ? ' · repeats' : ''}
+          </div>
+          {alert.lastError && <div style={{ fontSize: 12, color: '#cf1322' }}>{alert.lastError}</div>}
+        </div>
+      )
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (status) => <Tag color={status === 'active' ? 'green' : 'orange'}>{status.toUpperCase()}</Tag>
+    },
+    {
+      title: 'Last Value',
+      dataIndex: 'lastValue',
+      key: 'lastValue',
+      render: (value, alert) => value == null
+        ? 'N/A'
+        : alert.rule.type === 'change' ? `${value.toFixed(2)}%` : value.toFixed(2)
+    },
+    {
+      title: 'Last Checked',
+      dataIndex: 'lastCheckedAt',
+      key: 'lastCheckedAt',
+      render: (value) => formatAlertTime(value)
+    },
+    {
+      title: 'Triggered',
+      key: 'triggerCount',
+      render: (_, alert) => alert.triggerCount > 0
+        ? `${alert.triggerCount}× (last ${formatAlertTime(alert.lastTriggeredAt)})`
+        : 'Not yet'
+    }
+  ];
+  
+  const triggerColumns = [
+    { title: 'Time', dataIndex: 'triggeredAt', key: 'triggeredAt', render: (value) => formatAlertTime(value) },
+    { title: 'Symbol', dataIndex: 'symbol', key: 'symbol', render: (symbol) => <Tag color="blue">{symbol}</Tag> },
+    { title: 'Message', dataIndex: 'message', key: 'message' }
+  ];
+  
+  return (
+    <div>
+      {alerts.length > 0 && (
+        <Table
+          columns={columns}
+          dataSource={alerts}
+          rowKey="id"
+          pagination={false}
+          size="small"
+          scroll={{ x: true }}
+        />
+      )}
+      {triggers.length > 0 && (
+        <div style={{ marginTop: 16 }}>
+          <Text strong>Recent Triggers</Text>
+          <Table
+            columns={triggerColumns}
+            dataSource={triggers}
+            rowKey={(trigger) => `${trigger.alertId}-${trigger.triggeredAt}`}
+            pagination={{ pageSize: 5 }}
+            size="small"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
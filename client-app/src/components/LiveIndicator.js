@@ -0,0 +1,22 @@
+import React from 'react';
+import { Badge, Tooltip } from 'antd';
+
+const STATUS = {
+  live: { badge: 'processing', text: 'Live' },
+  stale: { badge: 'warning', text: 'Stale' },
+  connecting: { badge: 'default', text: 'Connecting' }
+};
+
+/**
+ * Shows whether a widget's quotes are still streaming from the bridge
+ */
+export const LiveIndicator = ({ status, lastUpdate }) => {
+  const { badge, text } = STATUS[status] || STATUS.connecting;
+  const title = lastUpdate ? `Last update ${new Date(lastUpdate).toLocaleTimeString()}` : 'Waiting for the first update';
+
+  return (
+    <Tooltip title={title}>
+      <Badge status={badge} text={text} style={{ fontSize: 12 }} />
+    </Tooltip>
+  );
+};
@@ -3,6 +3,8 @@ import { Card, Row, Col, Statistic, Progress, Tag, Table } from 'antd';
 import { ArrowUpOutlined, ArrowDownOutlined, DollarOutlined } from '@ant-design/icons';
 import Highcharts from 'highcharts';
 import HighchartsReact from 'highcharts-react-official';
+import { LiveIndicator } from './LiveIndicator';
+import { useLiveQuotes } from '../services/QuoteStream';
 
 // Import required Highcharts modules
 import HighchartsExporting from 'highcharts/modules/exporting';
@@ -15,7 +17,19 @@ HighchartsExportData(Highcharts);
 export const MarketOverview = ({ data }) => {
   // Handle both old and new data structures
   const actualData = data.data || data;
-  const indices = actualData?.indices || actualData;
+  const snapshot = actualData?.indices || actualData;
+  const { quotes, status, lastUpdate } = useLiveQuotes(Array.isArray(snapshot) ? snapshot.map(index => index.symbol) : []);
+
+  // Tick streamed index levels into the snapshot in place
+  const indices = Array.isArray(snapshot) ? snapshot.map(index => {
+    const live = quotes[index.symbol];
+    return live ? {
+      ...index,
+      value: live.regularMarketPrice ?? index.value,
+      change: live.regularMarketChange ?? index.change,
+      changePercent: live.regularMarketChangePercent ?? index.changePercent
+    } : index;
+  }) : snapshot;
 
   if (!indices || !Array.isArray(indices)) {
     return (
@@ -149,6 +163,10 @@ export const MarketOverview = ({ data }) => {
 
   return (
     <div>
+      <div style={{ textAlign: 'right', marginBottom: 8 }}>
+        <LiveIndicator status={status} lastUpdate={lastUpdate} />
+      </div>
+
       {/* Market Summary */}
       <Row gutter={16} style={{ marginBottom: 24 }}>
         <Col span={8}>
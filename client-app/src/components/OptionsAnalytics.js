@@ -0,0 +1,229 @@
+import React, { useState } from 'react';
+import { Row, Col, Statistic, Select, Table, Tag, Typography } from 'antd';
+import Highcharts from 'highcharts';
+import HighchartsReact from 'highcharts-react-official';
+
+// Import required Highcharts modules
+import HighchartsExporting from 'highcharts/modules/exporting';
+import HighchartsExportData from 'highcharts/modules/export-data';
+
+// Initialize the modules
+HighchartsExporting(Highcharts);
+HighchartsExportData(Highcharts);
+
+const { Text } = Typography;
+
+const formatIV = (value) => value != null ? `${(value * 100).toFixed(1)}%` : 'N/A';
+const formatGreek = (value, digits = 3) => value != null ? value.toFixed(digits) : '—';
+
+export const OptionsAnalytics = ({ data }) => {
+  // Handle both old and new data structures
+  const actualData = data.data || data;
+  const expirations = actualData?.expirations || [];
+  const [selectedExpiration, setSelectedExpiration] = useState(expirations[0]?.expirationDate);
+  const [side, setSide] = useState('calls');
+
+  if (expirations.length === 0) {
+    return (
+      <div style={{ textAlign: 'center', padding: '40px' }}>
+        <p>No options data available</p>
+      </div>
+    );
+  }
+
+  const expiration = expirations.find(exp => exp.expirationDate === selectedExpiration) || expirations[0];
+  const nearestTerm = actualData.termStructure?.find(point => point.atmIV != null);
+
+  const smileOptions = {
+    chart: {
+      type: 'line',
+      height: 300
+    },
+    title: {
+      text: `Volatility Smile (${expiration.expirationDate})`
+    },
+    xAxis: {
+      title: { text: 'Strike' },
+      plotLines: [{
+        value: actualData.underlyingPrice,
+        color: '#999',
+        dashStyle: 'Dash',
+        label: { text: 'Spot' }
+      }]
+    },
+    yAxis: {
+      title: { text: 'Implied Volatility' },
+      labels: { formatter: function() { return `${(this.value * 100).toFixed(0)}%`; } }
+    },
+    series: [
+      {
+        name: 'Calls',
+        data: expiration.smile.filter(point => point.callIV != null).map(point => [point.strike, point.callIV]),
+        color: '#52c41a'
+      },
+      {
+        name: 'Puts',
+        data: expiration.smile.filter(point => point.putIV != null).map(point => [point.strike, point.putIV]),
+        color: '#ff4d4f'
+      }
+    ],
+    tooltip: {
+      formatter: function() {
+        return `<b>${this.series.name}</b><br/>Strike: $${this.x}<br/>IV: ${(this.y * 100).toFixed(1)}%`;
+      }
+    },
+    credits: {
+      enabled: false
+    }
+  };
+
+  const termOptions = {
+    chart: {
+      type: 'line',
+      height: 300
+    },
+    title: {
+      text: 'ATM Implied Volatility Term Structure'
+    },
+    xAxis: {
+      title: { text: 'Days to Expiry' }
+    },
+    yAxis: {
+      title: { text: 'ATM IV' },
+      labels: { formatter: function() { return `${(this.value * 100).toFixed(0)}%`; } }
+    },
+    series: [{
+      name: 'ATM IV',
+      data: (actualData.termStructure || [])
+        .filter(point => point.atmIV != null)
+        .map(point => ({ x: point.daysToExpiry, y: point.atmIV, name: point.expirationDate })),
+      color: '#1890ff'
+    }],
+    tooltip: {
+      formatter: function() {
+        return `<b>${this.point.name}</b><br/>${this.x} days<br/>ATM IV: ${(this.y * 100).toFixed(1)}%`;
+      }
+    },
+    credits: {
+      enabled: false
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Strike',
+      dataIndex: 'strike',
+      key: 'strike',
+      render: (strike, record) => (
+        <Tag color={record.inTheMoney ? 'blue' : 'default'}>${strike.toFixed(2)}</Tag>
+      ),
+      sorter: (a, b) => a.strike - b.strike
+    },
+    {
+      title: 'Last',
+      dataIndex: 'lastPrice',
+      key: 'lastPrice',
+      render: (value) => value != null ? `$${value.toFixed(2)}` : 'N/A'
+    },
+    {
+      title: 'IV',
+      dataIndex: 'impliedVolatility',
+      key: 'impliedVolatility',
+      render: formatIV
+    },
+    {
+      title: 'Delta',
+      key: 'delta',
+      render: (_, record) => formatGreek(record.greeks?.delta)
+    },
+    {
+      title: 'Gamma',
+      key: 'gamma',
+      render: (_, record) => formatGreek(record.greeks?.gamma, 4)
+    },
+    {
+      title: 'Theta',
+      key: 'theta',
+      render: (_, record) => formatGreek(record.greeks?.theta)
+    },
+    {
+      title: 'Vega',
+      key: 'vega',
+      render: (_, record) => formatGreek(record.greeks?.vega)
+    },
+    {
+      title: 'Rho',
+      key: 'rho',
+      render: (_, record) => formatGreek(record.greeks?.rho)
+    },
+    {
+      title: 'Open Int.',
+      dataIndex: 'openInterest',
+      key: 'openInterest',
+      render: (value) => value ? value.toLocaleString() : 'N/A'
+    }
+  ];
+
+  return (
+    <div>
+      <Row gutter={16} style={{ marginBottom: 16 }}>
+        <Col span={6}>
+          <Statistic title="Underlying" value={actualData.underlyingPrice} prefix="$" precision={2} />
+        </Col>
+        <Col span={6}>
+          <Statistic title="Expirations" value={expirations.length} />
+        </Col>
+        <Col span={6}>
+          <Statistic title="Front ATM IV" value={formatIV(nearestTerm?.atmIV)} valueStyle={{ color: '#1890ff' }} />
+        </Col>
+        <Col span={6}>
+          <Statistic title="Selected ATM IV" value={formatIV(expiration.atmIV)} />
+        </Col>
+      </Row>
+
+      <Row gutter={16} style={{ marginBottom: 16 }}>
+        <Col span={12}>
+          <HighchartsReact highcharts={Highcharts} options={smileOptions} />
+        </Col>
+        <Col span={12}>
+          <HighchartsReact highcharts={Highcharts} options={termOptions} />
+        </Col>
+      </Row>
+
+      <Row gutter={16} style={{ marginBottom: 16 }} align="middle">
+        <Col>
+          <Text strong>Expiration: </Text>
+          <Select
+            value={expiration.expirationDate}
+            onChange={setSelectedExpiration}
+            style={{ width: 180 }}
+            options={expirations.map(exp => ({
+              value: exp.expirationDate,
+              label: `${exp.expirationDate} (${exp.daysToExpiry}d)`
+            }))}
+          />
+        </Col>
+        <Col>
+          <Select
+            value={side}
+            onChange={setSide}
+            style={{ width: 120 }}
+            options={[
+              { value: 'calls', label: 'Calls' },
+              { value: 'puts', label: 'Puts' }
+            ]}
+          />
+        </Col>
+      </Row>
+
+      <Table
+        dataSource={expiration[side]}
+        columns={columns}
+        rowKey="contractSymbol"
+        pagination={{ pageSize: 15, showSizeChanger: true }}
+        scroll={{ x: true }}
+        size="small"
+      />
+    </div>
+  );
+};
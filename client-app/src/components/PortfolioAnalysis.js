@@ -1,6 +1,6 @@
 import React from 'react';
-import { Card, Row, Col, Statistic, Progress, Table, Tag, Divider } from 'antd';
-import { ArrowUpOutlined, ArrowDownOutlined, DollarOutlined, PieChartOutlined } from '@ant-design/icons';
+import { Card, Row, Col, Statistic, Progress, Table, Tag, Typography } from 'antd';
+import { ArrowUpOutlined, ArrowDownOutlined } from '@ant-design/icons';
 import Highcharts from 'highcharts';
 import HighchartsReact from 'highcharts-react-official';
 
@@ -12,107 +12,117 @@ import HighchartsExportData from 'highcharts/modules/export-data';
 HighchartsExporting(Highcharts);
 HighchartsExportData(Highcharts);
 
+const { Text } = Typography;
+
+const GAIN = '#3f8600';
+const LOSS = '#cf1322';
+
+const formatMoney = (value) => value != null
+  ? `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+  : 'N/A';
+const formatSigned = (value) => value != null ? `${value >= 0 ? '+' : ''}${formatMoney(value)}` : 'N/A';
+const formatPercent = (value) => value != null ? `${value >= 0 ? '+' : ''}${value.toFixed(2)}%` : 'N/A';
+const pnlColor = (value) => (value || 0) >= 0 ? GAIN : LOSS;
+
+const PnL = ({ value, percent }) => (
+  <span style={{ color: pnlColor(value) }}>
+    {formatSigned(value)}
+    {percent !== undefined && <Text type="secondary" style={{ marginLeft: 4, fontSize: 12 }}>({formatPercent(percent)})</Text>}
+  </span>
+);
+
+const allocationPie = (title, slices) => ({
+  chart: {
+    type: 'pie',
+    height: 300
+  },
+  title: {
+    text: title
+  },
+  series: [{
+    name: 'Market Value',
+    data: slices.map(slice => ({ name: slice.name, y: slice.marketValue, weight: slice.weight })),
+    dataLabels: {
+      enabled: true,
+      format: '{point.name}: {point.weight:.1f}%'
+    }
+  }],
+  tooltip: {
+    formatter: function() {
+      return `
+        <b>${this.point.name}</b><br/>
+        Market Value: ${formatMoney(this.point.y)}<br/>
+        Weight: ${this.point.weight.toFixed(1)}%
+      `;
+    }
+  },
+  credits: {
+    enabled: false
+  }
+});
+
 export const PortfolioAnalysis = ({ data }) => {
   // Handle both old and new data structures
   const actualData = data.data || data;
-  const { symbols, comparison, totalValue, totalChange, totalChangePercent } = actualData || {};
+  const { holdings, totals, allocation, errors = [] } = actualData || {};
 
-  if (!comparison || !Array.isArray(comparison)) {
+  if (!Array.isArray(holdings) || !totals) {
     return (
       <div style={{ textAlign: 'center', padding: '40px' }}>
         <p>No portfolio data available</p>
         <p style={{ fontSize: 12, color: '#666' }}>
-          Data type: {typeof data}, Comparison type: {typeof comparison}, Array: {Array.isArray(comparison) ? 'Yes' : 'No'}
+          Provide positions with a quantity and cost basis, e.g. "10 AAPL at 150, 5 MSFT at 310"
         </p>
       </div>
     );
   }
 
-  // Calculate portfolio metrics
-  const totalPortfolioValue = comparison.reduce((sum, stock) => sum + (stock.price || 0), 0);
-  const totalPortfolioChange = comparison.reduce((sum, stock) => sum + (stock.change || 0), 0);
-  const avgChangePercent = comparison.reduce((sum, stock) => sum + (stock.changePercent || 0), 0) / comparison.length;
-  
-  // Find best and worst performers
-  const bestPerformer = comparison.reduce((best, current) => 
-    (current.changePercent || 0) > (best.changePercent || 0) ? current : best
-  );
-  const worstPerformer = comparison.reduce((worst, current) => 
-    (current.changePercent || 0) < (worst.changePercent || 0) ? current : worst
-  );
-
-  // Prepare data for charts
-  const pieData = comparison.map(stock => ({
-    name: stock.symbol,
-    y: stock.price || 0,
-    change: stock.changePercent || 0
-  }));
-
-  const barData = comparison.map(stock => ({
-    name: stock.symbol,
-    y: stock.changePercent || 0,
-    price: stock.price || 0
-  }));
-
-  const pieOptions = {
-    chart: {
-      type: 'pie',
-      height: 300
-    },
-    title: {
-      text: 'Portfolio Allocation by Price'
-    },
-    series: [{
-      name: 'Price',
-      data: pieData,
-      dataLabels: {
-        enabled: true,
-        format: '{point.name}: ${point.y:.0f}'
-      }
-    }],
-    tooltip: {
-      formatter: function() {
-        return `
-          <b>${this.point.name}</b><br/>
-          Price: $${this.point.y.toFixed(2)}<br/>
-          Change: ${this.point.change.toFixed(2)}%
-        `;
-      }
-    },
-    credits: {
-      enabled: false
-    }
-  };
+  const holdingsPie = allocationPie('Allocation by Holding', holdings.map(holding => ({
+    name: holding.symbol,
+    marketValue: holding.marketValue,
+    weight: holding.weight
+  })));
+  const sectorPie = allocationPie('Allocation by Sector', allocation?.bySector || []);
+  const assetClassPie = allocationPie('Allocation by Asset Class', allocation?.byAssetClass || []);
 
-  const barOptions = {
+  const pnlOptions = {
     chart: {
       type: 'column',
       height: 300
     },
     title: {
-      text: 'Stock Performance Comparison'
+      text: 'Profit & Loss by Holding'
     },
     xAxis: {
-      categories: comparison.map(stock => stock.symbol)
+      categories: holdings.map(holding => holding.symbol)
     },
     yAxis: {
       title: {
-        text: 'Change %'
+        text: 'P&L ($)'
       }
     },
-    series: [{
-      name: 'Change %',
-      data: barData.map(item => item.y),
-      color: '#1890ff'
-    }],
+    series: [
+      {
+        name: 'Unrealized P&L',
+        data: holdings.map(holding => holding.unrealizedPnl),
+        color: GAIN,
+        negativeColor: LOSS
+      },
+      {
+        name: 'Day P&L',
+        data: holdings.map(holding => holding.dayPnl),
+        color: '#1890ff',
+        negativeColor: '#ff7875'
+      }
+    ],
     tooltip: {
+      shared: true,
       formatter: function() {
-        const stock = comparison[this.point.index];
+        const holding = holdings[this.points[0].point.index];
         return `
-          <b>${stock.symbol}</b><br/>
-          Price: $${stock.price.toFixed(2)}<br/>
-          Change: ${stock.change >= 0 ? '+' : ''}${stock.change.toFixed(2)}<br/>
-          Change %: ${this.point.y.toFixed(2)}%
+          <b>${holding.symbol}</b><br/>
+          Unrealized P&L: ${formatSigned(holding.unrealizedPnl)} (${formatPercent(holding.unrealizedPnlPercent)})<br/>
+          Day P&L: ${formatSigned(holding.dayPnl)} (${formatPercent(holding.dayPnlPercent)})
         `;
       }
     },
@@ -126,61 +136,81 @@ export const PortfolioAnalysis = ({ data }) => {
       title: 'Symbol',
       dataIndex: 'symbol',
       key: 'symbol',
-      render: (text) => <Tag color="blue">{text}</Tag>
+      render: (text, record) => (
+        <div>
+          <Tag color="blue">{text}</Tag>
+          <div style={{ fontSize: 12, color: '#666' }}>{record.sector} · {record.assetClass}</div>
+        </div>
+      )
+    },
+    {
+      title: 'Quantity',
+      dataIndex: 'quantity',
+      key: 'quantity',
+      sorter: (a, b) => a.quantity - b.quantity
+    },
+    {
+      title: 'Avg Cost',
+      dataIndex: 'averageCost',
+      key: 'averageCost',
+      render: (value) => formatMoney(value)
     },
     {
       title: 'Price',
       dataIndex: 'price',
       key: 'price',
-      render: (value) => `$${value.toFixed(2)}`,
-      sorter: (a, b) => a.price - b.price
+      render: (value) => formatMoney(value)
     },
     {
-      title: 'Change',
-      dataIndex: 'change',
-      key: 'change',
-      render: (value) => (
-        <span style={{ color: value >= 0 ? '#3f8600' : '#cf1322' }}>
-          {value >= 0 ? '+' : ''}{value.toFixed(2)}
-        </span>
-      ),
-      sorter: (a, b) => a.change - b.change
+      title: 'Market Value',
+      dataIndex: 'marketValue',
+      key: 'marketValue',
+      render: (value) => formatMoney(value),
+      sorter: (a, b) => a.marketValue - b.marketValue
+    },
+    {
+      title: 'Unrealized P&L',
+      key: 'unrealizedPnl',
+      render: (_, record) => <PnL value={record.unrealizedPnl} percent={record.unrealizedPnlPercent} />,
+      sorter: (a, b) => a.unrealizedPnl - b.unrealizedPnl
     },
     {
-      title: 'Change %',
-      dataIndex: 'changePercent',
-      key: 'changePercent',
-      render: (value) => (
-        <span style={{ color: value >= 0 ? '#3f8600' : '#cf1322' }}>
-          {value >= 0 ? '+' : ''}{value.toFixed(2)}%
+      title: 'Day P&L',
+      key: 'dayPnl',
+      render: (_, record) => (
+        <span>
+          {record.dayPnl >= 0 ? <ArrowUpOutlined style={{ color: GAIN }} /> : <ArrowDownOutlined style={{ color: LOSS }} />}
+          <span style={{ marginLeft: 4 }}><PnL value={record.dayPnl} percent={record.dayPnlPercent} /></span>
         </span>
       ),
-      sorter: (a, b) => a.changePercent - b.changePercent
+      sorter: (a, b) => a.dayPnl - b.dayPnl
     },
     {
       title: 'Weight',
+      dataIndex: 'weight',
       key: 'weight',
-      render: (_, record) => {
-        const weight = ((record.price || 0) / totalPortfolioValue * 100).toFixed(1);
-        return `${weight}%`;
-      },
-      sorter: (a, b) => (a.price / totalPortfolioValue) - (b.price / totalPortfolioValue)
+      render: (value) => <Progress percent={Number(value.toFixed(1))} size="small" />,
+      sorter: (a, b) => a.weight - b.weight,
+      defaultSortOrder: 'descend'
+    }
+  ];
+
+  const lotColumns = [
+    {
+      title: 'Purchased',
+      dataIndex: 'purchaseDate',
+      key: 'purchaseDate',
+      render: (value, lot) => value ? `${value} (${lot.holdingDays} days)` : 'N/A'
     },
+    { title: 'Quantity', dataIndex: 'quantity', key: 'quantity' },
+    { title: 'Cost', dataIndex: 'costBasis', key: 'costBasis', render: (value) => formatMoney(value) },
+    { title: 'Market Value', dataIndex: 'marketValue', key: 'marketValue', render: (value) => formatMoney(value) },
     {
-      title: 'Performance',
-      key: 'performance',
-      render: (_, record) => {
-        const change = record.changePercent || 0;
-        return (
-          <div style={{ display: 'flex', alignItems: 'center' }}>
-            {change >= 0 ? <ArrowUpOutlined style={{ color: '#3f8600' }} /> : <ArrowDownOutlined style={{ color: '#cf1322' }} />}
-            <span style={{ marginLeft: 4, color: change >= 0 ? '#3f8600' : '#cf1322' }}>
-              {change >= 0 ? '🟢' : '🔴'}
-            </span>
-          </div>
-        );
-      }
-    }
+      title: 'Unrealized P&L',
+      key: 'unrealizedPnl',
+      render: (_, lot) => <PnL value={lot.unrealizedPnl} percent={lot.unrealizedPnlPercent} />
+    },
+    { title: 'Day P&L', key: 'dayPnl', render: (_, lot) => <PnL value={lot.dayPnl} /> }
   ];
 
   return (
@@ -190,147 +220,120 @@ export const PortfolioAnalysis = ({ data }) => {
         <Col span={6}>
           <Card>
             <Statistic
-              title="Total Value"
-              value={totalPortfolioValue}
+              title="Market Value"
+              value={totals.marketValue}
               prefix="$"
               precision={2}
               valueStyle={{ fontSize: 20, fontWeight: 'bold' }}
             />
+            <Text type="secondary">Cost basis {formatMoney(totals.costValue)}</Text>
           </Card>
         </Col>
         <Col span={6}>
           <Card>
             <Statistic
-              title="Total Change"
-              value={totalPortfolioChange}
-              prefix={totalPortfolioChange >= 0 ? '+' : ''}
-              precision={2}
-              valueStyle={{ 
-                color: totalPortfolioChange >= 0 ? '#3f8600' : '#cf1322',
-                fontSize: 20,
-                fontWeight: 'bold'
-              }}
+              title="Unrealized P&L"
+              value={formatSigned(totals.unrealizedPnl)}
+              valueStyle={{ color: pnlColor(totals.unrealizedPnl), fontSize: 20, fontWeight: 'bold' }}
             />
+            <Text style={{ color: pnlColor(totals.unrealizedPnl) }}>{formatPercent(totals.unrealizedPnlPercent)}</Text>
           </Card>
         </Col>
         <Col span={6}>
           <Card>
             <Statistic
-              title="Avg Change %"
-              value={avgChangePercent}
-              prefix={avgChangePercent >= 0 ? '+' : ''}
-              suffix="%"
-              precision={2}
-              valueStyle={{ 
-                color: avgChangePercent >= 0 ? '#3f8600' : '#cf1322',
-                fontSize: 20,
-                fontWeight: 'bold'
-              }}
+              title="Day P&L"
+              value={formatSigned(totals.dayPnl)}
+              valueStyle={{ color: pnlColor(totals.dayPnl), fontSize: 20, fontWeight: 'bold' }}
             />
+            <Text style={{ color: pnlColor(totals.dayPnl) }}>{formatPercent(totals.dayPnlPercent)}</Text>
           </Card>
         </Col>
         <Col span={6}>
           <Card>
             <Statistic
-              title="Stocks"
-              value={comparison.length}
+              title="Positions"
+              value={totals.positions}
               valueStyle={{ fontSize: 20, fontWeight: 'bold' }}
             />
+            {actualData.asOf && <Text type="secondary">As of {new Date(actualData.asOf).toLocaleString()}</Text>}
           </Card>
         </Col>
       </Row>
 
-      {/* Performance Highlights */}
+      {/* Allocation */}
       <Row gutter={16} style={{ marginBottom: 24 }}>
-        <Col span={12}>
-          <Card title="Best Performer" size="small">
-            <div style={{ textAlign: 'center' }}>
-              <Tag color="green" style={{ fontSize: 16, padding: '8px 16px' }}>
-                {bestPerformer.symbol}
-              </Tag>
-              <div style={{ marginTop: 8, fontSize: 18, fontWeight: 'bold', color: '#3f8600' }}>
-                +{bestPerformer.changePercent.toFixed(2)}%
-              </div>
-              <div style={{ fontSize: 14, color: '#666' }}>
-                ${bestPerformer.price.toFixed(2)}
-              </div>
-            </div>
-          </Card>
-        </Col>
-        <Col span={12}>
-          <Card title="Worst Performer" size="small">
-            <div style={{ textAlign: 'center' }}>
-              <Tag color="red" style={{ fontSize: 16, padding: '8px 16px' }}>
-                {worstPerformer.symbol}
-              </Tag>
-              <div style={{ marginTop: 8, fontSize: 18, fontWeight: 'bold', color: '#cf1322' }}>
-                {worstPerformer.changePercent.toFixed(2)}%
-              </div>
-              <div style={{ fontSize: 14, color: '#666' }}>
-                ${worstPerformer.price.toFixed(2)}
-              </div>
-            </div>
+        <Col span={8}>
+          <Card>
+            <HighchartsReact highcharts={Highcharts} options={holdingsPie} />
           </Card>
         </Col>
-      </Row>
-
-      {/* Charts */}
-      <Row gutter={16} style={{ marginBottom: 24 }}>
-        <Col span={12}>
-          <Card title="Portfolio Allocation">
-            <HighchartsReact
-              highcharts={Highcharts}
-              options={pieOptions}
-            />
+        <Col span={8}>
+          <Card>
+            <HighchartsReact highcharts={Highcharts} options={sectorPie} />
           </Card>
         </Col>
-        <Col span={12}>
-          <Card title="Performance Comparison">
-            <HighchartsReact
-              highcharts={Highcharts}
-              options={barOptions}
-            />
+        <Col span={8}>
+          <Card>
+            <HighchartsReact highcharts={Highcharts} options={assetClassPie} />
           </Card>
         </Col>
       </Row>
 
-      {/* Detailed Table */}
-      <Card title="Portfolio Details">
+      {/* Profit & Loss */}
+      <Card style={{ marginBottom: 24 }}>
+        <HighchartsReact highcharts={Highcharts} options={pnlOptions} />
+      </Card>
+
+      {/* Holdings Table */}
+      <Card title="Holdings">
         <Table
           columns={columns}
-          dataSource={comparison}
+          dataSource={holdings}
           rowKey="symbol"
           pagination={false}
           size="small"
-          summary={(pageData) => {
-            return (
-              <Table.Summary.Row>
-                <Table.Summary.Cell index={0}>
-                  <strong>Total</strong>
-                </Table.Summary.Cell>
-                <Table.Summary.Cell index={1}>
-                  <strong>${totalPortfolioValue.toFixed(2)}</strong>
-                </Table.Summary.Cell>
-                <Table.Summary.Cell index={2}>
-                  <strong style={{ color: totalPortfolioChange >= 0 ? '#3f8600' : '#cf1322' }}>
-                    {totalPortfolioChange >= 0 ? '+' : ''}{totalPortfolioChange.toFixed(2)}
-                  </strong>
-                </Table.Summary.Cell>
-                <Table.Summary.Cell index={3}>
-                  <strong style={{ color: avgChangePercent >= 0 ? '#3f8600' : '#cf1322' }}>
-                    {avgChangePercent >= 0 ? '+' : ''}{avgChangePercent.toFixed(2)}%
-                  </strong>
-                </Table.Summary.Cell>
-                <Table.Summary.Cell index={4}>
-                  <strong>100%</strong>
-                </Table.Summary.Cell>
-                <Table.Summary.Cell index={5}>
-                  <strong>Portfolio</strong>
-                </Table.Summary.Cell>
-              </Table.Summary.Row>
-            );
+          scroll={{ x: true }}
+          expandable={{
+            rowExpandable: (record) => (record.lots || []).length > 1,
+            expandedRowRender: (record) => (
+              <Table
+                columns={lotColumns}
+                dataSource={record.lots}
+                rowKey={(lot, index) => `${record.symbol}-${index}`}
+                pagination={false}
+                size="small"
+              />
+            )
           }}
+          summary={() => (
+            <Table.Summary.Row>
+              <Table.Summary.Cell index={0} colSpan={5}>
+                <strong>Total</strong>
+              </Table.Summary.Cell>
+              <Table.Summary.Cell index={5}>
+                <strong>{formatMoney(totals.marketValue)}</strong>
+              </Table.Summary.Cell>
+              <Table.Summary.Cell index={6}>
+                <strong><PnL value={totals.unrealizedPnl} percent={totals.unrealizedPnlPercent} /></strong>
+              </Table.Summary.Cell>
+              <Table.Summary.Cell index={7}>
+                <strong><PnL value={totals.dayPnl} percent={totals.dayPnlPercent} /></strong>
+              </Table.Summary.Cell>
+              <Table.Summary.Cell index={8}>
+                <strong>100%</strong>
+              </Table.Summary.Cell>
+            </Table.Summary.Row>
+          )}
         />
+        {errors.length > 0 && (
+          <div style={{ marginTop: 12 }}>
+            <Text type="secondary">Not valued: </Text>
+            {errors.map(({ symbol, error }) => (
+              <Tag key={symbol} color="red" title={error}>{symbol}</Tag>
+            ))}
+          </div>
+        )}
       </Card>
     </div>
   );
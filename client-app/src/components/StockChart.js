@@ -3,6 +3,8 @@ import Highcharts from 'highcharts';
 import HighchartsReact from 'highcharts-react-official';
 import { Card, Row, Col, Statistic, Select, DatePicker, Spin, Alert } from 'antd';
 import { ArrowUpOutlined, ArrowDownOutlined, ReloadOutlined } from '@ant-design/icons';
+import { LiveIndicator } from './LiveIndicator';
+import { useLiveQuotes } from '../services/QuoteStream';
 
 // Import required Highcharts modules
 import HighchartsStock from 'highcharts/modules/stock';
@@ -121,6 +123,10 @@ export const StockChart = ({ data }) => {
     fetchCurrentQuote();
   }, [symbol]);
 
+  // Keep the current price ticking after the first fetch
+  const { quotes: liveQuotes, status: liveStatus, lastUpdate: liveUpdate } = useLiveQuotes(symbol && symbol !== 'Stock' ? [symbol] : []);
+  const liveQuote = currentQuote && liveQuotes[symbol] ? { ...currentQuote, ...liveQuotes[symbol] } : currentQuote;
+
   if (!historicalData || !Array.isArray(historicalData) || historicalData.length === 0) {
     return (
       <div style={{ textAlign: 'center', padding: '40px' }}>
@@ -188,6 +194,23 @@ export const StockChart = ({ data }) => {
     ? historicalData.reduce((sum, item) => sum + (parseInt(item.volume) || 0), 0) / historicalData.length 
     : 0;
 
+  // Indicator series from compute_indicators: [timestamp, value] points aligned to the bars
+  const indicators = actualData?.indicators || [];
+  const toIndicatorSeries = (indicator) => {
+    const lines = Object.entries(indicator.series || {});
+    return lines.map(([line, points]) => ({
+      name: lines.length > 1 ? `${indicator.id} ${line}` : indicator.id,
+      data: points,
+      type: line === 'histogram' ? 'column' : 'line',
+      lineWidth: 1,
+      marker: {
+        enabled: false
+      }
+    }));
+  };
+  const overlaySeries = indicators.filter(indicator => indicator.overlay).flatMap(toIndicatorSeries);
+  const paneIndicators = indicators.filter(indicator => !indicator.overlay);
+
   const options = {
     chart: {
       type: 'candlestick',
@@ -222,10 +245,13 @@ export const StockChart = ({ data }) => {
       upColor: '#52c41a',
       lineColor: '#52c41a',
       upLineColor: '#52c41a'
-    }],
+    }, ...overlaySeries],
     tooltip: {
       formatter: function() {
         const point = this.point;
+        if (point.open == null) {
+          return `<b>${new Date(this.x).toLocaleDateString()}</b><br/>${this.series.name}: ${this.y != null ? this.y.toFixed(2) : 'N/A'}`;
+        }
         return `
           <b>${new Date(point.x).toLocaleDateString()}</b><br/>
           Open: $${point.open.toFixed(2)}<br/>
@@ -237,13 +263,44 @@ export const StockChart = ({ data }) => {
       }
     },
     legend: {
-      enabled: false
+      enabled: overlaySeries.length > 0
     },
     credits: {
       enabled: false
     }
   };
 
+  const indicatorOptions = (indicator) => ({
+    chart: {
+      height: 200,
+      backgroundColor: '#fafafa'
+    },
+    title: {
+      text: indicator.id.toUpperCase(),
+      style: {
+        fontSize: '14px',
+        fontWeight: 'bold'
+      }
+    },
+    xAxis: {
+      type: 'datetime'
+    },
+    yAxis: {
+      title: {
+        text: null
+      }
+    },
+    series: toIndicatorSeries(indicator),
+    tooltip: {
+      shared: true,
+      xDateFormat: '%Y-%m-%d',
+      valueDecimals: 2
+    },
+    credits: {
+      enabled: false
+    }
+  });
+
   const lineOptions = {
     chart: {
       type: 'line',
@@ -362,16 +419,17 @@ export const StockChart = ({ data }) => {
         <Col span={6}>
           <Card size="small" style={{ textAlign: 'center', backgroundColor: '#f6ffed', border: '1px solid #b7eb8f' }}>
             <div style={{ fontSize: '12px', color: '#666', marginBottom: 4 }}>CURRENT PRICE</div>
+            {liveQuote && <LiveIndicator status={liveStatus} lastUpdate={liveUpdate} />}
             {loadingCurrent ? (
               <Spin size="small" />
-            ) : currentQuote ? (
+            ) : liveQuote ? (
               <div>
                 <div style={{ fontSize: '18px', fontWeight: 'bold', color: '#52c41a' }}>
-                  ${currentQuote.regularMarketPrice?.toFixed(2) || 'N/A'}
+                  ${liveQuote.regularMarketPrice?.toFixed(2) || 'N/A'}
                 </div>
                 <div style={{ fontSize: '10px', color: '#666' }}>
-                  {currentQuote.regularMarketChange >= 0 ? '+' : ''}{currentQuote.regularMarketChange?.toFixed(2)} 
-                  ({currentQuote.regularMarketChangePercent >= 0 ? '+' : ''}{(currentQuote.regularMarketChangePercent * 100)?.toFixed(2)}%)
+                  {liveQuote.regularMarketChange >= 0 ? '+' : ''}{liveQuote.regularMarketChange?.toFixed(2)} 
+                  ({liveQuote.regularMarketChangePercent >= 0 ? '+' : ''}{(liveQuote.regularMarketChangePercent * 100)?.toFixed(2)}%)
                 </div>
               </div>
             ) : (
@@ -415,19 +473,19 @@ export const StockChart = ({ data }) => {
       </Row>
 
       {/* Smart Analysis Section */}
-      {currentQuote && (
+      {liveQuote && (
         <Alert
           message="Smart Analysis"
           description={
             <div>
-              <strong>Price Comparison:</strong> Current price (${currentQuote.regularMarketPrice?.toFixed(2)}) vs Historical end (${currentPrice.toFixed(2)})
+              <strong>Price Comparison:</strong> Current price (${liveQuote.regularMarketPrice?.toFixed(2)}) vs Historical end (${currentPrice.toFixed(2)})
               <br />
-              <strong>Performance:</strong> {currentQuote.regularMarketPrice > currentPrice ? 
-                `Stock has gained $${(currentQuote.regularMarketPrice - currentPrice).toFixed(2)} since historical period end` :
-                `Stock has declined $${(currentPrice - currentQuote.regularMarketPrice).toFixed(2)} since historical period end`
+              <strong>Performance:</strong> {liveQuote.regularMarketPrice > currentPrice ? 
+                `Stock has gained $${(liveQuote.regularMarketPrice - currentPrice).toFixed(2)} since historical period end` :
+                `Stock has declined $${(currentPrice - liveQuote.regularMarketPrice).toFixed(2)} since historical period end`
               }
               <br />
-              <strong>Market Status:</strong> {currentQuote.marketState === 'REGULAR' ? 'Market Open' : 'Market Closed'}
+              <strong>Market Status:</strong> {liveQuote.marketState === 'REGULAR' ? 'Market Open' : 'Market Closed'}
               {lastUpdated && (
                 <span style={{ fontSize: '11px', color: '#666', marginLeft: '10px' }}>
                   • Last updated: {lastUpdated.toLocaleTimeString()}
@@ -521,6 +579,18 @@ export const StockChart = ({ data }) => {
         )}
       </Card>
 
+      {paneIndicators.length > 0 && (
+        <Card title="Indicators" style={{ marginBottom: 16 }}>
+          {paneIndicators.map(indicator => (
+            <HighchartsReact
+              key={indicator.id}
+              highcharts={Highcharts}
+              options={indicatorOptions(indicator)}
+            />
+          ))}
+        </Card>
+      )}
+
       <Row gutter={16}>
         <Col span={12}>
           <Card title="Price Trend">
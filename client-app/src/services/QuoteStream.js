@@ -0,0 +1,120 @@
+import { useEffect, useState } from 'react';
+
+const STREAM_URL = 'http://localhost:3001/quotes/stream';
+
+// A stream is stale once this many poll intervals pass without an update
+const STALE_AFTER_INTERVALS = 2.5;
+
+/**
+ * Shares one server-sent events connection to the bridge between every widget showing live quotes.
+ * The connection follows the union of the symbols its subscribers need and is reopened when that changes.
+ */
+class QuoteStream {
+  constructor() {
+    this.subscribers = new Map(); // listener -> symbols
+    this.quotes = {};
+    this.status = 'connecting';
+    this.lastUpdate = null;
+    this.interval = null;
+    this.events = null;
+    this.streamedSymbols = '';
+    this.reconnectTimer = null;
+    this.staleTimer = null;
+  }
+
+  subscribe(symbols, listener) {
+    this.subscribers.set(listener, symbols);
+    listener(this.quotes, this.status, this.lastUpdate);
+    this.scheduleReconnect();
+
+    return () => {
+      this.subscribers.delete(listener);
+      this.scheduleReconnect();
+    };
+  }
+
+  // Widgets mount and unmount together, so wait a moment before reopening the connection
+  scheduleReconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), 250);
+  }
+
+  connect() {
+    const symbols = [...new Set([...this.subscribers.values()].flat())].sort().join(',');
+    if (symbols === this.streamedSymbols && this.events) return;
+
+    this.close();
+    this.streamedSymbols = symbols;
+    if (!symbols) return;
+
+    this.setStatus('connecting');
+    this.events = new EventSource(`${STREAM_URL}?symbols=${encodeURIComponent(symbols)}`);
+
+    this.events.addEventListener('ready', (event) => {
+      this.interval = JSON.parse(event.data).interval;
+    });
+    this.events.addEventListener('snapshot', (event) => this.applyQuotes(JSON.parse(event.data)));
+    this.events.addEventListener('quotes', (event) => this.applyQuotes(JSON.parse(event.data)));
+    this.events.addEventListener('stale', (event) => {
+      console.warn('Live quotes are stale:', JSON.parse(event.data).error);
+      this.setStatus('stale');
+    });
+    this.events.onerror = () => this.setStatus('stale');
+
+    this.staleTimer = setInterval(() => {
+      const maxAge = (this.interval || 15000) * STALE_AFTER_INTERVALS;
+      if (this.status === 'live' && Date.now() - this.lastUpdate > maxAge) {
+        this.setStatus('stale');
+      }
+    }, 1000);
+  }
+
+  close() {
+    if (this.events) {
+      this.events.close();
+      this.events = null;
+    }
+    clearInterval(this.staleTimer);
+  }
+
+  applyQuotes({ quotes }) {
+    const updated = { ...this.quotes };
+    for (const quote of quotes) {
+      updated[quote.symbol] = { ...updated[quote.symbol], ...quote };
+    }
+    this.quotes = updated;
+    this.lastUpdate = Date.now();
+    this.setStatus('live');
+  }
+
+  setStatus(status) {
+    this.status = status;
+    for (const listener of this.subscribers.keys()) {
+      listener(this.quotes, this.status, this.lastUpdate);
+    }
+  }
+}
+
+const quoteStream = new QuoteStream();
+
+/**
+ * Live quotes for the given symbols, keyed by symbol, with the stream status ('connecting', 'live' or 'stale')
+ */
+export const useLiveQuotes = (symbols) => {
+  const key = (symbols || []).filter(Boolean).map(symbol => symbol.toUpperCase()).join(',');
+  const [state, setState] = useState({ quotes: {}, status: 'connecting', lastUpdate: null });
+
+  useEffect(() => {
+    if (!key) return undefined;
+    const followed = key.split(',');
+    return quoteStream.subscribe(followed, (quotes, status, lastUpdate) => {
+      setState({
+        quotes: Object.fromEntries(followed.filter(symbol => quotes[symbol]).map(symbol => [symbol, quotes[symbol]])),
+        status,
+        lastUpdate
+      });
+    });
+  }, [key]);
+
+  return state;
+};
@@ -1,5 +1,16 @@
 import axios from 'axios';
 
+// crypto.randomUUID only exists in secure contexts, so opening the dev server over the LAN needs another source
+function newSessionId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
 export class RealMCPClient {
   constructor() {
     // Your MCP server runs on stdio, so we need to create an HTTP bridge
@@ -7,11 +18,26 @@ export class RealMCPClient {
     this.baseURL = 'http://localhost:3001'; // We'll create this bridge
     this.client = axios.create({
       baseURL: this.baseURL,
-      timeout: 30000,
+      // Room for multi-step answers, which may chain several tool calls within the bridge's time budget
+      timeout: 60000,
       headers: {
         'Content-Type': 'application/json',
       },
     });
+    // Sent with every message so the bridge can resolve follow-ups against the conversation so far
+    this.sessionId = newSessionId();
+  }
+
+  // End the conversation on the bridge and start a new one
+  async resetSession() {
+    const previous = this.sessionId;
+    this.sessionId = newSessionId();
+    try {
+      await this.client.delete(`/sessions/${encodeURIComponent(previous)}`);
+    } catch (error) {
+      // The old session expires on its own
+      console.warn('Failed to end session:', error.message);
+    }
   }
 
   async sendMessage(message) {
@@ -49,16 +75,25 @@ export class RealMCPClient {
       
       // Call the MCP server HTTP bridge with the raw message
       const response = await this.client.post('/analyze', {
-        message: message
+        message: message,
+        sessionId: this.sessionId
       });
       
+      // The answer holds the key numbers and caveats behind the content; multi-step answers also
+      // carry one widget per tool call and the trace of calls made
       return {
         content: response.data.content,
+        answer: response.data.answer,
         data: response.data.data,
-        widgetType: response.data.widgetType
+        widgetType: response.data.widgetType,
+        widgets: response.data.widgets,
+        trace: response.data.trace,
+        followUp: response.data.followUp
       };
     } catch (error) {
       console.error('Error executing analysis:', error);
+      const failure = this.errorWidgetResponse(error);
+      if (failure) return failure;
       throw new Error(`Failed to execute analysis: ${error.message}`);
     }
   }
@@ -82,6 +117,8 @@ export class RealMCPClient {
       };
     } catch (error) {
       console.error('Error executing prompt:', error);
+      const failure = this.errorWidgetResponse(error);
+      if (failure) return failure;
       throw new Error(`Failed to execute prompt ${promptName}: ${error.message}`);
     }
   }
@@ -104,8 +141,122 @@ export class RealMCPClient {
       };
     } catch (error) {
       console.error('Error executing tool:', error);
+      const failure = this.errorWidgetResponse(error);
+      if (failure) return failure;
       throw new Error(`Failed to execute tool ${toolName}: ${error.message}`);
     }
   }
 
+  // Failed requests the bridge answered with an error widget (e.g. a timeout or rate limit) are shown as widgets
+  errorWidgetResponse(error) {
+    const body = error.response?.data;
+    if (body?.widgetType !== 'error') return null;
+    return {
+      content: body.content,
+      data: body.data,
+      widgetType: body.widgetType
+    };
+  }
+
+  // Saved watchlists and portfolios, stored by the bridge and shared with the MCP tools
+
+  async getWatchlists() {
+    return this.storeRequest('get', '/watchlists', undefined, 'load watchlists');
+  }
+
+  async createWatchlist(name, symbols = []) {
+    return this.storeRequest('post', '/watchlists', { name, symbols }, `create watchlist ${name}`);
+  }
+
+  async setWatchlistSymbols(name, symbols) {
+    return this.storeRequest('put', `/watchlists/${encodeURIComponent(name)}`, { symbols }, `update watchlist ${name}`);
+  }
+
+  async addToWatchlist(name, symbols) {
+    return this.storeRequest('post', `/watchlists/${encodeURIComponent(name)}/symbols`, { symbols }, `add to watchlist ${name}`);
+  }
+
+  async removeFromWatchlist(name, symbol) {
+    return this.storeRequest('delete', `/watchlists/${encodeURIComponent(name)}/symbols/${encodeURIComponent(symbol)}`, undefined, `remove ${symbol} from watchlist ${name}`);
+  }
+
+  async deleteWatchlist(name) {
+    return this.storeRequest('delete', `/watchlists/${encodeURIComponent(name)}`, undefined, `delete watchlist ${name}`);
+  }
+
+  async getWatchlistQuotes(name) {
+    return this.storeRequest('get', `/watchlists/${encodeURIComponent(name)}/quotes`, undefined, `load quotes for watchlist ${name}`);
+  }
+
+  async getPortfolios() {
+    return this.storeRequest('get', '/portfolios', undefined, 'load portfolios');
+  }
+
+  async createPortfolio(name, positions) {
+    return this.storeRequest('post', '/portfolios', { name, positions }, `create portfolio ${name}`);
+  }
+
+  async updatePortfolio(name, positions) {
+    return this.storeRequest('put', `/portfolios/${encodeURIComponent(name)}`, { positions }, `update portfolio ${name}`);
+  }
+
+  async deletePortfolio(name) {
+    return this.storeRequest('delete', `/portfolios/${encodeURIComponent(name)}`, undefined, `delete portfolio ${name}`);
+  }
+
+  async analyzePortfolio(name) {
+    return this.storeRequest('get', `/portfolios/${encodeURIComponent(name)}/analysis`, undefined, `analyze portfolio ${name}`);
+  }
+
+  // Alerts, evaluated on a schedule by the bridge
+
+  async getAlerts() {
+    return this.storeRequest('get', '/alerts', undefined, 'load alerts');
+  }
+
+  async createAlert(rule, repeat = false) {
+    // rule is either text such as "AAPL crosses above 200" or { symbol, type, condition, threshold, ... }
+    const body = typeof rule === 'string' ? { rule, repeat } : { ...rule, repeat };
+    return this.storeRequest('post', '/alerts', body, 'create alert');
+  }
+
+  async deleteAlert(id) {
+    return this.storeRequest('delete', `/alerts/${encodeURIComponent(id)}`, undefined, `delete alert ${id}`);
+  }
+
+  async rearmAlert(id) {
+    return this.storeRequest('post', `/alerts/${encodeURIComponent(id)}/rearm`, undefined, `rearm alert ${id}`);
+  }
+
+  async getAlertHistory(limit = 50) {
+    return this.storeRequest('get', `/alerts/history?limit=${limit}`, undefined, 'load alert history');
+  }
+
+  /**
+   * Call onAlert with each alert the bridge triggers; returns a function that stops listening
+   */
+  subscribeToAlerts(onAlert) {
+    const events = new EventSource(`${this.baseURL}/alerts/events`);
+    events.addEventListener('alert', (event) => {
+      try {
+        onAlert(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Error reading alert event:', error);
+      }
+    });
+    // EventSource reconnects on its own after the bridge restarts
+    events.onerror = () => console.warn('Alert stream disconnected, retrying...');
+    return () => events.close();
+  }
+
+  async storeRequest(method, url, body, action) {
+    try {
+      const response = await this.client.request({ method, url, data: body });
+      return response.data;
+    } catch (error) {
+      console.error(`Error trying to ${action}:`, error);
+      throw new Error(`Failed to ${action}: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
 }
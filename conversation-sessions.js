@@ -0,0 +1,130 @@
+// Conversation sessions for /analyze: the turns so far and what they last referred to, so that
+// follow-ups such as "what about its P/E?" can be resolved against them
+
+// Sessions left alone this long are forgotten
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 30 * 60 * 1000;
+const MAX_SESSIONS = 500;
+const MAX_TURNS = 20;
+// Earlier turns sent to the model with each message
+const HISTORY_TURNS = 4;
+
+// Symbols a tool call referred to: its arguments, else the quotes it returned
+function symbolsOf({ arguments: args = {}, data }) {
+  const symbols = [
+    ...(typeof args.symbol === 'string' ? [args.symbol] : []),
+    ...(Array.isArray(args.symbols) ? args.symbols : []),
+    ...(Array.isArray(args.positions) ? args.positions.map(position => position.symbol) : [])
+  ];
+  if (symbols.length === 0 && Array.isArray(data?.quotes)) {
+    symbols.push(...data.quotes.map(quote => quote.symbol));
+  }
+  return symbols.filter(symbol => typeof symbol === 'string').map(symbol => symbol.toUpperCase());
+}
+
+/**
+ * One conversation. `context` holds what the latest turns referred to: the symbols, the time range
+ * ({ period1, period2, label }), the last tool with its arguments, and the last query as resolved.
+ */
+class ConversationSession {
+  constructor(id) {
+    this.id = id;
+    this.createdAt = Date.now();
+    this.updatedAt = this.createdAt;
+    this.turns = []; // { message, query, tools, answer, at }
+    this.context = { symbols: [], range: null, tool: null, toolArguments: null, query: null };
+  }
+
+  /**
+   * Record a finished turn. `calls` are the tool calls that succeeded ({ tool, arguments, data }) and
+   * `range` the time range read from the query; a turn that names no symbols or dates keeps the ones before it.
+   */
+  record({ message, query, calls = [], answer, range }) {
+    const symbols = [...new Set(calls.flatMap(symbolsOf))];
+    const last = calls[calls.length - 1];
+    const dated = calls.find(call => call.arguments?.period1);
+
+    if (symbols.length > 0) this.context.symbols = symbols;
+    if (dated) {
+      const { period1, period2 } = dated.arguments;
+      // Keep the user's own words ("1 year") when the call's dates came from them
+      const label = range?.period1 === period1 ? range.label : period2 ? `from ${period1} to ${period2}` : `since ${period1}`;
+      this.context.range = { period1, period2: period2 || null, label };
+    }
+    if (last) {
+      this.context.tool = last.tool;
+      this.context.toolArguments = last.arguments || {};
+    }
+    this.context.query = query;
+
+    this.turns.push({ message, query, tools: calls.map(call => call.tool), answer: answer || '', at: new Date().toISOString() });
+    this.turns.splice(0, Math.max(0, this.turns.length - MAX_TURNS));
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * The latest turns as chat messages for the model: each query as resolved, and the answer given
+   */
+  history() {
+    return this.turns.slice(-HISTORY_TURNS).flatMap(turn => [
+      { role: 'user', content: turn.query },
+      { role: 'assistant', content: turn.answer || `Called ${turn.tools.join(', ') || 'no tools'}.` }
+    ]);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      createdAt: new Date(this.createdAt).toISOString(),
+      updatedAt: new Date(this.updatedAt).toISOString(),
+      context: this.context,
+      turns: this.turns
+    };
+  }
+}
+
+/**
+ * Sessions by id. Ids are chosen by the client; an unknown id starts a new session.
+ */
+export class ConversationSessions {
+  constructor({ ttl = SESSION_TTL_MS, maxSessions = MAX_SESSIONS } = {}) {
+    this.ttl = ttl;
+    this.maxSessions = maxSessions;
+    this.sessions = new Map();
+  }
+
+  get(id) {
+    this.prune();
+    let session = this.sessions.get(id);
+    if (session) {
+      // Keep the map in least recently used order, so the oldest session is evicted first
+      this.sessions.delete(id);
+    } else {
+      session = new ConversationSession(id);
+    }
+    this.sessions.set(id, session);
+    if (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+    return session;
+  }
+
+  find(id) {
+    this.prune();
+    return this.sessions.get(id) || null;
+  }
+
+  delete(id) {
+    return this.sessions.delete(id);
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [id, session] of this.sessions) {
+      if (session.updatedAt < cutoff) this.sessions.delete(id);
+    }
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+}
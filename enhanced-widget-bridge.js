@@ -1,13 +1,15 @@
 import SmartWidgetSelector from './smart-widget-selector.js';
+import { UserStore } from 'yahoo-finance-mcp/user-store';
 
 /**
  * Enhanced Widget Bridge - Integrates smart widget selection with the existing MCP bridge
  */
 class EnhancedWidgetBridge {
-  constructor() {
+  constructor(userStore = new UserStore()) {
     this.smartSelector = new SmartWidgetSelector();
     this.widgetHistory = [];
-    this.userPreferences = {};
+    // Preferences are kept in the same user data file as saved watchlists and portfolios
+    this.userStore = userStore;
   }
 
   /**
@@ -260,18 +262,14 @@ class EnhancedWidgetBridge {
    * Learn from user preferences
    */
   updateUserPreferences(userId, preferences) {
-    this.userPreferences[userId] = {
-      ...this.userPreferences[userId],
-      ...preferences,
-      lastUpdated: new Date()
-    };
+    return this.userStore.updatePreferences(userId, preferences);
   }
 
   /**
    * Get personalized widget recommendations
    */
   getPersonalizedRecommendations(userId, query) {
-    const userPrefs = this.userPreferences[userId];
+    const userPrefs = this.userStore.getPreferences(userId);
     if (!userPrefs) {
       return this.getWidgetSuggestions(query);
     }
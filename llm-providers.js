@@ -0,0 +1,296 @@
+import axios from 'axios';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_TEMPERATURE = 0.01;
+const DEFAULT_SUGGESTION_TEMPERATURE = 0.7;
+const DEFAULT_AGENT_MAX_STEPS = 6;
+const DEFAULT_AGENT_TIME_BUDGET_MS = 25000;
+
+function numberOr(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+}
+
+// Tool definitions in the function-calling format both APIs accept
+function functionTools(tools = []) {
+  return tools.map(({ name, description, inputSchema }) => ({
+    type: 'function',
+    function: { name, description, parameters: inputSchema || { type: 'object', properties: {} } }
+  }));
+}
+
+// Arguments arrive as a JSON string from OpenAI-compatible servers; unparseable text is passed on for validation to report
+function parseArguments(value) {
+  if (typeof value !== 'string') return value ?? {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/*
+ * Chat messages are passed to providers in one shape and converted to each API's own:
+ * { role: 'system' | 'user', content }
+ * { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+ * { role: 'tool', toolCallId, name, content }
+ * chat() resolves to { content, toolCalls: [{ id, name, arguments }] }.
+ */
+
+/**
+ * Local Ollama server, using its native generate and chat APIs. Tool calling needs a model that supports it.
+ */
+export class OllamaProvider {
+  constructor({ url = 'http://localhost:11434', model = 'llama3.2:3b', timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    this.name = 'ollama';
+    this.url = url.replace(/\/+$/, '');
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  async isAvailable() {
+    try {
+      const response = await axios.get(`${this.url}/api/tags`, { timeout: 3000 });
+      const models = response.data.models || [];
+      if (!models.some(model => model.name.includes(this.model.split(':')[0]))) {
+        console.log(`${this.model} model not found. Available models:`, models.map(m => m.name));
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.log(`Ollama not running or not accessible at ${this.url}:`, error.message);
+      return false;
+    }
+  }
+
+  async complete(prompt, { temperature, topP, maxTokens } = {}) {
+    try {
+      const response = await axios.post(`${this.url}/api/generate`, {
+        model: this.model,
+        prompt,
+        stream: false,
+        options: {
+          temperature,
+          top_p: topP,
+          num_predict: maxTokens
+        }
+      }, { timeout: this.timeout });
+      return response.data.response;
+    } catch (error) {
+      throw new Error(`Failed to get completion from Ollama model ${this.model}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  async chat(messages, { tools, temperature, topP, maxTokens, signal } = {}) {
+    try {
+      const response = await axios.post(`${this.url}/api/chat`, {
+        model: this.model,
+        messages: messages.map(message => {
+          if (message.role === 'assistant') {
+            return {
+              role: 'assistant',
+              content: message.content || '',
+              tool_calls: (message.toolCalls || []).map(call => ({ function: { name: call.name, arguments: call.arguments } }))
+            };
+          }
+          if (message.role === 'tool') {
+            return { role: 'tool', content: message.content, tool_name: message.name };
+          }
+          return { role: message.role, content: message.content };
+        }),
+        tools: functionTools(tools),
+        stream: false,
+        options: {
+          temperature,
+          top_p: topP,
+          num_predict: maxTokens
+        }
+      }, { timeout: this.timeout, signal });
+
+      const { content = '', tool_calls: toolCalls = [] } = response.data.message || {};
+      return {
+        content,
+        toolCalls: toolCalls.map((call, index) => ({
+          id: `call_${index}`,
+          name: call.function?.name,
+          arguments: parseArguments(call.function?.arguments)
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Failed to chat with Ollama model ${this.model}: ${error.response?.data?.error || (error instanceof Error ? error.message : 'Unknown error')}`);
+    }
+  }
+}
+
+/**
+ * Any server exposing the OpenAI chat completions API: llama.cpp server, vLLM, LM Studio or a hosted endpoint
+ */
+export class OpenAICompatibleProvider {
+  constructor({ url = 'http://localhost:8080/v1', model, apiKey, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    this.name = 'openai';
+    this.url = url.replace(/\/+$/, '');
+    this.model = model;
+    this.timeout = timeout;
+    this.headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  }
+
+  async isAvailable() {
+    try {
+      const response = await axios.get(`${this.url}/models`, { timeout: 3000, headers: this.headers });
+      const models = (response.data.data || []).map(model => model.id);
+      // Single-model servers such as llama.cpp answer for whatever model name is sent
+      if (this.model && models.length > 1 && !models.includes(this.model)) {
+        console.log(`${this.model} model not found. Available models:`, models);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.log(`OpenAI-compatible server not accessible at ${this.url}:`, error.message);
+      return false;
+    }
+  }
+
+  async complete(prompt, { temperature, topP, maxTokens } = {}) {
+    try {
+      const response = await axios.post(`${this.url}/chat/completions`, {
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        top_p: topP,
+        max_tokens: maxTokens,
+        stream: false
+      }, { timeout: this.timeout, headers: this.headers });
+      return response.data.choices?.[0]?.message?.content || '';
+    } catch (error) {
+      throw new Error(`Failed to get completion from ${this.url}${this.model ? ` (${this.model})` : ''}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  async chat(messages, { tools, temperature, topP, maxTokens, signal } = {}) {
+    try {
+      const response = await axios.post(`${this.url}/chat/completions`, {
+        model: this.model,
+        messages: messages.map(message => {
+          if (message.role === 'assistant') {
+            const toolCalls = (message.toolCalls || []).map(call => ({
+              id: call.id,
+              type: 'function',
+              function: {
+                name: call.name,
+                arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments)
+              }
+            }));
+            return { role: 'assistant', content: message.content || null, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) };
+          }
+          if (message.role === 'tool') {
+            return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+          }
+          return { role: message.role, content: message.content };
+        }),
+        tools: functionTools(tools),
+        tool_choice: 'auto',
+        temperature,
+        top_p: topP,
+        max_tokens: maxTokens,
+        stream: false
+      }, { timeout: this.timeout, headers: this.headers, signal });
+
+      const { content, tool_calls: toolCalls = [] } = response.data.choices?.[0]?.message || {};
+      return {
+        content: content || '',
+        toolCalls: toolCalls.map((call, index) => ({
+          id: call.id || `call_${index}`,
+          name: call.function?.name,
+          arguments: parseArguments(call.function?.arguments)
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Failed to chat with ${this.url}${this.model ? ` (${this.model})` : ''}: ${error.response?.data?.error?.message || (error instanceof Error ? error.message : 'Unknown error')}`);
+    }
+  }
+}
+
+/**
+ * Deterministic provider for tests. Each prompt, or the last user message of a chat, gets the first
+ * canned reply whose `match` it fits, else the default `reply` and `toolCall`; everything sent is recorded.
+ * `toolCall` may be a list of calls made together. Once tool results come back the stub answers without
+ * calling more, and with no tool call configured, routing falls back to the rules.
+ */
+export class StubProvider {
+  constructor({ replies = [], reply = '{}', toolCall = null } = {}) {
+    this.name = 'stub';
+    this.model = 'stub';
+    this.replies = replies; // [{ match: RegExp | string, reply?: string, toolCall?: { name, arguments } | [...] }]
+    this.reply = reply;
+    this.toolCall = toolCall;
+    this.prompts = [];
+    this.chats = [];
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  cannedFor(text) {
+    return this.replies.find(({ match }) => (match instanceof RegExp ? match.test(text) : text.includes(match)));
+  }
+
+  async complete(prompt) {
+    this.prompts.push(prompt);
+    return this.cannedFor(prompt)?.reply ?? this.reply;
+  }
+
+  async chat(messages, options = {}) {
+    this.chats.push({ messages, tools: options.tools });
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const canned = this.cannedFor(lastUser?.content || '');
+    const toolCalls = messages[messages.length - 1]?.role === 'tool' ? [] : [].concat((canned ? canned.toolCall : this.toolCall) || []);
+    return {
+      content: canned?.reply ?? '',
+      toolCalls: toolCalls.map((call, index) => ({ id: `call_${index}`, name: call.name, arguments: call.arguments ?? {} }))
+    };
+  }
+}
+
+/**
+ * LLM settings from the environment:
+ * - LLM_PROVIDER: "ollama" (default), "openai" for any OpenAI-compatible server, "stub", or "none" for rules only
+ * - LLM_URL, LLM_MODEL, LLM_API_KEY: where to send prompts and which model to use
+ * - LLM_TIMEOUT_MS, LLM_TEMPERATURE, LLM_SUGGESTION_TEMPERATURE: per-request limits and sampling
+ * - LLM_AGENT_MAX_STEPS, LLM_AGENT_TIME_BUDGET_MS: how many tool calls and how long one question may take
+ * - LLM_STUB_REPLY, LLM_STUB_TOOL_CALL: what the stub answers, the tool call as JSON ({ "name", "arguments" } or a list)
+ */
+export function llmConfigFromEnv(env = process.env) {
+  return {
+    provider: (env.LLM_PROVIDER || 'ollama').toLowerCase(),
+    url: env.LLM_URL || undefined,
+    model: env.LLM_MODEL || undefined,
+    apiKey: env.LLM_API_KEY || undefined,
+    timeout: numberOr(env.LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    temperature: numberOr(env.LLM_TEMPERATURE, DEFAULT_TEMPERATURE),
+    suggestionTemperature: numberOr(env.LLM_SUGGESTION_TEMPERATURE, DEFAULT_SUGGESTION_TEMPERATURE),
+    agentMaxSteps: numberOr(env.LLM_AGENT_MAX_STEPS, DEFAULT_AGENT_MAX_STEPS),
+    agentTimeBudgetMs: numberOr(env.LLM_AGENT_TIME_BUDGET_MS, DEFAULT_AGENT_TIME_BUDGET_MS),
+    stubReply: env.LLM_STUB_REPLY,
+    stubToolCall: env.LLM_STUB_TOOL_CALL ? JSON.parse(env.LLM_STUB_TOOL_CALL) : null
+  };
+}
+
+/**
+ * Build the provider named by the config, or null when the LLM is turned off
+ */
+export function createLLMProvider(config = llmConfigFromEnv()) {
+  const { provider, url, model, apiKey, timeout, stubReply, stubToolCall } = config;
+  switch (provider) {
+    case 'ollama':
+      return new OllamaProvider({ url, model, timeout });
+    case 'openai':
+      return new OpenAICompatibleProvider({ url, model, apiKey, timeout });
+    case 'stub':
+      return new StubProvider({ ...(stubReply !== undefined ? { reply: stubReply } : {}), toolCall: stubToolCall });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${provider}" (expected "ollama", "openai", "stub" or "none")`);
+  }
+}
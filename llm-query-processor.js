@@ -1,11 +1,138 @@
-import axios from 'axios';
+import { createLLMProvider, llmConfigFromEnv } from './llm-providers.js';
+import { answerPrompt, summarizeResults, ungroundedNumbers } from './answer-synthesizer.js';
+
+// How long a provider check is trusted before the server is asked again
+const STATUS_TTL_MS = 30000;
+
+// Calls to the model per query, counting re-prompts after invalid arguments
+const MAX_ROUTING_ATTEMPTS = 3;
+
+// Tool results longer than this are cut before being shown to the model
+const MAX_TOOL_RESULT_CHARS = 4000;
+
+function routingInstructions() {
+  return `You route questions about stocks and markets to tools. Call the one tool that best answers the user's message, with arguments taken from it. Use ticker symbols, not company names (Apple is AAPL). Write dates as YYYY-MM-DD; today is ${new Date().toISOString().slice(0, 10)}.`;
+}
+
+function agentInstructions() {
+  return `You answer questions about stocks and markets with tools, and may call several in turn. Look up unknown tickers with search_symbols first, quote every company in a comparison, and fetch history or indicators when the question is about how prices moved. You will see each tool's result; keep calling tools until you have what the question needs, then reply with a short answer and no tool call. Use ticker symbols, not company names (Apple is AAPL). Write dates as YYYY-MM-DD; today is ${new Date().toISOString().slice(0, 10)}.`;
+}
+
+// A tool result as the model sees it: the structured data as JSON, cut to a size small models can take
+function toolResultContent(data, text) {
+  const json = data === undefined ? '' : JSON.stringify(data);
+  if (!json) return text || 'Done.';
+  return json.length > MAX_TOOL_RESULT_CHARS ? `${json.slice(0, MAX_TOOL_RESULT_CHARS)}... (truncated)` : json;
+}
+
+// Aborts when `signal` does or at `deadline`, whichever comes first, so no request outlives the agent's budget
+function deadlineSignal(signal, deadline) {
+  const timeout = AbortSignal.timeout(Math.max(0, deadline - Date.now()));
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+// Company names recognized in place of ticker symbols
+const COMPANY_SYMBOLS = {
+  'apple': 'AAPL',
+  'microsoft': 'MSFT',
+  'google': 'GOOGL',
+  'amazon': 'AMZN',
+  'tesla': 'TSLA',
+  'meta': 'META',
+  'nvidia': 'NVDA',
+  'netflix': 'NFLX',
+  'ford': 'F',
+  'general motors': 'GM',
+  'berkshire': 'BRK.A',
+  'jpmorgan': 'JPM',
+  'bank of america': 'BAC',
+  'walmart': 'WMT',
+  'coca cola': 'KO',
+  'pepsi': 'PEP',
+  'mcdonalds': 'MCD',
+  'disney': 'DIS',
+  'adobe': 'ADBE',
+  'salesforce': 'CRM'
+};
+
+// Capitalized words in follow-ups that are not tickers
+const NOT_SYMBOLS = ['PE', 'EPS', 'ETF', 'ETFS', 'USD', 'YTD', 'CEO', 'IPO', 'AI', 'US', 'OK', 'RSI', 'MACD', 'SMA', 'EMA', 'WMA', 'ATR', 'OBV', 'VWAP', 'ADX'];
+
+// Words that point back at what the conversation was about, and openings that continue it
+const BACK_REFERENCE = /\b(its|their|it|they|them|both|those|that (?:stock|company|one)|this (?:stock|company|one)|the same (?:stock|company|one))\b/gi;
+const FOLLOW_UP_OPENING = /^(?:(?:what|how) about|and|now|also|then|ok(?:ay)?|same)\b[\s,]*/i;
+// Requests a time range applies to
+const RANGED_REQUEST = /\b(chart|history|historical|performance|trend|moved?|indicators?|rsi|macd|sma|ema|moving averages?|bollinger|backtest)\b/i;
+// Subjects other than a stock, which a request naming no symbol may be about
+const OTHER_SUBJECTS = /\b(market|markets|indices|index|portfolio|watchlist|trending|sectors?)\b/i;
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12 };
+const RANGE_UNITS = { d: 'day', day: 'day', wk: 'week', week: 'week', mo: 'month', month: 'month', y: 'year', yr: 'year', year: 'year' };
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function monthsAgo(today, months) {
+  const date = new Date(today);
+  date.setUTCMonth(date.getUTCMonth() - months);
+  return date;
+}
+
+const JSON_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+  null: value => value === null
+};
+
+/**
+ * Check a value against the JSON Schema keywords the MCP tools use (type, enum, properties,
+ * required, additionalProperties and items), returning one message per problem
+ */
+function schemaErrors(schema, value, path) {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => JSON_TYPES[type]?.(value))) {
+    return [`${path} must be ${types.join(' or ')}, got ${JSON.stringify(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+  }
+
+  const errors = [];
+  if (JSON_TYPES.object(value)) {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push(`${path}.${name} is required`);
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...schemaErrors(properties[name], item, `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name} is not a known parameter`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...schemaErrors(schema.additionalProperties, item, `${path}.${name}`));
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...schemaErrors(schema.items, item, `${path}[${index}]`)));
+  }
+  return errors;
+}
 
 class LLMQueryProcessor {
-  constructor() {
-    this.ollamaUrl = 'http://localhost:11434';
-    this.model = 'phi3:mini';
+  constructor(config = llmConfigFromEnv(), provider = createLLMProvider(config)) {
+    this.config = config;
+    this.provider = provider;
+    this.providerStatus = null; // { available, checkedAt }
     this.availableTools = new Set();
     this.toolCapabilities = new Map();
+    this.tools = [];
+    this.readOnlyTools = new Set();
   }
 
   /**
@@ -15,117 +142,125 @@ class LLMQueryProcessor {
     // Convert Map to Set for tool names
     this.availableTools = new Set(availableTools.keys());
     this.toolCapabilities = toolCapabilities;
+    // Name, description and input schema of each tool, offered to the model as function definitions
+    this.tools = [...availableTools.values()].map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+    // Tools the server marks as read-only; the agent runs calls on its own, so it is offered only these
+    this.readOnlyTools = new Set([...availableTools.values()].filter(tool => tool.annotations?.readOnlyHint === true).map(tool => tool.name));
     console.log('LLM Query Processor initialized with', this.availableTools.size, 'tools');
   }
 
   /**
-   * Check if Ollama is running and model is available
+   * Check if the LLM provider is reachable and has the model, reusing the last answer for a while
+   */
+  async checkLLMStatus() {
+    if (!this.provider) {
+      return false;
+    }
+    if (this.providerStatus && Date.now() - this.providerStatus.checkedAt < STATUS_TTL_MS) {
+      return this.providerStatus.available;
+    }
+    const available = await this.provider.isAvailable();
+    this.providerStatus = { available, checkedAt: Date.now() };
+    return available;
+  }
+
+  status() {
+    return {
+      provider: this.provider?.name || 'none',
+      model: this.provider?.model || null,
+      available: this.providerStatus?.available ?? null
+    };
+  }
+
+  /**
+   * Send a prompt or chat to the provider; a failed request marks it unavailable until the next check
    */
-  async checkOllamaStatus() {
+  async complete(prompt, options) {
+    return this.whileAvailable(() => this.provider.complete(prompt, options));
+  }
+
+  async chat(messages, options) {
+    return this.whileAvailable(() => this.provider.chat(messages, options));
+  }
+
+  async whileAvailable(request) {
     try {
-      const response = await axios.get(`${this.ollamaUrl}/api/tags`, { timeout: 3000 });
-      const models = response.data.models || [];
-      const hasModel = models.some(model => model.name.includes(this.model.split(':')[0]));
-      
-      if (!hasModel) {
-        console.log(`${this.model} model not found. Available models:`, models.map(m => m.name));
-        return false;
-      }
-      
-      return true;
+      return await request();
     } catch (error) {
-      console.log('Ollama not running or not accessible (corporate firewall may be blocking):', error.message);
-      return false;
+      this.providerStatus = { available: false, checkedAt: Date.now() };
+      throw error;
     }
   }
 
   /**
-   * Process user query using LLM to determine the best tool and parameters
+   * Process user query using LLM to determine the best tool and parameters. The model is offered every
+   * discovered tool with its input schema; arguments that fail the schema are sent back with the errors
+   * for another attempt, and the rules take over if no valid call comes back. `history` holds earlier turns
+   * of the conversation as chat messages. With executeTool(name, args), shaped as for runAgent, a valid call
+   * is also run, so that arguments the server rejects (VALIDATION_FAILED) go back to the model the same way;
+   * the result is returned as `outcome`. Tools that change saved data are offered only when requestsWrite
+   * finds the message asks for that change.
    */
-  async processQuery(userQuery) {
+  async processQuery(userQuery, { history = [], executeTool } = {}) {
     try {
-      // Check if Ollama is available
-      const isOllamaReady = await this.checkOllamaStatus();
-      if (!isOllamaReady) {
-        console.log('Ollama not ready, falling back to rule-based processing');
+      const tools = this.toolsOffered(this.requestsWrite(userQuery));
+      // Check if the LLM is available
+      const isLLMReady = await this.checkLLMStatus();
+      if (!isLLMReady || tools.length === 0) {
+        console.log('LLM not ready, falling back to rule-based processing');
         return this.fallbackProcessing(userQuery);
       }
 
-      // Create context about available tools
-      const toolsContext = this.createToolsContext();
-      
-      const prompt = `Select tool for: "${userQuery}"
-
-Tools: get_quote, get_trending_stocks, get_trending_etfs, search_symbols, get_historical_data
-
-Respond with JSON only:
-{"tool": "tool_name", "parameters": {"symbol": "AAPL"}, "reasoning": "reason", "confidence": 0.95}
-
-Examples:
-"Apple stock" → {"tool": "get_quote", "parameters": {"symbol": "AAPL"}, "reasoning": "Single stock", "confidence": 0.95}
-"Compare Apple Microsoft" → {"tool": "get_quote", "parameters": {"symbol": "AAPL"}, "reasoning": "Comparison", "confidence": 0.9}
-"Trending stocks" → {"tool": "get_trending_stocks", "parameters": {"count": 10}, "reasoning": "Multiple stocks", "confidence": 0.9}`;
-
-      const response = await axios.post(`${this.ollamaUrl}/api/generate`, {
-        model: this.model,
-        prompt: prompt,
-        stream: false,
-        options: {
-        temperature: 0.01,
-        top_p: 0.7,
-        max_tokens: 600
-        }
-      }, {
-        timeout: 10000, // 10 second timeout
-        headers: {
-          'Content-Type': 'application/json',
-          'Connection': 'keep-alive'
+      const messages = [
+        { role: 'system', content: routingInstructions() },
+        ...history,
+        { role: 'user', content: userQuery }
+      ];
+
+      for (let attempt = 1; attempt <= MAX_ROUTING_ATTEMPTS; attempt++) {
+        const reply = await this.chat(messages, {
+          tools,
+          temperature: this.config.temperature,
+          topP: 0.7,
+          maxTokens: 600
+        });
+        const call = reply.toolCalls[0];
+        if (!call) {
+          console.log('LLM answered without calling a tool:', reply.content);
+          break;
         }
-      });
 
-      const responseText = response.data.response;
-      console.log('LLM Response:', responseText);
+        const errors = this.validateToolCall(call, tools);
+        const outcome = errors.length === 0 && executeTool ? await this.tryRoutedCall(call, executeTool) : null;
+        // The schemas the server enforces are stricter than what validateToolCall checks, e.g. minimum lengths
+        const rejected = outcome && !outcome.ok && outcome.error?.code === 'VALIDATION_FAILED' && attempt < MAX_ROUTING_ATTEMPTS;
+        if (errors.length === 0 && !rejected) {
+          console.log(`LLM selected ${call.name} with parameters:`, call.arguments);
+          return {
+            tool: call.name,
+            parameters: call.arguments,
+            reasoning: reply.content || `Model called ${call.name}`,
+            attempts: attempt,
+            source: 'llm',
+            ...(outcome ? { outcome } : {})
+          };
+        }
 
-      // Parse the JSON response with better error handling
-      try {
-        // Clean up the response text first
-        let cleanedResponse = responseText.trim();
-        
-        // Remove any markdown code blocks
-        cleanedResponse = cleanedResponse.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-        
-        // Find JSON object
-        const jsonMatch = cleanedResponse.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          let jsonStr = jsonMatch[0];
-          
-          // Fix common JSON issues
-          jsonStr = jsonStr.replace(/00\.(\d+)/g, '0.$1'); // Fix double zero decimals
-          jsonStr = jsonStr.replace(/,(\s*[}\]])/g, '$1'); // Remove trailing commas
-          
-          const result = JSON.parse(jsonStr);
-          
-          // Validate the tool exists
-          if (this.availableTools.has(result.tool)) {
-            console.log(`LLM selected valid tool: ${result.tool} with parameters:`, result.parameters);
-            return {
-              tool: result.tool,
-              parameters: result.parameters || {},
-              reasoning: result.reasoning,
-              confidence: Math.min(Math.max(result.confidence || 0.8, 0), 1), // Clamp confidence between 0-1
-              source: 'llm'
-            };
-          } else {
-            console.log(`LLM selected invalid tool: ${result.tool}`);
-            console.log(`Available tools:`, Array.from(this.availableTools));
+        console.log(`LLM call to ${call.name} was invalid (attempt ${attempt}):`, rejected ? outcome.error.message : errors);
+        messages.push(
+          { role: 'assistant', content: reply.content, toolCalls: [call] },
+          {
+            role: 'tool',
+            toolCallId: call.id,
+            name: call.name,
+            content: rejected
+              ? `Error (VALIDATION_FAILED): the tool rejected the arguments: ${outcome.error.message}. Call a tool again with corrected arguments.`
+              : `Error: the call was not made because ${errors.join('; ')}. Call a tool again with corrected arguments.`
           }
-        }
-      } catch (parseError) {
-        console.log('Failed to parse LLM response as JSON:', parseError.message);
-        console.log('Raw response:', responseText);
+        );
       }
 
-      // Fallback if LLM response is invalid
+      // Fallback if the LLM did not produce a valid call
       return this.fallbackProcessing(userQuery);
 
     } catch (error) {
@@ -134,26 +269,189 @@ Examples:
     }
   }
 
+  // Run a routed call; a call that could not be made at all is left to the caller to make again or report
+  async tryRoutedCall(call, executeTool) {
+    try {
+      return await executeTool(call.name, call.arguments);
+    } catch (error) {
+      console.log(`Routed call to ${call.name} failed:`, error.message);
+      return null;
+    }
+  }
+
   /**
-   * Create a context string describing available tools
+   * Answer a question with as many tool calls as it needs. The model sees each result and picks the next
+   * call, until it replies without one or the step or time budget runs out. executeTool(name, args, signal) runs
+   * a call and resolves to { ok: true, data, text } or { ok: false, error: { code, message } }; its signal, like
+   * each chat request's, aborts when the time budget runs out. Resolves to
+   * null when no model is available or it produced nothing, so the caller can route by rules instead.
+   * `history` holds earlier turns of the conversation as chat messages. Only read-only tools are offered,
+   * so nothing the agent does changes saved data.
    */
-  createToolsContext() {
-    let context = '';
-    for (const toolName of this.availableTools) {
-      const capabilities = this.toolCapabilities.get(toolName) || {};
-      context += `- ${toolName}: ${capabilities.description || 'No description available'}\n`;
-      if (capabilities.keywords) {
-        context += `  Keywords: ${capabilities.keywords.join(', ')}\n`;
-      }
-      if (capabilities.inputSchema && capabilities.inputSchema.properties) {
-        const params = Object.keys(capabilities.inputSchema.properties);
-        if (params.length > 0) {
-          context += `  Parameters: ${params.join(', ')}\n`;
+  async runAgent(userQuery, executeTool, { signal, history = [] } = {}) {
+    const tools = this.toolsOffered(false);
+    if (!(await this.checkLLMStatus()) || tools.length === 0) {
+      return null;
+    }
+
+    const deadline = Date.now() + this.config.agentTimeBudgetMs;
+    const messages = [
+      { role: 'system', content: agentInstructions() },
+      ...history,
+      { role: 'user', content: userQuery }
+    ];
+    const steps = []; // successful calls: { tool, arguments, data, text }
+    const trace = []; // every call: { tool, arguments, status, ms, error? }
+    let answer = '';
+    let stopReason = 'answered';
+
+    try {
+      for (;;) {
+        if (trace.length >= this.config.agentMaxSteps) {
+          stopReason = 'max_steps';
+          break;
         }
+        if (Date.now() >= deadline) {
+          stopReason = 'time_budget';
+          break;
+        }
+
+        const reply = await this.chat(messages, {
+          tools,
+          temperature: this.config.temperature,
+          topP: 0.7,
+          maxTokens: 600,
+          signal: deadlineSignal(signal, deadline)
+        });
+        if (reply.toolCalls.length === 0) {
+          answer = reply.content.trim();
+          break;
+        }
+
+        // Calls beyond the step or time budget are answered without being run, so the conversation stays well-formed
+        const results = [];
+        for (const call of reply.toolCalls) {
+          if (trace.length >= this.config.agentMaxSteps) {
+            results.push('Error: not run, the step budget is used up.');
+          } else if (Date.now() >= deadline) {
+            results.push('Error: not run, the time budget is used up.');
+          } else {
+            results.push(await this.runAgentStep(call, executeTool, { tools, signal, deadline, steps, trace }));
+          }
+        }
+        messages.push(
+          { role: 'assistant', content: reply.content, toolCalls: reply.toolCalls },
+          ...reply.toolCalls.map((call, index) => ({ role: 'tool', toolCallId: call.id, name: call.name, content: results[index] }))
+        );
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.log(`Agent stopped after ${trace.length} tool calls:`, error.message);
+      // A chat request cut off by the budget is not a model failure
+      stopReason = Date.now() >= deadline ? 'time_budget' : 'error';
+    }
+
+    console.log(`Agent stopped (${stopReason}) after ${trace.length} tool calls:`, trace.map(entry => `${entry.tool} (${entry.status})`).join(', ') || 'none');
+    if (steps.length === 0 && !answer) {
+      return null;
+    }
+    return { answer, steps, trace, stopReason, source: 'llm' };
+  }
+
+  /**
+   * Validate and run one of the agent's tool calls, recording it, and return the message the model sees
+   */
+  async runAgentStep(call, executeTool, { tools, signal, deadline, steps, trace }) {
+    const started = Date.now();
+    const errors = this.validateToolCall(call, tools);
+    if (errors.length > 0) {
+      trace.push({ tool: call.name, arguments: call.arguments, status: 'invalid', ms: 0, error: errors.join('; ') });
+      return `Error: the call was not made because ${errors.join('; ')}. Call a tool again with corrected arguments.`;
+    }
+
+    let outcome;
+    try {
+      outcome = await executeTool(call.name, call.arguments, deadlineSignal(signal, deadline));
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      outcome = { ok: false, error: { code: error.code || null, message: error.message } };
+    }
+
+    const ms = Date.now() - started;
+    if (!outcome.ok) {
+      const { code, message } = outcome.error;
+      trace.push({ tool: call.name, arguments: call.arguments, status: 'error', ms, error: message, code: code || null });
+      return `Error${code ? ` (${code})` : ''}: ${message}`;
+    }
+    trace.push({ tool: call.name, arguments: call.arguments, status: 'ok', ms });
+    steps.push({ tool: call.name, arguments: call.arguments, data: outcome.data, text: outcome.text });
+    return toolResultContent(outcome.data, outcome.text);
+  }
+
+  /**
+   * Answer a question from tool results: { summary, keyNumbers, caveats, source }. The key numbers and
+   * caveats always come from the data. The summary is the model's when one is available and every number
+   * in it can be found in the data, starting with `draft` (e.g. the agent's final reply), and the template's otherwise.
+   */
+  async synthesizeAnswer(question, { results = [], failures = [], stopReason, draft } = {}) {
+    const facts = summarizeResults({ results, failures, stopReason });
+    const template = { ...facts, source: 'template' };
+    const grounded = (text) => {
+      const unknown = ungroundedNumbers(text, { question, keyNumbers: facts.keyNumbers, results });
+      if (unknown.length > 0) {
+        console.log('Model answer cites numbers not in the data:', unknown.join(', '));
       }
-      context += '\n';
+      return unknown.length === 0;
+    };
+
+    if (draft && grounded(draft)) {
+      return { ...facts, summary: draft, source: 'llm' };
+    }
+    if (results.length === 0 || !(await this.checkLLMStatus())) {
+      return template;
+    }
+
+    try {
+      const summary = (await this.complete(answerPrompt(question, facts), {
+        temperature: this.config.temperature,
+        topP: 0.9,
+        maxTokens: 300
+      })).trim();
+      // A reply without words (empty, or bare JSON from a routing-minded model) is no answer
+      return /[a-z]/i.test(summary) && grounded(summary) ? { ...facts, summary, source: 'llm' } : template;
+    } catch (error) {
+      console.log('LLM answer failed:', error.message);
+      return template;
     }
-    return context;
+  }
+
+  /**
+   * Problems with a tool call: a tool not among `tools`, or arguments that do not match its input schema
+   */
+  validateToolCall(call, tools = this.tools) {
+    const tool = tools.find(candidate => candidate.name === call.name);
+    if (!tool) {
+      if (this.availableTools.has(call.name)) {
+        return [`${call.name} changes saved data and is only available when the user asks for that change`];
+      }
+      return [`there is no tool named "${call.name}" (available: ${tools.map(candidate => candidate.name).join(', ')})`];
+    }
+    return schemaErrors(tool.inputSchema || { type: 'object' }, call.arguments, 'arguments');
+  }
+
+  // Tool definitions for the model; those that change saved data only when `writes` is set
+  toolsOffered(writes) {
+    return writes ? this.tools : this.tools.filter(tool => this.readOnlyTools.has(tool.name));
+  }
+
+  /**
+   * Whether a message explicitly asks to change saved data, e.g. "add NVDA to my Tech watchlist", judged
+   * by the same rules that route without a model. Only then is a model offered the tools that make such
+   * changes, and the request is routed to one call instead of the agent, which only reads.
+   */
+  requestsWrite(userQuery) {
+    const { tool } = this.fallbackProcessing(userQuery);
+    return this.availableTools.has(tool) && !this.readOnlyTools.has(tool);
   }
 
   /**
@@ -166,6 +464,114 @@ Examples:
     const countMatch = query.match(/(\d+)/);
     const count = countMatch ? parseInt(countMatch[1]) : 5;
     
+    // Alerts: create one from a condition in the query, delete one by id, or list them
+    if (/\balerts?\b|\bnotify me\b|\blet me know when\b/.test(query)) {
+      const alertId = userQuery.match(/\b([0-9a-f]{8})\b/);
+      
+      if (/\b(delete|remove|cancel)\b/.test(query) && alertId) {
+        return {
+          tool: 'delete_alert',
+          parameters: { id: alertId[1] },
+          reasoning: `Deleting alert ${alertId[1]}`,
+          confidence: 0.9,
+          source: 'enhanced_fallback'
+        };
+      }
+      if (/\b(above|below|over|under|cross(es)?)\b|%/.test(query)) {
+        return {
+          tool: 'create_alert',
+          parameters: { rule: userQuery, ...(/\b(every time|each time|whenever)\b/.test(query) ? { repeat: true } : {}) },
+          reasoning: 'Query describes a condition to be alerted on',
+          confidence: 0.85,
+          source: 'enhanced_fallback'
+        };
+      }
+      return {
+        tool: 'list_alerts',
+        parameters: {},
+        reasoning: 'Query asks about alerts',
+        confidence: 0.8,
+        source: 'enhanced_fallback'
+      };
+    }
+    
+    // Saved watchlists: add/remove symbols, quote a named list, or list them all
+    if (query.includes('watchlist')) {
+      const name = this.extractListName(userQuery, 'watchlist');
+      const nameWords = (name || '').toUpperCase().split(/\s+/);
+      const symbols = this.extractSymbols(userQuery).filter(symbol => !nameWords.includes(symbol));
+      
+      if (/\b(add|put|track)\b/.test(query) && symbols.length > 0) {
+        return {
+          tool: 'add_to_watchlist',
+          parameters: { watchlist: name || 'Watchlist', symbols },
+          reasoning: `Adding ${symbols.join(', ')} to watchlist "${name || 'Watchlist'}"`,
+          confidence: 0.9,
+          source: 'enhanced_fallback'
+        };
+      }
+      if (/\b(remove|delete|drop)\b/.test(query) && symbols.length > 0) {
+        return {
+          tool: 'remove_from_watchlist',
+          parameters: { watchlist: name || 'Watchlist', symbols },
+          reasoning: `Removing ${symbols.join(', ')} from watchlist "${name || 'Watchlist'}"`,
+          confidence: 0.9,
+          source: 'enhanced_fallback'
+        };
+      }
+      if (name && !query.includes('watchlists')) {
+        return {
+          tool: 'get_watchlist_quotes',
+          parameters: { watchlist: name },
+          reasoning: `Quotes for the symbols in watchlist "${name}"`,
+          confidence: 0.85,
+          source: 'enhanced_fallback'
+        };
+      }
+      return {
+        tool: 'list_watchlists',
+        parameters: {},
+        reasoning: 'Query asks about saved watchlists',
+        confidence: 0.8,
+        source: 'enhanced_fallback'
+      };
+    }
+    
+    // Portfolio queries with holdings, e.g. "10 AAPL at 150" or "AAPL:10@150:2023-01-15", or a saved portfolio
+    const positions = this.extractPositions(userQuery);
+    if (positions.length > 0 || query.includes('portfolio') || query.includes('holdings')) {
+      const name = this.extractListName(userQuery, 'portfolio');
+      
+      if (positions.length > 0 && /\bsave\b/.test(query)) {
+        return {
+          tool: 'save_portfolio',
+          parameters: { name: name || 'Portfolio', positions },
+          reasoning: `Saving ${positions.length} positions as portfolio "${name || 'Portfolio'}"`,
+          confidence: 0.9,
+          source: 'enhanced_fallback'
+        };
+      }
+      if (positions.length === 0 && query.includes('portfolios')) {
+        return {
+          tool: 'list_portfolios',
+          parameters: {},
+          reasoning: 'Query asks about saved portfolios',
+          confidence: 0.8,
+          source: 'enhanced_fallback'
+        };
+      }
+      
+      return {
+        tool: 'analyze_portfolio',
+        parameters: positions.length > 0 ? { positions } : name ? { portfolio: name } : {},
+        reasoning: positions.length > 0
+          ? `Portfolio query with positions in ${positions.map(position => position.symbol).join(', ')}`
+          : name ? `Analysis of saved portfolio "${name}"` : 'Portfolio query without recognizable positions',
+        confidence: positions.length > 0 || name ? 0.9 : 0.6,
+        source: 'enhanced_fallback'
+      };
+    }
+    
     // Comparison queries - handle these first
     if (query.includes('compare') || query.includes('vs') || query.includes('versus') || 
         query.includes('comparison') || query.includes('side by side')) {
@@ -201,22 +607,78 @@ Examples:
         symbols.push(...foundSymbols);
       }
       
-      // Remove duplicates and get first symbol for fallback
+      // Remove duplicates; several symbols are quoted together in one batch call
       const uniqueSymbols = [...new Set(symbols)];
-      const firstSymbol = uniqueSymbols[0] || 'AAPL';
+      
+      if (uniqueSymbols.length > 1) {
+        return {
+          tool: 'get_quotes',
+          parameters: { symbols: uniqueSymbols },
+          reasoning: `Comparison query detected with symbols: ${uniqueSymbols.join(', ')}`,
+          confidence: 0.85,
+          source: 'enhanced_fallback'
+        };
+      }
       
       return {
         tool: 'get_quote',
-        parameters: { symbol: firstSymbol },
-        reasoning: `Comparison query detected with symbols: ${uniqueSymbols.join(', ')}. Using first symbol for fallback.`,
+        parameters: { symbol: uniqueSymbols[0] || 'AAPL' },
+        reasoning: `Comparison query detected with symbols: ${uniqueSymbols.join(', ')}. Only one symbol found.`,
         confidence: 0.85,
         source: 'enhanced_fallback'
       };
     }
     
-    // Check for multi-stock queries first (before single stock queries)
-    if (query.includes('top') || query.includes('best') || query.includes('highest') || 
-        query.includes('most') || query.includes('list') || query.includes('show me')) {
+    // Strategy backtests, defaulting to the SMA(50)/SMA(200) golden cross
+    if (query.includes('backtest') || query.includes('golden cross')) {
+      const fast = { indicator: 'sma', params: { period: 50 } };
+      const slow = { indicator: 'sma', params: { period: 200 } };
+      return {
+        tool: 'backtest_strategy',
+        parameters: {
+          symbols: [this.extractSymbol(userQuery)],
+          entry: { left: fast, op: 'crosses_above', right: slow },
+          exit: { left: fast, op: 'crosses_below', right: slow },
+          ...this.rangeParameters(userQuery)
+        },
+        reasoning: 'Query asks to backtest a strategy; using the SMA(50)/SMA(200) crossover',
+        confidence: 0.8,
+        source: 'enhanced_fallback'
+      };
+    }
+    
+    // Technical indicator queries (checked before multi-stock queries, which match "show me")
+    const indicatorKeywords = {
+      sma: /\b(sma|simple moving average|moving averages?)\b/,
+      ema: /\b(ema|exponential moving average)\b/,
+      rsi: /\brsi\b|relative strength/,
+      macd: /\bmacd\b/,
+      bollinger: /\bbollinger\b/,
+      atr: /\batr\b|average true range/,
+      stochastic: /\bstochastic\b/,
+      obv: /\bobv\b|on.balance volume/,
+      vwap: /\bvwap\b/,
+      adx: /\badx\b/,
+      ichimoku: /\bichimoku\b/
+    };
+    const requestedIndicators = Object.keys(indicatorKeywords).filter(type => indicatorKeywords[type].test(query));
+    if (requestedIndicators.length > 0 || query.includes('indicator')) {
+      const indicators = requestedIndicators.length > 0
+        ? requestedIndicators.map(type => ({ type }))
+        : [{ type: 'sma', params: { period: 50 } }, { type: 'rsi' }, { type: 'macd' }];
+      return {
+        tool: 'compute_indicators',
+        parameters: { symbol: this.extractSymbol(userQuery), indicators, ...this.rangeParameters(userQuery) },
+        reasoning: `Query asks for technical indicators: ${indicators.map(indicator => indicator.type).join(', ')}`,
+        confidence: 0.85,
+        source: 'enhanced_fallback'
+      };
+    }
+    
+    // Check for multi-stock queries first (before single stock queries), leaving "show me a chart" to the history check
+    if ((query.includes('top') || query.includes('best') || query.includes('highest') || 
+        query.includes('most') || query.includes('list') || query.includes('show me')) &&
+        !/\b(chart|history|historical)\b/.test(query)) {
       
       // Dividend-specific queries
       if (query.includes('dividend')) {
@@ -265,9 +727,21 @@ Examples:
       };
     }
     
+    // Options analytics queries (checked before single stock queries, which match "stock options")
+    if (query.includes('option') || query.includes('greeks') || query.includes('implied volatility') ||
+        query.includes('skew') || query.includes('volatility smile')) {
+      return {
+        tool: 'get_options_analytics',
+        parameters: { symbol: this.extractSymbol(userQuery) },
+        reasoning: 'Query appears to be asking for options chains, Greeks or implied volatility',
+        confidence: 0.85,
+        source: 'enhanced_fallback'
+      };
+    }
+    
     // Single stock queries (only if not multi-stock)
     if (query.includes('quote') || query.includes('price') || query.includes('stock') || 
-        query.includes('current') || query.includes('latest')) {
+        query.includes('current') || query.includes('latest') || /\bp\/?e\b|\beps\b|\bvaluation\b/.test(query)) {
       return {
         tool: 'get_quote',
         parameters: { symbol: this.extractSymbol(userQuery) },
@@ -281,7 +755,7 @@ Examples:
         query.includes('past') || query.includes('performance')) {
       return {
         tool: 'get_historical_data',
-        parameters: { symbol: this.extractSymbol(userQuery) },
+        parameters: { symbol: this.extractSymbol(userQuery), ...this.rangeParameters(userQuery) },
         reasoning: 'Query appears to be asking for historical data or charts',
         confidence: 0.8,
         source: 'enhanced_fallback'
@@ -416,37 +890,14 @@ Examples:
    * Extract stock symbol from query (simplified version)
    */
   extractSymbol(query) {
-    // Look for uppercase symbols
-    const symbolMatch = query.match(/\b[A-Z]{1,5}\b/);
+    // Look for uppercase symbols, skipping indicator abbreviations that look like tickers
+    const nonSymbols = ['RSI', 'MACD', 'SMA', 'EMA', 'WMA', 'ATR', 'OBV', 'VWAP', 'ADX'];
+    const symbolMatch = (query.match(/\b[A-Z]{1,5}\b/g) || []).find(word => !nonSymbols.includes(word));
     if (symbolMatch) {
-      return symbolMatch[0];
+      return symbolMatch;
     }
     
-    // Company name mapping
-    const companyMap = {
-      'apple': 'AAPL',
-      'microsoft': 'MSFT',
-      'google': 'GOOGL',
-      'amazon': 'AMZN',
-      'tesla': 'TSLA',
-      'meta': 'META',
-      'nvidia': 'NVDA',
-      'netflix': 'NFLX',
-      'ford': 'F',
-      'general motors': 'GM',
-      'berkshire': 'BRK.A',
-      'jpmorgan': 'JPM',
-      'bank of america': 'BAC',
-      'walmart': 'WMT',
-      'coca cola': 'KO',
-      'pepsi': 'PEP',
-      'mcdonalds': 'MCD',
-      'disney': 'DIS',
-      'adobe': 'ADBE',
-      'salesforce': 'CRM'
-    };
-    
-    for (const [company, symbol] of Object.entries(companyMap)) {
+    for (const [company, symbol] of Object.entries(COMPANY_SYMBOLS)) {
       if (query.toLowerCase().includes(company)) {
         return symbol;
       }
@@ -455,13 +906,191 @@ Examples:
     return 'AAPL'; // Default fallback
   }
 
+  /**
+   * Symbols a message names itself, as tickers of two or more capitals ($F for shorter ones) or
+   * company names, with no default. Follow-ups that name none refer back to the conversation.
+   */
+  mentionedSymbols(query) {
+    const tickers = (query.match(/\$[A-Z]{1,5}\b|\b[A-Z]{2,5}(?:\.[A-Z])?\b/g) || [])
+      .map(word => word.replace('$', ''))
+      .filter(word => !NOT_SYMBOLS.includes(word));
+    const lower = query.toLowerCase();
+    const companies = Object.entries(COMPANY_SYMBOLS)
+      .filter(([company]) => new RegExp(`\\b${company}\\b`).test(lower))
+      .map(([, symbol]) => symbol);
+    return [...new Set([...tickers, ...companies])];
+  }
+
+  /**
+   * A time range named in a query, e.g. "1-year", "6 months", "past week", "YTD" or
+   * "since 2024-01-01": { period1, period2, label } with dates as YYYY-MM-DD, or null.
+   * Indicator lengths such as "50-day moving average" and "52-week high" are not ranges.
+   */
+  extractTimeRange(query, today = new Date()) {
+    const explicit = query.match(/\b(?:since|from)\s+(\d{4}-\d{2}-\d{2})(?:\s+(?:to|until|through)\s+(\d{4}-\d{2}-\d{2}))?/i);
+    if (explicit) {
+      const [, period1, period2 = null] = explicit;
+      return { period1, period2, label: period2 ? `from ${period1} to ${period2}` : `since ${period1}` };
+    }
+    if (/\b(ytd|year[ -]to[ -]date|this year)\b/i.test(query)) {
+      return { period1: `${today.getUTCFullYear()}-01-01`, period2: null, label: 'year to date' };
+    }
+
+    const relative = query.match(/\b(?:(this|past|last)\s+|(\d+|(?:an?|one|two|three|four|five|six|seven|eight|nine|ten|twelve)\b)[\s-]*)(day|week|month|year|wk|mo|yr|d|y)s?\b(?![\s-]*(?:moving|simple|exponential|sma|ema|wma|ma|average|high|low|cross))/i);
+    if (!relative) {
+      return null;
+    }
+    const [, recent, amount, unitWord] = relative;
+    const count = recent ? 1 : Number(amount) || NUMBER_WORDS[amount.toLowerCase()];
+    const unit = RANGE_UNITS[unitWord.toLowerCase()];
+    if (!count || !unit) {
+      return null;
+    }
+    const days = { day: 1, week: 7 }[unit];
+    const start = days
+      ? new Date(today.getTime() - count * days * 24 * 60 * 60 * 1000)
+      : monthsAgo(today, unit === 'year' ? count * 12 : count);
+    return { period1: isoDate(start), period2: null, label: recent ? `the past ${unit}` : `${count} ${unit}${count === 1 ? '' : 's'}` };
+  }
+
+  // period1/period2 arguments for a time range named in the query, if any
+  rangeParameters(query) {
+    const range = this.extractTimeRange(query);
+    return range ? { period1: range.period1, ...(range.period2 ? { period2: range.period2 } : {}) } : {};
+  }
+
+  /**
+   * Rewrite a follow-up so it stands on its own, using the session context (see ConversationSession).
+   * Pronouns such as "its" become the last symbols, a follow-up naming no company gets them added,
+   * "what about MSFT?" repeats the last request for MSFT, and the last time range carries over to
+   * charts and indicators. Returns { message, symbols, range } or null when nothing needed resolving.
+   */
+  resolveFollowUp(message, context = {}) {
+    const { symbols: lastSymbols = [], range: lastRange = null, tool: lastTool = null, toolArguments = {}, query: lastQuery = null } = context;
+    const text = message.trim();
+    const backReference = new RegExp(BACK_REFERENCE.source, 'i').test(text);
+    const opening = FOLLOW_UP_OPENING.test(text);
+    const own = this.mentionedSymbols(text);
+    // "show me a 6 month chart" names no subject, so it continues with the last one
+    const subjectless = own.length === 0 && RANGED_REQUEST.test(text) && !OTHER_SUBJECTS.test(text);
+    if (!backReference && !opening && !subjectless) {
+      return null;
+    }
+
+    let resolved = text;
+    if (own.length > 0) {
+      // Only a new subject, as in "what about MSFT?" or "and Microsoft": ask the last question about it
+      const rest = own.reduce((remaining, symbol) => remaining.replace(new RegExp(`\\$?\\b${symbol.replace('.', '\\.')}\\b`, 'g'), ''), text.replace(FOLLOW_UP_OPENING, ''))
+        .toLowerCase().replace(new RegExp(`\\b(${Object.keys(COMPANY_SYMBOLS).join('|')})\\b`, 'g'), '')
+        .replace(/\b(and|or|instead|too)\b|[^a-z]+/g, ' ').trim();
+      if (rest || !lastQuery || lastSymbols.length === 0) {
+        return null;
+      }
+      // Swap the symbol into the last query when it was about one, else ask for what the last tool returned
+      const swapped = lastSymbols.length === 1
+        ? lastQuery.replace(new RegExp(`\\b${lastSymbols[0].replace('.', '\\.')}\\b`, 'g'), own.join(' and '))
+        : lastQuery;
+      resolved = swapped !== lastQuery ? swapped : `${this.toolRequestPhrase(lastTool, toolArguments)} ${own.join(' and ')}`;
+    } else if (lastSymbols.length > 0) {
+      const subject = lastSymbols.join(' and ');
+      resolved = backReference
+        ? text.replace(BACK_REFERENCE, (word) => (/^(its|their)$/i.test(word) ? `${subject}'s` : subject))
+        : `${text.replace(/[?.!]+$/, '')} for ${subject}`;
+    }
+
+    let range = this.extractTimeRange(resolved);
+    if (!range && lastRange && RANGED_REQUEST.test(resolved)) {
+      range = lastRange;
+      resolved = `${resolved.replace(/[?.!]+$/, '')} ${lastRange.period2 || /^(since|from) /.test(lastRange.label) ? lastRange.label : `over ${lastRange.label}`}`;
+    }
+
+    if (resolved === text) {
+      return null;
+    }
+    return { message: resolved, symbols: own.length > 0 ? own : lastSymbols, range };
+  }
+
+  // Words asking for what a tool returns, for repeating a request about another symbol
+  toolRequestPhrase(tool, args = {}) {
+    const phrases = {
+      get_historical_data: 'historical chart for',
+      compute_indicators: `${(args.indicators || []).map(indicator => indicator.type.toUpperCase()).join(' and ') || 'technical indicators'} for`,
+      get_news: 'news for',
+      get_recommendations: 'analyst recommendations for',
+      get_options_analytics: 'options analytics for',
+      get_insights: 'technical insights for',
+      backtest_strategy: 'backtest the golden cross on'
+    };
+    return phrases[tool] || 'stock price of';
+  }
+
+  /**
+   * Extract every ticker-like word from a query, skipping indicator abbreviations and "I"/"A"
+   */
+  extractSymbols(query) {
+    const nonSymbols = ['I', 'A', 'RSI', 'MACD', 'SMA', 'EMA', 'WMA', 'ATR', 'OBV', 'VWAP', 'ADX'];
+    return [...new Set((query.match(/\b[A-Z]{1,5}\b/g) || []).filter(word => !nonSymbols.includes(word)))];
+  }
+
+  /**
+   * Extract the name of a saved list from phrases like "my tech watchlist" or "portfolio called Retirement"
+   */
+  extractListName(query, noun) {
+    const named = query.match(new RegExp(`${noun}\\s+(?:called|named)\\s+["']?([\\w.&'-]+(?:\\s+[\\w.&'-]+)*?)["']?\\s*(?:[,.:;!?]|$)`, 'i'));
+    if (named) {
+      return named[1];
+    }
+    
+    const before = query.match(new RegExp(`\\b([\\w.&'-]+(?:\\s+[\\w.&'-]+){0,2})\\s+${noun}\\b`, 'i'));
+    if (!before) {
+      return null;
+    }
+    
+    // Keep the words after the last filler word, so "add NVDA to my tech" gives "tech"
+    const fillers = ['to', 'from', 'my', 'the', 'our', 'in', 'on', 'of', 'for', 'me', 'a', 'and', 'show', 'get', 'list', 'analyze', 'analyse', 'add', 'remove', 'save', 'saved', 'as', 'quotes'];
+    const words = before[1].split(/\s+/);
+    let start = words.length;
+    while (start > 0 && !fillers.includes(words[start - 1].toLowerCase())) {
+      start--;
+    }
+    return words.slice(start).join(' ') || null;
+  }
+
+  /**
+   * Extract portfolio positions from a query, either in the compact "AAPL:10@150:2023-01-15" form
+   * or written out as "10 shares of AAPL at $150 bought 2023-01-15"
+   */
+  extractPositions(query) {
+    const patterns = [
+      { regex: /\b([A-Z][A-Z0-9.^-]{0,9}):(\d+(?:\.\d+)?)@(\d+(?:\.\d+)?)(?::(\d{4}-\d{2}-\d{2}))?/g, order: [1, 2, 3, 4] },
+      { regex: /(\d+(?:\.\d+)?)\s+(?:shares?\s+(?:of\s+)?)?([A-Z][A-Z0-9.-]{0,9})\s+(?:@|at)\s*\$?(\d+(?:\.\d+)?)(?:\s+(?:on|bought|purchased)(?:\s+on)?\s+(\d{4}-\d{2}-\d{2}))?/g, order: [2, 1, 3, 4] }
+    ];
+    
+    for (const { regex, order } of patterns) {
+      const positions = [...query.matchAll(regex)].map(match => {
+        const [symbol, quantity, costBasis, purchaseDate] = order.map(index => match[index]);
+        return {
+          symbol,
+          quantity: parseFloat(quantity),
+          costBasis: parseFloat(costBasis),
+          ...(purchaseDate ? { purchaseDate } : {})
+        };
+      });
+      if (positions.length > 0) {
+        return positions;
+      }
+    }
+    
+    return [];
+  }
+
   /**
    * Generate intelligent widget suggestions based on query
    */
   async generateWidgetSuggestions(userQuery) {
     try {
-      const isOllamaReady = await this.checkOllamaStatus();
-      if (!isOllamaReady) {
+      const isLLMReady = await this.checkLLMStatus();
+      if (!isLLMReady) {
         return this.getDefaultSuggestions();
       }
 
@@ -482,24 +1111,11 @@ Examples of good detailed queries:
 
 Respond with a JSON array of detailed query strings.`;
 
-      const response = await axios.post(`${this.ollamaUrl}/api/generate`, {
-        model: this.model,
-        prompt: prompt,
-        stream: false,
-        options: {
-          temperature: 0.7,
-          top_p: 0.9,
-          max_tokens: 500
-        }
-      }, {
-        timeout: 8000, // 8 second timeout for suggestions
-        headers: {
-          'Content-Type': 'application/json',
-          'Connection': 'keep-alive'
-        }
+      const responseText = await this.complete(prompt, {
+        temperature: this.config.suggestionTemperature,
+        topP: 0.9,
+        maxTokens: 500
       });
-
-      const responseText = response.data.response;
       console.log('LLM Suggestions Response:', responseText);
 
       try {
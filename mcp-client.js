@@ -0,0 +1,133 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { CallToolResultSchema, ErrorCode, GetPromptResultSchema, ListToolsResultSchema } from '@modelcontextprotocol/sdk/types.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Requests fail with 503 while the server is down, so callers can tell an outage from a bad request
+function serverGoneError(method) {
+  const error = new Error(`MCP server is not running; ${method} was not answered`);
+  error.status = 503;
+  error.code = 'UPSTREAM_UNAVAILABLE';
+  return error;
+}
+
+function timeoutError(method, timeout) {
+  const error = new Error(`MCP request ${method} timed out after ${timeout}ms`);
+  error.status = 504;
+  error.code = 'TIMEOUT';
+  return error;
+}
+
+// Remembers how the server process exited, which the SDK transport does not report
+class TrackingStdioTransport extends StdioClientTransport {
+  async start() {
+    await super.start();
+    this._process.once('exit', (code, signal) => {
+      this.exitStatus = signal ? `signal ${signal}` : `code ${code}`;
+    });
+  }
+}
+
+/**
+ * JSON-RPC client for the MCP server, built on the MCP SDK client over stdio.
+ * Responses are matched to their requests by id, JSON-RPC errors reject the call,
+ * and every call has a timeout and can be cancelled with an AbortSignal.
+ */
+class MCPClient {
+  constructor({ command, args = [], env = process.env, timeout = DEFAULT_TIMEOUT_MS }) {
+    this.serverParams = { command, args, env };
+    this.timeout = timeout;
+    this.client = null;
+    this.transport = null;
+    this.onclose = null;
+  }
+
+  get connected() {
+    return this.client !== null;
+  }
+
+  get pid() {
+    return this.transport?.pid ?? null;
+  }
+
+  /**
+   * Spawn the server and complete the MCP initialize handshake
+   */
+  async connect() {
+    if (this.client) return;
+
+    const transport = new TrackingStdioTransport(this.serverParams);
+    const client = new Client({ name: 'mcp-http-bridge', version: '1.0.0' });
+
+    // Pending requests are rejected by the SDK when the connection closes
+    client.onclose = () => {
+      if (this.client === client) {
+        this.client = null;
+        this.transport = null;
+      }
+      this.onclose?.(transport.exitStatus ? `exited with ${transport.exitStatus}` : 'connection closed');
+    };
+    client.onerror = (error) => {
+      console.error('MCP client error:', error.message);
+    };
+
+    this.transport = transport;
+    try {
+      await client.connect(transport);
+    } catch (error) {
+      this.transport = null;
+      await client.close().catch(() => {});
+      throw new Error(`Failed to connect to MCP server: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+
+    this.client = client;
+  }
+
+  async close() {
+    const client = this.client;
+    this.client = null;
+    this.transport = null;
+    await client?.close();
+  }
+
+  /**
+   * Send a request and wait for its result, rejecting on a JSON-RPC error, after `timeout` ms,
+   * or when `signal` aborts. The SDK cancels abandoned requests on the server.
+   */
+  async request(method, params, resultSchema, { timeout = this.timeout, signal } = {}) {
+    const { client } = this;
+    if (!client) {
+      throw serverGoneError(method);
+    }
+    if (signal?.aborted) {
+      throw new Error(`MCP request ${method} was cancelled`);
+    }
+
+    try {
+      return await client.request({ method, params }, resultSchema, { timeout, signal });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw new Error(`MCP request ${method} was cancelled`);
+      }
+      if (error.code === ErrorCode.RequestTimeout) {
+        throw timeoutError(method, timeout);
+      }
+      throw error.code === ErrorCode.ConnectionClosed ? serverGoneError(method) : error;
+    }
+  }
+
+  listTools(options) {
+    return this.request('tools/list', {}, ListToolsResultSchema, options);
+  }
+
+  callTool(name, args, options) {
+    return this.request('tools/call', { name, arguments: args }, CallToolResultSchema, options);
+  }
+
+  getPrompt(name, args, options) {
+    return this.request('prompts/get', { name, arguments: args }, GetPromptResultSchema, options);
+  }
+}
+
+export default MCPClient;
@@ -1,8 +1,12 @@
 import express from 'express';
-import { spawn } from 'child_process';
 import cors from 'cors';
 import path from 'path';
 import LLMQueryProcessor from './llm-query-processor.js';
+import MCPSupervisor from './mcp-supervisor.js';
+import { ConversationSessions } from './conversation-sessions.js';
+import { UserStore } from 'yahoo-finance-mcp/user-store';
+import { alertRuleFromFields, evaluateAlert, indicatorValue, parseAlertRule, quoteValue } from 'yahoo-finance-mcp/alerts';
+import { isRetryable } from 'yahoo-finance-mcp/errors';
 
 // Helper function to extract stock symbol from message using dynamic search
 async function extractSymbol(message) {
@@ -49,22 +53,12 @@ async function extractSymbol(message) {
         // Use the search_symbols tool to find the symbol dynamically
         try {
           const searchQuery = companyNames[0]; // Use the first company name found
-          const searchRequest = {
-            jsonrpc: '2.0',
-            id: Date.now(),
-            method: 'tools/call',
-            params: {
-              name: 'search_symbols',
-              arguments: { query: searchQuery }
-            }
-          };
+          const result = await mcpServer.callTool('search_symbols', { query: searchQuery });
           
-          const response = await sendToMCP(searchRequest);
-          
-          if (response.result && response.result.content && response.result.content[0]) {
-            const searchResults = JSON.parse(response.result.content[0].text);
+          if (!result.isError) {
+            const searchResults = toolData(result);
             
-            if (searchResults && searchResults.length > 0) {
+            if (searchResults.length > 0) {
               // Find the best match (prefer stocks over other instruments)
               const stockResult = searchResults.find(r => 
                 r.quoteType === 'EQUITY' || r.quoteType === 'STOCK'
@@ -118,8 +112,12 @@ const PORT = 3001;
 app.use(cors());
 app.use(express.json());
 
-// Store MCP server process
-let mcpProcess = null;
+// The MCP server, spawned over stdio and restarted if it exits; tools are rediscovered on every start
+const mcpServer = new MCPSupervisor({
+  command: 'node',
+  args: [path.join(process.cwd(), 'yahoo-finance-mcp', 'dist', 'index.js')],
+  timeout: Number(process.env.MCP_REQUEST_TIMEOUT_MS) || 30000
+}, { onReady: registerTools });
 
 // Cache for available tools and their capabilities
 let availableTools = new Map();
@@ -128,78 +126,44 @@ let toolCapabilities = new Map();
 // Initialize LLM Query Processor
 const llmProcessor = new LLMQueryProcessor();
 
-// Start MCP server
-function startMCPServer() {
-  console.log('Starting MCP server...');
-  
-  mcpProcess = spawn('node', ['dist/index.js'], {
-    cwd: path.join(process.cwd(), 'yahoo-finance-mcp'),
-    stdio: ['pipe', 'pipe', 'pipe']
-  });
-
-  mcpProcess.stdout.on('data', (data) => {
-    console.log('MCP Server:', data.toString());
-  });
+// Saved watchlists and portfolios; the MCP server reads and writes the same file
+const userStore = new UserStore();
 
-  mcpProcess.stderr.on('data', (data) => {
-    console.error('MCP Server Error:', data.toString());
-  });
-
-  mcpProcess.on('close', (code) => {
-    console.log(`MCP server process exited with code ${code}`);
-  });
-
-  mcpProcess.on('error', (err) => {
-    console.error('Failed to start MCP server:', err);
-  });
-
-  // Discover available tools after a short delay
-  setTimeout(async () => {
-    try {
-      await discoverAvailableTools();
-    } catch (error) {
-      console.error('Failed to discover tools on startup:', error);
-    }
-  }, 2000);
-}
+// Conversations with /analyze, keyed by the session id the client sends with each message
+const sessions = new ConversationSessions();
 
 // Discover available tools from MCP server
 async function discoverAvailableTools() {
   try {
-    const toolsRequest = {
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method: 'tools/list',
-      params: {}
-    };
-
-    const response = await sendToMCP(toolsRequest);
-    const tools = response.result?.tools || [];
-
-    // Cache tools and their capabilities
-    availableTools.clear();
-    toolCapabilities.clear();
-
-    for (const tool of tools) {
-      availableTools.set(tool.name, tool);
-      
-      // Extract capabilities from tool description and name
-      const capabilities = extractToolCapabilities(tool);
-      toolCapabilities.set(tool.name, capabilities);
-    }
-
-    console.log(`Discovered ${tools.length} available tools:`, Array.from(availableTools.keys()));
-    
-    // Initialize LLM processor with available tools
-    await llmProcessor.initialize(availableTools, toolCapabilities);
-    
-    return tools;
+    const { tools = [] } = await mcpServer.listTools();
+    return await registerTools(tools);
   } catch (error) {
     console.error('Failed to discover tools:', error);
     return [];
   }
 }
 
+// Cache tools and their capabilities, and hand them to the LLM processor
+async function registerTools(tools) {
+  availableTools.clear();
+  toolCapabilities.clear();
+
+  for (const tool of tools) {
+    availableTools.set(tool.name, tool);
+    
+    // Extract capabilities from tool description and name
+    const capabilities = extractToolCapabilities(tool);
+    toolCapabilities.set(tool.name, capabilities);
+  }
+
+  console.log(`Discovered ${tools.length} available tools:`, Array.from(availableTools.keys()));
+  
+  // Initialize LLM processor with available tools
+  await llmProcessor.initialize(availableTools, toolCapabilities);
+  
+  return tools;
+}
+
 // Extract capabilities from tool metadata
 function extractToolCapabilities(tool) {
   const name = tool.name.toLowerCase();
@@ -230,6 +194,13 @@ function extractToolCapabilities(tool) {
 
   // Determine category
   if (name.includes('trending')) capabilities.category = 'trending';
+  else if (name === 'get_quotes' || name === 'get_watchlist_quotes') capabilities.category = 'batch_quotes';
+  else if (name.includes('watchlist')) capabilities.category = 'watchlists';
+  else if (name.includes('indicators')) capabilities.category = 'indicators';
+  else if (name.includes('backtest')) capabilities.category = 'backtest';
+  else if (name === 'analyze_portfolio') capabilities.category = 'portfolio_analysis';
+  else if (name.includes('portfolio')) capabilities.category = 'portfolios';
+  else if (name.includes('alert')) capabilities.category = 'alerts';
   else if (name.includes('quote') || name.includes('price')) capabilities.category = 'quotes';
   else if (name.includes('historical')) capabilities.category = 'historical_chart';
   else if (name.includes('chart')) capabilities.category = 'chart_data';
@@ -237,64 +208,79 @@ function extractToolCapabilities(tool) {
   else if (name.includes('search')) capabilities.category = 'search';
   else if (name.includes('etf')) capabilities.category = 'etfs';
   else if (name.includes('gainer')) capabilities.category = 'gainers';
+  else if (name.includes('news')) capabilities.category = 'news';
+  else if (name.includes('recommendations')) capabilities.category = 'recommendations';
+  else if (name.includes('financials') || name.includes('fundamentals')) capabilities.category = 'fundamentals';
+  else if (name.includes('options')) capabilities.category = 'options';
 
   return capabilities;
 }
 
-// Send message to MCP server
-function sendToMCP(message) {
-  return new Promise((resolve, reject) => {
-    if (!mcpProcess) {
-      reject(new Error('MCP server not running'));
-      return;
-    }
+// Cancel the MCP call behind a request when its client goes away before the answer is sent
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
 
-    let responseData = '';
-    let errorData = '';
-    let responseReceived = false;
+// Structured data of a tool result; lists arrive as { items } because structured content must be an object
+function toolData(result) {
+  const data = result.structuredContent || {};
+  return Array.isArray(data.items) && Object.keys(data).length === 1 ? data.items : data;
+}
 
-    const timeout = setTimeout(() => {
-      if (!responseReceived) {
-        reject(new Error('MCP server timeout'));
-      }
-    }, 30000);
+// Text of a tool result: a short summary on success, the error message on failure
+function toolText(result) {
+  return result.content?.find(c => c.type === 'text')?.text || '';
+}
 
-    const onData = (data) => {
-      const dataStr = data.toString();
-      responseData += dataStr;
-      
-      // Look for complete JSON responses
-      const lines = dataStr.split('\n');
-      for (const line of lines) {
-        const trimmedLine = line.trim();
-        if (trimmedLine.startsWith('{') && trimmedLine.includes('"result"')) {
-          try {
-            const response = JSON.parse(trimmedLine);
-            if (response.result) {
-              responseReceived = true;
-              clearTimeout(timeout);
-              mcpProcess.stdout.removeListener('data', onData);
-              mcpProcess.stderr.removeListener('data', onError);
-              resolve(response);
-              return;
-            }
-          } catch (err) {
-            // Continue looking for valid JSON
-          }
-        }
-      }
-    };
+// HTTP status for each error code the MCP server reports
+const ERROR_STATUS = {
+  INVALID_SYMBOL: 404,
+  NO_DATA: 404,
+  VALIDATION_FAILED: 400,
+  UPSTREAM_RATE_LIMITED: 429,
+  UPSTREAM_UNAVAILABLE: 502,
+  TIMEOUT: 504,
+  INTERNAL_ERROR: 500
+};
 
-    const onError = (data) => {
-      errorData += data.toString();
-    };
+// Error for a failed tool result, carrying the server's error code
+function toolError(name, result) {
+  const { code, message } = result._meta?.error || {};
+  const error = new Error(message || toolText(result).replace(/^Error:\s*/, '') || `Tool ${name} failed`);
+  error.code = code;
+  error.status = ERROR_STATUS[code] || 502;
+  return error;
+}
 
-    mcpProcess.stdout.on('data', onData);
-    mcpProcess.stderr.on('data', onError);
+// Error details for a response body; errors raised in the bridge itself have no code
+function errorData(error) {
+  return { code: error.code || null, message: error.message, retryable: Boolean(error.code && isRetryable(error.code)) };
+}
 
-    // Send message to MCP server
-    mcpProcess.stdin.write(JSON.stringify(message) + '\n');
-  });
+// Error widget for a tool that ran but failed
+function toolFailureResponse(name, result) {
+  const error = toolError(name, result);
+  return {
+    content: `${name} failed: ${error.message}`,
+    code: error.code || null,
+    data: errorData(error),
+    widgetType: 'error'
+  };
+}
+
+// Error widget for a request that failed before producing a result
+function failureResponse(content, error) {
+  return {
+    error: error.message,
+    code: error.code || null,
+    content,
+    data: errorData(error),
+    widgetType: 'error'
+  };
 }
 
 // Routes
@@ -304,21 +290,7 @@ app.post('/prompt', async (req, res) => {
     
     console.log(`Executing prompt: ${name} with args:`, args);
     
-    // Create MCP request for prompt
-    const mcpRequest = {
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method: 'prompts/get',
-      params: {
-        name: name,
-        arguments: args
-      }
-    };
-
-    const response = await sendToMCP(mcpRequest);
-    
-    // Parse the response and format for the client
-    const result = response.result || response;
+    const result = await mcpServer.getPrompt(name, args, { signal: abortOnDisconnect(res) });
     
     res.json({
       content: result.content || result.message || 'Prompt executed successfully',
@@ -328,12 +300,7 @@ app.post('/prompt', async (req, res) => {
     
   } catch (error) {
     console.error('Error executing prompt:', error);
-    res.status(500).json({
-      error: error.message,
-      content: 'Failed to execute prompt',
-      data: {},
-      widgetType: 'error'
-    });
+    res.status(error.status || 500).json(failureResponse('Failed to execute prompt', error));
   }
 });
 
@@ -343,55 +310,22 @@ app.post('/tool', async (req, res) => {
     
     console.log(`Executing tool: ${name} with args:`, args);
     
-    // Create MCP request for tool
-    const mcpRequest = {
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method: 'tools/call',
-      params: {
-        name: name,
-        arguments: args
-      }
-    };
-
-    const response = await sendToMCP(mcpRequest);
+    const result = await mcpServer.callTool(name, args, { signal: abortOnDisconnect(res) });
     
-    // Parse the response and format for the client
-    const result = response.result || response;
-    
-    // Extract financial data from the MCP response
-    let financialData = {};
-    let content = 'Tool executed successfully';
-    
-    if (result.content && Array.isArray(result.content)) {
-      for (const item of result.content) {
-        if (item.type === 'text' && item.text) {
-          try {
-            const parsedData = JSON.parse(item.text);
-            financialData = parsedData;
-            content = `Current ${name} data for ${parsedData.symbol || 'stock'}`;
-            break;
-          } catch (err) {
-            content = item.text;
-          }
-        }
-      }
+    if (result.isError) {
+      res.json(toolFailureResponse(name, result));
+      return;
     }
     
     res.json({
-      content: content,
-      data: financialData,
+      content: toolText(result) || 'Tool executed successfully',
+      data: toolData(result),
       widgetType: determineWidgetType(name)
     });
     
   } catch (error) {
     console.error('Error executing tool:', error);
-    res.status(500).json({
-      error: error.message,
-      content: 'Failed to execute tool',
-      data: {},
-      widgetType: 'error'
-    });
+    res.status(error.status || 500).json(failureResponse('Failed to execute tool', error));
   }
 });
 
@@ -518,20 +452,45 @@ async function findBestTool(message) {
 // Analyze endpoint with dynamic routing and fallbacks
 app.post('/analyze', async (req, res) => {
   try {
-    const { message } = req.body;
+    const { message: originalMessage, sessionId } = req.body;
     
-    console.log(`Analyzing message: ${message}`);
+    console.log(`Analyzing message: ${originalMessage}`);
+    
+    // Rewrite a follow-up such as "what about its P/E?" to stand on its own, from what the session last referred to
+    const session = typeof sessionId === 'string' && sessionId ? sessions.get(sessionId) : null;
+    const followUp = session ? llmProcessor.resolveFollowUp(originalMessage, session.context) : null;
+    const message = followUp?.message || originalMessage;
+    const history = session?.history() || [];
+    const range = llmProcessor.extractTimeRange(message);
+    const conversation = session ? { sessionId: session.id, ...(followUp ? { followUp: { original: originalMessage, resolved: message } } : {}) } : {};
+    if (followUp) {
+      console.log(`Follow-up resolved as: ${message}`);
+    }
     
     // Discover tools if not already cached
     if (availableTools.size === 0) {
       await discoverAvailableTools();
     }
     
-    // Use LLM to intelligently process the query
-    const llmResult = await llmProcessor.processQuery(message);
-    const { tool, parameters, reasoning, confidence, source } = llmResult;
+    const signal = abortOnDisconnect(res);
     
-    console.log(`LLM selected tool: ${tool} (confidence: ${confidence}, source: ${source})`);
+    // Let the model chain as many tool calls as the question needs when one is available. The agent only
+    // reads, so a request to change saved data goes straight to the single routed call below
+    const agentResult = llmProcessor.requestsWrite(message)
+      ? null
+      : await llmProcessor.runAgent(message, agentToolCall, { signal, history });
+    if (agentResult) {
+      const response = await agentResponse(message, agentResult);
+      session?.record({ message: originalMessage, query: message, calls: agentResult.steps, answer: response.content, range });
+      res.json({ ...response, ...conversation });
+      return;
+    }
+    
+    // Otherwise route the message to a single tool
+    const llmResult = await llmProcessor.processQuery(message, { history, executeTool: (name, args) => routedToolCall(name, args, signal) });
+    const { tool, parameters, reasoning, confidence, attempts, source, outcome } = llmResult;
+    
+    console.log(`LLM selected tool: ${tool} (${source === 'llm' ? `attempts: ${attempts}` : `confidence: ${confidence}`}, source: ${source})`);
     console.log(`Reasoning: ${reasoning}`);
     
     // Define fallbacks based on tool type
@@ -573,6 +532,12 @@ app.post('/analyze', async (req, res) => {
             });
           }
           toolArgs.symbol = symbol;
+        } else if (param === 'positions') {
+          const positions = llmProcessor.extractPositions(message);
+          if (positions.length === 0) {
+            return res.json(noPositionsResponse(message));
+          }
+          toolArgs.positions = positions;
         } else if (param === 'count') {
           const countMatch = message.match(/(\d+)/);
           toolArgs.count = countMatch ? parseInt(countMatch[1]) : 5;
@@ -587,50 +552,52 @@ app.post('/analyze', async (req, res) => {
       }
     }
     
-    // Try the primary tool with fallbacks
-    let mcpRequest = {
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method: 'tools/call',
-      params: {
-        name: tool,
-        arguments: toolArgs
+    // analyze_portfolio takes either inline positions or a saved portfolio name
+    if (tool === 'analyze_portfolio' && !toolArgs.positions && !toolArgs.portfolio) {
+      const positions = llmProcessor.extractPositions(message);
+      if (positions.length === 0) {
+        return res.json(noPositionsResponse(message));
       }
-    };
+      toolArgs.positions = positions;
+    }
+    
+    // Try the primary tool with fallbacks
+    const toolCall = { name: tool, arguments: toolArgs };
     
-    let response;
+    let result;
     let lastError;
     
-    // Try primary tool first
+    // Try primary tool first, unless the model's call was already made with these arguments
+    const routed = outcome?.result && JSON.stringify(toolArgs) === JSON.stringify(parameters) ? outcome.result : null;
     try {
-      response = await sendToMCP(mcpRequest);
+      result = routed || await mcpServer.callTool(toolCall.name, toolCall.arguments, { signal });
       
-      // Check if response indicates an error
-      if (response.result?.content?.[0]?.text?.includes('Error:')) {
-        throw new Error('Tool returned error');
+      if (result.isError) {
+        throw toolError(tool, result);
       }
       
     } catch (error) {
       console.warn(`Primary tool ${tool} failed:`, error.message);
       lastError = error;
       
-      // Try fallback tools
-      for (const fallbackTool of fallbacks) {
+      // Try fallback tools; they cannot help with arguments the server rejected
+      for (const fallbackTool of error.code === 'VALIDATION_FAILED' ? [] : fallbacks) {
         try {
           console.log(`Trying fallback tool: ${fallbackTool}`);
           
-          mcpRequest.params.name = fallbackTool;
+          toolCall.name = fallbackTool;
           // Adjust arguments for fallback tool
           if (fallbackTool === 'search_symbols') {
-            mcpRequest.params.arguments = { query: message.trim() };
+            toolCall.arguments = { query: message.trim() };
           }
           
-          response = await sendToMCP(mcpRequest);
+          result = await mcpServer.callTool(toolCall.name, toolCall.arguments, { signal });
           
-          if (!response.result?.content?.[0]?.text?.includes('Error:')) {
+          if (!result.isError) {
             console.log(`Fallback tool ${fallbackTool} succeeded`);
             break;
           }
+          lastError = toolError(fallbackTool, result);
         } catch (fallbackError) {
           console.warn(`Fallback tool ${fallbackTool} failed:`, fallbackError.message);
           lastError = fallbackError;
@@ -638,61 +605,36 @@ app.post('/analyze', async (req, res) => {
       }
     }
     
-    if (!response) {
+    if (!result) {
       throw lastError || new Error('All tools failed');
     }
-    
-    // Parse the response and format for the client
-    const result = response.result || response;
-    
-    // Extract financial data from the MCP response
-    let financialData = {};
-    let widgetType = 'general';
-    
-    // Determine widget type based on the tool name from the request
-    if (mcpRequest && mcpRequest.params && mcpRequest.params.name) {
-      const toolName = mcpRequest.params.name;
-      const capabilities = toolCapabilities.get(toolName);
-      
-      if (capabilities) {
-        // Use category from capabilities
-        widgetType = capabilities.category;
-      } else {
-        // Fallback to static mapping for unknown tools
-        const toolToWidgetMap = {
-          'get_insights': 'insights',
-          'get_chart': 'chart_data',
-          'get_quote_summary': 'quote_summary',
-          'get_fundamentals_timeseries': 'fundamentals',
-          'fundamentals_analysis': 'fundamentals',
-          'get_trending_symbols': 'trending_symbols',
-          'get_daily_gainers': 'gainers',
-          'get_screener': 'screener',
-          'get_autoc': 'autoc',
-          'get_trending_etfs': 'etfs',
-          'get_trending_stocks': 'trending',
-          'get_quote': 'quotes',
-          'get_historical_data': 'historical_chart',
-          'search_symbols': 'search'
-        };
-        widgetType = toolToWidgetMap[toolName] || 'general';
-      }
+    if (result.isError) {
+      const failure = toolFailureResponse(toolCall.name, result);
+      session?.record({ message: originalMessage, query: message, answer: failure.content, range });
+      res.json({ ...failure, ...conversation, query: message, toolUsed: toolCall.name });
+      return;
     }
     
-    if (result.content && Array.isArray(result.content)) {
-      const textContent = result.content.find(c => c.type === 'text');
-      if (textContent && textContent.text) {
-        try {
-          financialData = JSON.parse(textContent.text);
-        } catch (e) {
-          financialData = { message: textContent.text };
-        }
-      }
-    }
+    const widgetType = analyzeWidgetType(toolCall.name);
+    const data = toolData(result);
+    const answer = await llmProcessor.synthesizeAnswer(message, {
+      results: [{ tool: toolCall.name, arguments: toolCall.arguments, data, text: toolText(result) }],
+      failures: toolCall.name === tool ? [] : [{ tool, error: { message: lastError.message } }]
+    });
+    
+    session?.record({
+      message: originalMessage,
+      query: message,
+      calls: [{ tool: toolCall.name, arguments: toolCall.arguments, data }],
+      answer: answer.summary,
+      range
+    });
     
     res.json({
-      content: `Analysis completed for: ${message}`,
-      data: financialData,
+      ...conversation,
+      content: answer.summary,
+      answer,
+      data,
       widgetType: widgetType,
       query: message,
       toolUsed: tool
@@ -700,15 +642,98 @@ app.post('/analyze', async (req, res) => {
     
   } catch (error) {
     console.error('Error analyzing message:', error);
-    res.status(500).json({
-      error: error.message,
-      content: 'Failed to analyze message',
-      data: {},
-      widgetType: 'error'
-    });
+    res.status(error.status || 500).json({ ...failureResponse('Failed to analyze message', error), query: req.body?.message });
   }
 });
 
+// Widget type for a tool's result in /analyze, from its discovered category or a static mapping for unknown tools
+function analyzeWidgetType(toolName) {
+  const capabilities = toolCapabilities.get(toolName);
+  if (capabilities) {
+    return capabilities.category;
+  }
+  
+  const toolToWidgetMap = {
+    'get_insights': 'insights',
+    'get_chart': 'chart_data',
+    'get_quote_summary': 'quote_summary',
+    'get_fundamentals_timeseries': 'fundamentals',
+    'fundamentals_analysis': 'fundamentals',
+    'get_trending_symbols': 'trending_symbols',
+    'get_daily_gainers': 'gainers',
+    'get_screener': 'screener',
+    'get_autoc': 'autoc',
+    'get_trending_etfs': 'etfs',
+    'get_trending_stocks': 'trending',
+    'get_quote': 'quotes',
+    'get_quotes': 'batch_quotes',
+    'get_historical_data': 'historical_chart',
+    'compute_indicators': 'indicators',
+    'backtest_strategy': 'backtest',
+    'analyze_portfolio': 'portfolio_analysis',
+    'list_watchlists': 'watchlists',
+    'add_to_watchlist': 'watchlists',
+    'remove_from_watchlist': 'watchlists',
+    'get_watchlist_quotes': 'batch_quotes',
+    'list_portfolios': 'portfolios',
+    'save_portfolio': 'portfolios',
+    'create_alert': 'alerts',
+    'list_alerts': 'alerts',
+    'delete_alert': 'alerts',
+    'search_symbols': 'search'
+  };
+  return toolToWidgetMap[toolName] || 'general';
+}
+
+// Run one of the agent's tool calls, resolving to the outcome LLMQueryProcessor.runAgent expects
+async function agentToolCall(name, args, signal) {
+  const result = await mcpServer.callTool(name, args, { signal });
+  if (result.isError) {
+    return { ok: false, error: errorData(toolError(name, result)) };
+  }
+  return { ok: true, data: toolData(result), text: toolText(result) };
+}
+
+// A call routed to a single tool, made while the model can still correct arguments the server rejects
+async function routedToolCall(name, args, signal) {
+  const result = await mcpServer.callTool(name, args, { signal });
+  return result.isError ? { ok: false, error: errorData(toolError(name, result)), result } : { ok: true, result };
+}
+
+// Response for an agent run: one widget per successful tool call, with the first also at the top level,
+// and an answer written from all of their results
+async function agentResponse(message, { answer: draft, steps, trace, stopReason }) {
+  const failures = trace.filter(entry => entry.status === 'error').map(entry => ({ tool: entry.tool, error: { message: entry.error } }));
+  const answer = await llmProcessor.synthesizeAnswer(message, { results: steps, failures, stopReason, draft });
+  const widgets = steps.map(step => ({
+    tool: step.tool,
+    arguments: step.arguments,
+    content: step.text,
+    data: step.data,
+    widgetType: analyzeWidgetType(step.tool)
+  }));
+  const [first] = widgets;
+  return {
+    content: answer.summary,
+    answer,
+    data: first?.data,
+    widgetType: first?.widgetType || 'general',
+    widgets,
+    trace,
+    stopReason,
+    query: message,
+    toolUsed: first?.tool || null
+  };
+}
+
+function noPositionsResponse(message) {
+  return {
+    content: `I couldn't find any positions in your message: "${message}". List each holding with its quantity and cost, like "10 AAPL at 150" or "AAPL:10@150:2023-01-15", or name a saved portfolio.`,
+    data: { error: 'No positions found' },
+    widgetType: 'error'
+  };
+}
+
 // Helper function to determine widget type
 function determineWidgetType(name) {
   const widgetMap = {
@@ -719,13 +744,27 @@ function determineWidgetType(name) {
     'stock_news': 'news',
     'find_stocks': 'search_results',
     'get_quote': 'stock_quote',
+    'get_quotes': 'batch_quotes',
     'get_historical_data': 'historical_chart',
+    'compute_indicators': 'indicators',
+    'backtest_strategy': 'backtest',
+    'analyze_portfolio': 'portfolio_analysis',
+    'list_watchlists': 'watchlists',
+    'add_to_watchlist': 'watchlists',
+    'remove_from_watchlist': 'watchlists',
+    'get_watchlist_quotes': 'batch_quotes',
+    'list_portfolios': 'portfolios',
+    'save_portfolio': 'portfolios',
+    'create_alert': 'alerts',
+    'list_alerts': 'alerts',
+    'delete_alert': 'alerts',
     'search_symbols': 'search_results',
     'get_market_summary': 'market_overview',
     'get_news': 'news',
     'get_recommendations': 'recommendations',
     'get_financials': 'financials',
     'get_options': 'options',
+    'get_options_analytics': 'options',
     'get_trending_stocks': 'trending_stocks',
     'get_trending_etfs': 'trending_etfs'
   };
@@ -736,8 +775,10 @@ function determineWidgetType(name) {
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
-    status: 'ok', 
-    mcpServer: mcpProcess ? 'running' : 'stopped',
+    status: mcpServer.ready ? 'ok' : 'degraded',
+    mcpServer: mcpServer.status(),
+    llm: llmProcessor.status(),
+    sessions: sessions.size,
     timestamp: new Date().toISOString()
   });
 });
@@ -757,6 +798,402 @@ app.get('/tools', (req, res) => {
   });
 });
 
+// A conversation's context and turns, and ending it so the next message starts afresh
+app.get('/sessions/:id', (req, res) => {
+  const session = sessions.find(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: `Session "${req.params.id}" not found` });
+  }
+  res.json(session);
+});
+
+app.delete('/sessions/:id', (req, res) => {
+  res.json({ deleted: sessions.delete(req.params.id) });
+});
+
+// Call an MCP tool and return its structured result, throwing on tool errors
+async function callToolData(name, args) {
+  const result = await mcpServer.callTool(name, args);
+  if (result.isError) {
+    throw toolError(name, result);
+  }
+  return toolData(result);
+}
+
+// Run a store operation, answering invalid input with 400, missing lists with 404 and name clashes with 409;
+// anything else, such as a data file that cannot be read, is a 500
+function storeRoute(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      const status = error.status ||
+        (/not found/.test(error.message) ? 404 : /already exists/.test(error.message) ? 409 : error.code === 'VALIDATION_FAILED' ? 400 : 500);
+      res.status(status).json({ error: error.message });
+    }
+  };
+}
+
+function symbolsFromBody(body) {
+  const symbols = body?.symbols ?? body?.symbol;
+  if (typeof symbols === 'string') return symbols.split(',');
+  if (Array.isArray(symbols)) return symbols;
+  const error = new Error('symbols must be a string or an array of strings');
+  error.status = 400;
+  throw error;
+}
+
+// Watchlists
+app.get('/watchlists', storeRoute((req, res) => {
+  res.json(userStore.listWatchlists());
+}));
+
+app.post('/watchlists', storeRoute(async (req, res) => {
+  const { name, symbols = [] } = req.body || {};
+  res.status(201).json(await userStore.createWatchlist(name, symbolsFromBody({ symbols })));
+}));
+
+app.get('/watchlists/:name', storeRoute((req, res) => {
+  const watchlist = userStore.getWatchlist(req.params.name);
+  if (!watchlist) {
+    throw new Error(`Watchlist "${req.params.name}" not found`);
+  }
+  res.json(watchlist);
+}));
+
+app.put('/watchlists/:name', storeRoute(async (req, res) => {
+  res.json(await userStore.setWatchlistSymbols(req.params.name, symbolsFromBody(req.body)));
+}));
+
+app.delete('/watchlists/:name', storeRoute(async (req, res) => {
+  if (!(await userStore.deleteWatchlist(req.params.name))) {
+    throw new Error(`Watchlist "${req.params.name}" not found`);
+  }
+  res.status(204).end();
+}));
+
+app.post('/watchlists/:name/symbols', storeRoute(async (req, res) => {
+  res.json(await userStore.addToWatchlist(req.params.name, symbolsFromBody(req.body)));
+}));
+
+app.delete('/watchlists/:name/symbols/:symbol', storeRoute(async (req, res) => {
+  res.json(await userStore.removeFromWatchlist(req.params.name, [req.params.symbol]));
+}));
+
+app.get('/watchlists/:name/quotes', storeRoute(async (req, res) => {
+  res.json(await callToolData('get_watchlist_quotes', { watchlist: req.params.name }));
+}));
+
+// Portfolios
+app.get('/portfolios', storeRoute((req, res) => {
+  res.json(userStore.listPortfolios());
+}));
+
+app.post('/portfolios', storeRoute(async (req, res) => {
+  const { name, positions } = req.body || {};
+  if (userStore.getPortfolio(name || '')) {
+    throw new Error(`Portfolio "${name}" already exists`);
+  }
+  res.status(201).json(await userStore.savePortfolio(name, positions));
+}));
+
+app.get('/portfolios/:name', storeRoute((req, res) => {
+  const portfolio = userStore.getPortfolio(req.params.name);
+  if (!portfolio) {
+    throw new Error(`Portfolio "${req.params.name}" not found`);
+  }
+  res.json(portfolio);
+}));
+
+app.put('/portfolios/:name', storeRoute(async (req, res) => {
+  if (!userStore.getPortfolio(req.params.name)) {
+    throw new Error(`Portfolio "${req.params.name}" not found`);
+  }
+  res.json(await userStore.savePortfolio(req.params.name, req.body?.positions));
+}));
+
+app.delete('/portfolios/:name', storeRoute(async (req, res) => {
+  if (!(await userStore.deletePortfolio(req.params.name))) {
+    throw new Error(`Portfolio "${req.params.name}" not found`);
+  }
+  res.status(204).end();
+}));
+
+app.get('/portfolios/:name/analysis', storeRoute(async (req, res) => {
+  res.json(await callToolData('analyze_portfolio', { portfolio: req.params.name }));
+}));
+
+// Write one server-sent event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Open a server-sent events response, removing it with onClose when the client goes away
+function openEventStream(req, res, onClose) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+  req.on('close', onClose);
+}
+
+// Alerts
+const ALERT_CHECK_INTERVAL_MS = Number(process.env.ALERT_CHECK_INTERVAL_MS) || 60000;
+
+// Clients listening on /alerts/events for triggered alerts
+const alertSubscribers = new Set();
+
+function broadcastAlert(trigger) {
+  console.log(`Alert triggered: ${trigger.message}`);
+  for (const subscriber of alertSubscribers) {
+    sendEvent(subscriber, 'alert', trigger);
+  }
+}
+
+// Current value an alert watches: a quote field, or the latest point of an indicator over the last year of daily bars
+async function currentAlertValue(alert, quotes, indicatorCache) {
+  if (alert.rule.type !== 'indicator') {
+    const quote = quotes.get(alert.symbol);
+    if (quote instanceof Error) throw quote;
+    return quoteValue(alert.rule, quote);
+  }
+
+  const spec = { type: alert.rule.indicator, ...(alert.rule.params ? { params: alert.rule.params } : {}) };
+  const key = `${alert.symbol}:${JSON.stringify(spec)}`;
+  if (!indicatorCache.has(key)) {
+    const period1 = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    indicatorCache.set(key, await callToolData('compute_indicators', { symbol: alert.symbol, period1, indicators: [spec] }));
+  }
+  return indicatorValue(alert.rule, indicatorCache.get(key));
+}
+
+async function runAlertCheck() {
+  const alerts = userStore.listAlerts().filter(alert => alert.status === 'active');
+  if (alerts.length === 0) {
+    return { checked: 0, triggers: [] };
+  }
+
+  // One batch quote call covers every price and change alert
+  const quotes = new Map();
+  const quoteSymbols = [...new Set(alerts.filter(alert => alert.rule.type !== 'indicator').map(alert => alert.symbol))];
+  if (quoteSymbols.length > 0) {
+    try {
+      const result = await callToolData('get_quotes', { symbols: quoteSymbols });
+      for (const quote of result.quotes || []) quotes.set(quote.symbol, quote);
+      for (const { symbol, error } of result.errors || []) quotes.set(symbol, new Error(error));
+    } catch (error) {
+      for (const symbol of quoteSymbols) quotes.set(symbol, error);
+    }
+  }
+
+  const indicatorCache = new Map();
+  const results = [];
+  const triggers = [];
+  for (const alert of alerts) {
+    try {
+      const value = await currentAlertValue(alert, quotes, indicatorCache);
+      if (value === null) {
+        throw new Error(`No current value for ${alert.symbol}`);
+      }
+      const { alert: updated, trigger } = evaluateAlert(alert, value);
+      results.push(updated);
+      if (trigger) triggers.push(trigger);
+    } catch (error) {
+      results.push({ ...alert, lastCheckedAt: new Date().toISOString(), lastError: error.message });
+    }
+  }
+
+  const recorded = await userStore.recordAlertResults(results, triggers);
+  recorded.forEach(broadcastAlert);
+  return { checked: alerts.length, triggers: recorded };
+}
+
+// Overlapping passes could both see the same crossing, so a check requested mid-pass waits for that pass
+let alertCheckInProgress = null;
+function checkAlerts() {
+  if (!alertCheckInProgress) {
+    alertCheckInProgress = runAlertCheck()
+      .catch(error => {
+        console.error('Alert check failed:', error);
+        return { checked: 0, triggers: [], error: error.message };
+      })
+      .finally(() => {
+        alertCheckInProgress = null;
+      });
+  }
+  return alertCheckInProgress;
+}
+
+app.get('/alerts', storeRoute((req, res) => {
+  const { status, symbol } = req.query;
+  res.json(userStore.listAlerts()
+    .filter(alert => !status || alert.status === status)
+    .filter(alert => !symbol || alert.symbol === String(symbol).toUpperCase()));
+}));
+
+app.post('/alerts', storeRoute(async (req, res) => {
+  const { rule, symbol, repeat, ...fields } = req.body || {};
+  const parsed = typeof rule === 'string' ? parseAlertRule(rule) : { symbol, rule: alertRuleFromFields(fields) };
+  res.status(201).json(await userStore.createAlert(parsed.symbol, parsed.rule, repeat));
+}));
+
+app.get('/alerts/history', storeRoute((req, res) => {
+  res.json(userStore.getAlertHistory(req.query.alertId, Number(req.query.limit) || 50));
+}));
+
+// Server-sent events: one `alert` event per trigger
+app.get('/alerts/events', (req, res) => {
+  openEventStream(req, res, () => alertSubscribers.delete(res));
+  alertSubscribers.add(res);
+});
+
+app.post('/alerts/check', storeRoute(async (req, res) => {
+  res.json(await checkAlerts());
+}));
+
+app.get('/alerts/:id', storeRoute((req, res) => {
+  const alert = userStore.getAlert(req.params.id);
+  if (!alert) {
+    throw new Error(`Alert "${req.params.id}" not found`);
+  }
+  res.json({ ...alert, history: userStore.getAlertHistory(alert.id) });
+}));
+
+app.post('/alerts/:id/rearm', storeRoute(async (req, res) => {
+  res.json(await userStore.rearmAlert(req.params.id));
+}));
+
+app.delete('/alerts/:id', storeRoute(async (req, res) => {
+  if (!(await userStore.deleteAlert(req.params.id))) {
+    throw new Error(`Alert "${req.params.id}" not found`);
+  }
+  res.status(204).end();
+}));
+
+// Live quotes
+// Matches the quote cache lifetime in the MCP server while the market is open, so each poll sees fresh prices
+const QUOTE_STREAM_INTERVAL_MS = Number(process.env.QUOTE_STREAM_INTERVAL_MS) || 15000;
+const MAX_STREAM_SYMBOLS = 50;
+const STREAMED_QUOTE_FIELDS = [
+  'regularMarketPrice',
+  'regularMarketChange',
+  'regularMarketChangePercent',
+  'regularMarketVolume',
+  'regularMarketDayHigh',
+  'regularMarketDayLow',
+  'regularMarketTime',
+  'marketState',
+  'marketCap'
+];
+
+// Open /quotes/stream responses and the symbols each one follows
+const quoteStreams = new Map();
+// Fields last pushed for each followed symbol, so a poll only sends what changed
+const streamedQuotes = new Map();
+let quoteStreamTimer = null;
+let quotePollInProgress = null;
+// Symbols the running poll fetches, and whether symbols followed since it started need a poll of their own
+let quotePollSymbols = new Set();
+let quotePollQueued = false;
+
+function followedSymbols() {
+  return new Set([...quoteStreams.values()].flatMap(symbols => [...symbols]));
+}
+
+async function runQuotePoll(symbols) {
+  if (symbols.length === 0) return;
+
+  const asOf = new Date().toISOString();
+  try {
+    const { quotes = [], errors = [] } = await callToolData('get_quotes', { symbols });
+    const deltas = new Map();
+    for (const quote of quotes) {
+      const previous = streamedQuotes.get(quote.symbol) || {};
+      const current = Object.fromEntries(STREAMED_QUOTE_FIELDS.filter(field => quote[field] !== undefined).map(field => [field, quote[field]]));
+      const changed = Object.entries(current).filter(([field, value]) => previous[field] !== value);
+      streamedQuotes.set(quote.symbol, current);
+      if (changed.length > 0) {
+        deltas.set(quote.symbol, { symbol: quote.symbol, ...Object.fromEntries(changed) });
+      }
+    }
+
+    // Every stream gets an event each poll, even with no changes, so clients can tell live from stale
+    for (const [res, followed] of quoteStreams) {
+      sendEvent(res, 'quotes', {
+        asOf,
+        quotes: [...followed].filter(symbol => deltas.has(symbol)).map(symbol => deltas.get(symbol)),
+        errors: errors.filter(({ symbol }) => followed.has(symbol))
+      });
+    }
+  } catch (error) {
+    console.error('Quote stream poll failed:', error.message);
+    for (const res of quoteStreams.keys()) {
+      sendEvent(res, 'stale', { asOf, error: error.message });
+    }
+  }
+}
+
+function pollStreamedQuotes() {
+  if (quotePollInProgress) {
+    // A stream that connected mid-poll would otherwise wait a full interval for its first quotes
+    if ([...followedSymbols()].some(symbol => !quotePollSymbols.has(symbol))) {
+      quotePollQueued = true;
+    }
+    return quotePollInProgress;
+  }
+  quotePollSymbols = followedSymbols();
+  quotePollInProgress = runQuotePoll([...quotePollSymbols]).finally(() => {
+    quotePollInProgress = null;
+    if (quotePollQueued) {
+      quotePollQueued = false;
+      pollStreamedQuotes();
+    }
+  });
+  return quotePollInProgress;
+}
+
+// Server-sent events: a `snapshot` of known quotes on connect, then `quotes` deltas every poll
+app.get('/quotes/stream', (req, res) => {
+  const symbols = new Set(String(req.query.symbols || '')
+    .split(',')
+    .map(symbol => symbol.trim().toUpperCase())
+    .filter(Boolean));
+  if (symbols.size === 0 || symbols.size > MAX_STREAM_SYMBOLS) {
+    return res.status(400).json({ error: `symbols must list between 1 and ${MAX_STREAM_SYMBOLS} symbols` });
+  }
+
+  openEventStream(req, res, () => {
+    quoteStreams.delete(res);
+    const stillFollowed = followedSymbols();
+    for (const symbol of streamedQuotes.keys()) {
+      if (!stillFollowed.has(symbol)) streamedQuotes.delete(symbol);
+    }
+    if (quoteStreams.size === 0) {
+      clearInterval(quoteStreamTimer);
+      quoteStreamTimer = null;
+    }
+  });
+  quoteStreams.set(res, symbols);
+
+  sendEvent(res, 'ready', { symbols: [...symbols], interval: QUOTE_STREAM_INTERVAL_MS });
+  const known = [...symbols].filter(symbol => streamedQuotes.has(symbol));
+  sendEvent(res, 'snapshot', {
+    asOf: new Date().toISOString(),
+    quotes: known.map(symbol => ({ symbol, ...streamedQuotes.get(symbol) }))
+  });
+
+  if (!quoteStreamTimer) {
+    quoteStreamTimer = setInterval(pollStreamedQuotes, QUOTE_STREAM_INTERVAL_MS);
+  }
+  // Symbols nobody followed before have no quote yet, so fetch them now rather than at the next tick
+  if (known.length < symbols.size) {
+    pollStreamedQuotes();
+  }
+});
+
 // LLM-powered query suggestions endpoint
 app.post('/suggestions', async (req, res) => {
   try {
@@ -777,24 +1214,27 @@ app.post('/suggestions', async (req, res) => {
 app.listen(PORT, () => {
   console.log(`MCP HTTP Bridge running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
+  const llm = llmProcessor.status();
+  console.log(`Query routing: ${llm.provider === 'none' ? 'rules only' : `${llm.provider}${llm.model ? ` (${llm.model})` : ''} with rule-based fallback`}`);
   
   // Start MCP server
-  startMCPServer();
+  console.log('Starting MCP server...');
+  mcpServer.start();
+
+  // Evaluate saved alerts on a schedule
+  setInterval(checkAlerts, ALERT_CHECK_INTERVAL_MS);
+  console.log(`Checking alerts every ${ALERT_CHECK_INTERVAL_MS / 1000}s`);
 });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('Shutting down...');
-  if (mcpProcess) {
-    mcpProcess.kill();
-  }
+  await mcpServer.stop().catch(() => {});
   process.exit(0);
 });
 
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('Shutting down...');
-  if (mcpProcess) {
-    mcpProcess.kill();
-  }
+  await mcpServer.stop().catch(() => {});
   process.exit(0);
 });
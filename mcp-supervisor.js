@@ -0,0 +1,137 @@
+import MCPClient from './mcp-client.js';
+
+const INITIAL_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+// A server that stays up this long resets the backoff, so an occasional crash restarts quickly
+const STABLE_AFTER_MS = 60000;
+
+/**
+ * Keeps the MCP server running. Each start spawns a new process and performs the initialize
+ * handshake; the server counts as ready once tools/list succeeds and onReady has taken the tools.
+ * When the process exits or fails to start it is restarted with exponential backoff, and requests
+ * fail with 503 until it is ready again.
+ */
+class MCPSupervisor {
+  constructor(clientOptions, { onReady } = {}) {
+    this.clientOptions = clientOptions;
+    this.onReady = onReady;
+    this.client = null;
+    this.state = 'stopped'; // stopped | starting | ready | backoff
+    this.restarts = 0;
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.readyAt = null;
+    this.nextRestartAt = null;
+    this.backoff = INITIAL_BACKOFF_MS;
+    this.restartTimer = null;
+    this.stopping = false;
+  }
+
+  get ready() {
+    return this.state === 'ready';
+  }
+
+  // Never rejects: a failure anywhere in startup, onReady included, goes to fail() and schedules a restart
+  async start() {
+    this.stopping = false;
+    clearTimeout(this.restartTimer);
+    this.nextRestartAt = null;
+    this.state = 'starting';
+
+    const client = new MCPClient(this.clientOptions);
+    client.onclose = (reason) => this.fail(client, `MCP server ${reason}`);
+    this.client = client;
+
+    let tools;
+    try {
+      await client.connect();
+      ({ tools = [] } = await client.listTools());
+      if (this.client !== client) return;
+      await this.onReady?.(tools);
+    } catch (error) {
+      this.fail(client, error instanceof Error ? error.message : 'Unknown error');
+      return;
+    }
+    if (this.client !== client) return;
+
+    this.state = 'ready';
+    this.readyAt = Date.now();
+    console.log(`MCP server ready (pid ${client.pid}, ${tools.length} tools)`);
+  }
+
+  async stop() {
+    this.stopping = true;
+    clearTimeout(this.restartTimer);
+    const client = this.client;
+    this.client = null;
+    this.state = 'stopped';
+    await client?.close();
+  }
+
+  // Record why the current server went away and schedule its replacement; later reports for the same server are ignored
+  fail(client, message) {
+    if (this.client !== client) return;
+    this.client = null;
+    this.lastError = message;
+    this.lastErrorAt = Date.now();
+    console.error(`MCP server failed: ${message}`);
+    client.close().catch(() => {});
+
+    if (this.stopping) {
+      this.state = 'stopped';
+      return;
+    }
+    if (this.readyAt && Date.now() - this.readyAt >= STABLE_AFTER_MS) {
+      this.backoff = INITIAL_BACKOFF_MS;
+    }
+    this.readyAt = null;
+
+    const delay = this.backoff;
+    this.backoff = Math.min(this.backoff * 2, MAX_BACKOFF_MS);
+    this.state = 'backoff';
+    this.nextRestartAt = Date.now() + delay;
+    console.log(`Restarting MCP server in ${delay / 1000}s`);
+    this.restartTimer = setTimeout(() => {
+      this.restarts++;
+      this.start();
+    }, delay);
+  }
+
+  // The client to send requests through, failing with 503 while the server is starting or restarting
+  readyClient(method) {
+    if (!this.ready) {
+      const error = new Error(`MCP server is not ready (${this.state}); ${method} was not sent`);
+      error.status = 503;
+      error.code = 'UPSTREAM_UNAVAILABLE';
+      throw error;
+    }
+    return this.client;
+  }
+
+  async listTools(options) {
+    return this.readyClient('tools/list').listTools(options);
+  }
+
+  async callTool(name, args, options) {
+    return this.readyClient('tools/call').callTool(name, args, options);
+  }
+
+  async getPrompt(name, args, options) {
+    return this.readyClient('prompts/get').getPrompt(name, args, options);
+  }
+
+  status() {
+    const timestamp = (ms) => (ms ? new Date(ms).toISOString() : null);
+    return {
+      state: this.state,
+      pid: this.client?.pid ?? null,
+      restarts: this.restarts,
+      lastError: this.lastError,
+      lastErrorAt: timestamp(this.lastErrorAt),
+      readySince: timestamp(this.readyAt),
+      nextRestartAt: timestamp(this.nextRestartAt)
+    };
+  }
+}
+
+export default MCPSupervisor;
@@ -3,6 +3,7 @@
 /**
  * Test script specifically for Cursor MCP integration
  * This simulates how Cursor would interact with the MCP server
+ * Set YF_REPLAY=<dir> to run against a session recorded with YF_RECORD instead of the network
  */
 
 import { spawn } from 'child_process';
@@ -101,7 +102,7 @@ async function runTest(testCase) {
   return new Promise((resolve, reject) => {
     console.log(`🧪 Testing: ${testCase.name}`);
     
-    const serverPath = join(__dirname, 'dist', 'index.js');
+    const serverPath = join(__dirname, 'yahoo-finance-mcp', 'dist', 'index.js');
     const server = spawn('node', [serverPath], {
       stdio: ['pipe', 'pipe', 'pipe']
     });
@@ -134,6 +135,12 @@ async function runTest(testCase) {
           console.log(`❌ Test failed: ${testCase.name}`);
           console.log('Error:', response.error);
           reject(new Error(response.error.message));
+        } else if (response.result?.isError) {
+          // Tool failures, replay misses included, arrive as results rather than JSON-RPC errors
+          const message = response.result.content?.[0]?.text || 'Tool call failed';
+          console.log(`❌ Test failed: ${testCase.name}`);
+          console.log('Error:', response.result._meta?.error || message);
+          reject(new Error(message));
         } else {
           console.log(`✅ Test passed: ${testCase.name}`);
           
@@ -143,7 +150,7 @@ async function runTest(testCase) {
           } else if (testCase.name.includes('List Available Prompts')) {
             console.log(`   💬 Found ${response.result?.prompts?.length || 0} prompts`);
           } else if (testCase.name.includes('Get Stock Quote')) {
-            const quote = JSON.parse(response.result.content[0].text);
+            const quote = response.result.structuredContent;
             console.log(`   💰 ${quote.symbol}: $${quote.regularMarketPrice?.toFixed(2) || 'N/A'} (${quote.regularMarketChangePercent?.toFixed(2) || 'N/A'}%)`);
           } else if (testCase.name.includes('Analyze') || testCase.name.includes('Compare')) {
             console.log(`   📋 Generated comprehensive analysis`);
@@ -201,9 +208,9 @@ async function runAllTests() {
   } catch (error) {
     console.error('💥 Cursor MCP test failed:', error.message);
     console.log('\n🔧 Troubleshooting:');
-    console.log('1. Make sure you have run "npm run build"');
+    console.log('1. Make sure you have run "npm run build-mcp"');
     console.log('2. Check that all dependencies are installed');
-    console.log('3. Verify your internet connection');
+    console.log('3. Verify your internet connection (or run offline with YF_REPLAY=<recordings dir>)');
     console.log('4. Check the server logs for detailed error information');
     process.exit(1);
   }
@@ -3,6 +3,7 @@
 /**
  * Simple test script to verify the Yahoo Finance MCP server is working
  * Run this after building the server: node test-server.js
+ * Set YF_REPLAY=<dir> to run against a session recorded with YF_RECORD instead of the network
  */
 
 import { spawn } from 'child_process';
@@ -52,6 +53,21 @@ const testCases = [
         }
       }
     }
+  },
+  {
+    // No dates, so the range counts back from the recording's clock when replayed
+    name: 'Historical Data, default range (AAPL)',
+    request: {
+      jsonrpc: '2.0',
+      id: 4,
+      method: 'tools/call',
+      params: {
+        name: 'get_historical_data',
+        arguments: {
+          symbol: 'AAPL'
+        }
+      }
+    }
   }
 ];
 
@@ -59,7 +75,7 @@ async function runTest(testCase) {
   return new Promise((resolve, reject) => {
     console.log(`📋 Running test: ${testCase.name}`);
     
-    const serverPath = join(__dirname, 'dist', 'index.js');
+    const serverPath = join(__dirname, 'yahoo-finance-mcp', 'dist', 'index.js');
     const server = spawn('node', [serverPath], {
       stdio: ['pipe', 'pipe', 'pipe']
     });
@@ -92,6 +108,12 @@ async function runTest(testCase) {
           console.log(`❌ Test failed: ${testCase.name}`);
           console.log('Error:', response.error);
           reject(new Error(response.error.message));
+        } else if (response.result?.isError) {
+          // Tool failures, replay misses included, arrive as results rather than JSON-RPC errors
+          const message = response.result.content?.[0]?.text || 'Tool call failed';
+          console.log(`❌ Test failed: ${testCase.name}`);
+          console.log('Error:', response.result._meta?.error || message);
+          reject(new Error(message));
         } else {
           console.log(`✅ Test passed: ${testCase.name}`);
           console.log('Response:', JSON.stringify(response.result, null, 2));
@@ -134,9 +156,9 @@ async function runAllTests() {
   } catch (error) {
     console.error('💥 Test suite failed:', error.message);
     console.log('\n🔧 Troubleshooting:');
-    console.log('1. Make sure you have run "npm run build"');
+    console.log('1. Make sure you have run "npm run build-mcp"');
     console.log('2. Check that all dependencies are installed with "npm install"');
-    console.log('3. Verify your internet connection for Yahoo Finance API calls');
+    console.log('3. Verify your internet connection for Yahoo Finance API calls (or run offline with YF_REPLAY=<recordings dir>)');
     process.exit(1);
   }
 }
@@ -0,0 +1,228 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import LLMQueryProcessor from '../llm-query-processor.js';
+import { StubProvider, createLLMProvider, llmConfigFromEnv } from '../llm-providers.js';
+
+const SYMBOL_SCHEMA = { type: 'object', properties: { symbol: { type: 'string' } }, required: ['symbol'] };
+
+// Tool definitions as the bridge gets them from the server's tools/list
+const TOOLS = [
+  { name: 'get_quote', description: 'Current quote', inputSchema: SYMBOL_SCHEMA, annotations: { readOnlyHint: true } },
+  { name: 'get_trending_stocks', description: 'Trending stocks', inputSchema: { type: 'object', properties: { count: { type: 'number' } } }, annotations: { readOnlyHint: true } },
+  {
+    name: 'add_to_watchlist',
+    description: 'Add symbols to a watchlist',
+    inputSchema: {
+      type: 'object',
+      properties: { watchlist: { type: 'string' }, symbols: { type: 'array', items: { type: 'string' } } },
+      required: ['watchlist', 'symbols']
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false }
+  },
+  {
+    name: 'delete_alert',
+    description: 'Delete an alert',
+    inputSchema: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+    annotations: { readOnlyHint: false, destructiveHint: true }
+  }
+];
+
+async function processorWith(stub, config = {}) {
+  const processor = new LLMQueryProcessor({ ...llmConfigFromEnv({ LLM_PROVIDER: 'stub' }), ...config }, stub);
+  await processor.initialize(new Map(TOOLS.map(tool => [tool.name, tool])), new Map());
+  return processor;
+}
+
+const offeredNames = (chat) => chat.tools.map(tool => tool.name);
+
+// The processor logs every routing decision
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('processQuery', () => {
+  test('routes to the tool the model calls', async () => {
+    const stub = new StubProvider({ toolCall: { name: 'get_quote', arguments: { symbol: 'AAPL' } } });
+    const processor = await processorWith(stub);
+
+    const route = await processor.processQuery('what is Apple trading at?');
+
+    assert.equal(route.tool, 'get_quote');
+    assert.deepEqual(route.parameters, { symbol: 'AAPL' });
+    assert.equal(route.source, 'llm');
+    assert.equal(route.attempts, 1);
+  });
+
+  test('offers only read-only tools unless the message asks for a change', async () => {
+    const stub = new StubProvider({ toolCall: { name: 'get_quote', arguments: { symbol: 'AAPL' } } });
+    const processor = await processorWith(stub);
+
+    await processor.processQuery('how is AAPL doing?');
+    await processor.processQuery('add NVDA to my Tech watchlist');
+
+    assert.deepEqual(offeredNames(stub.chats[0]), ['get_quote', 'get_trending_stocks']);
+    assert.deepEqual(offeredNames(stub.chats[1]), TOOLS.map(tool => tool.name));
+  });
+
+  test('routes an explicit change request to the write tool', async () => {
+    const stub = new StubProvider({ toolCall: { name: 'add_to_watchlist', arguments: { watchlist: 'Tech', symbols: ['NVDA'] } } });
+    const processor = await processorWith(stub);
+
+    const route = await processor.processQuery('add NVDA to my Tech watchlist');
+
+    assert.equal(route.tool, 'add_to_watchlist');
+    assert.equal(route.source, 'llm');
+  });
+
+  test('refuses a write tool the message did not ask for and falls back to the rules', async () => {
+    const stub = new StubProvider({ toolCall: { name: 'delete_alert', arguments: { id: 'abc123' } } });
+    const processor = await processorWith(stub);
+
+    const route = await processor.processQuery('what is the price of MSFT');
+
+    assert.equal(route.source, 'enhanced_fallback');
+    assert.equal(route.tool, 'get_quote');
+    const retry = stub.chats[1].messages.at(-1);
+    assert.equal(retry.role, 'tool');
+    assert.match(retry.content, /delete_alert changes saved data/);
+  });
+
+  test('sends arguments that fail the schema back to the model', async () => {
+    const stub = new StubProvider({
+      replies: [{ match: 'first', toolCall: { name: 'get_quote', arguments: {} } }],
+      toolCall: { name: 'get_quote', arguments: { symbol: 'AAPL' } }
+    });
+    const processor = await processorWith(stub);
+
+    await processor.processQuery('first try: quote AAPL');
+
+    const retry = stub.chats[1].messages.at(-1);
+    assert.equal(retry.role, 'tool');
+    assert.match(retry.content, /arguments\.symbol/);
+  });
+
+  test('sends arguments the server rejects back to the model', async () => {
+    const stub = new StubProvider({ toolCall: { name: 'get_quote', arguments: { symbol: 'A' } } });
+    const processor = await processorWith(stub);
+    const executeTool = mock.fn(async () => ({ ok: false, error: { code: 'VALIDATION_FAILED', message: 'symbol is too short' } }));
+
+    const route = await processor.processQuery('quote A', { executeTool });
+
+    assert.equal(executeTool.mock.callCount(), 1);
+    assert.match(stub.chats[1].messages.at(-1).content, /^Error \(VALIDATION_FAILED\): the tool rejected the arguments: symbol is too short/);
+    assert.equal(route.source, 'enhanced_fallback');
+  });
+
+  test('returns the outcome of a routed call that ran', async () => {
+    const stub = new StubProvider({ toolCall: { name: 'get_quote', arguments: { symbol: 'AAPL' } } });
+    const processor = await processorWith(stub);
+    const outcome = { ok: true, data: { symbol: 'AAPL', price: 190 }, text: 'AAPL 190' };
+
+    const route = await processor.processQuery('quote AAPL', { executeTool: async () => outcome });
+
+    assert.deepEqual(route.outcome, outcome);
+  });
+
+  test('uses the rules when the model calls no tool or there is no model', async () => {
+    const silent = await processorWith(new StubProvider());
+    assert.equal((await silent.processQuery('what is the price of MSFT')).source, 'enhanced_fallback');
+
+    const none = await processorWith(null, { provider: 'none' });
+    assert.deepEqual(await none.processQuery('what is the price of MSFT'), none.fallbackProcessing('what is the price of MSFT'));
+  });
+});
+
+describe('runAgent', () => {
+  const quote = { ok: true, data: { symbol: 'AAPL', price: 190 }, text: 'AAPL 190' };
+
+  test('runs tool calls until the model answers', async () => {
+    const stub = new StubProvider({
+      replies: [{ match: /AAPL/, reply: 'AAPL trades at 190.', toolCall: { name: 'get_quote', arguments: { symbol: 'AAPL' } } }]
+    });
+    const processor = await processorWith(stub);
+    const executeTool = mock.fn(async () => quote);
+
+    const result = await processor.runAgent('how is AAPL doing?', executeTool);
+
+    assert.equal(result.answer, 'AAPL trades at 190.');
+    assert.equal(result.stopReason, 'answered');
+    assert.deepEqual(result.steps.map(step => step.tool), ['get_quote']);
+    assert.deepEqual(result.trace.map(entry => entry.status), ['ok']);
+    assert.deepEqual(executeTool.mock.calls[0].arguments.slice(0, 2), ['get_quote', { symbol: 'AAPL' }]);
+    // The model sees the tool result as JSON
+    assert.equal(stub.chats[1].messages.at(-1).content, JSON.stringify(quote.data));
+  });
+
+  test('is offered only read-only tools and cannot make changes', async () => {
+    const stub = new StubProvider({ toolCall: { name: 'delete_alert', arguments: { id: 'abc123' } } });
+    const processor = await processorWith(stub);
+    const executeTool = mock.fn(async () => ({ ok: true, data: {} }));
+
+    const result = await processor.runAgent('how is AAPL doing?', executeTool);
+
+    assert.deepEqual(offeredNames(stub.chats[0]), ['get_quote', 'get_trending_stocks']);
+    assert.equal(executeTool.mock.callCount(), 0);
+    assert.equal(result, null);
+  });
+
+  test('reports tool errors to the model with their code', async () => {
+    const stub = new StubProvider({
+      replies: [{ match: /ZZZZ/, reply: 'No data for ZZZZ.', toolCall: { name: 'get_quote', arguments: { symbol: 'ZZZZ' } } }]
+    });
+    const processor = await processorWith(stub);
+
+    const result = await processor.runAgent('quote ZZZZ', async () => ({ ok: false, error: { code: 'INVALID_SYMBOL', message: 'Unknown symbol ZZZZ' } }));
+
+    assert.equal(stub.chats[1].messages.at(-1).content, 'Error (INVALID_SYMBOL): Unknown symbol ZZZZ');
+    assert.deepEqual(result.trace.map(entry => [entry.status, entry.code]), [['error', 'INVALID_SYMBOL']]);
+    assert.equal(result.steps.length, 0);
+  });
+
+  test('stops at the step budget, answering calls beyond it without running them', async () => {
+    const stub = new StubProvider({
+      toolCall: [
+        { name: 'get_quote', arguments: { symbol: 'AAPL' } },
+        { name: 'get_quote', arguments: { symbol: 'MSFT' } }
+      ]
+    });
+    const processor = await processorWith(stub, { agentMaxSteps: 1 });
+    const executeTool = mock.fn(async () => quote);
+
+    const result = await processor.runAgent('compare AAPL and MSFT', executeTool);
+
+    assert.equal(result.stopReason, 'max_steps');
+    assert.equal(executeTool.mock.callCount(), 1);
+    assert.equal(result.steps.length, 1);
+    assert.equal(stub.chats.length, 1);
+  });
+
+  test('resolves to null without a model, so the caller routes by rules', async () => {
+    const processor = await processorWith(null, { provider: 'none' });
+    assert.equal(await processor.runAgent('how is AAPL doing?', async () => quote), null);
+  });
+});
+
+describe('requestsWrite', () => {
+  test('is set only for messages the rules route to a write tool', async () => {
+    const processor = await processorWith(new StubProvider());
+    assert.equal(processor.requestsWrite('add NVDA to my Tech watchlist'), true);
+    assert.equal(processor.requestsWrite('show my Tech watchlist'), false);
+    assert.equal(processor.requestsWrite('how is apple doing?'), false);
+  });
+});
+
+test('LLM_PROVIDER=stub builds a stub that makes the configured tool call', async () => {
+  const config = llmConfigFromEnv({
+    LLM_PROVIDER: 'stub',
+    LLM_STUB_TOOL_CALL: JSON.stringify({ name: 'get_quote', arguments: { symbol: 'AAPL' } })
+  });
+  const stub = createLLMProvider(config);
+
+  assert.ok(stub instanceof StubProvider);
+  const reply = await stub.chat([{ role: 'user', content: 'quote AAPL' }]);
+  assert.deepEqual(reply.toolCalls, [{ id: 'call_0', name: 'get_quote', arguments: { symbol: 'AAPL' } }]);
+});
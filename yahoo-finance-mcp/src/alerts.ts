@@ -0,0 +1,307 @@
+// Alert rules on price, intraday moves and indicator values, and their evaluation against the latest observation
+
+import { INDICATOR_TYPES, IndicatorType } from './indicators.js';
+import { FinanceError } from './errors.js';
+
+export const ALERT_CONDITIONS = ['above', 'below', 'crosses_above', 'crosses_below'] as const;
+export type AlertCondition = typeof ALERT_CONDITIONS[number];
+
+export const CHANGE_DIRECTIONS = ['up', 'down', 'either'] as const;
+export type ChangeDirection = typeof CHANGE_DIRECTIONS[number];
+
+export type AlertRule =
+  | { type: 'price'; condition: AlertCondition; threshold: number }
+  // Percent move since the previous close
+  | { type: 'change'; direction: ChangeDirection; threshold: number }
+  // Latest value of an indicator line on daily bars; `line` defaults to the indicator's first line
+  | { type: 'indicator'; indicator: IndicatorType; params?: Record<string, number>; line?: string; condition: AlertCondition; threshold: number };
+
+export interface Alert {
+  id: string;
+  symbol: string;
+  rule: AlertRule;
+  description: string;
+  repeat: boolean; // stay active after firing instead of switching to triggered
+  status: 'active' | 'triggered';
+  createdAt: string;
+  lastCheckedAt: string | null;
+  lastValue: number | null;
+  conditionMet: boolean;
+  lastTriggeredAt: string | null;
+  triggerCount: number;
+  lastError: string | null;
+}
+
+export interface AlertTrigger {
+  alertId: string;
+  symbol: string;
+  description: string;
+  value: number;
+  message: string;
+  triggeredAt: string;
+}
+
+export interface AlertFields {
+  symbol?: string;
+  type?: string;
+  condition?: string;
+  threshold?: number;
+  direction?: string;
+  indicator?: string;
+  params?: Record<string, number>;
+  line?: string;
+}
+
+const CONDITION_WORDS: Record<AlertCondition, string> = {
+  above: 'above',
+  below: 'below',
+  crosses_above: 'crosses above',
+  crosses_below: 'crosses below',
+};
+
+// Indicator parameter that a number in "RSI(14)" or "SMA 200" refers to
+const PERIOD_PARAMS: Partial<Record<IndicatorType, string>> = {
+  sma: 'period',
+  ema: 'period',
+  wma: 'period',
+  rsi: 'period',
+  atr: 'period',
+  adx: 'period',
+};
+
+const SYMBOL = '\\$?([A-Za-z^][A-Za-z0-9.=^-]{0,11})';
+const NUMBER = '\\$?(-?\\d+(?:\\.\\d+)?)';
+const CONDITION = '(?:is\\s+|goes\\s+|trades\\s+|rises\\s+|falls\\s+|drops\\s+|moves\\s+)?(crosses\\s+above|crosses\\s+below|above|below|over|under)';
+
+const INDICATOR_PATTERNS = [
+  // RSI(14) on NVDA below 30
+  new RegExp(`\\b(${INDICATOR_TYPES.join('|')})\\s*(?:\\(\\s*(\\d+)\\s*\\)|\\s(\\d+))?\\s+(?:on|for|of)\\s+${SYMBOL}\\s+${CONDITION}\\s+${NUMBER}`, 'i'),
+  // NVDA RSI(14) below 30
+  new RegExp(`${SYMBOL}(?:'s)?\\s+(${INDICATOR_TYPES.join('|')})\\s*(?:\\(\\s*(\\d+)\\s*\\)|\\s(\\d+))?\\s+${CONDITION}\\s+${NUMBER}`, 'i'),
+];
+const CHANGE_PATTERN = new RegExp(`${SYMBOL}\\s+(?:moves|changes|swings|is\\s+up|is\\s+down|rises|gains|jumps|falls|drops|is)\\s+(up\\s+|down\\s+)?(?:more\\s+than\\s+|over\\s+|at\\s+least\\s+|by\\s+)?(\\d+(?:\\.\\d+)?)\\s*%`, 'i');
+const PRICE_PATTERN = new RegExp(`${SYMBOL}\\s+(?:price\\s+|stock\\s+|shares\\s+)?${CONDITION}\\s+${NUMBER}`, 'i');
+
+// Ticker-shaped words that only ever appear in rule text as ordinary words
+const NOT_SYMBOLS = new Set(['WHEN', 'IF', 'IT', 'ME', 'PRICE', 'STOCK', 'SHARES', 'ALERT', 'NOTIFY', 'THE', 'ONCE']);
+
+/**
+ * Condition name from the wording used in rule text
+ */
+function conditionOf(words: string): AlertCondition {
+  const normalized = words.toLowerCase().replace(/\s+/g, ' ');
+  if (normalized === 'over') return 'above';
+  if (normalized === 'under') return 'below';
+  return normalized.replace(' ', '_') as AlertCondition;
+}
+
+function isSymbol(word: string): boolean {
+  // Symbols must be written in capitals so ordinary words in the sentence are not mistaken for one
+  return word === word.toUpperCase() && !NOT_SYMBOLS.has(word);
+}
+
+function periodParams(indicator: IndicatorType, period: string | undefined): Record<string, number> | undefined {
+  const name = PERIOD_PARAMS[indicator];
+  return name && period ? { [name]: Number(period) } : undefined;
+}
+
+/**
+ * Parse an alert written in words, e.g. "AAPL crosses above 200", "TSLA moves more than 5%" or
+ * "RSI(14) on NVDA below 30". The rule may be embedded in a longer sentence ("alert me when ...").
+ */
+export function parseAlertRule(text: string): { symbol: string; rule: AlertRule } {
+  for (const [index, pattern] of INDICATOR_PATTERNS.entries()) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const [indicatorWord, parenPeriod, barePeriod, symbol] = index === 0
+      ? [match[1], match[2], match[3], match[4]]
+      : [match[2], match[3], match[4], match[1]];
+    if (!isSymbol(symbol)) continue;
+    const indicator = indicatorWord.toLowerCase() as IndicatorType;
+    return {
+      symbol: symbol.toUpperCase(),
+      rule: validateAlertRule({
+        type: 'indicator',
+        indicator,
+        params: periodParams(indicator, parenPeriod || barePeriod),
+        condition: conditionOf(match[5]),
+        threshold: Number(match[6]),
+      }),
+    };
+  }
+
+  const change = text.match(CHANGE_PATTERN);
+  if (change && isSymbol(change[1])) {
+    const verb = change[0].toLowerCase();
+    const direction: ChangeDirection = /\b(up|rises|gains|jumps)\b/.test(verb) || /^up/i.test(change[2] || '')
+      ? 'up'
+      : /\b(down|falls|drops)\b/.test(verb) ? 'down' : 'either';
+    return { symbol: change[1].toUpperCase(), rule: validateAlertRule({ type: 'change', direction, threshold: Number(change[3]) }) };
+  }
+
+  for (const price of text.matchAll(new RegExp(PRICE_PATTERN, 'gi'))) {
+    if (!isSymbol(price[1])) continue;
+    return {
+      symbol: price[1].toUpperCase(),
+      rule: validateAlertRule({ type: 'price', condition: conditionOf(price[2]), threshold: Number(price[3]) }),
+    };
+  }
+
+  throw new FinanceError('VALIDATION_FAILED', `Could not understand alert "${text}" (try "AAPL crosses above 200", "TSLA moves more than 5%" or "RSI(14) on NVDA below 30")`);
+}
+
+/**
+ * Build a rule from separate fields, as sent by REST clients and the create_alert tool
+ */
+export function alertRuleFromFields(fields: AlertFields): AlertRule {
+  const type = fields.type || (fields.indicator ? 'indicator' : fields.direction ? 'change' : 'price');
+  if (type === 'change') {
+    return validateAlertRule({ type, direction: (fields.direction || 'either') as ChangeDirection, threshold: fields.threshold as number });
+  }
+  if (type === 'indicator') {
+    return validateAlertRule({
+      type,
+      indicator: fields.indicator as IndicatorType,
+      params: fields.params,
+      line: fields.line,
+      condition: fields.condition as AlertCondition,
+      threshold: fields.threshold as number,
+    });
+  }
+  return validateAlertRule({ type: type as 'price', condition: fields.condition as AlertCondition, threshold: fields.threshold as number });
+}
+
+/**
+ * Check a rule arriving from outside the MCP tool schemas, dropping unknown fields
+ */
+export function validateAlertRule(rule: AlertRule): AlertRule {
+  if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) {
+    throw new FinanceError('VALIDATION_FAILED', 'threshold must be a number');
+  }
+  switch (rule.type) {
+    case 'change':
+      if (!CHANGE_DIRECTIONS.includes(rule.direction)) {
+        throw new FinanceError('VALIDATION_FAILED', `direction must be one of ${CHANGE_DIRECTIONS.join(', ')}`);
+      }
+      if (rule.threshold <= 0) {
+        throw new FinanceError('VALIDATION_FAILED', 'threshold must be a positive percentage');
+      }
+      return { type: 'change', direction: rule.direction, threshold: rule.threshold };
+    case 'indicator':
+      if (!INDICATOR_TYPES.includes(rule.indicator)) {
+        throw new FinanceError('VALIDATION_FAILED', `indicator must be one of ${INDICATOR_TYPES.join(', ')}`);
+      }
+      if (!ALERT_CONDITIONS.includes(rule.condition)) {
+        throw new FinanceError('VALIDATION_FAILED', `condition must be one of ${ALERT_CONDITIONS.join(', ')}`);
+      }
+      return {
+        type: 'indicator',
+        indicator: rule.indicator,
+        ...(rule.params ? { params: rule.params } : {}),
+        ...(rule.line ? { line: rule.line } : {}),
+        condition: rule.condition,
+        threshold: rule.threshold,
+      };
+    case 'price':
+      if (!ALERT_CONDITIONS.includes(rule.condition)) {
+        throw new FinanceError('VALIDATION_FAILED', `condition must be one of ${ALERT_CONDITIONS.join(', ')}`);
+      }
+      return { type: 'price', condition: rule.condition, threshold: rule.threshold };
+    default:
+      throw new FinanceError('VALIDATION_FAILED', `Unknown alert type "${(rule as { type: string }).type}" (use price, change or indicator)`);
+  }
+}
+
+/**
+ * Human-readable form of a rule, e.g. "RSI(14) on NVDA below 30"
+ */
+export function describeAlert(symbol: string, rule: AlertRule): string {
+  switch (rule.type) {
+    case 'change': {
+      const verb = rule.direction === 'up' ? 'rises' : rule.direction === 'down' ? 'falls' : 'moves';
+      return `${symbol} ${verb} more than ${rule.threshold}% today`;
+    }
+    case 'indicator': {
+      const params = Object.values(rule.params || {});
+      const name = `${rule.indicator.toUpperCase()}${params.length > 0 ? `(${params.join(',')})` : ''}${rule.line ? ` ${rule.line}` : ''}`;
+      return `${name} on ${symbol} ${CONDITION_WORDS[rule.condition]} ${rule.threshold}`;
+    }
+    default:
+      return `${symbol} ${CONDITION_WORDS[rule.condition]} ${rule.threshold}`;
+  }
+}
+
+/**
+ * The value a price or change rule watches, taken from a quote
+ */
+export function quoteValue(rule: AlertRule, quote: any): number | null {
+  const value = rule.type === 'change' ? quote?.regularMarketChangePercent : quote?.regularMarketPrice;
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * The latest value of an indicator rule's line, from a compute_indicators result
+ */
+export function indicatorValue(rule: AlertRule, result: any): number | null {
+  if (rule.type !== 'indicator') return null;
+  const series: Record<string, [number, number | null][]> = result?.indicators?.[0]?.series || {};
+  const points = series[rule.line || Object.keys(series)[0]];
+  if (!points) {
+    throw new FinanceError('VALIDATION_FAILED', `${rule.indicator} has no line "${rule.line}" (available: ${Object.keys(series).join(', ')})`);
+  }
+  for (let i = points.length - 1; i >= 0; i--) {
+    if (points[i][1] !== null) return points[i][1];
+  }
+  return null;
+}
+
+function conditionHolds(rule: AlertRule, value: number, previous: number | null): boolean {
+  if (rule.type === 'change') {
+    if (rule.direction === 'up') return value >= rule.threshold;
+    if (rule.direction === 'down') return value <= -rule.threshold;
+    return Math.abs(value) >= rule.threshold;
+  }
+  switch (rule.condition) {
+    case 'above':
+      return value > rule.threshold;
+    case 'below':
+      return value < rule.threshold;
+    case 'crosses_above':
+      return previous !== null && previous <= rule.threshold && value > rule.threshold;
+    case 'crosses_below':
+      return previous !== null && previous >= rule.threshold && value < rule.threshold;
+  }
+}
+
+/**
+ * Apply a new observation to an alert. Alerts fire when their condition starts to hold, not on every
+ * check while it keeps holding; a crossing needs a previous observation on the other side of the
+ * threshold. One-shot alerts switch to triggered after firing.
+ */
+export function evaluateAlert(alert: Alert, value: number, now: Date = new Date()): { alert: Alert; trigger?: AlertTrigger } {
+  const met = conditionHolds(alert.rule, value, alert.lastValue);
+  const checkedAt = now.toISOString();
+  const updated: Alert = { ...alert, lastCheckedAt: checkedAt, lastValue: value, conditionMet: met, lastError: null };
+
+  if (!met || alert.conditionMet) {
+    return { alert: updated };
+  }
+
+  updated.lastTriggeredAt = checkedAt;
+  updated.triggerCount = alert.triggerCount + 1;
+  if (!alert.repeat) {
+    updated.status = 'triggered';
+  }
+  const shown = alert.rule.type === 'change' ? `${value >= 0 ? '+' : ''}${value.toFixed(2)}%` : `${Math.round(value * 100) / 100}`;
+  return {
+    alert: updated,
+    trigger: {
+      alertId: alert.id,
+      symbol: alert.symbol,
+      description: alert.description,
+      value,
+      message: `${alert.description} (now ${shown})`,
+      triggeredAt: checkedAt,
+    },
+  };
+}
@@ -0,0 +1,322 @@
+// Long-only strategy backtester over daily (or coarser) bars, driven by declarative indicator rules
+
+import { Bar, IndicatorSpec, IndicatorType, Series, indicatorLines } from './indicators.js';
+import { FinanceError } from './errors.js';
+
+export type PriceField = 'open' | 'high' | 'low' | 'close' | 'volume';
+
+export type Operand =
+  | number
+  | PriceField
+  | { indicator: IndicatorType; params?: Record<string, number>; line?: string };
+
+export type Comparison = 'crosses_above' | 'crosses_below' | '>' | '<' | '>=' | '<=';
+
+export type Condition =
+  | { all: Condition[] }
+  | { any: Condition[] }
+  | { left: Operand; op: Comparison; right: Operand };
+
+export interface PositionSizing {
+  type: 'percent_equity' | 'fixed_amount' | 'fixed_shares';
+  value: number;
+}
+
+export interface Commission {
+  perTrade?: number; // flat fee per order
+  percent?: number; // percent of order value
+}
+
+export interface Strategy {
+  entry: Condition;
+  exit: Condition;
+  positionSizing?: PositionSizing;
+  commission?: Commission;
+  stopLossPercent?: number;
+  takeProfitPercent?: number;
+}
+
+export interface Trade {
+  entryDate: string;
+  entryPrice: number;
+  exitDate: string;
+  exitPrice: number;
+  shares: number;
+  commission: number;
+  pnl: number;
+  returnPercent: number;
+  barsHeld: number;
+  exitReason: 'signal' | 'stop_loss' | 'take_profit' | 'end_of_period';
+}
+
+export interface PerformanceMetrics {
+  totalReturn: number;
+  cagr: number;
+  maxDrawdown: number;
+  sharpe: number | null;
+  sortino: number | null;
+}
+
+export interface BacktestRun {
+  initialCapital: number;
+  finalEquity: number;
+  metrics: PerformanceMetrics & { trades: number; winRate: number | null; exposure: number };
+  benchmark: PerformanceMetrics;
+  equityCurve: [number, number][];
+  buyAndHold: [number, number][];
+  trades: Trade[];
+}
+
+// Bars per year for annualizing Sharpe and Sortino ratios
+export const PERIODS_PER_YEAR: Record<string, number> = { '1d': 252, '5d': 52, '1wk': 52, '1mo': 12, '3mo': 4 };
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+function isComparison(condition: Condition): condition is { left: Operand; op: Comparison; right: Operand } {
+  return 'op' in condition;
+}
+
+/**
+ * Every indicator referenced by a rule set, for sizing the warm-up fetch
+ */
+export function strategyIndicators(strategy: Strategy): IndicatorSpec[] {
+  const specs: IndicatorSpec[] = [];
+  const visit = (condition: Condition) => {
+    if ('all' in condition) condition.all.forEach(visit);
+    else if ('any' in condition) condition.any.forEach(visit);
+    else {
+      for (const operand of [condition.left, condition.right]) {
+        if (typeof operand === 'object') specs.push({ type: operand.indicator, params: operand.params });
+      }
+    }
+  };
+  visit(strategy.entry);
+  visit(strategy.exit);
+  return specs;
+}
+
+/**
+ * Turn a rule set into a per-bar signal function
+ */
+function compileCondition(condition: Condition, bars: Bar[]): (i: number) => boolean {
+  if ('all' in condition) {
+    const parts = condition.all.map(part => compileCondition(part, bars));
+    return i => parts.every(part => part(i));
+  }
+  if ('any' in condition) {
+    const parts = condition.any.map(part => compileCondition(part, bars));
+    return i => parts.some(part => part(i));
+  }
+  if (!isComparison(condition)) {
+    throw new FinanceError('VALIDATION_FAILED', `Invalid condition: ${JSON.stringify(condition)}`);
+  }
+
+  const left = resolveOperand(condition.left, bars);
+  const right = resolveOperand(condition.right, bars);
+  const compare = (i: number, fn: (a: number, b: number) => boolean) =>
+    i >= 0 && left[i] !== null && right[i] !== null && fn(left[i] as number, right[i] as number);
+
+  switch (condition.op) {
+    case 'crosses_above':
+      return i => compare(i - 1, (a, b) => a <= b) && compare(i, (a, b) => a > b);
+    case 'crosses_below':
+      return i => compare(i - 1, (a, b) => a >= b) && compare(i, (a, b) => a < b);
+    case '>':
+      return i => compare(i, (a, b) => a > b);
+    case '<':
+      return i => compare(i, (a, b) => a < b);
+    case '>=':
+      return i => compare(i, (a, b) => a >= b);
+    case '<=':
+      return i => compare(i, (a, b) => a <= b);
+    default:
+      throw new FinanceError('VALIDATION_FAILED', `Unknown comparison "${(condition as any).op}"`);
+  }
+}
+
+function resolveOperand(operand: Operand, bars: Bar[]): Series {
+  if (typeof operand === 'number') {
+    return bars.map(() => operand);
+  }
+  if (typeof operand === 'string') {
+    if (!['open', 'high', 'low', 'close', 'volume'].includes(operand)) {
+      throw new FinanceError('VALIDATION_FAILED', `Unknown price field "${operand}"`);
+    }
+    return bars.map(bar => bar[operand]);
+  }
+
+  const lines = indicatorLines(bars, { type: operand.indicator, params: operand.params });
+  const name = operand.line || Object.keys(lines)[0];
+  if (!lines[name]) {
+    throw new FinanceError('VALIDATION_FAILED', `${operand.indicator} has no "${name}" line (expected ${Object.keys(lines).join(', ')})`);
+  }
+  return lines[name];
+}
+
+/**
+ * Return, CAGR, drawdown and risk-adjusted ratios of an equity curve
+ */
+export function performanceMetrics(curve: [number, number][], periodsPerYear: number): PerformanceMetrics {
+  const first = curve[0]?.[1] ?? 0;
+  const last = curve[curve.length - 1]?.[1] ?? 0;
+  const years = curve.length > 1 ? (curve[curve.length - 1][0] - curve[0][0]) / MS_PER_YEAR : 0;
+
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+  const returns: number[] = [];
+  curve.forEach(([, value], i) => {
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - value) / peak : 0);
+    if (i > 0 && curve[i - 1][1] > 0) returns.push(value / curve[i - 1][1] - 1);
+  });
+
+  const mean = returns.reduce((sum, r) => sum + r, 0) / (returns.length || 1);
+  const deviation = Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length || 1));
+  const downside = Math.sqrt(returns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / (returns.length || 1));
+  const annualize = Math.sqrt(periodsPerYear);
+
+  return {
+    totalReturn: first > 0 ? last / first - 1 : 0,
+    cagr: first > 0 && last > 0 && years > 0 ? (last / first) ** (1 / years) - 1 : 0,
+    maxDrawdown,
+    sharpe: deviation > 0 ? (mean / deviation) * annualize : null,
+    sortino: downside > 0 ? (mean / downside) * annualize : null,
+  };
+}
+
+/**
+ * Simulate a strategy on one symbol. Signals are evaluated on each bar's close and filled at the
+ * next bar's open; stops fill at the stop price, or the open if the bar gaps through it.
+ */
+export function runBacktest(
+  bars: Bar[],
+  startIndex: number,
+  strategy: Strategy,
+  initialCapital: number,
+  interval: string = '1d'
+): BacktestRun {
+  const entrySignal = compileCondition(strategy.entry, bars);
+  const exitSignal = compileCondition(strategy.exit, bars);
+  const sizing = strategy.positionSizing || { type: 'percent_equity', value: 100 };
+  const perTrade = strategy.commission?.perTrade || 0;
+  const percentFee = (strategy.commission?.percent || 0) / 100;
+  const fee = (notional: number) => (notional > 0 ? perTrade + notional * percentFee : 0);
+
+  let cash = initialCapital;
+  let shares = 0;
+  // Assigned inside buy()/sell(), so keep the declared type from narrowing to null
+  let entry = null as { index: number; price: number; commission: number } | null;
+  let pending: 'buy' | 'sell' | null = null;
+  let barsInMarket = 0;
+  const trades: Trade[] = [];
+  const equityCurve: [number, number][] = [];
+
+  const buy = (i: number, price: number) => {
+    // Only called while flat, so cash is the whole account
+    const budget = sizing.type === 'percent_equity'
+      ? (cash * sizing.value) / 100
+      : sizing.type === 'fixed_amount' ? sizing.value : Infinity;
+    const affordable = Math.floor((Math.min(budget, cash) - perTrade) / (price * (1 + percentFee)));
+    const quantity = sizing.type === 'fixed_shares' ? Math.min(sizing.value, affordable) : affordable;
+    if (quantity <= 0) return;
+
+    const commission = fee(quantity * price);
+    cash -= quantity * price + commission;
+    shares = quantity;
+    entry = { index: i, price, commission };
+  };
+
+  const sell = (i: number, price: number, exitReason: Trade['exitReason']) => {
+    if (!entry) return;
+    const commission = fee(shares * price);
+    cash += shares * price - commission;
+    const totalCommission = entry.commission + commission;
+    const pnl = shares * (price - entry.price) - totalCommission;
+    trades.push({
+      entryDate: bars[entry.index].date.toISOString().slice(0, 10),
+      entryPrice: entry.price,
+      exitDate: bars[i].date.toISOString().slice(0, 10),
+      exitPrice: price,
+      shares,
+      commission: totalCommission,
+      pnl,
+      returnPercent: (pnl / (shares * entry.price + entry.commission)) * 100,
+      barsHeld: i - entry.index,
+      exitReason,
+    });
+    shares = 0;
+    entry = null;
+  };
+
+  for (let i = startIndex; i < bars.length; i++) {
+    const bar = bars[i];
+
+    if (pending === 'buy' && !entry) buy(i, bar.open);
+    else if (pending === 'sell' && entry) sell(i, bar.open, 'signal');
+    pending = null;
+
+    if (entry) {
+      const stop = strategy.stopLossPercent ? entry.price * (1 - strategy.stopLossPercent / 100) : null;
+      const target = strategy.takeProfitPercent ? entry.price * (1 + strategy.takeProfitPercent / 100) : null;
+      if (stop !== null && bar.low <= stop) sell(i, Math.min(bar.open, stop), 'stop_loss');
+      else if (target !== null && bar.high >= target) sell(i, Math.max(bar.open, target), 'take_profit');
+    }
+
+    if (entry) barsInMarket++;
+    equityCurve.push([bar.date.getTime(), cash + shares * bar.close]);
+
+    if (i < bars.length - 1) {
+      if (!entry && entrySignal(i)) pending = 'buy';
+      else if (entry && exitSignal(i)) pending = 'sell';
+    }
+  }
+
+  if (entry) {
+    const last = bars.length - 1;
+    sell(last, bars[last].close, 'end_of_period');
+    equityCurve[equityCurve.length - 1][1] = cash;
+  }
+
+  // Benchmark: the same capital fully invested at the first open and held to the end
+  const firstOpen = bars[startIndex].open;
+  const holdShares = Math.max(Math.floor((initialCapital - perTrade) / (firstOpen * (1 + percentFee))), 0);
+  const holdCash = initialCapital - holdShares * firstOpen - fee(holdShares * firstOpen);
+  const buyAndHold: [number, number][] = bars.slice(startIndex).map(bar => [bar.date.getTime(), holdCash + holdShares * bar.close]);
+
+  const periodsPerYear = PERIODS_PER_YEAR[interval] || 252;
+  const wins = trades.filter(trade => trade.pnl > 0).length;
+
+  return {
+    initialCapital,
+    finalEquity: cash,
+    metrics: {
+      ...performanceMetrics([[bars[startIndex].date.getTime(), initialCapital], ...equityCurve], periodsPerYear),
+      trades: trades.length,
+      winRate: trades.length > 0 ? wins / trades.length : null,
+      exposure: equityCurve.length > 0 ? barsInMarket / equityCurve.length : 0,
+    },
+    benchmark: performanceMetrics([[bars[startIndex].date.getTime(), initialCapital], ...buyAndHold], periodsPerYear),
+    equityCurve,
+    buyAndHold,
+    trades,
+  };
+}
+
+/**
+ * Sum per-symbol equity curves into one, carrying each forward across dates it has no bar for
+ */
+export function combineCurves(curves: [number, number][][], initialValues: number[]): [number, number][] {
+  const timestamps = [...new Set(curves.flatMap(curve => curve.map(([time]) => time)))].sort((a, b) => a - b);
+  const positions = curves.map(() => 0);
+  const current = [...initialValues];
+
+  return timestamps.map(time => {
+    curves.forEach((curve, c) => {
+      while (positions[c] < curve.length && curve[positions[c]][0] <= time) {
+        current[c] = curve[positions[c]][1];
+        positions[c]++;
+      }
+    });
+    return [time, current.reduce((sum, value) => sum + value, 0)];
+  });
+}
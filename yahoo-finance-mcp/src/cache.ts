@@ -0,0 +1,142 @@
+// In-process TTL cache with LRU eviction for upstream Yahoo Finance responses
+
+interface CacheEntry {
+  value: unknown;
+  expiresAt: number;
+}
+
+interface CounterSet {
+  hits: number;
+  misses: number;
+}
+
+export interface CacheStats {
+  size: number;
+  maxEntries: number;
+  hits: number;
+  misses: number;
+  evictions: number;
+  hitRate: number;
+  byFunction: Record<string, CounterSet & { hitRate: number }>;
+}
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// Quotes and chains change every tick while the market is open, but are static once it closes
+const OPEN_MARKET_STATES = new Set(['PRE', 'REGULAR', 'POST']);
+
+function isMarketOpen(value: any): boolean {
+  const quotes = Array.isArray(value) ? value : [value?.quote ?? value];
+  return quotes.some(quote => OPEN_MARKET_STATES.has(quote?.marketState));
+}
+
+/**
+ * Time-to-live per upstream function; market-sensitive data is kept longer while the market is closed
+ */
+export const CACHE_TTLS: Record<string, (value: any) => number> = {
+  quote: value => (isMarketOpen(value) ? 15 * SECOND : 10 * MINUTE),
+  options: value => (isMarketOpen(value) ? MINUTE : 30 * MINUTE),
+  historical: () => 15 * MINUTE,
+  search: () => 5 * MINUTE,
+  trendingSymbols: () => 5 * MINUTE,
+  screener: () => 5 * MINUTE,
+  insights: () => HOUR,
+  quoteSummary: () => HOUR,
+  autoc: () => HOUR,
+  fundamentalsTimeSeries: () => 12 * HOUR,
+};
+
+const DEFAULT_TTL = MINUTE;
+
+export class TTLCache {
+  // Map iteration follows insertion order, so re-inserting on read keeps the oldest entry first
+  private entries = new Map<string, CacheEntry>();
+  private counters = new Map<string, CounterSet>();
+  private evictions = 0;
+
+  constructor(private maxEntries: number) {}
+
+  /**
+   * Return the cached value for a call, or load and store it; failed loads are never cached
+   */
+  async getOrLoad<T>(fn: string, args: unknown[], load: () => Promise<T>): Promise<T> {
+    const key = `${fn}:${cacheKey(args)}`;
+    const counter = this.counter(fn);
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      counter.hits++;
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      return entry.value as T;
+    }
+
+    counter.misses++;
+    this.entries.delete(key);
+    const value = await load();
+    const ttl = (CACHE_TTLS[fn] || (() => DEFAULT_TTL))(value);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+    this.evict();
+    return value;
+  }
+
+  clear(): void {
+    this.entries.clear();
+  }
+
+  stats(): CacheStats {
+    const byFunction: CacheStats['byFunction'] = {};
+    let hits = 0;
+    let misses = 0;
+
+    for (const [fn, counter] of this.counters) {
+      hits += counter.hits;
+      misses += counter.misses;
+      byFunction[fn] = { ...counter, hitRate: hitRate(counter) };
+    }
+
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits,
+      misses,
+      evictions: this.evictions,
+      hitRate: hitRate({ hits, misses }),
+      byFunction,
+    };
+  }
+
+  private counter(fn: string): CounterSet {
+    let counter = this.counters.get(fn);
+    if (!counter) {
+      counter = { hits: 0, misses: 0 };
+      this.counters.set(fn, counter);
+    }
+    return counter;
+  }
+
+  private evict(): void {
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+      this.evictions++;
+    }
+  }
+}
+
+/**
+ * Serialize call arguments, truncating dates to the day so "last 30 days" defaults share an entry
+ */
+export function cacheKey(args: unknown[]): string {
+  return JSON.stringify(args, function (this: any, key: string, value: unknown) {
+    const raw = this[key];
+    return raw instanceof Date ? raw.toISOString().slice(0, 10) : value;
+  });
+}
+
+function hitRate({ hits, misses }: CounterSet): number {
+  const total = hits + misses;
+  return total > 0 ? hits / total : 0;
+}
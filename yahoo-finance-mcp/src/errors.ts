@@ -0,0 +1,86 @@
+// Error codes shared by the market data layer, the tool results and the HTTP bridge
+
+export const ERROR_CODES = [
+  'INVALID_SYMBOL',
+  'UPSTREAM_RATE_LIMITED',
+  'UPSTREAM_UNAVAILABLE',
+  'NO_DATA',
+  'VALIDATION_FAILED',
+  'TIMEOUT',
+  'INTERNAL_ERROR',
+] as const;
+
+export type ErrorCode = typeof ERROR_CODES[number];
+
+// Failures that may go away if the same request is sent again later
+const RETRYABLE_CODES: ReadonlySet<string> = new Set(['UPSTREAM_RATE_LIMITED', 'UPSTREAM_UNAVAILABLE', 'TIMEOUT']);
+
+export function isRetryable(code: string): boolean {
+  return RETRYABLE_CODES.has(code);
+}
+
+/**
+ * An error with a stable, machine-readable code; the message stays free-form
+ */
+export class FinanceError extends Error {
+  constructor(readonly code: ErrorCode, message: string) {
+    super(message);
+    this.name = 'FinanceError';
+  }
+
+  get retryable(): boolean {
+    return isRetryable(this.code);
+  }
+
+  toJSON(): { code: ErrorCode; message: string; retryable: boolean } {
+    return { code: this.code, message: this.message, retryable: this.retryable };
+  }
+}
+
+const TIMEOUT_ERROR_CODES = new Set(['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT']);
+
+/**
+ * Code for an error thrown by the upstream provider. yahoo-finance2 reports HTTP failures as HTTPError
+ * with the status in `code`, Yahoo's own "Not Found" errors as plain errors, and network failures
+ * as a TypeError whose cause carries the system error code.
+ */
+export function classifyUpstreamError(error: unknown): ErrorCode {
+  if (error instanceof FinanceError) {
+    return error.code;
+  }
+  if (!(error instanceof Error)) {
+    return 'UPSTREAM_UNAVAILABLE';
+  }
+
+  const { name, message } = error;
+  const status = (error as { code?: unknown }).code;
+  const causeCode = (error.cause as { code?: unknown } | undefined)?.code;
+
+  if (status === 429 || /too many requests|rate limit/i.test(message)) {
+    return 'UPSTREAM_RATE_LIMITED';
+  }
+  if (name === 'AbortError' || name === 'TimeoutError' || TIMEOUT_ERROR_CODES.has(String(status)) ||
+      TIMEOUT_ERROR_CODES.has(String(causeCode)) || /timed? ?out/i.test(message)) {
+    return 'TIMEOUT';
+  }
+  if (name === 'ZodError' || name === 'InvalidOptionsError' || name === 'BadRequestError') {
+    return 'VALIDATION_FAILED';
+  }
+  // Bugs in this server rather than anything Yahoo did; a failed fetch is a TypeError too, but with a cause
+  if (error instanceof RangeError || error instanceof ReferenceError ||
+      (error instanceof TypeError && !error.cause && !/fetch failed/i.test(message))) {
+    return 'INTERNAL_ERROR';
+  }
+  if (status === 404 || /not found|may be delisted|invalid symbol/i.test(message)) {
+    return 'INVALID_SYMBOL';
+  }
+  return 'UPSTREAM_UNAVAILABLE';
+}
+
+/**
+ * Wrap an upstream failure with context, e.g. financeError(`Failed to get quote for ${symbol}`, error),
+ * keeping the code of an error that already has one
+ */
+export function financeError(context: string, error: unknown): FinanceError {
+  return new FinanceError(classifyUpstreamError(error), `${context}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+}
@@ -0,0 +1,197 @@
+// MCP over HTTP: the Streamable HTTP transport on /mcp, and the older SSE transport on /sse for clients that
+// predate it. Every session gets its own server instance.
+
+import { randomUUID } from 'crypto';
+import { createServer as createHttpServer, IncomingMessage, ServerResponse } from 'http';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export interface HttpServerOptions {
+  port: number;
+  host: string;
+}
+
+interface Session {
+  transport: StreamableHTTPServerTransport | SSEServerTransport;
+  server: Server;
+  lastSeen: number;
+}
+
+const MCP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+
+const SESSION_HEADER = 'mcp-session-id';
+
+// Streamable HTTP sessions have no connection to notice a client leaving, so idle ones are closed
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Same limit as the SSE transport applies to posted messages
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+function sendJSON(res: ServerResponse, status: number, body: unknown): void {
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+}
+
+// Errors on /mcp are JSON-RPC responses, as Streamable HTTP clients expect
+function sendRPCError(res: ServerResponse, status: number, code: number, message: string): void {
+  sendJSON(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
+
+function readJSON(req: IncomingMessage): Promise<unknown> {
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let size = 0;
+    req.on('data', (chunk: Buffer) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function isInitialization(body: unknown): boolean {
+  return Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body);
+}
+
+/**
+ * Serve MCP over HTTP.
+ *
+ * Streamable HTTP: clients POST JSON-RPC messages to /mcp. The response to `initialize` carries an
+ * Mcp-Session-Id header, which every later request repeats; GET /mcp opens a stream for server
+ * notifications and DELETE /mcp ends the session.
+ *
+ * SSE (deprecated): clients open an event stream with GET /sse, which announces the URL
+ * (/messages?sessionId=...) to POST their JSON-RPC messages to. Closing the stream ends the session.
+ */
+export function startHttpServer(createServer: () => Server, { port, host }: HttpServerOptions): Promise<void> {
+  const sessions = new Map<string, Session>();
+
+  function closeSession(id: string, session: Session): void {
+    session.server.close().catch(error => console.error(`Failed to close MCP session ${id}:`, error));
+  }
+
+  // The server owns transport.onclose once connected, so listen on the server instead
+  function trackSession(id: string, session: Session): void {
+    sessions.set(id, session);
+    session.server.onclose = () => {
+      sessions.delete(id);
+      console.error(`MCP session ${id} closed (${sessions.size} open)`);
+    };
+    console.error(`MCP session ${id} opened (${sessions.size} open)`);
+  }
+
+  async function openSSESession(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const transport = new SSEServerTransport(MESSAGES_PATH, res);
+    const server = createServer();
+    const session = { transport, server, lastSeen: Date.now() };
+    trackSession(transport.sessionId, session);
+    req.on('close', () => closeSession(transport.sessionId, session));
+
+    // connect() starts the transport, which writes the SSE headers and the endpoint event
+    await server.connect(transport);
+  }
+
+  async function handleStreamable(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const sessionId = req.headers[SESSION_HEADER];
+    let body: unknown;
+    if (req.method === 'POST') {
+      try {
+        body = await readJSON(req);
+      } catch (error) {
+        sendRPCError(res, 400, -32700, error instanceof Error ? error.message : 'Unreadable request body');
+        return;
+      }
+    }
+
+    if (typeof sessionId === 'string') {
+      const session = sessions.get(sessionId);
+      if (!session || !(session.transport instanceof StreamableHTTPServerTransport)) {
+        sendRPCError(res, 404, -32001, 'Unknown or expired session; initialize a new one');
+        return;
+      }
+      session.lastSeen = Date.now();
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitialization(body)) {
+      sendRPCError(res, 400, -32000, `Missing ${SESSION_HEADER} header; start a session with an initialize request`);
+      return;
+    }
+
+    const server = createServer();
+    const transport: StreamableHTTPServerTransport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: id => trackSession(id, { transport, server, lastSeen: Date.now() }),
+    });
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+    // An initialize request the transport rejected leaves no session behind
+    if (!transport.sessionId) {
+      await server.close();
+    }
+  }
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const url = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      if (url.pathname === MCP_PATH) {
+        await handleStreamable(req, res);
+      } else if (req.method === 'GET' && url.pathname === SSE_PATH) {
+        await openSSESession(req, res);
+      } else if (req.method === 'POST' && url.pathname === MESSAGES_PATH) {
+        const session = sessions.get(url.searchParams.get('sessionId') || '');
+        if (!session || !(session.transport instanceof SSEServerTransport)) {
+          sendJSON(res, 404, { error: 'Unknown or expired session; reconnect to /sse' });
+          return;
+        }
+        await session.transport.handlePostMessage(req, res);
+      } else if (req.method === 'GET' && url.pathname === '/health') {
+        sendJSON(res, 200, { status: 'ok', transports: ['streamable-http', 'sse'], sessions: sessions.size });
+      } else {
+        sendJSON(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+      }
+    } catch (error) {
+      console.error('MCP HTTP request failed:', error);
+      if (!res.headersSent) {
+        sendJSON(res, 500, { error: error instanceof Error ? error.message : 'Unknown error' });
+      }
+    }
+  });
+
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    for (const [id, session] of sessions) {
+      if (session.transport instanceof StreamableHTTPServerTransport && session.lastSeen < cutoff) {
+        console.error(`MCP session ${id} idle for ${SESSION_IDLE_MS / 60000} minutes`);
+        closeSession(id, session);
+      }
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      console.error(`Yahoo Finance MCP server listening on http://${host}:${port}${MCP_PATH} (SSE fallback on ${SSE_PATH})`);
+      resolve();
+    });
+  });
+}
@@ -7,19 +7,26 @@ import {
   ListToolsRequestSchema,
   ListPromptsRequestSchema,
   GetPromptRequestSchema,
+  CallToolRequest,
+  GetPromptRequest,
   Tool,
   Prompt,
 } from '@modelcontextprotocol/sdk/types.js';
 import { z } from 'zod';
 import {
   getQuote,
+  getQuotes,
   getHistoricalData,
+  getIndicators,
+  backtestStrategy,
+  analyzePortfolio,
   searchSymbols,
   getMarketSummary,
   getNews,
   getRecommendations,
   getFinancials,
   getOptions,
+  getOptionsAnalytics,
   getTrendingStocks,
   getTrendingETFs,
   getInsights,
@@ -29,18 +36,148 @@ import {
   getTrendingSymbols,
   getScreener,
   getAutoc,
+  getCacheStats,
 } from './yahoo-finance-api.js';
+import { INDICATOR_TYPES } from './indicators.js';
+import { Condition } from './backtest.js';
+import { parsePositionList, PortfolioPosition } from './portfolio.js';
+import { UserStore } from './user-store.js';
+import { ALERT_CONDITIONS, CHANGE_DIRECTIONS, alertRuleFromFields, parseAlertRule } from './alerts.js';
+import { startHttpServer } from './http-transport.js';
+import { registerResources } from './resources.js';
+import { OUTPUT_SCHEMAS, toolError, toolResult } from './tool-output.js';
+import { FinanceError } from './errors.js';
+
+// Saved watchlists and portfolios, shared with the HTTP bridge through USER_DATA_FILE
+const userStore = new UserStore();
 
 // Tool schemas for validation
+
+// Dates are passed on to Yahoo as written, so one that is malformed, or names a day that does not exist
+// (2024-02-30 would roll over to March), is caught here rather than failing or shifting there
+function isCalendarDate(value: string): boolean {
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+}
+
+const DateString = z.string().refine(isCalendarDate, 'Expected a date in YYYY-MM-DD format');
+
 const GetQuoteSchema = z.object({
   symbol: z.string().describe('Stock symbol (e.g., AAPL, MSFT, GOOGL)'),
 });
 
+const GetQuotesSchema = z.object({
+  symbols: z.array(z.string()).min(1).describe('Stock symbols to quote (e.g., ["AAPL", "MSFT", "GOOGL"])'),
+});
+
 const GetHistoricalDataSchema = z.object({
   symbol: z.string().describe('Stock symbol (e.g., AAPL, MSFT, GOOGL)'),
-  period1: z.string().optional().describe('Start date in YYYY-MM-DD format'),
-  period2: z.string().optional().describe('End date in YYYY-MM-DD format'),
+  period1: DateString.optional().describe('Start date in YYYY-MM-DD format'),
+  period2: DateString.optional().describe('End date in YYYY-MM-DD format'),
+  interval: z.enum(['1d', '5d', '1wk', '1mo', '3mo']).optional().describe('Data interval'),
+});
+
+const ComputeIndicatorsSchema = z.object({
+  symbol: z.string().describe('Stock symbol (e.g., AAPL, MSFT, GOOGL)'),
+  period1: DateString.optional().describe('Start date in YYYY-MM-DD format (default: 6 months ago)'),
+  period2: DateString.optional().describe('End date in YYYY-MM-DD format (default: today)'),
   interval: z.enum(['1d', '5d', '1wk', '1mo', '3mo']).optional().describe('Data interval'),
+  indicators: z.array(z.object({
+    type: z.enum(INDICATOR_TYPES),
+    params: z.record(z.number()).optional(),
+  })).min(1).describe('Indicators to compute, each with optional parameters'),
+});
+
+const OperandSchema = z.union([
+  z.number(),
+  z.enum(['open', 'high', 'low', 'close', 'volume']),
+  z.object({
+    indicator: z.enum(INDICATOR_TYPES),
+    params: z.record(z.number()).optional(),
+    line: z.string().optional(),
+  }),
+]);
+
+const ConditionSchema: z.ZodType<Condition> = z.lazy(() => z.union([
+  z.object({ all: z.array(ConditionSchema).min(1) }),
+  z.object({ any: z.array(ConditionSchema).min(1) }),
+  z.object({
+    left: OperandSchema,
+    op: z.enum(['crosses_above', 'crosses_below', '>', '<', '>=', '<=']),
+    right: OperandSchema,
+  }),
+]));
+
+const BacktestStrategySchema = z.object({
+  symbols: z.union([z.string(), z.array(z.string()).min(1)]).describe('Symbol or list of symbols to test'),
+  period1: DateString.optional().describe('Start date in YYYY-MM-DD format (default: 3 years ago)'),
+  period2: DateString.optional().describe('End date in YYYY-MM-DD format (default: today)'),
+  interval: z.enum(['1d', '5d', '1wk', '1mo', '3mo']).optional().describe('Data interval'),
+  initialCapital: z.number().positive().optional().describe('Starting capital, split equally across symbols (default: 10000)'),
+  entry: ConditionSchema.describe('Rule that opens a position'),
+  exit: ConditionSchema.describe('Rule that closes a position'),
+  positionSizing: z.object({
+    type: z.enum(['percent_equity', 'fixed_amount', 'fixed_shares']),
+    value: z.number().positive(),
+  }).optional().describe('How much to buy on entry (default: 100% of equity)'),
+  commission: z.object({
+    perTrade: z.number().min(0).optional(),
+    percent: z.number().min(0).optional(),
+  }).optional().describe('Commission charged on every buy and sell'),
+  stopLossPercent: z.number().positive().optional().describe('Exit when price falls this percent below the entry price'),
+  takeProfitPercent: z.number().positive().optional().describe('Exit when price rises this percent above the entry price'),
+});
+
+const PositionSchema = z.object({
+  symbol: z.string().min(1).describe('Stock symbol'),
+  quantity: z.number().positive().describe('Number of shares held'),
+  costBasis: z.number().min(0).describe('Price paid per share'),
+  purchaseDate: DateString.optional().describe('Purchase date in YYYY-MM-DD format'),
+});
+
+const AnalyzePortfolioSchema = z.object({
+  positions: z.array(PositionSchema).min(1).optional().describe('Positions held; several lots of one symbol are combined'),
+  portfolio: z.string().optional().describe('Name of a saved portfolio to analyze instead of positions'),
+}).refine(({ positions, portfolio }) => !!positions !== !!portfolio, 'Provide either positions or portfolio');
+
+const ListWatchlistsSchema = z.object({});
+
+const WatchlistSymbolsSchema = z.object({
+  watchlist: z.string().describe('Watchlist name'),
+  symbols: z.union([z.string(), z.array(z.string()).min(1)]).describe('Symbol or list of symbols'),
+});
+
+const GetWatchlistQuotesSchema = z.object({
+  watchlist: z.string().describe('Watchlist name'),
+});
+
+const ListPortfoliosSchema = z.object({});
+
+const SavePortfolioSchema = z.object({
+  name: z.string().describe('Portfolio name'),
+  positions: z.array(PositionSchema).min(1).describe('Positions held; replaces any saved positions'),
+});
+
+const CreateAlertSchema = z.object({
+  rule: z.string().optional().describe('Alert in words, e.g. "AAPL crosses above 200", "TSLA moves more than 5%", "RSI(14) on NVDA below 30"'),
+  symbol: z.string().optional().describe('Stock symbol, when the rule is given as separate fields'),
+  type: z.enum(['price', 'change', 'indicator']).optional().describe('What the alert watches'),
+  condition: z.enum(ALERT_CONDITIONS).optional().describe('Condition for price and indicator alerts'),
+  threshold: z.number().optional().describe('Price, indicator level, or percent move for change alerts'),
+  direction: z.enum(CHANGE_DIRECTIONS).optional().describe('Direction for change alerts (default: either)'),
+  indicator: z.enum(INDICATOR_TYPES).optional().describe('Indicator for indicator alerts'),
+  params: z.record(z.number()).optional().describe('Indicator parameters, e.g. { "period": 14 }'),
+  line: z.string().optional().describe('Indicator line for multi-line indicators, e.g. "signal" for MACD'),
+  repeat: z.boolean().optional().describe('Keep the alert active after it fires (default: fire once)'),
+}).refine(({ rule, symbol }) => !!rule || !!symbol, 'Provide either rule or symbol with the rule fields');
+
+const ListAlertsSchema = z.object({
+  status: z.enum(['active', 'triggered']).optional().describe('Only alerts with this status'),
+  symbol: z.string().optional().describe('Only alerts for this symbol'),
+});
+
+const DeleteAlertSchema = z.object({
+  id: z.string().describe('Alert id'),
 });
 
 const SearchSymbolsSchema = z.object({
@@ -59,11 +196,20 @@ const GetRecommendationsSchema = z.object({
 const GetFinancialsSchema = z.object({
   symbol: z.string().describe('Stock symbol to get financials for'),
   type: z.enum(['income', 'balance', 'cashflow']).describe('Type of financial statement'),
+  frequency: z.enum(['annual', 'quarterly']).optional().describe('Reporting frequency (default: annual)'),
 });
 
 const GetOptionsSchema = z.object({
   symbol: z.string().describe('Stock symbol to get options for'),
-  expiration: z.string().optional().describe('Options expiration date in YYYY-MM-DD format'),
+  expiration: DateString.optional().describe('Options expiration date in YYYY-MM-DD format'),
+});
+
+const GetOptionsAnalyticsSchema = z.object({
+  symbol: z.string().describe('Stock symbol to analyze options for'),
+  fromDate: DateString.optional().describe('Earliest expiration date to include in YYYY-MM-DD format'),
+  toDate: DateString.optional().describe('Latest expiration date to include in YYYY-MM-DD format'),
+  riskFreeRate: z.number().min(-1).max(1).optional().describe('Annualized risk-free rate as a decimal (default: 0.045)'),
+  strikeRange: z.number().positive().optional().describe('Only include strikes within this fraction of the underlying price (default: 0.3)'),
 });
 
 const GetTrendingStocksSchema = z.object({
@@ -80,8 +226,8 @@ const GetInsightsSchema = z.object({
 
 const GetChartSchema = z.object({
   symbol: z.string().describe('Stock symbol for chart data'),
-  period1: z.string().optional().describe('Start date in YYYY-MM-DD format'),
-  period2: z.string().optional().describe('End date in YYYY-MM-DD format'),
+  period1: DateString.optional().describe('Start date in YYYY-MM-DD format'),
+  period2: DateString.optional().describe('End date in YYYY-MM-DD format'),
   interval: z.enum(['1m', '2m', '5m', '15m', '30m', '60m', '90m', '1h', '1d', '5d', '1wk', '1mo', '3mo']).optional().describe('Chart interval'),
 });
 
@@ -92,8 +238,8 @@ const GetQuoteSummarySchema = z.object({
 
 const GetFundamentalsTimeSeriesSchema = z.object({
   symbol: z.string().describe('Stock symbol for fundamentals time series'),
-  period1: z.string().optional().describe('Start date in YYYY-MM-DD format'),
-  period2: z.string().optional().describe('End date in YYYY-MM-DD format'),
+  period1: DateString.optional().describe('Start date in YYYY-MM-DD format'),
+  period2: DateString.optional().describe('End date in YYYY-MM-DD format'),
 });
 
 const GetTrendingSymbolsSchema = z.object({
@@ -107,8 +253,23 @@ const GetScreenerSchema = z.object({
 
 const GetAutocSchema = z.object({});
 
-// Define available tools
-const tools: Tool[] = [
+/**
+ * Batch-quote symbols for the prompts, keeping the caller's order and marking failures per symbol
+ */
+async function getPromptQuotes(symbols: string[]) {
+  const { quotes, errors } = await getQuotes(symbols);
+  return symbols.map(symbol => {
+    const quote = quotes.find(q => q.symbol.toUpperCase() === symbol.toUpperCase());
+    if (quote) {
+      return { symbol, quote, success: true };
+    }
+    const failure = errors.find(e => e.symbol === symbol.toUpperCase());
+    return { symbol, error: failure?.error || 'No quote data returned', success: false };
+  });
+}
+
+// Define available tools; each also declares the schema of its structured output
+const toolDefinitions: Tool[] = [
   {
     name: 'get_quote',
     description: 'Get real-time quote data for a stock symbol',
@@ -123,6 +284,21 @@ const tools: Tool[] = [
       required: ['symbol'],
     },
   },
+  {
+    name: 'get_quotes',
+    description: 'Get real-time quote data for many symbols in one call, with per-symbol errors for any that fail',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        symbols: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Stock symbols to quote (e.g., ["AAPL", "MSFT", "GOOGL"])',
+        },
+      },
+      required: ['symbols'],
+    },
+  },
   {
     name: 'get_historical_data',
     description: 'Get historical price data for a stock symbol',
@@ -150,6 +326,330 @@ const tools: Tool[] = [
       required: ['symbol'],
     },
   },
+  {
+    name: 'compute_indicators',
+    description: 'Compute technical indicators (SMA, EMA, WMA, RSI, MACD, Bollinger Bands, ATR, Stochastic, OBV, VWAP, ADX, Ichimoku) over historical prices, returned as series aligned to the price bars',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        symbol: {
+          type: 'string',
+          description: 'Stock symbol (e.g., AAPL, MSFT, GOOGL)',
+        },
+        period1: {
+          type: 'string',
+          description: 'Start date in YYYY-MM-DD format (default: 6 months ago)',
+        },
+        period2: {
+          type: 'string',
+          description: 'End date in YYYY-MM-DD format (default: today)',
+        },
+        interval: {
+          type: 'string',
+          enum: ['1d', '5d', '1wk', '1mo', '3mo'],
+          description: 'Data interval',
+        },
+        indicators: {
+          type: 'array',
+          description: 'Indicators to compute, e.g. [{"type": "sma", "params": {"period": 50}}, {"type": "rsi"}]',
+          items: {
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: [...INDICATOR_TYPES],
+              },
+              params: {
+                type: 'object',
+                additionalProperties: { type: 'number' },
+                description: 'Indicator parameters; omitted ones use the usual defaults',
+              },
+            },
+            required: ['type'],
+          },
+        },
+      },
+      required: ['symbol', 'indicators'],
+    },
+  },
+  {
+    name: 'backtest_strategy',
+    description: 'Backtest a long-only trading strategy defined by indicator rules (e.g. buy when SMA(50) crosses above SMA(200), sell on the reverse cross) and return the equity curve, trade log, CAGR, max drawdown, Sharpe/Sortino and win rate against buy-and-hold',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        symbols: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Symbols to test (a single symbol string is also accepted); capital is split equally across them',
+        },
+        period1: {
+          type: 'string',
+          description: 'Start date in YYYY-MM-DD format (default: 3 years ago)',
+        },
+        period2: {
+          type: 'string',
+          description: 'End date in YYYY-MM-DD format (default: today)',
+        },
+        interval: {
+          type: 'string',
+          enum: ['1d', '5d', '1wk', '1mo', '3mo'],
+          description: 'Data interval',
+        },
+        initialCapital: {
+          type: 'number',
+          description: 'Starting capital (default: 10000)',
+        },
+        entry: {
+          type: 'object',
+          description: 'Rule that opens a position: {"left": operand, "op": "crosses_above" | "crosses_below" | ">" | "<" | ">=" | "<=", "right": operand}, or {"all": [rules]} / {"any": [rules]}. An operand is a number, a price field (open, high, low, close, volume) or {"indicator": "sma", "params": {"period": 50}, "line": "sma"}',
+        },
+        exit: {
+          type: 'object',
+          description: 'Rule that closes a position, in the same form as entry',
+        },
+        positionSizing: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['percent_equity', 'fixed_amount', 'fixed_shares'] },
+            value: { type: 'number' },
+          },
+          description: 'How much to buy on entry (default: 100% of equity)',
+        },
+        commission: {
+          type: 'object',
+          properties: {
+            perTrade: { type: 'number', description: 'Flat fee per order' },
+            percent: { type: 'number', description: 'Percent of order value' },
+          },
+          description: 'Commission charged on every buy and sell',
+        },
+        stopLossPercent: {
+          type: 'number',
+          description: 'Exit when price falls this percent below the entry price',
+        },
+        takeProfitPercent: {
+          type: 'number',
+          description: 'Exit when price rises this percent above the entry price',
+        },
+      },
+      required: ['symbols', 'entry', 'exit'],
+    },
+  },
+  {
+    name: 'analyze_portfolio',
+    description: 'Value a portfolio of positions (quantity, cost basis, purchase date) at current prices: market value, unrealized and day P&L, weights by market value, and sector and asset-class allocation',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        positions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              symbol: { type: 'string', description: 'Stock symbol' },
+              quantity: { type: 'number', description: 'Number of shares held' },
+              costBasis: { type: 'number', description: 'Price paid per share' },
+              purchaseDate: { type: 'string', description: 'Purchase date in YYYY-MM-DD format' },
+            },
+            required: ['symbol', 'quantity', 'costBasis'],
+          },
+          description: 'Positions held; several lots of one symbol are combined',
+        },
+        portfolio: {
+          type: 'string',
+          description: 'Name of a saved portfolio to analyze instead of positions',
+        },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'list_watchlists',
+    description: 'List saved watchlists and their symbols',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: [],
+    },
+  },
+  {
+    name: 'add_to_watchlist',
+    description: 'Add symbols to a saved watchlist, creating the watchlist if it does not exist',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        watchlist: {
+          type: 'string',
+          description: 'Watchlist name',
+        },
+        symbols: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Symbols to add (a single symbol string is also accepted)',
+        },
+      },
+      required: ['watchlist', 'symbols'],
+    },
+  },
+  {
+    name: 'remove_from_watchlist',
+    description: 'Remove symbols from a saved watchlist',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        watchlist: {
+          type: 'string',
+          description: 'Watchlist name',
+        },
+        symbols: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Symbols to remove (a single symbol string is also accepted)',
+        },
+      },
+      required: ['watchlist', 'symbols'],
+    },
+  },
+  {
+    name: 'get_watchlist_quotes',
+    description: 'Get real-time quotes for every symbol in a saved watchlist',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        watchlist: {
+          type: 'string',
+          description: 'Watchlist name',
+        },
+      },
+      required: ['watchlist'],
+    },
+  },
+  {
+    name: 'list_portfolios',
+    description: 'List saved portfolios and their positions',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: [],
+    },
+  },
+  {
+    name: 'save_portfolio',
+    description: 'Save a portfolio of positions under a name, replacing any portfolio with that name; analyze it later with analyze_portfolio',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Portfolio name',
+        },
+        positions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              symbol: { type: 'string', description: 'Stock symbol' },
+              quantity: { type: 'number', description: 'Number of shares held' },
+              costBasis: { type: 'number', description: 'Price paid per share' },
+              purchaseDate: { type: 'string', description: 'Purchase date in YYYY-MM-DD format' },
+            },
+            required: ['symbol', 'quantity', 'costBasis'],
+          },
+          description: 'Positions held; replaces any saved positions',
+        },
+      },
+      required: ['name', 'positions'],
+    },
+  },
+  {
+    name: 'create_alert',
+    description: 'Create a price, intraday move or indicator alert, either in words ("AAPL crosses above 200", "TSLA moves more than 5%", "RSI(14) on NVDA below 30") or as separate fields. Alerts are checked on a schedule by the HTTP bridge.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        rule: {
+          type: 'string',
+          description: 'Alert in words, e.g. "AAPL crosses above 200", "TSLA moves more than 5%", "RSI(14) on NVDA below 30"',
+        },
+        symbol: {
+          type: 'string',
+          description: 'Stock symbol, when the rule is given as separate fields',
+        },
+        type: {
+          type: 'string',
+          enum: ['price', 'change', 'indicator'],
+          description: 'What the alert watches',
+        },
+        condition: {
+          type: 'string',
+          enum: [...ALERT_CONDITIONS],
+          description: 'Condition for price and indicator alerts',
+        },
+        threshold: {
+          type: 'number',
+          description: 'Price, indicator level, or percent move for change alerts',
+        },
+        direction: {
+          type: 'string',
+          enum: [...CHANGE_DIRECTIONS],
+          description: 'Direction for change alerts (default: either)',
+        },
+        indicator: {
+          type: 'string',
+          enum: [...INDICATOR_TYPES],
+          description: 'Indicator for indicator alerts',
+        },
+        params: {
+          type: 'object',
+          additionalProperties: { type: 'number' },
+          description: 'Indicator parameters, e.g. { "period": 14 }',
+        },
+        line: {
+          type: 'string',
+          description: 'Indicator line for multi-line indicators, e.g. "signal" for MACD',
+        },
+        repeat: {
+          type: 'boolean',
+          description: 'Keep the alert active after it fires (default: fire once)',
+        },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'list_alerts',
+    description: 'List alerts with their state, and the most recent triggers',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: ['active', 'triggered'],
+          description: 'Only alerts with this status',
+        },
+        symbol: {
+          type: 'string',
+          description: 'Only alerts for this symbol',
+        },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'delete_alert',
+    description: 'Delete an alert by id',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Alert id',
+        },
+      },
+      required: ['id'],
+    },
+  },
   {
     name: 'search_symbols',
     description: 'Search for stock symbols by company name or symbol',
@@ -205,7 +705,7 @@ const tools: Tool[] = [
   },
   {
     name: 'get_financials',
-    description: 'Get financial statements for a stock symbol',
+    description: 'Get annual or quarterly income statement, balance sheet or cash flow statement for a stock symbol',
     inputSchema: {
       type: 'object',
       properties: {
@@ -218,6 +718,11 @@ const tools: Tool[] = [
           enum: ['income', 'balance', 'cashflow'],
           description: 'Type of financial statement',
         },
+        frequency: {
+          type: 'string',
+          enum: ['annual', 'quarterly'],
+          description: 'Reporting frequency (default: annual)',
+        },
       },
       required: ['symbol', 'type'],
     },
@@ -240,6 +745,36 @@ const tools: Tool[] = [
       required: ['symbol'],
     },
   },
+  {
+    name: 'get_options_analytics',
+    description: 'Get options chains for the nearest 8 expirations (or the nearest 8 in a date range) with Black-Scholes Greeks, implied-volatility smiles and IV term structure',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        symbol: {
+          type: 'string',
+          description: 'Stock symbol to analyze options for',
+        },
+        fromDate: {
+          type: 'string',
+          description: 'Earliest expiration date to include in YYYY-MM-DD format',
+        },
+        toDate: {
+          type: 'string',
+          description: 'Latest expiration date to include in YYYY-MM-DD format',
+        },
+        riskFreeRate: {
+          type: 'number',
+          description: 'Annualized risk-free rate as a decimal (default: 0.045)',
+        },
+        strikeRange: {
+          type: 'number',
+          description: 'Only include strikes within this fraction of the underlying price (default: 0.3)',
+        },
+      },
+      required: ['symbol'],
+    },
+  },
   {
     name: 'get_trending_stocks',
     description: 'Get top trending stocks based on volume and price movement',
@@ -390,7 +925,35 @@ const tools: Tool[] = [
       properties: {},
     },
   },
+  {
+    name: 'get_cache_stats',
+    description: 'Get hit/miss counters, size and eviction count for the upstream response cache',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
 ];
+// Tools that change saved watchlists, portfolios or alerts, and whether the change can remove anything;
+// every other tool only reads, which clients such as the bridge's agent rely on
+const WRITE_TOOLS: Record<string, { destructive: boolean }> = {
+  add_to_watchlist: { destructive: false },
+  create_alert: { destructive: false },
+  remove_from_watchlist: { destructive: true },
+  save_portfolio: { destructive: true },
+  delete_alert: { destructive: true },
+};
+
+function toolAnnotations(name: string): Tool['annotations'] {
+  const write = WRITE_TOOLS[name];
+  return write ? { readOnlyHint: false, destructiveHint: write.destructive } : { readOnlyHint: true };
+}
+
+const tools: Tool[] = toolDefinitions.map(tool => ({
+  ...tool,
+  outputSchema: OUTPUT_SCHEMAS[tool.name],
+  annotations: toolAnnotations(tool.name),
+}));
 
 // Define available prompts
 const prompts: Prompt[] = [
@@ -542,39 +1105,29 @@ const prompts: Prompt[] = [
   },
   {
     name: 'portfolio_analysis',
-    description: 'Analyze a portfolio of stocks with performance metrics',
+    description: 'Analyze a portfolio of positions with market value, P&L and allocation',
     arguments: [
+      {
+        name: 'positions',
+        description: 'Comma-separated positions as SYMBOL:QUANTITY@COST or SYMBOL:QUANTITY@COST:YYYY-MM-DD, e.g. "AAPL:10@150.25:2023-01-15, MSFT:5@310"',
+        required: false,
+      },
+      {
+        name: 'portfolio',
+        description: 'Name of a saved portfolio to analyze instead of positions',
+        required: false,
+      },
       {
         name: 'symbols',
-        description: 'Comma-separated list of stock symbols in the portfolio',
-        required: true,
+        description: 'Deprecated: comma-separated symbols without quantities, each counted as one share with no cost basis. Use positions instead.',
+        required: false,
       },
     ],
   },
 ];
 
-// Create MCP server
-const server = new Server({
-  name: 'yahoo-finance-mcp-server',
-  version: '1.0.0',
-});
-
-// Handle tool listing
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools,
-  };
-});
-
-// Handle prompt listing
-server.setRequestHandler(ListPromptsRequestSchema, async () => {
-  return {
-    prompts,
-  };
-});
-
 // Handle prompt execution
-server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+async function handleGetPrompt(request: GetPromptRequest) {
   const { name, arguments: args } = request.params;
 
   try {
@@ -615,6 +1168,11 @@ server.setRequestHandler(GetPromptRequestSchema, async (request) => {
 - **50-Day Average**: $${quote.fiftyDayAverage?.toFixed(2) || 'N/A'}
 - **200-Day Average**: $${quote.twoHundredDayAverage?.toFixed(2) || 'N/A'}
 
+## Analyst Consensus
+- **Recommendation**: ${recommendations.recommendationKey || 'N/A'}${recommendations.numberOfAnalystOpinions ? ` (${recommendations.numberOfAnalystOpinions} analysts)` : ''}
+- **Mean Target**: $${recommendations.targetMeanPrice?.toFixed(2) || 'N/A'}
+- **Target Range**: $${recommendations.targetLowPrice?.toFixed(2) || 'N/A'} - $${recommendations.targetHighPrice?.toFixed(2) || 'N/A'}
+
 ## Analysis
 Based on the current data, ${symbol} is trading at $${quote.regularMarketPrice?.toFixed(2) || 'N/A'}. The stock has ${quote.regularMarketChangePercent && quote.regularMarketChangePercent > 0 ? 'gained' : 'lost'} ${Math.abs(quote.regularMarketChangePercent || 0).toFixed(2)}% today.
 
@@ -642,16 +1200,7 @@ ${quote.regularMarketChangePercent && quote.regularMarketChangePercent > 0 ? 'Th
           throw new Error('At least one symbol is required for comparison');
         }
 
-        const quotes = await Promise.all(
-          symbols.map(async (symbol) => {
-            try {
-              const quote = await getQuote(symbol);
-              return { symbol, quote, success: true };
-            } catch (error) {
-              return { symbol, error: error instanceof Error ? error.message : 'Unknown error', success: false };
-            }
-          })
-        );
+        const quotes = await getPromptQuotes(symbols);
 
         const successfulQuotes = quotes.filter(q => q.success && q.quote);
         const failedQuotes = quotes.filter(q => !q.success);
@@ -853,88 +1402,89 @@ ${news.length > 0 ?
       }
 
       case 'portfolio_analysis': {
-        const symbols = (args?.symbols as string)?.split(',').map(s => s.trim()) || [];
-        if (symbols.length === 0) {
-          throw new Error('At least one symbol is required for portfolio analysis');
+        const saved = args?.portfolio ? userStore.getPortfolio(args.portfolio as string) : undefined;
+        if (args?.portfolio && !saved) {
+          throw new Error(`Portfolio "${args.portfolio}" not found`);
+        }
+        // Callers from before positions existed send bare symbols; value them at one share each
+        const symbolsOnly = !saved && !args?.positions && Boolean(args?.symbols);
+        const positions: PortfolioPosition[] = saved ? saved.positions : symbolsOnly
+          ? (args?.symbols as string).split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean)
+            .map(symbol => ({ symbol, quantity: 1, costBasis: 0 }))
+          : parsePositionList((args?.positions as string) || '');
+        if (positions.length === 0) {
+          throw new Error('At least one position is required for portfolio analysis');
         }
 
-        const quotes = await Promise.all(
-          symbols.map(async (symbol) => {
-            try {
-              const quote = await getQuote(symbol);
-              return { symbol, quote, success: true };
-            } catch (error) {
-              return { symbol, error: error instanceof Error ? error.message : 'Unknown error', success: false };
-            }
-          })
-        );
-
-        const successfulQuotes = quotes.filter(q => q.success && q.quote);
-        const totalValue = successfulQuotes.reduce((sum, q) => sum + (q.quote?.regularMarketPrice || 0), 0);
-        const totalChange = successfulQuotes.reduce((sum, q) => sum + (q.quote?.regularMarketChange || 0), 0);
-        const totalChangePercent = totalValue > 0 ? (totalChange / (totalValue - totalChange)) * 100 : 0;
-
-        let prompt = `# Portfolio Analysis
+        const analysis = await analyzePortfolio(positions);
+        const { totals, holdings, allocation } = analysis;
+        const money = (value: number) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+        const signedMoney = (value: number) => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+        const percent = (value: number | null) => (value === null ? 'N/A' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`);
 
+        let prompt = `# Portfolio Analysis${saved ? `: ${saved.name}` : ''}
+${symbolsOnly ? `
+> Positions were given as symbols only, so each counts as one share with no cost basis. Market value and weights follow share prices, and unrealized P&L is not meaningful. Pass \`positions\` as SYMBOL:QUANTITY@COST for a real analysis.
+` : ''}
 ## Portfolio Summary
-- **Total Stocks**: ${successfulQuotes.length}
-- **Total Value**: $${totalValue.toFixed(2)}
-- **Total Change**: $${totalChange.toFixed(2)} (${totalChangePercent.toFixed(2)}%)
+- **Positions**: ${totals.positions}
+- **Market Value**: ${money(totals.marketValue)}
+- **Cost Basis**: ${money(totals.costValue)}
+- **Unrealized P&L**: ${signedMoney(totals.unrealizedPnl)} (${percent(totals.unrealizedPnlPercent)})
+- **Day P&L**: ${signedMoney(totals.dayPnl)} (${percent(totals.dayPnlPercent)})
 
-## Individual Holdings
+## Holdings
 
-| Symbol | Price | Change | Change % | Weight | Performance |
-|--------|-------|--------|----------|--------|-------------|`;
+| Symbol | Quantity | Avg Cost | Price | Market Value | Unrealized P&L | Day P&L | Weight |
+|--------|----------|----------|-------|--------------|----------------|---------|--------|`;
 
-        successfulQuotes.forEach(({ symbol, quote }) => {
-          if (quote) {
-            const weight = totalValue > 0 ? ((quote.regularMarketPrice || 0) / totalValue * 100).toFixed(1) : '0.0';
-            const performance = quote.regularMarketChangePercent && quote.regularMarketChangePercent > 0 ? '🟢' : 
-                              quote.regularMarketChangePercent && quote.regularMarketChangePercent < 0 ? '🔴' : '⚪';
-            prompt += `\n| ${symbol} | $${quote.regularMarketPrice?.toFixed(2) || 'N/A'} | $${quote.regularMarketChange?.toFixed(2) || 'N/A'} | ${quote.regularMarketChangePercent?.toFixed(2) || 'N/A'}% | ${weight}% | ${performance} |`;
-          }
+        holdings.forEach(holding => {
+          prompt += `\n| ${holding.symbol} | ${holding.quantity} | ${money(holding.averageCost)} | ${money(holding.price)} | ${money(holding.marketValue)} | ${signedMoney(holding.unrealizedPnl)} (${percent(holding.unrealizedPnlPercent)}) | ${signedMoney(holding.dayPnl)} | ${holding.weight.toFixed(1)}% |`;
         });
 
-        if (quotes.filter(q => !q.success).length > 0) {
+        if (analysis.errors.length > 0) {
           prompt += `\n\n## Failed to fetch data for:
-${quotes.filter(q => !q.success).map(q => `- ${q.symbol}: ${q.error}`).join('\n')}`;
+${analysis.errors.map(error => `- ${error.symbol}: ${error.error}`).join('\n')}`;
         }
 
-        prompt += `\n\n## Portfolio Analysis
+        prompt += `\n\n## Allocation
 
-### Performance Metrics
-- **Best Performer**: ${successfulQuotes.reduce((best, current) => 
-  (current.quote?.regularMarketChangePercent || 0) > (best.quote?.regularMarketChangePercent || 0) ? current : best
-).symbol} (${successfulQuotes.reduce((best, current) => 
-  (current.quote?.regularMarketChangePercent || 0) > (best.quote?.regularMarketChangePercent || 0) ? current : best
-).quote?.regularMarketChangePercent?.toFixed(2) || 'N/A'}%)
+### By Sector
+${allocation.bySector.map(slice => `- **${slice.name}**: ${slice.weight.toFixed(1)}% (${money(slice.marketValue)})`).join('\n')}
 
-- **Worst Performer**: ${successfulQuotes.reduce((worst, current) => 
-  (current.quote?.regularMarketChangePercent || 0) < (worst.quote?.regularMarketChangePercent || 0) ? current : worst
-).symbol} (${successfulQuotes.reduce((worst, current) => 
-  (current.quote?.regularMarketChangePercent || 0) < (worst.quote?.regularMarketChangePercent || 0) ? current : worst
-).quote?.regularMarketChangePercent?.toFixed(2) || 'N/A'}%)
+### By Asset Class
+${allocation.byAssetClass.map(slice => `- **${slice.name}**: ${slice.weight.toFixed(1)}% (${money(slice.marketValue)})`).join('\n')}`;
+
+        if (holdings.length > 0) {
+          const byReturn = [...holdings].filter(holding => holding.unrealizedPnlPercent !== null)
+            .sort((a, b) => (b.unrealizedPnlPercent as number) - (a.unrealizedPnlPercent as number));
+          const largest = holdings[0];
+          const topSector = allocation.bySector[0];
+
+          prompt += `\n\n## Portfolio Analysis
 
-### Diversification Analysis
-${successfulQuotes.length > 1 ? 
-  `Your portfolio consists of ${successfulQuotes.length} different stocks. Consider the following for better diversification:
+### Performance
+${byReturn.length > 0 ? `- **Best Position**: ${byReturn[0].symbol} (${percent(byReturn[0].unrealizedPnlPercent)} since purchase)
+- **Worst Position**: ${byReturn[byReturn.length - 1].symbol} (${percent(byReturn[byReturn.length - 1].unrealizedPnlPercent)} since purchase)` : '- No cost basis to measure returns against'}
 
-- **Sector Diversification**: Ensure you're not over-concentrated in one sector
-- **Market Cap Diversification**: Balance between large-cap, mid-cap, and small-cap stocks
-- **Geographic Diversification**: Consider international exposure
-- **Risk Management**: Monitor correlation between holdings` : 
-  'Consider adding more stocks to your portfolio for better diversification.'}
+### Concentration
+- **Largest Position**: ${largest.symbol} at ${largest.weight.toFixed(1)}% of the portfolio
+- **Largest Sector**: ${topSector.name} at ${topSector.weight.toFixed(1)}% of the portfolio
+${largest.weight > 25 || topSector.weight > 40 ?
+  '- The portfolio is concentrated; consider whether a single position or sector carries more risk than intended' :
+  '- No single position or sector dominates the portfolio'}`;
+        }
 
-### Recommendations
+        prompt += `\n\n### Recommendations
 1. **Regular Monitoring**: Check your portfolio performance regularly
-2. **Rebalancing**: Consider rebalancing if any single stock becomes too large a percentage
+2. **Rebalancing**: Consider rebalancing if any single position or sector becomes too large a percentage
 3. **Risk Assessment**: Evaluate your risk tolerance and adjust accordingly
-4. **Tax Considerations**: Consider tax implications of any changes
+4. **Tax Considerations**: Consider the holding period and tax implications of realizing gains or losses
 
 **Disclaimer**: This portfolio analysis is for informational purposes only and should not be considered as financial advice. Always consult with a qualified financial advisor before making investment decisions.`;
 
         return {
-          description: `Portfolio analysis for ${symbols.length} stocks`,
+          description: `Portfolio analysis for ${totals.positions} positions`,
           messages: [
             {
               role: 'user',
@@ -1398,10 +1948,10 @@ ${index + 1}. **${suggestion.symbol || suggestion}** - ${suggestion.name || sugg
       ],
     };
   }
-});
+}
 
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function handleCallTool(request: CallToolRequest) {
   const { name, arguments: args } = request.params;
 
   try {
@@ -1409,14 +1959,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       case 'get_quote': {
         const { symbol } = GetQuoteSchema.parse(args);
         const result = await getQuote(symbol);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
+      }
+
+      case 'get_quotes': {
+        const { symbols } = GetQuotesSchema.parse(args);
+        const result = await getQuotes(symbols);
+        return toolResult(name, result);
       }
 
       case 'get_historical_data': {
@@ -1435,231 +1984,242 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           }
         };
         
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(responseWithSymbol, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, responseWithSymbol);
+      }
+
+      case 'compute_indicators': {
+        const { symbol, period1, period2, interval, indicators } = ComputeIndicatorsSchema.parse(args);
+        const result = await getIndicators(symbol, indicators, period1, period2, interval);
+        return toolResult(name, result);
+      }
+
+      case 'backtest_strategy': {
+        const { symbols, period1, period2, interval, initialCapital, ...strategy } = BacktestStrategySchema.parse(args);
+        const symbolList = Array.isArray(symbols) ? symbols : symbols.split(',').map(s => s.trim()).filter(Boolean);
+        const result = await backtestStrategy(symbolList, strategy, period1, period2, interval, initialCapital);
+        return toolResult(name, result);
+      }
+
+      case 'analyze_portfolio': {
+        const { positions, portfolio } = AnalyzePortfolioSchema.parse(args);
+        const saved = portfolio ? userStore.getPortfolio(portfolio) : undefined;
+        if (portfolio && !saved) {
+          throw new FinanceError('NO_DATA', `Portfolio "${portfolio}" not found`);
+        }
+        const result = await analyzePortfolio(saved ? saved.positions : positions as PortfolioPosition[]);
+        return toolResult(name, saved ? { portfolio: saved.name, ...result } : result);
+      }
+
+      case 'list_watchlists': {
+        ListWatchlistsSchema.parse(args);
+        const result = userStore.listWatchlists();
+        return toolResult(name, result);
+      }
+
+      case 'add_to_watchlist':
+      case 'remove_from_watchlist': {
+        const { watchlist, symbols } = WatchlistSymbolsSchema.parse(args);
+        const symbolList = Array.isArray(symbols) ? symbols : symbols.split(',');
+        const result = name === 'add_to_watchlist'
+          ? await userStore.addToWatchlist(watchlist, symbolList)
+          : await userStore.removeFromWatchlist(watchlist, symbolList);
+        return toolResult(name, result);
+      }
+
+      case 'get_watchlist_quotes': {
+        const { watchlist } = GetWatchlistQuotesSchema.parse(args);
+        const saved = userStore.getWatchlist(watchlist);
+        if (!saved) {
+          throw new FinanceError('NO_DATA', `Watchlist "${watchlist}" not found`);
+        }
+        const result = { watchlist: saved.name, ...(await getQuotes(saved.symbols)) };
+        return toolResult(name, result);
+      }
+
+      case 'list_portfolios': {
+        ListPortfoliosSchema.parse(args);
+        const result = userStore.listPortfolios();
+        return toolResult(name, result);
+      }
+
+      case 'save_portfolio': {
+        const { name: portfolioName, positions } = SavePortfolioSchema.parse(args);
+        const result = await userStore.savePortfolio(portfolioName, positions);
+        return toolResult(name, result);
+      }
+
+      case 'create_alert': {
+        const { rule: text, symbol, repeat, ...fields } = CreateAlertSchema.parse(args);
+        const parsed = text ? parseAlertRule(text) : { symbol: symbol as string, rule: alertRuleFromFields(fields) };
+        const result = await userStore.createAlert(parsed.symbol, parsed.rule, repeat);
+        return toolResult(name, result);
+      }
+
+      case 'list_alerts': {
+        const { status, symbol } = ListAlertsSchema.parse(args);
+        const alerts = userStore.listAlerts()
+          .filter(alert => !status || alert.status === status)
+          .filter(alert => !symbol || alert.symbol === symbol.toUpperCase());
+        const result = { alerts, recentTriggers: userStore.getAlertHistory(undefined, 20) };
+        return toolResult(name, result);
+      }
+
+      case 'delete_alert': {
+        const { id } = DeleteAlertSchema.parse(args);
+        if (!(await userStore.deleteAlert(id))) {
+          throw new FinanceError('NO_DATA', `Alert "${id}" not found`);
+        }
+        return toolResult(name, { deleted: id });
       }
 
       case 'search_symbols': {
         const { query } = SearchSymbolsSchema.parse(args);
         const result = await searchSymbols(query);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
       }
 
       case 'get_market_summary': {
         const result = await getMarketSummary();
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
       }
 
       case 'get_news': {
         const { symbol, count } = GetNewsSchema.parse(args);
         const result = await getNews(symbol, count);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
       }
 
       case 'get_recommendations': {
         const { symbol } = GetRecommendationsSchema.parse(args);
         const result = await getRecommendations(symbol);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
       }
 
       case 'get_financials': {
-        const { symbol, type } = GetFinancialsSchema.parse(args);
-        const result = await getFinancials(symbol, type);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        const { symbol, type, frequency } = GetFinancialsSchema.parse(args);
+        const result = await getFinancials(symbol, type, frequency);
+        return toolResult(name, result);
       }
 
       case 'get_options': {
         const { symbol, expiration } = GetOptionsSchema.parse(args);
         const result = await getOptions(symbol, expiration);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
+      }
+
+      case 'get_options_analytics': {
+        const { symbol, fromDate, toDate, riskFreeRate, strikeRange } = GetOptionsAnalyticsSchema.parse(args);
+        const result = await getOptionsAnalytics(symbol, fromDate, toDate, riskFreeRate, strikeRange);
+        return toolResult(name, result);
       }
 
       case 'get_trending_stocks': {
         const { count = 5 } = GetTrendingStocksSchema.parse(args);
         const result = await getTrendingStocks(count);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
       }
 
       case 'get_trending_etfs': {
         const { count = 5 } = GetTrendingETFsSchema.parse(args);
         const result = await getTrendingETFs(count);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
       }
 
       case 'get_insights': {
         const { symbol } = GetInsightsSchema.parse(args);
         const result = await getInsights(symbol);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
       }
 
       case 'get_chart': {
         const { symbol, period1, period2, interval } = GetChartSchema.parse(args);
         const result = await getChart(symbol, period1, period2, interval);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
       }
 
       case 'get_quote_summary': {
         const { symbol, modules } = GetQuoteSummarySchema.parse(args);
         const result = await getQuoteSummary(symbol, modules);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
       }
 
       case 'get_fundamentals_timeseries': {
         const { symbol, period1, period2 } = GetFundamentalsTimeSeriesSchema.parse(args);
         const result = await getFundamentalsTimeSeries(symbol, period1, period2);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
       }
 
       case 'get_trending_symbols': {
         const { count = 10 } = GetTrendingSymbolsSchema.parse(args);
         const result = await getTrendingSymbols(count);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
       }
 
 
       case 'get_screener': {
         const { criteria, count = 10 } = GetScreenerSchema.parse(args);
         const result = await getScreener(criteria, count);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
       }
 
       case 'get_autoc': {
         const result = await getAutoc();
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
+        return toolResult(name, result);
+      }
+
+      case 'get_cache_stats': {
+        const result = getCacheStats();
+        return toolResult(name, result);
       }
 
       default:
         throw new Error(`Unknown tool: ${name}`);
     }
   } catch (error) {
-    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error: ${errorMessage}`,
-        },
-      ],
-      isError: true,
-    };
+    return toolError(error);
   }
-});
+}
+
+/**
+ * Create an MCP server with the tool and prompt handlers. The HTTP transport creates one per session,
+ * since a server instance serves a single connection.
+ */
+function createServer(): Server {
+  const server = new Server({
+    name: 'yahoo-finance-mcp-server',
+    version: '1.0.0',
+  }, {
+    capabilities: {
+      tools: {},
+      prompts: {},
+      resources: { subscribe: true },
+    },
+  });
 
-// Start the server
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts }));
+  server.setRequestHandler(GetPromptRequestSchema, handleGetPrompt);
+  server.setRequestHandler(CallToolRequestSchema, handleCallTool);
+  registerResources(server, userStore);
+
+  return server;
+}
+
+// Start the server on stdio (default) or, with MCP_TRANSPORT=http, over HTTP ("sse" is the older name for it)
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
+  const transport = (process.env.MCP_TRANSPORT || 'stdio').toLowerCase();
+  if (transport === 'http' || transport === 'sse') {
+    await startHttpServer(createServer, {
+      port: Number(process.env.MCP_PORT) || 3002,
+      host: process.env.MCP_HOST || '127.0.0.1',
+    });
+    return;
+  }
+  if (transport !== 'stdio') {
+    throw new Error(`Unknown MCP_TRANSPORT "${transport}" (use stdio or http)`);
+  }
+
+  await createServer().connect(new StdioServerTransport());
   console.error('Yahoo Finance MCP server running on stdio');
 }
 
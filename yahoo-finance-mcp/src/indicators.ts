@@ -0,0 +1,388 @@
+// Technical indicators over OHLCV bars; every series is aligned to the input bars, with null during warm-up
+
+import { FinanceError } from './errors.js';
+
+export type Series = (number | null)[];
+
+export interface Bar {
+  date: Date;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  volume: number;
+}
+
+export const INDICATOR_TYPES = [
+  'sma',
+  'ema',
+  'wma',
+  'rsi',
+  'macd',
+  'bollinger',
+  'atr',
+  'stochastic',
+  'obv',
+  'vwap',
+  'adx',
+  'ichimoku',
+] as const;
+
+export type IndicatorType = typeof INDICATOR_TYPES[number];
+
+export interface IndicatorSpec {
+  type: IndicatorType;
+  params?: Record<string, number>;
+}
+
+export interface IndicatorResult {
+  id: string;
+  type: IndicatorType;
+  params: Record<string, number>;
+  overlay: boolean; // drawn on the price axis rather than in its own pane
+  series: Record<string, [number, number | null][]>;
+}
+
+interface IndicatorDefinition {
+  defaults: Record<string, number>;
+  overlay: boolean;
+  // Bars needed before the first fully formed value
+  lookback: (params: Record<string, number>) => number;
+  compute: (bars: Bar[], params: Record<string, number>, anchor: number) => Record<string, Series>;
+}
+
+function round(value: number | null): number | null {
+  return value === null || !Number.isFinite(value) ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Simple moving average
+ */
+export function sma(values: Series, period: number): Series {
+  return values.map((_, i) => {
+    if (i < period - 1) return null;
+    let sum = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      const value = values[j];
+      if (value === null) return null;
+      sum += value;
+    }
+    return sum / period;
+  });
+}
+
+/**
+ * Exponential moving average, seeded with the simple average of the first full window
+ */
+export function ema(values: Series, period: number, alpha: number = 2 / (period + 1)): Series {
+  const result: Series = new Array(values.length).fill(null);
+  const start = values.findIndex(value => value !== null);
+  if (start < 0 || values.length - start < period) {
+    return result;
+  }
+
+  let previous = 0;
+  for (let i = start; i < start + period; i++) {
+    previous += (values[i] ?? 0) / period;
+  }
+  result[start + period - 1] = previous;
+
+  for (let i = start + period; i < values.length; i++) {
+    const value = values[i];
+    previous = value === null ? previous : alpha * value + (1 - alpha) * previous;
+    result[i] = previous;
+  }
+  return result;
+}
+
+/**
+ * Wilder's smoothing (RSI, ATR, ADX): an EMA with alpha = 1 / period
+ */
+function wilder(values: Series, period: number): Series {
+  return ema(values, period, 1 / period);
+}
+
+/**
+ * Linearly weighted moving average, newest bar weighted highest
+ */
+export function wma(values: Series, period: number): Series {
+  const weightSum = (period * (period + 1)) / 2;
+  return values.map((_, i) => {
+    if (i < period - 1) return null;
+    let sum = 0;
+    for (let j = 0; j < period; j++) {
+      const value = values[i - j];
+      if (value === null) return null;
+      sum += value * (period - j);
+    }
+    return sum / weightSum;
+  });
+}
+
+function rollingStdDev(values: Series, period: number, means: Series): Series {
+  return values.map((_, i) => {
+    const mean = means[i];
+    if (mean === null) return null;
+    let sumSquares = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      sumSquares += ((values[j] as number) - mean) ** 2;
+    }
+    return Math.sqrt(sumSquares / period);
+  });
+}
+
+function rollingExtreme(values: number[], period: number, pick: (...values: number[]) => number): Series {
+  return values.map((_, i) => (i < period - 1 ? null : pick(...values.slice(i - period + 1, i + 1))));
+}
+
+function trueRange(bars: Bar[]): Series {
+  return bars.map((bar, i) => {
+    if (i === 0) return bar.high - bar.low;
+    const previousClose = bars[i - 1].close;
+    return Math.max(bar.high - bar.low, Math.abs(bar.high - previousClose), Math.abs(bar.low - previousClose));
+  });
+}
+
+/**
+ * Shift a series later by `offset` bars (negative shifts earlier), keeping its length
+ */
+function shift(values: Series, offset: number): Series {
+  return values.map((_, i) => {
+    const source = i - offset;
+    return source >= 0 && source < values.length ? values[source] : null;
+  });
+}
+
+function combine(a: Series, b: Series, fn: (a: number, b: number) => number): Series {
+  return a.map((value, i) => (value === null || b[i] === null ? null : fn(value, b[i] as number)));
+}
+
+const closes = (bars: Bar[]): Series => bars.map(bar => bar.close);
+
+const DEFINITIONS: Record<IndicatorType, IndicatorDefinition> = {
+  sma: {
+    defaults: { period: 20 },
+    overlay: true,
+    lookback: ({ period }) => period,
+    compute: (bars, { period }) => ({ sma: sma(closes(bars), period) }),
+  },
+  ema: {
+    defaults: { period: 20 },
+    overlay: true,
+    // EMAs converge slowly, so give the seed a few periods to wash out
+    lookback: ({ period }) => period * 3,
+    compute: (bars, { period }) => ({ ema: ema(closes(bars), period) }),
+  },
+  wma: {
+    defaults: { period: 20 },
+    overlay: true,
+    lookback: ({ period }) => period,
+    compute: (bars, { period }) => ({ wma: wma(closes(bars), period) }),
+  },
+  rsi: {
+    defaults: { period: 14 },
+    overlay: false,
+    lookback: ({ period }) => period * 3,
+    compute: (bars, { period }) => {
+      const changes: Series = bars.map((bar, i) => (i === 0 ? null : bar.close - bars[i - 1].close));
+      const gains = wilder(changes.map(change => (change === null ? null : Math.max(change, 0))), period);
+      const losses = wilder(changes.map(change => (change === null ? null : Math.max(-change, 0))), period);
+      return {
+        rsi: combine(gains, losses, (gain, loss) => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss))),
+      };
+    },
+  },
+  macd: {
+    defaults: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+    overlay: false,
+    lookback: ({ slowPeriod, signalPeriod }) => slowPeriod * 3 + signalPeriod,
+    compute: (bars, { fastPeriod, slowPeriod, signalPeriod }) => {
+      const close = closes(bars);
+      const macd = combine(ema(close, fastPeriod), ema(close, slowPeriod), (fast, slow) => fast - slow);
+      const signal = ema(macd, signalPeriod);
+      return { macd, signal, histogram: combine(macd, signal, (line, sig) => line - sig) };
+    },
+  },
+  bollinger: {
+    defaults: { period: 20, stdDev: 2 },
+    overlay: true,
+    lookback: ({ period }) => period,
+    compute: (bars, { period, stdDev }) => {
+      const close = closes(bars);
+      const middle = sma(close, period);
+      const deviation = rollingStdDev(close, period, middle);
+      return {
+        middle,
+        upper: combine(middle, deviation, (mean, sd) => mean + stdDev * sd),
+        lower: combine(middle, deviation, (mean, sd) => mean - stdDev * sd),
+      };
+    },
+  },
+  atr: {
+    defaults: { period: 14 },
+    overlay: false,
+    lookback: ({ period }) => period * 3,
+    compute: (bars, { period }) => ({ atr: wilder(trueRange(bars), period) }),
+  },
+  stochastic: {
+    defaults: { kPeriod: 14, dPeriod: 3 },
+    overlay: false,
+    lookback: ({ kPeriod, dPeriod }) => kPeriod + dPeriod,
+    compute: (bars, { kPeriod, dPeriod }) => {
+      const highest = rollingExtreme(bars.map(bar => bar.high), kPeriod, Math.max);
+      const lowest = rollingExtreme(bars.map(bar => bar.low), kPeriod, Math.min);
+      const k: Series = bars.map((bar, i) => {
+        const high = highest[i];
+        const low = lowest[i];
+        if (high === null || low === null) return null;
+        return high === low ? 50 : ((bar.close - low) / (high - low)) * 100;
+      });
+      return { k, d: sma(k, dPeriod) };
+    },
+  },
+  obv: {
+    defaults: {},
+    overlay: false,
+    lookback: () => 0,
+    compute: (bars, _params, anchor) => {
+      let total = 0;
+      return {
+        obv: bars.map((bar, i) => {
+          if (i < anchor) return null;
+          if (i > anchor) {
+            const previous = bars[i - 1].close;
+            total += bar.close > previous ? bar.volume : bar.close < previous ? -bar.volume : 0;
+          }
+          return total;
+        }),
+      };
+    },
+  },
+  vwap: {
+    // period 0 anchors at the first requested bar; a positive period gives a rolling VWAP
+    defaults: { period: 0 },
+    overlay: true,
+    lookback: ({ period }) => period,
+    compute: (bars, { period }, anchor) => {
+      const typicalVolume = bars.map(bar => ((bar.high + bar.low + bar.close) / 3) * bar.volume);
+      const volume = bars.map(bar => bar.volume);
+      return {
+        vwap: bars.map((_, i) => {
+          const start = period > 0 ? i - period + 1 : anchor;
+          if (start < 0 || i < anchor) return null;
+          let priceVolume = 0;
+          let totalVolume = 0;
+          for (let j = start; j <= i; j++) {
+            priceVolume += typicalVolume[j];
+            totalVolume += volume[j];
+          }
+          return totalVolume > 0 ? priceVolume / totalVolume : null;
+        }),
+      };
+    },
+  },
+  adx: {
+    defaults: { period: 14 },
+    overlay: false,
+    lookback: ({ period }) => period * 4,
+    compute: (bars, { period }) => {
+      const plusMove: Series = bars.map((bar, i) => {
+        if (i === 0) return null;
+        const up = bar.high - bars[i - 1].high;
+        const down = bars[i - 1].low - bar.low;
+        return up > down && up > 0 ? up : 0;
+      });
+      const minusMove: Series = bars.map((bar, i) => {
+        if (i === 0) return null;
+        const up = bar.high - bars[i - 1].high;
+        const down = bars[i - 1].low - bar.low;
+        return down > up && down > 0 ? down : 0;
+      });
+      const range = wilder([null, ...trueRange(bars).slice(1)], period);
+      const plusDI = combine(wilder(plusMove, period), range, (move, tr) => (tr === 0 ? 0 : (move / tr) * 100));
+      const minusDI = combine(wilder(minusMove, period), range, (move, tr) => (tr === 0 ? 0 : (move / tr) * 100));
+      const dx = combine(plusDI, minusDI, (plus, minus) => (plus + minus === 0 ? 0 : (Math.abs(plus - minus) / (plus + minus)) * 100));
+      return { adx: wilder(dx, period), plusDI, minusDI };
+    },
+  },
+  ichimoku: {
+    defaults: { conversionPeriod: 9, basePeriod: 26, spanPeriod: 52, displacement: 26 },
+    overlay: true,
+    lookback: ({ spanPeriod, displacement }) => spanPeriod + displacement,
+    compute: (bars, { conversionPeriod, basePeriod, spanPeriod, displacement }) => {
+      const highs = bars.map(bar => bar.high);
+      const lows = bars.map(bar => bar.low);
+      const midpoint = (period: number) =>
+        combine(rollingExtreme(highs, period, Math.max), rollingExtreme(lows, period, Math.min), (high, low) => (high + low) / 2);
+      const conversion = midpoint(conversionPeriod);
+      const base = midpoint(basePeriod);
+      // The cloud is plotted ahead of price and the lagging span behind it; both stay on the bar timeline
+      return {
+        conversion,
+        base,
+        spanA: shift(combine(conversion, base, (a, b) => (a + b) / 2), displacement),
+        spanB: shift(midpoint(spanPeriod), displacement),
+        lagging: shift(closes(bars), -displacement),
+      };
+    },
+  },
+};
+
+function resolveParams(spec: IndicatorSpec): Record<string, number> {
+  const definition = DEFINITIONS[spec.type];
+  const params = { ...definition.defaults, ...spec.params };
+  for (const [name, value] of Object.entries(params)) {
+    if (!(name in definition.defaults)) {
+      throw new FinanceError('VALIDATION_FAILED', `Unknown ${spec.type} parameter "${name}" (expected ${Object.keys(definition.defaults).join(', ') || 'none'})`);
+    }
+    // Everything but the band width counts bars; only VWAP's period may be 0
+    const valid = name === 'stdDev'
+      ? Number.isFinite(value) && value > 0
+      : Number.isInteger(value) && (value > 0 || (value === 0 && definition.defaults[name] === 0));
+    if (!valid) {
+      throw new FinanceError('VALIDATION_FAILED', `Invalid ${spec.type} parameter ${name}: ${value}`);
+    }
+  }
+  return params;
+}
+
+/**
+ * Number of bars to fetch ahead of the requested range so every indicator is fully formed at its start
+ */
+export function warmupBars(specs: IndicatorSpec[]): number {
+  return specs.reduce((max, spec) => Math.max(max, DEFINITIONS[spec.type].lookback(resolveParams(spec))), 0);
+}
+
+/**
+ * Raw output lines of one indicator over every bar, keyed by line name (e.g. macd, signal, histogram)
+ */
+export function indicatorLines(bars: Bar[], spec: IndicatorSpec, anchor: number = 0): Record<string, Series> {
+  return DEFINITIONS[spec.type].compute(bars, resolveParams(spec), anchor);
+}
+
+/**
+ * Compute indicators over `bars`, returning only the points from `startIndex` on (earlier bars are warm-up)
+ */
+export function computeIndicators(bars: Bar[], specs: IndicatorSpec[], startIndex: number = 0): IndicatorResult[] {
+  const timestamps = bars.slice(startIndex).map(bar => bar.date.getTime());
+
+  return specs.map(spec => {
+    const definition = DEFINITIONS[spec.type];
+    const params = resolveParams(spec);
+    const lines = indicatorLines(bars, spec, startIndex);
+    const paramList = Object.values(params).filter(value => value > 0);
+
+    const series: IndicatorResult['series'] = {};
+    for (const [name, values] of Object.entries(lines)) {
+      series[name] = values.slice(startIndex).map((value, i) => [timestamps[i], round(value)]);
+    }
+
+    return {
+      id: paramList.length > 0 ? `${spec.type}(${paramList.join(',')})` : spec.type,
+      type: spec.type,
+      params,
+      overlay: definition.overlay,
+      series,
+    };
+  });
+}
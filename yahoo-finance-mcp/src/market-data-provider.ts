@@ -0,0 +1,322 @@
+// Market data providers behind yahoo-finance-api.ts: live Yahoo Finance, JSON fixtures, and record/replay
+
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import yahooFinance from 'yahoo-finance2';
+import { cacheKey } from './cache.js';
+import { FinanceError } from './errors.js';
+
+// Suppress Yahoo Finance notices
+yahooFinance.suppressNotices(['yahooSurvey', 'ripHistorical']);
+
+/**
+ * The upstream calls yahoo-finance-api.ts depends on; option objects follow yahoo-finance2's shapes
+ */
+export interface MarketDataProvider {
+  readonly name: string;
+  // The time default date ranges count back from; replay answers with the time the recording was made
+  now(): Date;
+  quote(symbols: string | string[]): Promise<any>;
+  historical(symbol: string, options: any): Promise<any[]>;
+  search(query: string, options?: any): Promise<any>;
+  options(symbol: string, options?: any): Promise<any>;
+  quoteSummary(symbol: string, options?: any): Promise<any>;
+  insights(symbol: string): Promise<any>;
+  screener(options?: any): Promise<any>;
+  trendingSymbols(region: string, options?: any): Promise<any>;
+  fundamentalsTimeSeries(symbol: string, options: any): Promise<any>;
+  autoc(): Promise<any>;
+}
+
+const PROVIDER_METHODS = [
+  'quote',
+  'historical',
+  'search',
+  'options',
+  'quoteSummary',
+  'insights',
+  'screener',
+  'trendingSymbols',
+  'fundamentalsTimeSeries',
+  'autoc',
+] as const;
+
+type ProviderMethod = typeof PROVIDER_METHODS[number];
+
+export class YahooProvider implements MarketDataProvider {
+  readonly name = 'yahoo';
+
+  now(): Date {
+    return new Date();
+  }
+
+  quote(symbols: string | string[]): Promise<any> {
+    return Array.isArray(symbols)
+      ? yahooFinance.quote(symbols, { return: 'array' })
+      : yahooFinance.quote(symbols);
+  }
+
+  historical(symbol: string, options: any): Promise<any[]> {
+    return yahooFinance.historical(symbol, options);
+  }
+
+  search(query: string, options?: any): Promise<any> {
+    return yahooFinance.search(query, options);
+  }
+
+  options(symbol: string, options?: any): Promise<any> {
+    return yahooFinance.options(symbol, options ?? {});
+  }
+
+  quoteSummary(symbol: string, options?: any): Promise<any> {
+    return yahooFinance.quoteSummary(symbol, options);
+  }
+
+  insights(symbol: string): Promise<any> {
+    return yahooFinance.insights(symbol);
+  }
+
+  screener(options?: any): Promise<any> {
+    return yahooFinance.screener(options);
+  }
+
+  trendingSymbols(region: string, options?: any): Promise<any> {
+    return yahooFinance.trendingSymbols(region, options);
+  }
+
+  fundamentalsTimeSeries(symbol: string, options: any): Promise<any> {
+    return yahooFinance.fundamentalsTimeSeries(symbol, options);
+  }
+
+  autoc(): Promise<any> {
+    return yahooFinance.autoc();
+  }
+}
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+/**
+ * Parse fixture JSON, turning ISO timestamps back into the Date objects yahoo-finance2 returns
+ */
+export function parseFixture(text: string): any {
+  return JSON.parse(text, (_key, value) =>
+    typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value
+  );
+}
+
+/**
+ * Replays JSON responses from `<dir>/<function>/<name>.json`, where name is the symbol
+ * (or search query) and `default.json` answers any call without a more specific file
+ */
+export class FixtureProvider implements MarketDataProvider {
+  readonly name = 'fixture';
+
+  constructor(private dir: string) {
+    if (!existsSync(dir)) {
+      throw new Error(`Fixture directory not found: ${dir}`);
+    }
+  }
+
+  now(): Date {
+    return new Date();
+  }
+
+  async quote(symbols: string | string[]): Promise<any> {
+    if (!Array.isArray(symbols)) {
+      return this.load('quote', symbols.toUpperCase());
+    }
+
+    // Batch quotes omit unknown symbols, like Yahoo does
+    const quotes = await Promise.all(symbols.map(symbol => this.quote(symbol).catch(() => null)));
+    return quotes.filter(quote => quote !== null);
+  }
+
+  // Recorded series are returned whole; filtering by the requested range would empty them as they age
+  historical(symbol: string): Promise<any[]> {
+    return this.load('historical', symbol.toUpperCase());
+  }
+
+  search(query: string): Promise<any> {
+    return this.load('search', query.toLowerCase());
+  }
+
+  options(symbol: string): Promise<any> {
+    return this.load('options', symbol.toUpperCase());
+  }
+
+  quoteSummary(symbol: string): Promise<any> {
+    return this.load('quoteSummary', symbol.toUpperCase());
+  }
+
+  insights(symbol: string): Promise<any> {
+    return this.load('insights', symbol.toUpperCase());
+  }
+
+  screener(options?: any): Promise<any> {
+    return this.load('screener', options?.scrIds || 'default');
+  }
+
+  trendingSymbols(region: string): Promise<any> {
+    return this.load('trendingSymbols', region);
+  }
+
+  fundamentalsTimeSeries(symbol: string): Promise<any> {
+    return this.load('fundamentalsTimeSeries', symbol.toUpperCase());
+  }
+
+  autoc(): Promise<any> {
+    return this.load('autoc', 'default');
+  }
+
+  private async load(fn: string, name: string): Promise<any> {
+    const candidates = [fileSafe(name), 'default'].map(file => join(this.dir, fn, `${file}.json`));
+    const path = candidates.find(candidate => existsSync(candidate));
+    if (!path) {
+      throw new FinanceError('NO_DATA', `No fixture for ${fn}("${name}") in ${this.dir}`);
+    }
+    return parseFixture(readFileSync(path, 'utf8'));
+  }
+}
+
+function fileSafe(name: string): string {
+  return name.replace(/[^A-Za-z0-9^._-]+/g, '-');
+}
+
+/**
+ * Recording file for one upstream call: `<dir>/<function>/<first argument>-<hash of all arguments>.json`
+ */
+function recordingPath(dir: string, fn: string, args: unknown[]): string {
+  const key = cacheKey(args);
+  const first = Array.isArray(args[0]) ? args[0].join(',') : args[0];
+  const label = typeof first === 'string' ? fileSafe(first).slice(0, 40) : 'call';
+  const hash = createHash('sha1').update(key).digest('hex').slice(0, 12);
+  return join(dir, fn, `${label}-${hash}.json`);
+}
+
+const SESSION_FILE = 'session.json';
+
+/**
+ * The clock of a recording directory: when its first record run started. Replay resolves default date
+ * ranges from it, so their arguments, and the keys built from them, match the recording whatever day
+ * the replay runs on.
+ */
+function readSessionClock(dir: string): Date | undefined {
+  const path = join(dir, SESSION_FILE);
+  if (!existsSync(path)) {
+    return undefined;
+  }
+  const clock = new Date(JSON.parse(readFileSync(path, 'utf8')).clock);
+  if (isNaN(clock.getTime())) {
+    throw new Error(`Invalid clock in ${path}`);
+  }
+  return clock;
+}
+
+/**
+ * Record runs use the live clock, since the data they fetch is live. Adding to a session recorded on
+ * another day is refused: its default ranges would end on a different day than the session clock.
+ */
+function startRecordingSession(dir: string): void {
+  const now = new Date();
+  const clock = readSessionClock(dir);
+  if (!clock) {
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(join(dir, SESSION_FILE), JSON.stringify({ clock: now.toISOString() }, null, 2));
+    return;
+  }
+  const recordedOn = clock.toISOString().slice(0, 10);
+  if (recordedOn !== now.toISOString().slice(0, 10)) {
+    throw new Error(`${dir} holds a session recorded on ${recordedOn}; record into a new directory`);
+  }
+}
+
+/**
+ * Build a provider whose every method is routed through a single call handler
+ */
+function interceptProvider(
+  name: string,
+  now: () => Date,
+  call: (fn: ProviderMethod, args: unknown[]) => Promise<any>
+): MarketDataProvider {
+  const provider: any = { name, now };
+  for (const fn of PROVIDER_METHODS) {
+    provider[fn] = (...args: unknown[]) => call(fn, args);
+  }
+  return provider as MarketDataProvider;
+}
+
+/**
+ * Wrap a provider so every successful call is written to `dir` as a replayable JSON recording
+ */
+export function recordingProvider(inner: MarketDataProvider, dir: string): MarketDataProvider {
+  startRecordingSession(dir);
+  return interceptProvider(`${inner.name}+record`, () => inner.now(), async (fn, args) => {
+    const response = await (inner[fn] as (...args: unknown[]) => Promise<any>)(...args);
+    const path = recordingPath(dir, fn, args);
+    mkdirSync(join(dir, fn), { recursive: true });
+    writeFileSync(path, JSON.stringify({
+      function: fn,
+      args: JSON.parse(cacheKey(args)),
+      response,
+      recordedAt: new Date().toISOString(),
+    }, null, 2));
+    return response;
+  });
+}
+
+/**
+ * Serve calls only from recordings made with YF_RECORD; a call that was never recorded is an error
+ */
+export function replayProvider(dir: string): MarketDataProvider {
+  if (!existsSync(dir)) {
+    throw new Error(`Replay directory not found: ${dir}`);
+  }
+
+  const clock = readSessionClock(dir);
+  if (!clock) {
+    console.error(`No ${SESSION_FILE} in ${dir}; default date ranges count back from today`);
+  }
+
+  const now = () => (clock ? new Date(clock) : new Date());
+  return interceptProvider('replay', now, async (fn, args) => {
+    const path = recordingPath(dir, fn, args);
+    if (!existsSync(path)) {
+      const message = `Replay miss: no recording for ${fn}(${cacheKey(args)}), expected ${path}`;
+      console.error(message);
+      throw new FinanceError('NO_DATA', message);
+    }
+    return parseFixture(readFileSync(path, 'utf8')).response;
+  });
+}
+
+const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL('../fixtures', import.meta.url));
+
+/**
+ * Pick the provider from MARKET_DATA_PROVIDER ("yahoo" by default, or "fixture"),
+ * recording its calls when YF_RECORD is set; YF_REPLAY replaces it with recorded calls
+ */
+export function createProvider(env: NodeJS.ProcessEnv = process.env): MarketDataProvider {
+  if (env.YF_RECORD && env.YF_REPLAY) {
+    throw new Error('YF_RECORD and YF_REPLAY cannot be used together');
+  }
+
+  if (env.YF_REPLAY) {
+    return replayProvider(env.YF_REPLAY);
+  }
+
+  const provider = createBaseProvider((env.MARKET_DATA_PROVIDER || 'yahoo').toLowerCase(), env);
+  return env.YF_RECORD ? recordingProvider(provider, env.YF_RECORD) : provider;
+}
+
+function createBaseProvider(kind: string, env: NodeJS.ProcessEnv): MarketDataProvider {
+  switch (kind) {
+    case 'yahoo':
+      return new YahooProvider();
+    case 'fixture':
+      return new FixtureProvider(env.MARKET_DATA_FIXTURES || DEFAULT_FIXTURES_DIR);
+    default:
+      throw new Error(`Unknown MARKET_DATA_PROVIDER "${kind}" (expected "yahoo" or "fixture")`);
+  }
+}
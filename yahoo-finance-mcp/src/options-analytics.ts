@@ -0,0 +1,163 @@
+// Black-Scholes pricing helpers used to enrich Yahoo options chains with Greeks and volatility curves
+
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+// Implied volatilities below this are placeholders Yahoo reports for illiquid contracts
+const MIN_VOLATILITY = 0.001;
+
+export interface Greeks {
+  delta: number;
+  gamma: number;
+  theta: number; // per calendar day
+  vega: number; // per 1 percentage point of volatility
+  rho: number; // per 1 percentage point of interest rate
+}
+
+export interface OptionContract {
+  contractSymbol: string;
+  strike: number;
+  lastPrice?: number;
+  bid?: number;
+  ask?: number;
+  volume?: number;
+  openInterest?: number;
+  impliedVolatility?: number;
+  inTheMoney?: boolean;
+  [key: string]: any;
+}
+
+export interface AnalyzedContract extends OptionContract {
+  greeks: Greeks | null;
+}
+
+export interface SmilePoint {
+  strike: number;
+  moneyness: number;
+  callIV: number | null;
+  putIV: number | null;
+}
+
+/**
+ * Standard normal probability density
+ */
+function normPdf(x: number): number {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+ */
+function normCdf(x: number): number {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * Years between now and an expiration date, floored at one hour so same-day contracts stay finite
+ */
+export function yearsToExpiry(expiration: Date, now: Date = new Date()): number {
+  return Math.max((expiration.getTime() - now.getTime()) / MS_PER_YEAR, 1 / (365 * 24));
+}
+
+/**
+ * Compute Black-Scholes Greeks for a European option with a continuous dividend yield
+ */
+export function blackScholesGreeks(
+  kind: 'call' | 'put',
+  spot: number,
+  strike: number,
+  years: number,
+  volatility: number,
+  riskFreeRate: number,
+  dividendYield: number = 0
+): Greeks | null {
+  if (!(spot > 0) || !(strike > 0) || !(years > 0) || !(volatility > MIN_VOLATILITY)) {
+    return null;
+  }
+
+  const sqrtT = Math.sqrt(years);
+  const d1 = (Math.log(spot / strike) + (riskFreeRate - dividendYield + (volatility * volatility) / 2) * years) / (volatility * sqrtT);
+  const d2 = d1 - volatility * sqrtT;
+  const dividendDiscount = Math.exp(-dividendYield * years);
+  const rateDiscount = Math.exp(-riskFreeRate * years);
+  const density = normPdf(d1);
+
+  const gamma = (dividendDiscount * density) / (spot * volatility * sqrtT);
+  const vega = (spot * dividendDiscount * density * sqrtT) / 100;
+  const decay = -(spot * dividendDiscount * density * volatility) / (2 * sqrtT);
+
+  if (kind === 'call') {
+    return {
+      delta: dividendDiscount * normCdf(d1),
+      gamma,
+      theta: (decay - riskFreeRate * strike * rateDiscount * normCdf(d2) + dividendYield * spot * dividendDiscount * normCdf(d1)) / 365,
+      vega,
+      rho: (strike * years * rateDiscount * normCdf(d2)) / 100,
+    };
+  }
+
+  return {
+    delta: -dividendDiscount * normCdf(-d1),
+    gamma,
+    theta: (decay + riskFreeRate * strike * rateDiscount * normCdf(-d2) - dividendYield * spot * dividendDiscount * normCdf(-d1)) / 365,
+    vega,
+    rho: -(strike * years * rateDiscount * normCdf(-d2)) / 100,
+  };
+}
+
+/**
+ * Attach Greeks to every contract in one side of an options chain
+ */
+export function analyzeContracts(
+  kind: 'call' | 'put',
+  contracts: OptionContract[],
+  spot: number,
+  years: number,
+  riskFreeRate: number,
+  dividendYield: number
+): AnalyzedContract[] {
+  return contracts.map(contract => ({
+    ...contract,
+    greeks: blackScholesGreeks(kind, spot, contract.strike, years, contract.impliedVolatility || 0, riskFreeRate, dividendYield),
+  }));
+}
+
+function usableVolatility(contract?: OptionContract): number | null {
+  const volatility = contract?.impliedVolatility;
+  return volatility && volatility > MIN_VOLATILITY ? volatility : null;
+}
+
+/**
+ * Build the implied-volatility smile for one expiration, one point per strike
+ */
+export function buildVolatilitySmile(calls: OptionContract[], puts: OptionContract[], spot: number): SmilePoint[] {
+  const callsByStrike = new Map(calls.map(contract => [contract.strike, contract]));
+  const putsByStrike = new Map(puts.map(contract => [contract.strike, contract]));
+  const strikes = [...new Set([...callsByStrike.keys(), ...putsByStrike.keys()])].sort((a, b) => a - b);
+
+  return strikes
+    .map(strike => ({
+      strike,
+      moneyness: spot > 0 ? strike / spot : 0,
+      callIV: usableVolatility(callsByStrike.get(strike)),
+      putIV: usableVolatility(putsByStrike.get(strike)),
+    }))
+    .filter(point => point.callIV !== null || point.putIV !== null);
+}
+
+/**
+ * At-the-money implied volatility: the smile point closest to spot, averaging calls and puts when both exist
+ */
+export function atTheMoneyVolatility(smile: SmilePoint[], spot: number): number | null {
+  if (smile.length === 0) {
+    return null;
+  }
+
+  const nearest = smile.reduce((best, point) =>
+    Math.abs(point.strike - spot) < Math.abs(best.strike - spot) ? point : best
+  );
+  const values = [nearest.callIV, nearest.putIV].filter((value): value is number => value !== null);
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
@@ -0,0 +1,278 @@
+// Holdings valuation: market value, unrealized and day P&L, weights and allocation for a set of positions
+
+import { FinanceError } from './errors.js';
+
+export interface PortfolioPosition {
+  symbol: string;
+  quantity: number;
+  costBasis: number; // price paid per share
+  purchaseDate?: string; // YYYY-MM-DD
+}
+
+export interface LotValuation {
+  quantity: number;
+  costBasis: number;
+  purchaseDate: string | null;
+  holdingDays: number | null;
+  costValue: number;
+  marketValue: number;
+  unrealizedPnl: number;
+  unrealizedPnlPercent: number | null;
+  dayPnl: number;
+}
+
+export interface Holding {
+  symbol: string;
+  name: string;
+  currency: string | null;
+  assetClass: string;
+  sector: string;
+  quantity: number;
+  averageCost: number;
+  price: number;
+  previousClose: number;
+  costValue: number;
+  marketValue: number;
+  unrealizedPnl: number;
+  unrealizedPnlPercent: number | null;
+  dayPnl: number;
+  dayPnlPercent: number | null;
+  weight: number;
+  lots: LotValuation[];
+}
+
+export interface AllocationSlice {
+  name: string;
+  marketValue: number;
+  weight: number;
+}
+
+export interface PortfolioTotals {
+  positions: number;
+  marketValue: number;
+  costValue: number;
+  unrealizedPnl: number;
+  unrealizedPnlPercent: number | null;
+  dayPnl: number;
+  dayPnlPercent: number | null;
+}
+
+// Sector profile for one symbol: a single sector for stocks, look-through weights for funds
+export type SectorExposure = Record<string, number>;
+
+const ASSET_CLASSES: Record<string, string> = {
+  EQUITY: 'Equity',
+  ETF: 'ETF',
+  MUTUALFUND: 'Mutual Fund',
+  CRYPTOCURRENCY: 'Cryptocurrency',
+  CURRENCY: 'Currency',
+  FUTURE: 'Futures',
+  INDEX: 'Index',
+  OPTION: 'Option',
+};
+
+// Keys of Yahoo's topHoldings.sectorWeightings, named the way assetProfile.sector names them
+const FUND_SECTORS: Record<string, string> = {
+  realestate: 'Real Estate',
+  consumer_cyclical: 'Consumer Cyclical',
+  basic_materials: 'Basic Materials',
+  consumer_defensive: 'Consumer Defensive',
+  technology: 'Technology',
+  communication_services: 'Communication Services',
+  financial_services: 'Financial Services',
+  utilities: 'Utilities',
+  industrials: 'Industrials',
+  energy: 'Energy',
+  healthcare: 'Healthcare',
+};
+
+const UNKNOWN_SECTOR = 'Unknown';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Asset class label for a Yahoo quoteType
+ */
+export function assetClassOf(quoteType?: string): string {
+  return (quoteType && ASSET_CLASSES[quoteType]) || 'Other';
+}
+
+/**
+ * Which quoteSummary module describes a symbol's sectors, if any
+ */
+export function sectorModuleFor(quoteType?: string): 'assetProfile' | 'topHoldings' | null {
+  if (quoteType === 'EQUITY') return 'assetProfile';
+  if (quoteType === 'ETF' || quoteType === 'MUTUALFUND') return 'topHoldings';
+  return null;
+}
+
+/**
+ * Sector weights from a quoteSummary response; fund weights that do not add up to 1 leave the rest as "Other"
+ */
+export function sectorExposure(summary: any): SectorExposure {
+  if (summary?.assetProfile?.sector) {
+    return { [summary.assetProfile.sector]: 1 };
+  }
+
+  const weightings: Record<string, number>[] = summary?.topHoldings?.sectorWeightings || [];
+  const exposure: SectorExposure = {};
+  for (const weighting of weightings) {
+    for (const [key, weight] of Object.entries(weighting)) {
+      if (typeof weight === 'number' && weight > 0) {
+        const name = FUND_SECTORS[key] || key;
+        exposure[name] = (exposure[name] || 0) + weight;
+      }
+    }
+  }
+
+  const covered = Object.values(exposure).reduce((sum, weight) => sum + weight, 0);
+  if (covered === 0) return { [UNKNOWN_SECTOR]: 1 };
+  if (covered < 0.999) exposure.Other = 1 - covered;
+  return exposure;
+}
+
+/**
+ * Parse the compact position list used by the portfolio_analysis prompt,
+ * e.g. "AAPL:10@150.25:2023-01-15, MSFT:5@310"
+ */
+export function parsePositionList(text: string): PortfolioPosition[] {
+  return text.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const match = entry.match(/^([^:@\s]+):(\d+(?:\.\d+)?)@(\d+(?:\.\d+)?)(?::(\d{4}-\d{2}-\d{2}))?$/);
+    if (!match) {
+      throw new FinanceError('VALIDATION_FAILED', `Invalid position "${entry}" (expected SYMBOL:QUANTITY@COST or SYMBOL:QUANTITY@COST:YYYY-MM-DD)`);
+    }
+    const [, symbol, quantity, costBasis, purchaseDate] = match;
+    return {
+      symbol: symbol.toUpperCase(),
+      quantity: Number(quantity),
+      costBasis: Number(costBasis),
+      ...(purchaseDate ? { purchaseDate } : {}),
+    };
+  });
+}
+
+/**
+ * Whole days a lot has been held, or null without a purchase date
+ */
+function holdingDays(purchaseDate: string | undefined, asOf: Date): number | null {
+  if (!purchaseDate) return null;
+  return Math.max(Math.floor((asOf.getTime() - new Date(`${purchaseDate}T00:00:00Z`).getTime()) / MS_PER_DAY), 0);
+}
+
+/**
+ * Value a single lot. A lot bought during the quote's trading day earns its day P&L from the
+ * purchase price rather than from the previous close.
+ */
+function valueLot(position: PortfolioPosition, quote: any): LotValuation {
+  const price = quote.regularMarketPrice ?? 0;
+  const change = quote.regularMarketChange ?? 0;
+  const costValue = position.quantity * position.costBasis;
+  const marketValue = position.quantity * price;
+  const tradingDay = quote.regularMarketTime ? new Date(quote.regularMarketTime).toISOString().slice(0, 10) : null;
+  const boughtToday = !!position.purchaseDate && !!tradingDay && position.purchaseDate >= tradingDay;
+
+  return {
+    quantity: position.quantity,
+    costBasis: position.costBasis,
+    purchaseDate: position.purchaseDate || null,
+    holdingDays: holdingDays(position.purchaseDate, new Date()),
+    costValue,
+    marketValue,
+    unrealizedPnl: marketValue - costValue,
+    unrealizedPnlPercent: costValue > 0 ? ((marketValue - costValue) / costValue) * 100 : null,
+    dayPnl: boughtToday ? marketValue - costValue : position.quantity * change,
+  };
+}
+
+/**
+ * Group a slice list by name, weighted by market value and sorted largest first
+ */
+function allocate(parts: { name: string; marketValue: number }[], total: number): AllocationSlice[] {
+  const byName = new Map<string, number>();
+  for (const { name, marketValue } of parts) {
+    byName.set(name, (byName.get(name) || 0) + marketValue);
+  }
+  return [...byName.entries()]
+    .map(([name, marketValue]) => ({ name, marketValue, weight: total > 0 ? (marketValue / total) * 100 : 0 }))
+    .sort((a, b) => b.marketValue - a.marketValue);
+}
+
+/**
+ * Value positions against quotes. Lots of the same symbol are combined into one holding;
+ * positions without a quote are skipped, so the caller should report them.
+ */
+export function valuePortfolio(
+  positions: PortfolioPosition[],
+  quotes: Map<string, any>,
+  sectors: Map<string, SectorExposure>
+): { holdings: Holding[]; totals: PortfolioTotals; allocation: { bySector: AllocationSlice[]; byAssetClass: AllocationSlice[] } } {
+  const lotsBySymbol = new Map<string, PortfolioPosition[]>();
+  for (const position of positions) {
+    const symbol = position.symbol.toUpperCase();
+    if (quotes.has(symbol)) {
+      lotsBySymbol.set(symbol, [...(lotsBySymbol.get(symbol) || []), position]);
+    }
+  }
+
+  const holdings: Holding[] = [...lotsBySymbol.entries()].map(([symbol, positionLots]) => {
+    const quote = quotes.get(symbol);
+    const lots = positionLots.map(position => valueLot(position, quote));
+    const sum = (key: 'quantity' | 'costValue' | 'marketValue' | 'dayPnl') => lots.reduce((total, lot) => total + lot[key], 0);
+    const quantity = sum('quantity');
+    const costValue = sum('costValue');
+    const marketValue = sum('marketValue');
+    const dayPnl = sum('dayPnl');
+    const exposure = sectors.get(symbol) || { [UNKNOWN_SECTOR]: 1 };
+    const price = quote.regularMarketPrice ?? 0;
+
+    return {
+      symbol,
+      name: quote.longName || quote.shortName || symbol,
+      currency: quote.currency || null,
+      assetClass: assetClassOf(quote.quoteType),
+      // Funds spread across several sectors are labelled by their largest one
+      sector: Object.entries(exposure).sort((a, b) => b[1] - a[1])[0][0],
+      quantity,
+      averageCost: quantity > 0 ? costValue / quantity : 0,
+      price,
+      previousClose: quote.regularMarketPreviousClose ?? price - (quote.regularMarketChange ?? 0),
+      costValue,
+      marketValue,
+      unrealizedPnl: marketValue - costValue,
+      unrealizedPnlPercent: costValue > 0 ? ((marketValue - costValue) / costValue) * 100 : null,
+      dayPnl,
+      dayPnlPercent: marketValue - dayPnl > 0 ? (dayPnl / (marketValue - dayPnl)) * 100 : null,
+      weight: 0,
+      lots,
+    };
+  });
+
+  const marketValue = holdings.reduce((sum, holding) => sum + holding.marketValue, 0);
+  const costValue = holdings.reduce((sum, holding) => sum + holding.costValue, 0);
+  const dayPnl = holdings.reduce((sum, holding) => sum + holding.dayPnl, 0);
+  for (const holding of holdings) {
+    holding.weight = marketValue > 0 ? (holding.marketValue / marketValue) * 100 : 0;
+  }
+  holdings.sort((a, b) => b.marketValue - a.marketValue);
+
+  const sectorParts = holdings.flatMap(holding =>
+    Object.entries(sectors.get(holding.symbol) || { [UNKNOWN_SECTOR]: 1 })
+      .map(([name, weight]) => ({ name, marketValue: holding.marketValue * weight }))
+  );
+
+  return {
+    holdings,
+    totals: {
+      positions: holdings.length,
+      marketValue,
+      costValue,
+      unrealizedPnl: marketValue - costValue,
+      unrealizedPnlPercent: costValue > 0 ? ((marketValue - costValue) / costValue) * 100 : null,
+      dayPnl,
+      dayPnlPercent: marketValue - dayPnl > 0 ? (dayPnl / (marketValue - dayPnl)) * 100 : null,
+    },
+    allocation: {
+      bySector: allocate(sectorParts, marketValue),
+      byAssetClass: allocate(holdings.map(holding => ({ name: holding.assetClass, marketValue: holding.marketValue })), marketValue),
+    },
+  };
+}
@@ -0,0 +1,238 @@
+// MCP resources: quotes, price history, the market summary and saved watchlists addressed by URI,
+// with subscriptions that notify the client when a resource's content changes
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  Resource,
+  ResourceTemplate,
+} from '@modelcontextprotocol/sdk/types.js';
+import { getHistoricalData, getMarketSummary, getQuote, getQuotes, marketNow } from './yahoo-finance-api.js';
+import { UserStore } from './user-store.js';
+
+const JSON_MIME_TYPE = 'application/json';
+
+// Calendar days covered by each history range
+export const HISTORY_RANGES: Record<string, number> = {
+  '1d': 1,
+  '5d': 5,
+  '1mo': 30,
+  '3mo': 91,
+  '6mo': 182,
+  '1y': 365,
+  '2y': 730,
+  '5y': 1826,
+  '10y': 3652,
+};
+export const HISTORY_INTERVALS = ['1d', '5d', '1wk', '1mo', '3mo'];
+
+// How often subscribed resources are re-read to look for changes
+export const RESOURCE_POLL_INTERVAL_MS = Number(process.env.RESOURCE_POLL_INTERVAL_MS) || 30000;
+
+export const RESOURCE_TEMPLATES: ResourceTemplate[] = [
+  {
+    uriTemplate: 'quote://{symbol}',
+    name: 'Stock quote',
+    description: 'Latest quote for a symbol, e.g. quote://AAPL',
+    mimeType: JSON_MIME_TYPE,
+  },
+  {
+    uriTemplate: 'history://{symbol}{?range,interval}',
+    name: 'Price history',
+    description: `OHLCV bars for a symbol, e.g. history://AAPL?range=1y&interval=1d. Ranges: ${Object.keys(HISTORY_RANGES).join(', ')} (default 1mo). Intervals: ${HISTORY_INTERVALS.join(', ')} (default 1d)`,
+    mimeType: JSON_MIME_TYPE,
+  },
+  {
+    uriTemplate: 'watchlist://{name}',
+    name: 'Watchlist quotes',
+    description: 'Quotes for every symbol on a saved watchlist',
+    mimeType: JSON_MIME_TYPE,
+  },
+];
+
+/**
+ * Concrete resources: the market summary and one entry per saved watchlist
+ */
+export function listResources(userStore: UserStore): Resource[] {
+  return [
+    {
+      uri: 'market://summary',
+      name: 'Market summary',
+      description: 'Major US indices and the VIX',
+      mimeType: JSON_MIME_TYPE,
+    },
+    ...userStore.listWatchlists().map(watchlist => ({
+      uri: `watchlist://${encodeURIComponent(watchlist.name)}`,
+      name: `Watchlist: ${watchlist.name}`,
+      description: watchlist.symbols.length > 0 ? watchlist.symbols.join(', ') : 'Empty watchlist',
+      mimeType: JSON_MIME_TYPE,
+    })),
+  ];
+}
+
+/**
+ * Fetch the data behind a resource URI
+ */
+export async function readResource(uri: string, userStore: UserStore): Promise<unknown> {
+  const match = /^([a-z]+):\/\/([^?]*)(?:\?(.*))?$/.exec(uri);
+  if (!match) {
+    throw new Error(`Invalid resource URI: ${uri}`);
+  }
+  const [, scheme, rawPath, query] = match;
+  const path = decodeURIComponent(rawPath);
+  const params = new URLSearchParams(query || '');
+
+  switch (scheme) {
+    case 'quote': {
+      if (!path) throw new Error('quote:// needs a symbol, e.g. quote://AAPL');
+      return getQuote(path.toUpperCase());
+    }
+
+    case 'history': {
+      if (!path) throw new Error('history:// needs a symbol, e.g. history://AAPL?range=1y');
+      const range = params.get('range') || '1mo';
+      const interval = params.get('interval') || '1d';
+      if (!(range in HISTORY_RANGES)) {
+        throw new Error(`Unknown range "${range}" (use ${Object.keys(HISTORY_RANGES).join(', ')})`);
+      }
+      if (!HISTORY_INTERVALS.includes(interval)) {
+        throw new Error(`Unknown interval "${interval}" (use ${HISTORY_INTERVALS.join(', ')})`);
+      }
+      const start = marketNow();
+      start.setDate(start.getDate() - HISTORY_RANGES[range]);
+      const symbol = path.toUpperCase();
+      const bars = await getHistoricalData(symbol, start.toISOString().slice(0, 10), undefined, interval);
+      return { symbol, range, interval, bars };
+    }
+
+    case 'market': {
+      if (path !== 'summary') throw new Error(`Unknown market resource: ${uri}`);
+      return getMarketSummary();
+    }
+
+    case 'watchlist': {
+      const saved = userStore.getWatchlist(path);
+      if (!saved) {
+        throw new Error(`Watchlist "${path}" not found`);
+      }
+      return { watchlist: saved.name, ...(await getQuotes(saved.symbols)) };
+    }
+
+    default:
+      throw new Error(`Unknown resource scheme "${scheme}" (use quote, history, market or watchlist)`);
+  }
+}
+
+// Generation timestamps change on every read, so leave them out when deciding whether a resource changed
+function contentKey(data: unknown): string {
+  return JSON.stringify(data, (key, value) => (key === 'timestamp' ? undefined : value));
+}
+
+/**
+ * One session's resource subscriptions. Subscribed resources are re-read on an interval and
+ * the client is sent notifications/resources/updated for each one whose content changed.
+ */
+class ResourceSubscriptions {
+  private readonly lastContent = new Map<string, string>();
+  private timer: NodeJS.Timeout | null = null;
+  private polling = false;
+
+  constructor(private readonly server: Server, private readonly userStore: UserStore) {}
+
+  async subscribe(uri: string): Promise<void> {
+    // Reading up front rejects bad URIs and gives the first poll something to compare against
+    this.lastContent.set(uri, contentKey(await readResource(uri, this.userStore)));
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), RESOURCE_POLL_INTERVAL_MS);
+      this.timer.unref();
+    }
+  }
+
+  unsubscribe(uri: string): void {
+    this.lastContent.delete(uri);
+    if (this.lastContent.size === 0) {
+      this.stop();
+    }
+  }
+
+  private stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private async poll(): Promise<void> {
+    // Stop once the session's connection has closed
+    if (!this.server.transport) {
+      this.lastContent.clear();
+      this.stop();
+      return;
+    }
+    if (this.polling) return;
+
+    this.polling = true;
+    try {
+      for (const [uri, previous] of [...this.lastContent]) {
+        try {
+          const content = contentKey(await readResource(uri, this.userStore));
+          if (!this.lastContent.has(uri) || content === previous) continue;
+          this.lastContent.set(uri, content);
+          await this.server.sendResourceUpdated({ uri });
+        } catch (error) {
+          console.error(`Failed to refresh resource ${uri}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+/**
+ * Register the resource handlers on a server, with subscriptions scoped to its session. The server
+ * must declare the resources capability with `subscribe: true`.
+ */
+export function registerResources(server: Server, userStore: UserStore): void {
+  const subscriptions = new ResourceSubscriptions(server, userStore);
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: listResources(userStore) }));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    try {
+      const data = await readResource(uri, userStore);
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: JSON_MIME_TYPE,
+            text: JSON.stringify(data, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to read resource ${uri}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    try {
+      await subscriptions.subscribe(uri);
+      return {};
+    } catch (error) {
+      throw new Error(`Failed to subscribe to ${uri}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.unsubscribe(request.params.uri);
+    return {};
+  });
+}
@@ -0,0 +1,488 @@
+// Output schemas and structured results for the tools: each call returns its data as structuredContent,
+// described by the tool's outputSchema, with a short plain-text summary as the text content. Failed calls
+// set isError and carry { error: { code, message, retryable } } in _meta instead, since clients check
+// any structuredContent against the outputSchema.
+
+import { ZodError } from 'zod';
+import { ERROR_CODES, FinanceError } from './errors.js';
+
+type JsonSchema = Record<string, unknown>;
+// Tool output schemas must describe an object
+type ObjectSchema = JsonSchema & { type: 'object' };
+
+// Structured content must be an object, so list results are returned as { items: [...] }
+const LIST_KEY = 'items';
+
+const string: JsonSchema = { type: 'string' };
+const number: JsonSchema = { type: 'number' };
+const nullableNumber: JsonSchema = { type: ['number', 'null'] };
+const dateTime: JsonSchema = { type: 'string', format: 'date-time' };
+const stringArray: JsonSchema = { type: 'array', items: string };
+const errorCode: JsonSchema = { type: 'string', enum: [...ERROR_CODES] };
+
+function object(properties: Record<string, JsonSchema>, required: string[] = []): ObjectSchema {
+  return { type: 'object', properties, required };
+}
+
+function arrayOf(items: JsonSchema): JsonSchema {
+  return { type: 'array', items };
+}
+
+function listOf(items: JsonSchema): ObjectSchema {
+  return object({ [LIST_KEY]: arrayOf(items) }, [LIST_KEY]);
+}
+
+// Payloads passed through from yahoo-finance2 as they are
+function passthrough(description: string): ObjectSchema {
+  return { type: 'object', description, additionalProperties: true };
+}
+
+const quote = object({
+  symbol: string,
+  shortName: string,
+  longName: string,
+  quoteType: string,
+  currency: string,
+  exchange: string,
+  marketState: string,
+  regularMarketPrice: number,
+  regularMarketChange: number,
+  regularMarketChangePercent: number,
+  regularMarketTime: dateTime,
+}, ['symbol']);
+
+const quoteErrors = arrayOf(object({ symbol: string, error: string, code: errorCode }, ['symbol', 'error', 'code']));
+
+const batchQuotes = object({ quotes: arrayOf(quote), errors: quoteErrors }, ['quotes', 'errors']);
+
+// Yahoo leaves fields of a bar null when it has no trade for them
+const bar = object({
+  date: dateTime,
+  open: nullableNumber,
+  high: nullableNumber,
+  low: nullableNumber,
+  close: nullableNumber,
+  volume: nullableNumber,
+  adjClose: nullableNumber,
+}, ['date', 'open', 'high', 'low', 'close', 'volume']);
+
+const period = object({ start: string, end: string });
+
+// [timestamp in ms, value]
+const timeSeries = arrayOf({ type: 'array', items: [number, nullableNumber], minItems: 2, maxItems: 2 });
+
+const indicator = object({
+  id: string,
+  type: string,
+  params: { type: 'object', additionalProperties: number },
+  overlay: { type: 'boolean' },
+  series: { type: 'object', additionalProperties: timeSeries },
+}, ['id', 'type', 'params', 'overlay', 'series']);
+
+const performance = object({
+  totalReturn: number,
+  cagr: number,
+  maxDrawdown: number,
+  sharpe: nullableNumber,
+  sortino: nullableNumber,
+}, ['totalReturn', 'cagr', 'maxDrawdown']);
+
+const backtestRun = object({
+  symbol: string,
+  initialCapital: number,
+  finalEquity: number,
+  metrics: performance,
+  benchmark: performance,
+  equityCurve: timeSeries,
+  buyAndHold: timeSeries,
+  trades: arrayOf(object({
+    entryDate: string,
+    entryPrice: number,
+    exitDate: string,
+    exitPrice: number,
+    shares: number,
+    commission: number,
+    pnl: number,
+    returnPercent: number,
+    barsHeld: number,
+    exitReason: { type: 'string', enum: ['signal', 'stop_loss', 'take_profit', 'end_of_period'] },
+  })),
+}, ['symbol', 'initialCapital', 'finalEquity', 'metrics', 'benchmark', 'trades']);
+
+const allocationSlice = object({ name: string, marketValue: number, weight: number }, ['name', 'marketValue', 'weight']);
+
+const portfolioAnalysis = object({
+  portfolio: string,
+  asOf: dateTime,
+  totals: object({
+    positions: number,
+    marketValue: number,
+    costValue: number,
+    unrealizedPnl: number,
+    unrealizedPnlPercent: nullableNumber,
+    dayPnl: number,
+    dayPnlPercent: nullableNumber,
+  }),
+  holdings: arrayOf(object({
+    symbol: string,
+    name: string,
+    assetClass: string,
+    sector: string,
+    quantity: number,
+    averageCost: number,
+    price: number,
+    marketValue: number,
+    unrealizedPnl: number,
+    unrealizedPnlPercent: nullableNumber,
+    dayPnl: number,
+    weight: number,
+  }, ['symbol', 'quantity', 'marketValue', 'weight'])),
+  allocation: object({ bySector: arrayOf(allocationSlice), byAssetClass: arrayOf(allocationSlice) }),
+  errors: quoteErrors,
+}, ['asOf', 'totals', 'holdings', 'allocation', 'errors']);
+
+const watchlist = object({ name: string, symbols: stringArray, createdAt: dateTime, updatedAt: dateTime }, ['name', 'symbols']);
+
+const position = object({ symbol: string, quantity: number, costBasis: number, purchaseDate: string }, ['symbol', 'quantity', 'costBasis']);
+
+const savedPortfolio = object({ name: string, positions: arrayOf(position), createdAt: dateTime, updatedAt: dateTime }, ['name', 'positions']);
+
+const alert = object({
+  id: string,
+  symbol: string,
+  rule: { type: 'object', description: 'Price, change or indicator rule', additionalProperties: true },
+  description: string,
+  repeat: { type: 'boolean' },
+  status: { type: 'string', enum: ['active', 'triggered'] },
+  createdAt: dateTime,
+  lastCheckedAt: { type: ['string', 'null'] },
+  lastValue: nullableNumber,
+  conditionMet: { type: 'boolean' },
+  lastTriggeredAt: { type: ['string', 'null'] },
+  triggerCount: number,
+  lastError: { type: ['string', 'null'] },
+}, ['id', 'symbol', 'rule', 'description', 'status']);
+
+const alertTrigger = object({
+  alertId: string,
+  symbol: string,
+  description: string,
+  value: number,
+  message: string,
+  triggeredAt: dateTime,
+}, ['alertId', 'symbol', 'message', 'triggeredAt']);
+
+const trendingQuote = object({
+  symbol: string,
+  name: string,
+  price: number,
+  change: number,
+  changePercent: number,
+  volume: number,
+  marketCap: number,
+  pe: number,
+  dividendYield: number,
+  fiftyTwoWeekHigh: number,
+  fiftyTwoWeekLow: number,
+  averageVolume: number,
+}, ['symbol', 'price', 'changePercent']);
+
+export const OUTPUT_SCHEMAS: Record<string, ObjectSchema> = {
+  get_quote: quote,
+  get_quotes: batchQuotes,
+  get_historical_data: object({
+    symbol: string,
+    data: arrayOf(bar),
+    count: number,
+    period: object({ start: string, end: string, interval: string }),
+  }, ['symbol', 'data', 'count']),
+  compute_indicators: object({
+    symbol: string,
+    interval: string,
+    period,
+    count: number,
+    data: arrayOf(bar),
+    indicators: arrayOf(indicator),
+  }, ['symbol', 'interval', 'period', 'data', 'indicators']),
+  backtest_strategy: object({
+    strategy: { type: 'object', additionalProperties: true },
+    interval: string,
+    period,
+    initialCapital: number,
+    results: arrayOf(backtestRun),
+    portfolio: {
+      type: ['object', 'null'],
+      description: 'Combined equal-weight result when more than one symbol is tested',
+      properties: {
+        initialCapital: number,
+        finalEquity: number,
+        metrics: performance,
+        benchmark: performance,
+        equityCurve: timeSeries,
+        buyAndHold: timeSeries,
+      },
+    },
+  }, ['strategy', 'interval', 'period', 'initialCapital', 'results', 'portfolio']),
+  analyze_portfolio: portfolioAnalysis,
+  list_watchlists: listOf(watchlist),
+  add_to_watchlist: watchlist,
+  remove_from_watchlist: watchlist,
+  get_watchlist_quotes: object({
+    watchlist: string,
+    quotes: arrayOf(quote),
+    errors: quoteErrors,
+  }, ['watchlist', 'quotes', 'errors']),
+  list_portfolios: listOf(savedPortfolio),
+  save_portfolio: savedPortfolio,
+  create_alert: alert,
+  list_alerts: object({ alerts: arrayOf(alert), recentTriggers: arrayOf(alertTrigger) }, ['alerts', 'recentTriggers']),
+  delete_alert: object({ deleted: string }, ['deleted']),
+  search_symbols: listOf(object({
+    symbol: string,
+    shortName: string,
+    longName: string,
+    quoteType: string,
+    exchange: string,
+  }, ['symbol'])),
+  get_market_summary: object({
+    timestamp: dateTime,
+    indices: arrayOf(object({
+      symbol: string,
+      name: string,
+      price: number,
+      change: number,
+      changePercent: number,
+      marketState: string,
+      error: string,
+      code: errorCode,
+    }, ['symbol'])),
+  }, ['timestamp', 'indices']),
+  get_news: listOf(object({
+    uuid: string,
+    title: string,
+    publisher: string,
+    link: string,
+    providerPublishTime: dateTime,
+    type: string,
+  }, ['title', 'link'])),
+  get_recommendations: object({
+    symbol: string,
+    currentPrice: number,
+    targetHighPrice: number,
+    targetLowPrice: number,
+    targetMeanPrice: number,
+    targetMedianPrice: number,
+    recommendationMean: number,
+    recommendationKey: string,
+    numberOfAnalystOpinions: number,
+    trend: arrayOf(object({
+      period: string,
+      strongBuy: number,
+      buy: number,
+      hold: number,
+      sell: number,
+      strongSell: number,
+    })),
+    ratingHistory: arrayOf(object({ date: dateTime, firm: string, action: string, fromGrade: string, toGrade: string })),
+  }, ['symbol', 'trend', 'ratingHistory']),
+  get_financials: object({
+    symbol: string,
+    type: { type: 'string', enum: ['income', 'balance', 'cashflow'] },
+    frequency: { type: 'string', enum: ['annual', 'quarterly'] },
+    periods: stringArray,
+    rows: arrayOf(object({ key: string, label: string, values: arrayOf(nullableNumber) }, ['key', 'label', 'values'])),
+  }, ['symbol', 'type', 'frequency', 'periods', 'rows']),
+  get_options: object({
+    symbol: string,
+    expirationDates: arrayOf(number),
+    strikes: arrayOf(number),
+    calls: arrayOf({ type: 'object', additionalProperties: true }),
+    puts: arrayOf({ type: 'object', additionalProperties: true }),
+  }, ['symbol', 'expirationDates', 'strikes']),
+  get_options_analytics: object({
+    symbol: string,
+    underlyingPrice: number,
+    riskFreeRate: number,
+    dividendYield: number,
+    asOf: dateTime,
+    expirations: arrayOf(object({
+      expirationDate: string,
+      daysToExpiry: number,
+      atmIV: nullableNumber,
+      calls: arrayOf({ type: 'object', additionalProperties: true }),
+      puts: arrayOf({ type: 'object', additionalProperties: true }),
+      smile: arrayOf(object({ strike: number, moneyness: number, callIV: nullableNumber, putIV: nullableNumber })),
+    })),
+    termStructure: arrayOf(object({ expirationDate: string, daysToExpiry: number, atmIV: nullableNumber })),
+    errors: arrayOf(object({ expirationDate: string, error: string, code: errorCode }, ['expirationDate', 'error', 'code'])),
+    omittedExpirations: number,
+  }, ['symbol', 'underlyingPrice', 'expirations', 'termStructure', 'errors']),
+  get_trending_stocks: listOf(trendingQuote),
+  get_trending_etfs: listOf(trendingQuote),
+  get_insights: passthrough('yahoo-finance2 insights response'),
+  get_chart: listOf(bar),
+  get_quote_summary: passthrough('yahoo-finance2 quoteSummary response, keyed by module'),
+  get_fundamentals_timeseries: listOf({ type: 'object', description: 'One reporting period with its values', additionalProperties: true }),
+  get_trending_symbols: passthrough('yahoo-finance2 trendingSymbols response'),
+  get_screener: passthrough('yahoo-finance2 screener response'),
+  get_autoc: passthrough('yahoo-finance2 autoc response'),
+  get_cache_stats: object({
+    size: number,
+    maxEntries: number,
+    hits: number,
+    misses: number,
+    evictions: number,
+    hitRate: number,
+    byFunction: { type: 'object', additionalProperties: { type: 'object', additionalProperties: number } },
+  }, ['size', 'maxEntries', 'hits', 'misses', 'evictions', 'hitRate', 'byFunction']),
+};
+
+function fixed(value: unknown, digits: number = 2): string {
+  return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(digits) : 'n/a';
+}
+
+function signed(value: unknown, suffix: string = ''): string {
+  return typeof value === 'number' && Number.isFinite(value) ? `${value >= 0 ? '+' : ''}${value.toFixed(2)}${suffix}` : 'n/a';
+}
+
+// Backtest returns, hit rates and implied volatilities are fractions
+function percent(value: unknown): string {
+  return typeof value === 'number' && Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : 'n/a';
+}
+
+function plural(count: number, noun: string): string {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function quoteLine(q: any): string {
+  const name = q.longName || q.shortName || q.name;
+  const price = q.regularMarketPrice ?? q.price;
+  const changePercent = q.regularMarketChangePercent ?? q.changePercent;
+  return `${q.symbol}${name ? ` (${name})` : ''}: ${fixed(price)}${q.currency ? ` ${q.currency}` : ''}, ${signed(changePercent, '%')}`;
+}
+
+function quotesSummary(quotes: any[], errors: { symbol: string }[]): string {
+  const lines = quotes.map(quoteLine);
+  if (errors.length > 0) lines.push(`Failed: ${errors.map(e => e.symbol).join(', ')}`);
+  return lines.join('\n');
+}
+
+type Summarizer = (data: any) => string;
+
+const SUMMARIES: Record<string, Summarizer> = {
+  get_quote: (q) => `${quoteLine(q)}${q.marketState ? ` (market ${q.marketState.toLowerCase()})` : ''}`,
+  get_quotes: ({ quotes, errors }) => quotesSummary(quotes, errors),
+  get_historical_data: ({ symbol, data, count }) => {
+    if (count === 0) return `No price history for ${symbol}`;
+    const first = data[0];
+    const last = data[count - 1];
+    const change = first.close ? ((last.close - first.close) / first.close) * 100 : null;
+    return `${plural(count, 'bar')} for ${symbol}; close ${fixed(first.close)} → ${fixed(last.close)} (${signed(change, '%')})`;
+  },
+  compute_indicators: ({ symbol, count, indicators }) => `${indicators.map((i: any) => i.id).join(', ')} for ${symbol} over ${plural(count, 'bar')}`,
+  backtest_strategy: ({ results, portfolio }) => {
+    const lines = results.map((r: any) =>
+      `${r.symbol}: return ${percent(r.metrics.totalReturn)} vs buy & hold ${percent(r.benchmark.totalReturn)}, max drawdown ${percent(r.metrics.maxDrawdown)}, ${plural(r.metrics.trades, 'trade')}`);
+    if (portfolio) lines.push(`Portfolio: return ${percent(portfolio.metrics.totalReturn)} vs ${percent(portfolio.benchmark.totalReturn)}`);
+    return lines.join('\n');
+  },
+  analyze_portfolio: ({ portfolio, totals, errors }) => [
+    `${portfolio ? `${portfolio}: ` : ''}${plural(totals.positions, 'position')} worth ${fixed(totals.marketValue)}`,
+    `unrealized P&L ${signed(totals.unrealizedPnl)} (${signed(totals.unrealizedPnlPercent, '%')})`,
+    `today ${signed(totals.dayPnl)}${errors.length > 0 ? `; failed to price ${errors.map((e: any) => e.symbol).join(', ')}` : ''}`,
+  ].join(', '),
+  list_watchlists: ({ items }) => items.length === 0
+    ? 'No saved watchlists'
+    : items.map((w: any) => `${w.name}: ${w.symbols.join(', ') || '(empty)'}`).join('\n'),
+  add_to_watchlist: (w) => `${w.name}: ${w.symbols.join(', ') || '(empty)'}`,
+  remove_from_watchlist: (w) => `${w.name}: ${w.symbols.join(', ') || '(empty)'}`,
+  get_watchlist_quotes: ({ watchlist, quotes, errors }) => `${watchlist}\n${quotesSummary(quotes, errors)}`,
+  list_portfolios: ({ items }) => items.length === 0
+    ? 'No saved portfolios'
+    : items.map((p: any) => `${p.name}: ${p.positions.map((pos: any) => pos.symbol).join(', ')}`).join('\n'),
+  save_portfolio: (p) => `Saved ${p.name} with ${plural(p.positions.length, 'position')}`,
+  create_alert: (a) => `Created alert ${a.id}: ${a.description}${a.repeat ? ' (repeats)' : ''}`,
+  list_alerts: ({ alerts, recentTriggers }) => alerts.length === 0
+    ? 'No alerts'
+    : [...alerts.map((a: any) => `${a.id} [${a.status}] ${a.description}`), `${plural(recentTriggers.length, 'recent trigger')}`].join('\n'),
+  delete_alert: ({ deleted }) => `Deleted alert ${deleted}`,
+  search_symbols: ({ items }) => items.length === 0
+    ? 'No matching symbols'
+    : items.map((r: any) => `${r.symbol}${r.longName || r.shortName ? ` (${r.longName || r.shortName})` : ''}${r.quoteType ? ` ${r.quoteType}` : ''}`).join('\n'),
+  get_market_summary: ({ indices }) => indices
+    .map((i: any) => (i.error ? `${i.symbol}: ${i.error}` : `${i.name || i.symbol}: ${fixed(i.price)} (${signed(i.changePercent, '%')})`))
+    .join('\n'),
+  get_news: ({ items }) => items.length === 0
+    ? 'No news found'
+    : items.map((n: any) => `${n.title} (${n.publisher})`).join('\n'),
+  get_recommendations: (r) => `${r.symbol}: ${r.recommendationKey || 'no consensus'} from ${plural(r.numberOfAnalystOpinions || 0, 'analyst')}, mean target ${fixed(r.targetMeanPrice)} (range ${fixed(r.targetLowPrice)}–${fixed(r.targetHighPrice)})`,
+  get_financials: (f) => `${f.symbol} ${f.frequency} ${f.type} statement: ${plural(f.rows.length, 'line item')} over ${plural(f.periods.length, 'period')}`,
+  get_options: (o) => `${o.symbol} options: ${plural(o.calls?.length || 0, 'call')} and ${plural(o.puts?.length || 0, 'put')} across ${plural(o.strikes.length, 'strike')}; ${plural(o.expirationDates.length, 'expiration')} available`,
+  get_options_analytics: (o) => [
+    `${o.symbol} at ${fixed(o.underlyingPrice)}`,
+    ...o.termStructure.map((t: any) => `${t.expirationDate} (${t.daysToExpiry}d): ATM IV ${percent(t.atmIV)}`),
+    ...(o.errors.length > 0 ? [`Failed: ${o.errors.map((e: any) => e.expirationDate).join(', ')}`] : []),
+    ...(o.omittedExpirations > 0 ? [`${plural(o.omittedExpirations, 'later expiration')} not analyzed; narrow with fromDate/toDate`] : []),
+  ].join('\n'),
+  get_insights: (i) => `Insights for ${i.symbol}`,
+  get_quote_summary: (q) => `Quote summary modules: ${Object.keys(q).join(', ')}`,
+  get_trending_symbols: ({ quotes }) => `Trending: ${quotes.map((q: any) => q.symbol).join(', ')}`,
+  get_trending_stocks: ({ items }) => items.map(quoteLine).join('\n'),
+  get_trending_etfs: ({ items }) => items.map(quoteLine).join('\n'),
+  get_chart: ({ items }) => `${plural(items.length, 'bar')}`,
+  get_fundamentals_timeseries: ({ items }) => `${plural(items.length, 'reporting period')}`,
+  get_cache_stats: (s) => `${s.size}/${s.maxEntries} entries, ${s.hits} hits, ${s.misses} misses, hit rate ${percent(s.hitRate)}`,
+};
+
+/**
+ * Build a tool result: the data as structured content and a short summary as text
+ */
+export function toolResult(name: string, data: unknown) {
+  const structuredContent = Array.isArray(data) ? { [LIST_KEY]: data } : (data as Record<string, unknown>);
+  const summarize = SUMMARIES[name];
+  const fields = Object.keys(structuredContent);
+  let text = fields.length > 0 ? `${name} returned ${fields.join(', ')}` : `${name} returned no data`;
+  if (summarize) {
+    try {
+      text = summarize(structuredContent);
+    } catch {
+      // Keep the generic summary when the data does not have the expected shape
+    }
+  }
+  return {
+    content: [
+      {
+        type: 'text',
+        text,
+      },
+    ],
+    structuredContent,
+  };
+}
+
+/**
+ * Build the result of a failed tool call. Market data and argument errors carry their own code, and
+ * schema failures are invalid arguments; anything else is a fault in the server, such as saved data it could not read.
+ */
+export function toolError(error: unknown) {
+  let failure: FinanceError;
+  if (error instanceof FinanceError) {
+    failure = error;
+  } else if (error instanceof ZodError) {
+    // One line per invalid argument rather than the raw issue list
+    const issues = error.issues.map(issue => `${issue.path.join('.') || 'arguments'}: ${issue.message}`);
+    failure = new FinanceError('VALIDATION_FAILED', `Invalid arguments (${issues.join('; ')})`);
+  } else {
+    failure = new FinanceError('INTERNAL_ERROR', error instanceof Error ? error.message : 'Unknown error occurred');
+  }
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Error: ${failure.message}`,
+      },
+    ],
+    _meta: { error: failure.toJSON() },
+    isError: true,
+  };
+}
@@ -0,0 +1,438 @@
+// Saved watchlists, portfolios and alerts in a local JSON file, shared by the MCP tools and the HTTP bridge
+
+import { randomUUID } from 'crypto';
+import { Stats, closeSync, existsSync, fstatSync, linkSync, mkdirSync, openSync, readFileSync, renameSync, rmSync, statSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { PortfolioPosition } from './portfolio.js';
+import { Alert, AlertRule, AlertTrigger, describeAlert, validateAlertRule } from './alerts.js';
+import { FinanceError } from './errors.js';
+
+export interface Watchlist {
+  name: string;
+  symbols: string[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface SavedPortfolio {
+  name: string;
+  positions: PortfolioPosition[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+interface StoreData {
+  version: 1;
+  watchlists: Watchlist[];
+  portfolios: SavedPortfolio[];
+  preferences: Record<string, Record<string, unknown>>;
+  alerts: Alert[];
+  alertHistory: AlertTrigger[];
+}
+
+const DEFAULT_STORE_FILE = fileURLToPath(new URL('../data/user-data.json', import.meta.url));
+
+const NAME_PATTERN = /^[\w .&'-]{1,64}$/;
+
+// Most recent triggers kept in the alert history
+const MAX_ALERT_HISTORY = 500;
+
+// How long a write waits for another process to finish its own
+const LOCK_TIMEOUT_MS = 5000;
+
+// A lock this old was left behind by a process that died mid-write
+const STALE_LOCK_MS = 30000;
+
+const LOCK_RETRY_MS = 25;
+
+function delay(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function statOrNull(path: string): Stats | null {
+  try {
+    return statSync(path);
+  } catch {
+    return null;
+  }
+}
+
+// A lock broken as stale may belong to another writer by now, so only the one we created is removed
+function releaseLock(lockFile: string, ino: number): void {
+  if (statOrNull(lockFile)?.ino === ino) {
+    rmSync(lockFile, { force: true });
+  }
+}
+
+/**
+ * Move a stale lock aside under a unique name, so that of several waiters who saw it only one breaks it.
+ * If the file moved is not the lock that was found stale, another waiter broke that one first and a
+ * writer has taken a fresh lock since; it is linked back in place. Returns whether to retry at once.
+ */
+function breakStaleLock(lockFile: string): boolean {
+  const lock = statOrNull(lockFile);
+  if (!lock) {
+    return true;
+  }
+  if (Date.now() - lock.mtimeMs <= STALE_LOCK_MS) {
+    return false;
+  }
+  const aside = `${lockFile}.${process.pid}.${randomUUID()}`;
+  try {
+    renameSync(lockFile, aside);
+  } catch {
+    return true;
+  }
+  if (statSync(aside).ino !== lock.ino) {
+    try {
+      linkSync(aside, lockFile);
+    } catch {
+      // Yet another writer locked the store meanwhile; the lock it holds is the one that counts
+    }
+  }
+  rmSync(aside, { force: true });
+  return true;
+}
+
+function emptyStore(): StoreData {
+  return { version: 1, watchlists: [], portfolios: [], preferences: {}, alerts: [], alertHistory: [] };
+}
+
+function normalizeSymbols(symbols: string[]): string[] {
+  return [...new Set(symbols.map(symbol => symbol.trim().toUpperCase()).filter(Boolean))];
+}
+
+function validateName(name: string): string {
+  const trimmed = (name || '').trim();
+  if (!NAME_PATTERN.test(trimmed)) {
+    throw new FinanceError('VALIDATION_FAILED', `Invalid name "${name}" (use up to 64 letters, digits, spaces and . & ' - _)`);
+  }
+  return trimmed;
+}
+
+/**
+ * Check positions arriving from REST clients, which bypass the MCP tool schemas
+ */
+function validatePositions(positions: PortfolioPosition[]): PortfolioPosition[] {
+  if (!Array.isArray(positions) || positions.length === 0) {
+    throw new FinanceError('VALIDATION_FAILED', 'A portfolio needs at least one position');
+  }
+  return positions.map((position, index) => {
+    const { symbol, quantity, costBasis, purchaseDate } = position || ({} as PortfolioPosition);
+    if (typeof symbol !== 'string' || !symbol.trim()) {
+      throw new FinanceError('VALIDATION_FAILED', `Position ${index + 1}: symbol is required`);
+    }
+    if (typeof quantity !== 'number' || !(quantity > 0)) {
+      throw new FinanceError('VALIDATION_FAILED', `Position ${index + 1} (${symbol}): quantity must be a positive number`);
+    }
+    if (typeof costBasis !== 'number' || !(costBasis >= 0)) {
+      throw new FinanceError('VALIDATION_FAILED', `Position ${index + 1} (${symbol}): costBasis must be a non-negative number`);
+    }
+    if (purchaseDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(purchaseDate)) {
+      throw new FinanceError('VALIDATION_FAILED', `Position ${index + 1} (${symbol}): purchaseDate must be YYYY-MM-DD`);
+    }
+    return { symbol: symbol.trim().toUpperCase(), quantity, costBasis, ...(purchaseDate ? { purchaseDate } : {}) };
+  });
+}
+
+function sameName(a: string, b: string): boolean {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function insertWatchlist(data: StoreData, name: string, symbols: string[]): Watchlist {
+  const validName = validateName(name);
+  if (data.watchlists.some(watchlist => sameName(watchlist.name, validName))) {
+    throw new FinanceError('VALIDATION_FAILED', `Watchlist "${validName}" already exists`);
+  }
+  const now = new Date().toISOString();
+  const watchlist = { name: validName, symbols: normalizeSymbols(symbols), createdAt: now, updatedAt: now };
+  data.watchlists.push(watchlist);
+  return watchlist;
+}
+
+/**
+ * JSON file store for watchlists, portfolios, alerts and user preferences. The file is re-read before every
+ * operation and replaced atomically on write, so the bridge and any MCP server sharing it see each
+ * other's changes. Writes hold a lock file next to the store, so two processes never lose each other's
+ * updates.
+ */
+export class UserStore {
+  constructor(readonly file: string = process.env.USER_DATA_FILE || DEFAULT_STORE_FILE) {}
+
+  listWatchlists(): Watchlist[] {
+    return this.read().watchlists;
+  }
+
+  getWatchlist(name: string): Watchlist | undefined {
+    return this.read().watchlists.find(watchlist => sameName(watchlist.name, name));
+  }
+
+  /**
+   * Create a watchlist; fails if one with the same name (ignoring case) exists
+   */
+  createWatchlist(name: string, symbols: string[] = []): Promise<Watchlist> {
+    return this.update(data => insertWatchlist(data, name, symbols));
+  }
+
+  /**
+   * Replace a watchlist's symbols
+   */
+  setWatchlistSymbols(name: string, symbols: string[]): Promise<Watchlist> {
+    return this.updateWatchlist(name, () => normalizeSymbols(symbols));
+  }
+
+  /**
+   * Add symbols to a watchlist, creating it if it does not exist yet
+   */
+  addToWatchlist(name: string, symbols: string[]): Promise<Watchlist> {
+    return this.update(data => {
+      const watchlist = data.watchlists.find(candidate => sameName(candidate.name, name));
+      if (!watchlist) {
+        return insertWatchlist(data, name, symbols);
+      }
+      watchlist.symbols = normalizeSymbols([...watchlist.symbols, ...symbols]);
+      watchlist.updatedAt = new Date().toISOString();
+      return watchlist;
+    });
+  }
+
+  removeFromWatchlist(name: string, symbols: string[]): Promise<Watchlist> {
+    const removed = new Set(normalizeSymbols(symbols));
+    return this.updateWatchlist(name, current => current.filter(symbol => !removed.has(symbol)));
+  }
+
+  /**
+   * Delete a watchlist, returning false if it did not exist
+   */
+  deleteWatchlist(name: string): Promise<boolean> {
+    return this.update(data => {
+      const before = data.watchlists.length;
+      data.watchlists = data.watchlists.filter(watchlist => !sameName(watchlist.name, name));
+      return data.watchlists.length < before;
+    });
+  }
+
+  listPortfolios(): SavedPortfolio[] {
+    return this.read().portfolios;
+  }
+
+  getPortfolio(name: string): SavedPortfolio | undefined {
+    return this.read().portfolios.find(portfolio => sameName(portfolio.name, name));
+  }
+
+  /**
+   * Create or replace a portfolio's positions
+   */
+  savePortfolio(name: string, positions: PortfolioPosition[]): Promise<SavedPortfolio> {
+    return this.update(data => {
+      const validName = validateName(name);
+      const now = new Date().toISOString();
+      const cleaned = validatePositions(positions);
+      const existing = data.portfolios.find(portfolio => sameName(portfolio.name, validName));
+      if (existing) {
+        existing.positions = cleaned;
+        existing.updatedAt = now;
+        return existing;
+      }
+      const portfolio = { name: validName, positions: cleaned, createdAt: now, updatedAt: now };
+      data.portfolios.push(portfolio);
+      return portfolio;
+    });
+  }
+
+  /**
+   * Delete a portfolio, returning false if it did not exist
+   */
+  deletePortfolio(name: string): Promise<boolean> {
+    return this.update(data => {
+      const before = data.portfolios.length;
+      data.portfolios = data.portfolios.filter(portfolio => !sameName(portfolio.name, name));
+      return data.portfolios.length < before;
+    });
+  }
+
+  getPreferences(userId: string): Record<string, unknown> | undefined {
+    return this.read().preferences[userId];
+  }
+
+  /**
+   * Merge preferences into a user's saved preferences
+   */
+  updatePreferences(userId: string, preferences: Record<string, unknown>): Promise<Record<string, unknown>> {
+    return this.update(data => {
+      data.preferences[userId] = { ...data.preferences[userId], ...preferences, lastUpdated: new Date().toISOString() };
+      return data.preferences[userId];
+    });
+  }
+
+  listAlerts(): Alert[] {
+    return this.read().alerts;
+  }
+
+  getAlert(id: string): Alert | undefined {
+    return this.read().alerts.find(alert => alert.id === id);
+  }
+
+  /**
+   * Create an alert; one-shot unless `repeat` is set
+   */
+  createAlert(symbol: string, rule: AlertRule, repeat: boolean = false): Promise<Alert> {
+    return this.update(data => {
+      const cleanSymbol = (symbol || '').trim().toUpperCase();
+      if (!cleanSymbol) {
+        throw new FinanceError('VALIDATION_FAILED', 'symbol is required');
+      }
+      const validRule = validateAlertRule(rule);
+      const alert: Alert = {
+        id: randomUUID().slice(0, 8),
+        symbol: cleanSymbol,
+        rule: validRule,
+        description: describeAlert(cleanSymbol, validRule),
+        repeat: !!repeat,
+        status: 'active',
+        createdAt: new Date().toISOString(),
+        lastCheckedAt: null,
+        lastValue: null,
+        conditionMet: false,
+        lastTriggeredAt: null,
+        triggerCount: 0,
+        lastError: null,
+      };
+      data.alerts.push(alert);
+      return alert;
+    });
+  }
+
+  /**
+   * Put a triggered alert back into the active state
+   */
+  rearmAlert(id: string): Promise<Alert> {
+    return this.update(data => {
+      const alert = data.alerts.find(candidate => candidate.id === id);
+      if (!alert) {
+        throw new FinanceError('NO_DATA', `Alert "${id}" not found`);
+      }
+      alert.status = 'active';
+      alert.conditionMet = false;
+      return alert;
+    });
+  }
+
+  /**
+   * Delete an alert, returning false if it did not exist. Its history is kept.
+   */
+  deleteAlert(id: string): Promise<boolean> {
+    return this.update(data => {
+      const before = data.alerts.length;
+      data.alerts = data.alerts.filter(alert => alert.id !== id);
+      return data.alerts.length < before;
+    });
+  }
+
+  /**
+   * Store the outcome of an evaluation pass on the alerts as they are now: only what the check found is
+   * written, so rearms made while it ran are kept and deleted alerts stay deleted. Results for an alert
+   * whose rule changed meanwhile are dropped. Returns the triggers that were recorded.
+   */
+  recordAlertResults(results: Alert[], triggers: AlertTrigger[]): Promise<AlertTrigger[]> {
+    return this.update(data => {
+      const evaluated = new Map(results.map(result => [result.id, result]));
+      const recorded = new Set<string>();
+      data.alerts = data.alerts.map(alert => {
+        const result = evaluated.get(alert.id);
+        if (!result || JSON.stringify(result.rule) !== JSON.stringify(alert.rule)) {
+          return alert;
+        }
+        recorded.add(alert.id);
+        const triggered = triggers.some(trigger => trigger.alertId === alert.id);
+        return {
+          ...alert,
+          lastCheckedAt: result.lastCheckedAt,
+          lastValue: result.lastValue,
+          conditionMet: result.conditionMet,
+          lastError: result.lastError,
+          ...(triggered ? {
+            lastTriggeredAt: result.lastTriggeredAt,
+            triggerCount: alert.triggerCount + 1,
+            status: alert.repeat ? alert.status : 'triggered' as const,
+          } : {}),
+        };
+      });
+      const kept = triggers.filter(trigger => recorded.has(trigger.alertId));
+      data.alertHistory = [...data.alertHistory, ...kept].slice(-MAX_ALERT_HISTORY);
+      return kept;
+    });
+  }
+
+  /**
+   * Recent triggers, newest first, optionally for one alert
+   */
+  getAlertHistory(alertId?: string, limit: number = 50): AlertTrigger[] {
+    return this.read().alertHistory
+      .filter(trigger => !alertId || trigger.alertId === alertId)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  private updateWatchlist(name: string, change: (symbols: string[]) => string[]): Promise<Watchlist> {
+    return this.update(data => {
+      const watchlist = data.watchlists.find(candidate => sameName(candidate.name, name));
+      if (!watchlist) {
+        throw new FinanceError('NO_DATA', `Watchlist "${name}" not found`);
+      }
+      watchlist.symbols = change(watchlist.symbols);
+      watchlist.updatedAt = new Date().toISOString();
+      return watchlist;
+    });
+  }
+
+  private read(): StoreData {
+    if (!existsSync(this.file)) {
+      return emptyStore();
+    }
+    try {
+      return { ...emptyStore(), ...JSON.parse(readFileSync(this.file, 'utf8')) };
+    } catch (error) {
+      throw new Error(`Failed to read user data from ${this.file}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
+  // Holds the lock from read to write; waiting for it yields to the event loop
+  private async update<T>(change: (data: StoreData) => T): Promise<T> {
+    mkdirSync(dirname(this.file), { recursive: true });
+    const unlock = await this.lock();
+    try {
+      const data = this.read();
+      const result = change(data);
+      const temp = `${this.file}.${process.pid}.tmp`;
+      writeFileSync(temp, JSON.stringify(data, null, 2));
+      renameSync(temp, this.file);
+      return result;
+    } finally {
+      unlock();
+    }
+  }
+
+  private async lock(): Promise<() => void> {
+    const lockFile = `${this.file}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        const fd = openSync(lockFile, 'wx');
+        const { ino } = fstatSync(fd);
+        closeSync(fd);
+        return () => releaseLock(lockFile, ino);
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'EEXIST') throw error;
+      }
+      if (breakStaleLock(lockFile)) {
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the lock on ${this.file}`);
+      }
+      await delay(LOCK_RETRY_MS);
+    }
+  }
+}
@@ -1,7 +1,54 @@
-import yahooFinance from 'yahoo-finance2';
+import { TTLCache, CacheStats } from './cache.js';
+import { classifyUpstreamError, financeError, ErrorCode, FinanceError } from './errors.js';
+import { createProvider } from './market-data-provider.js';
+import {
+  analyzeContracts,
+  atTheMoneyVolatility,
+  buildVolatilitySmile,
+  yearsToExpiry,
+  AnalyzedContract,
+  SmilePoint,
+} from './options-analytics.js';
+import { computeIndicators, warmupBars, IndicatorResult, IndicatorSpec } from './indicators.js';
+import {
+  combineCurves,
+  performanceMetrics,
+  runBacktest,
+  strategyIndicators,
+  BacktestRun,
+  PerformanceMetrics,
+  PERIODS_PER_YEAR,
+  Strategy,
+} from './backtest.js';
+import {
+  sectorExposure,
+  sectorModuleFor,
+  valuePortfolio,
+  AllocationSlice,
+  Holding,
+  PortfolioPosition,
+  PortfolioTotals,
+  SectorExposure,
+} from './portfolio.js';
 
-// Suppress Yahoo Finance notices
-yahooFinance.suppressNotices(['yahooSurvey']);
+// Upstream data source, selected by MARKET_DATA_PROVIDER
+const provider = createProvider();
+
+/**
+ * The time default date ranges count back from; under YF_REPLAY, the time the recording was made
+ */
+export function marketNow(): Date {
+  return provider.now();
+}
+
+const cache = new TTLCache(Number(process.env.YF_CACHE_MAX_ENTRIES) || 500);
+
+/**
+ * Route an upstream call through the response cache, keyed by function name and arguments
+ */
+function cached<T>(fn: string, args: unknown[], load: () => Promise<T>): Promise<T> {
+  return cache.getOrLoad(fn, args, load);
+}
 
 // Types for better type safety
 interface QuoteData {
@@ -19,6 +66,18 @@ interface QuoteData {
   [key: string]: any;
 }
 
+interface BatchQuoteResult {
+  quotes: QuoteData[];
+  errors: QuoteError[];
+}
+
+// A symbol that could not be quoted, with the code of the failure
+interface QuoteError {
+  symbol: string;
+  error: string;
+  code: ErrorCode;
+}
+
 interface HistoricalData {
   date: Date;
   open: number;
@@ -48,8 +107,26 @@ interface NewsItem {
   [key: string]: any;
 }
 
+interface RecommendationTrendPeriod {
+  period: string;
+  strongBuy: number;
+  buy: number;
+  hold: number;
+  sell: number;
+  strongSell: number;
+}
+
+interface RatingChange {
+  date: Date;
+  firm: string;
+  action: string;
+  fromGrade?: string;
+  toGrade: string;
+}
+
 interface Recommendation {
   symbol: string;
+  currentPrice?: number;
   targetHighPrice?: number;
   targetLowPrice?: number;
   targetMeanPrice?: number;
@@ -57,11 +134,23 @@ interface Recommendation {
   recommendationMean?: number;
   recommendationKey?: string;
   numberOfAnalystOpinions?: number;
+  trend: RecommendationTrendPeriod[];
+  ratingHistory: RatingChange[];
   [key: string]: any;
 }
 
+interface FinancialStatementRow {
+  key: string;
+  label: string;
+  values: (number | null)[];
+}
+
 interface FinancialData {
   symbol: string;
+  type: 'income' | 'balance' | 'cashflow';
+  frequency: 'annual' | 'quarterly';
+  periods: string[];
+  rows: FinancialStatementRow[];
   [key: string]: any;
 }
 
@@ -74,18 +163,153 @@ interface OptionsData {
   [key: string]: any;
 }
 
+interface OptionsExpirationAnalytics {
+  expirationDate: string;
+  daysToExpiry: number;
+  atmIV: number | null;
+  calls: AnalyzedContract[];
+  puts: AnalyzedContract[];
+  smile: SmilePoint[];
+}
+
+// An expiration whose chain could not be fetched, with the code of the failure
+interface OptionsExpirationError {
+  expirationDate: string;
+  error: string;
+  code: ErrorCode;
+}
+
+interface OptionsAnalytics {
+  symbol: string;
+  underlyingPrice: number;
+  riskFreeRate: number;
+  dividendYield: number;
+  asOf: string;
+  expirations: OptionsExpirationAnalytics[];
+  termStructure: { expirationDate: string; daysToExpiry: number; atmIV: number | null }[];
+  errors: OptionsExpirationError[];
+  // Listed expirations in range beyond the ones analyzed
+  omittedExpirations: number;
+}
+
+interface IndicatorsData {
+  symbol: string;
+  interval: string;
+  period: { start: string; end: string };
+  count: number;
+  data: HistoricalData[];
+  indicators: IndicatorResult[];
+}
+
+interface BacktestResult {
+  strategy: Strategy;
+  interval: string;
+  period: { start: string; end: string };
+  initialCapital: number;
+  results: (BacktestRun & { symbol: string })[];
+  // Combined equal-weight result when more than one symbol is tested
+  portfolio: {
+    initialCapital: number;
+    finalEquity: number;
+    metrics: PerformanceMetrics;
+    benchmark: PerformanceMetrics;
+    equityCurve: [number, number][];
+    buyAndHold: [number, number][];
+  } | null;
+}
+
+interface PortfolioAnalysis {
+  asOf: string;
+  totals: PortfolioTotals;
+  holdings: Holding[];
+  allocation: { bySector: AllocationSlice[]; byAssetClass: AllocationSlice[] };
+  errors: QuoteError[];
+}
+
 /**
  * Get real-time quote data for a stock symbol
  */
 export async function getQuote(symbol: string): Promise<QuoteData> {
   try {
-    const result = await yahooFinance.quote(symbol);
+    const result = await cached('quote', [symbol], () => provider.quote(symbol));
+    // yahoo-finance2 resolves unknown and delisted symbols to undefined rather than failing
+    if (!result) {
+      throw new FinanceError('INVALID_SYMBOL', 'Symbol not found');
+    }
     return result as QuoteData;
   } catch (error) {
-    throw new Error(`Failed to get quote for ${symbol}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError(`Failed to get quote for ${symbol}`, error);
   }
 }
 
+// Yahoo accepts comma-separated symbol lists; keep each request well under its URL limits
+const QUOTE_CHUNK_SIZE = 10;
+const QUOTE_CONCURRENCY = 3;
+
+/**
+ * Run an async function over items with at most `limit` calls in flight, preserving order
+ */
+async function mapWithConcurrency<T, R>(items: T[], limit: number, fn: (item: T) => Promise<R>): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Get quotes for many symbols at once, batching upstream requests and reporting failures per symbol
+ */
+export async function getQuotes(symbols: string[]): Promise<BatchQuoteResult> {
+  const uniqueSymbols = [...new Set(symbols.map(symbol => symbol.trim().toUpperCase()).filter(Boolean))];
+  const chunks: string[][] = [];
+  for (let i = 0; i < uniqueSymbols.length; i += QUOTE_CHUNK_SIZE) {
+    chunks.push(uniqueSymbols.slice(i, i + QUOTE_CHUNK_SIZE));
+  }
+
+  const quotes: QuoteData[] = [];
+  const errors: QuoteError[] = [];
+
+  const chunkResults = await mapWithConcurrency(chunks, QUOTE_CONCURRENCY, async (chunk) => {
+    try {
+      const result = await cached('quote', [chunk], () => provider.quote(chunk));
+      return { chunk, quotes: result as QuoteData[] };
+    } catch (error) {
+      // One bad symbol fails the whole chunk upstream, so retry individually to isolate it
+      const settled = await Promise.all(chunk.map(async (symbol) => {
+        try {
+          return await getQuote(symbol);
+        } catch (err) {
+          errors.push({ symbol, error: err instanceof Error ? err.message : 'Unknown error', code: classifyUpstreamError(err) });
+          return null;
+        }
+      }));
+      return { chunk, quotes: settled.filter((quote): quote is QuoteData => quote !== null) };
+    }
+  });
+
+  for (const { chunk, quotes: chunkQuotes } of chunkResults) {
+    const returned = new Map(chunkQuotes.map(quote => [quote.symbol.toUpperCase(), quote]));
+    for (const symbol of chunk) {
+      const quote = returned.get(symbol);
+      if (quote) {
+        quotes.push(quote);
+      } else if (!errors.some(error => error.symbol === symbol)) {
+        errors.push({ symbol, error: 'No quote data returned', code: 'INVALID_SYMBOL' });
+      }
+    }
+  }
+
+  return { quotes, errors };
+}
+
 /**
  * Get historical price data for a stock symbol
  */
@@ -96,15 +320,14 @@ export async function getHistoricalData(
   interval: string = '1d'
 ): Promise<HistoricalData[]> {
   try {
-    console.log(`DEBUG: getHistoricalData called with symbol: ${symbol}`);
     const options: any = {
       interval: interval as any,
     };
 
     // Set default date range if not provided
     if (!period1) {
-      const endDate = new Date();
-      const startDate = new Date();
+      const endDate = marketNow();
+      const startDate = marketNow();
       startDate.setDate(endDate.getDate() - 30); // Default to 30 days
       options.period1 = startDate;
       options.period2 = endDate;
@@ -116,10 +339,7 @@ export async function getHistoricalData(
       options.period2 = new Date(period2);
     }
 
-    // Suppress the deprecation warning
-    yahooFinance.suppressNotices(['ripHistorical']);
-    
-    const result = await yahooFinance.historical(symbol, options);
+    const result = await cached('historical', [symbol, options], () => provider.historical(symbol, options));
     return result.map(item => ({
       date: item.date,
       open: item.open,
@@ -130,18 +350,150 @@ export async function getHistoricalData(
       adjClose: item.adjClose,
     }));
   } catch (error) {
-    // Return empty array instead of throwing error for historical data
-    console.error(`Warning: Failed to get historical data for ${symbol}:`, error instanceof Error ? error.message : 'Unknown error');
-    return [];
+    throw financeError(`Failed to get historical data for ${symbol}`, error);
+  }
+}
+
+// Approximate calendar days per bar, used to size the warm-up fetch ahead of the requested range
+const INTERVAL_DAYS: Record<string, number> = { '1d': 1.5, '5d': 7, '1wk': 7, '1mo': 31, '3mo': 92 };
+
+/**
+ * Fetch bars for a date range plus enough earlier bars for the given indicators to warm up;
+ * `startIndex` is the first bar inside the requested range
+ */
+async function getBarsWithWarmup(
+  symbol: string,
+  indicators: IndicatorSpec[],
+  period1: string | undefined,
+  period2: string | undefined,
+  interval: string,
+  defaultDays: number
+): Promise<{ bars: HistoricalData[]; startIndex: number; start: Date; end: Date }> {
+  const end = period2 ? new Date(period2) : marketNow();
+  const start = period1 ? new Date(period1) : new Date(end.getTime() - defaultDays * 24 * 60 * 60 * 1000);
+
+  const warmupDays = Math.ceil(warmupBars(indicators) * (INTERVAL_DAYS[interval] || 1.5)) + 7;
+  const fetchStart = new Date(start.getTime() - warmupDays * 24 * 60 * 60 * 1000);
+
+  const bars = (await getHistoricalData(symbol, fetchStart.toISOString().slice(0, 10), end.toISOString().slice(0, 10), interval))
+    .filter(bar => [bar.open, bar.high, bar.low, bar.close].every(value => typeof value === 'number'));
+  if (bars.length === 0) {
+    throw new FinanceError('NO_DATA', 'No historical data available');
+  }
+
+  return { bars, startIndex: Math.max(bars.findIndex(bar => bar.date >= start), 0), start, end };
+}
+
+/**
+ * Compute technical indicators over historical bars, aligned to the bars of the requested range
+ */
+export async function getIndicators(
+  symbol: string,
+  indicators: IndicatorSpec[],
+  period1?: string,
+  period2?: string,
+  interval: string = '1d'
+): Promise<IndicatorsData> {
+  try {
+    const { bars, startIndex, start, end } = await getBarsWithWarmup(symbol, indicators, period1, period2, interval, 182); // Default to 6 months
+    const data = bars.slice(startIndex);
+
+    return {
+      symbol,
+      interval,
+      period: { start: start.toISOString().slice(0, 10), end: end.toISOString().slice(0, 10) },
+      count: data.length,
+      data,
+      indicators: computeIndicators(bars, indicators, startIndex),
+    };
+  } catch (error) {
+    throw financeError(`Failed to compute indicators for ${symbol}`, error);
   }
 }
 
+/**
+ * Backtest a rule-based strategy on one or more symbols, splitting the capital equally between them
+ */
+export async function backtestStrategy(
+  symbols: string[],
+  strategy: Strategy,
+  period1?: string,
+  period2?: string,
+  interval: string = '1d',
+  initialCapital: number = 10000
+): Promise<BacktestResult> {
+  const indicators = strategyIndicators(strategy);
+  const sleeve = initialCapital / symbols.length;
+
+  const results: BacktestResult['results'] = [];
+  let range: { start: string; end: string } | null = null;
+  for (const symbol of symbols) {
+    try {
+      const { bars, startIndex, start, end } = await getBarsWithWarmup(symbol, indicators, period1, period2, interval, 3 * 365); // Default to 3 years
+      range = range || { start: start.toISOString().slice(0, 10), end: end.toISOString().slice(0, 10) };
+      results.push({ symbol, ...runBacktest(bars, startIndex, strategy, sleeve, interval) });
+    } catch (error) {
+      throw financeError(`Failed to backtest strategy for ${symbol}`, error);
+    }
+  }
+
+  let portfolio: BacktestResult['portfolio'] = null;
+  if (results.length > 1) {
+    const periodsPerYear = PERIODS_PER_YEAR[interval] || 252;
+    const equityCurve = combineCurves(results.map(result => result.equityCurve), results.map(() => sleeve));
+    const buyAndHold = combineCurves(results.map(result => result.buyAndHold), results.map(() => sleeve));
+    portfolio = {
+      initialCapital,
+      finalEquity: equityCurve[equityCurve.length - 1][1],
+      metrics: performanceMetrics(equityCurve, periodsPerYear),
+      benchmark: performanceMetrics(buyAndHold, periodsPerYear),
+      equityCurve,
+      buyAndHold,
+    };
+  }
+
+  return {
+    strategy,
+    interval,
+    period: range as { start: string; end: string },
+    initialCapital,
+    results,
+    portfolio,
+  };
+}
+
+/**
+ * Value a set of positions at current prices, with P&L, weights and sector/asset-class allocation
+ */
+export async function analyzePortfolio(positions: PortfolioPosition[]): Promise<PortfolioAnalysis> {
+  const { quotes, errors } = await getQuotes(positions.map(position => position.symbol));
+  const quotesBySymbol = new Map(quotes.map(quote => [quote.symbol.toUpperCase(), quote]));
+
+  // A missing profile only costs the sector breakdown, so it is not reported as an error
+  const sectors = new Map<string, SectorExposure>();
+  await mapWithConcurrency(quotes, QUOTE_CONCURRENCY, async (quote) => {
+    const module = sectorModuleFor(quote.quoteType);
+    if (!module) return;
+    try {
+      sectors.set(quote.symbol.toUpperCase(), sectorExposure(await getQuoteSummary(quote.symbol, [module])));
+    } catch (error) {
+      console.error(`No sector data for ${quote.symbol}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  });
+
+  return {
+    asOf: new Date().toISOString(),
+    ...valuePortfolio(positions, quotesBySymbol, sectors),
+    errors,
+  };
+}
+
 /**
  * Search for stock symbols by company name or symbol
  */
 export async function searchSymbols(query: string): Promise<SearchResult[]> {
   try {
-    const result = await yahooFinance.search(query);
+    const result = await cached('search', [query], () => provider.search(query));
     return result.quotes.map((quote: any) => ({
       symbol: quote.symbol || '',
       shortName: quote.shortName,
@@ -150,7 +502,7 @@ export async function searchSymbols(query: string): Promise<SearchResult[]> {
       exchange: quote.exchange,
     }));
   } catch (error) {
-    throw new Error(`Failed to search symbols for "${query}": ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError(`Failed to search symbols for "${query}"`, error);
   }
 }
 
@@ -164,7 +516,7 @@ export async function getMarketSummary(): Promise<any> {
     const quotes = await Promise.all(
       indices.map(async (symbol) => {
         try {
-          const quote = await yahooFinance.quote(symbol);
+          const quote = await cached('quote', [symbol], () => provider.quote(symbol));
           return {
             symbol,
             name: quote.longName || quote.shortName,
@@ -177,6 +529,7 @@ export async function getMarketSummary(): Promise<any> {
           return {
             symbol,
             error: error instanceof Error ? error.message : 'Unknown error',
+            code: classifyUpstreamError(error),
           };
         }
       })
@@ -187,7 +540,7 @@ export async function getMarketSummary(): Promise<any> {
       indices: quotes,
     };
   } catch (error) {
-    throw new Error(`Failed to get market summary: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError('Failed to get market summary', error);
   }
 }
 
@@ -196,19 +549,50 @@ export async function getMarketSummary(): Promise<any> {
  */
 export async function getNews(symbol?: string, count: number = 10): Promise<NewsItem[]> {
   try {
-    const options: any = {
-      count,
+    // yahoo-finance2 has no dedicated news module, but search() returns headlines alongside quotes.
+    // Ask for extra items so there is still enough left after deduplication and symbol filtering.
+    const query = symbol || 'stock market';
+    const options = {
+      quotesCount: 0,
+      newsCount: Math.max(count * 2, 10),
     };
+    const result = await cached('search', [query, options], () => provider.search(query, options));
+
+    const targetSymbol = symbol?.toUpperCase();
+    const seen = new Set<string>();
+    const news: NewsItem[] = [];
+
+    for (const item of (result.news || []) as any[]) {
+      if (!item.uuid || seen.has(item.uuid)) {
+        continue;
+      }
+      seen.add(item.uuid);
 
-    if (symbol) {
-      options.symbol = symbol;
+      // Only keep headlines tagged with the requested symbol (untagged items are kept as-is)
+      const relatedTickers: string[] = item.relatedTickers || [];
+      if (targetSymbol && relatedTickers.length > 0 &&
+          !relatedTickers.some(ticker => ticker.toUpperCase() === targetSymbol)) {
+        continue;
+      }
+
+      news.push({
+        uuid: item.uuid,
+        title: item.title,
+        publisher: item.publisher,
+        link: item.link,
+        providerPublishTime: new Date(item.providerPublishTime),
+        type: item.type,
+        relatedTickers,
+        thumbnail: item.thumbnail?.resolutions?.[0]?.url,
+      });
     }
 
-    // Note: yahoo-finance2 doesn't have a direct news method, so we'll use a workaround
-    // For now, return empty array as news functionality needs to be implemented differently
-    return [];
+    // Newest first
+    return news
+      .sort((a, b) => b.providerPublishTime.getTime() - a.providerPublishTime.getTime())
+      .slice(0, count);
   } catch (error) {
-    throw new Error(`Failed to get news${symbol ? ` for ${symbol}` : ''}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError(`Failed to get news${symbol ? ` for ${symbol}` : ''}`, error);
   }
 }
 
@@ -217,39 +601,145 @@ export async function getNews(symbol?: string, count: number = 10): Promise<News
  */
 export async function getRecommendations(symbol: string): Promise<Recommendation> {
   try {
-    const result = await yahooFinance.quote(symbol);
+    const options = {
+      modules: ['financialData', 'recommendationTrend', 'upgradeDowngradeHistory'] as ('financialData' | 'recommendationTrend' | 'upgradeDowngradeHistory')[],
+    };
+    const result = await cached('quoteSummary', [symbol, options], () => provider.quoteSummary(symbol, options));
+
+    const financialData = result.financialData;
+
+    // Periods come back as "0m" (current month), "-1m", "-2m", ...
+    const trend = (result.recommendationTrend?.trend || []).map(period => ({
+      period: period.period,
+      strongBuy: period.strongBuy || 0,
+      buy: period.buy || 0,
+      hold: period.hold || 0,
+      sell: period.sell || 0,
+      strongSell: period.strongSell || 0,
+    }));
+
+    // Most recent rating changes first
+    const ratingHistory = (result.upgradeDowngradeHistory?.history || [])
+      .map(change => ({
+        date: new Date(change.epochGradeDate),
+        firm: change.firm,
+        action: String(change.action),
+        fromGrade: change.fromGrade ? String(change.fromGrade) : undefined,
+        toGrade: String(change.toGrade),
+      }))
+      .sort((a, b) => b.date.getTime() - a.date.getTime())
+      .slice(0, 20);
 
-    // For now, return basic recommendation data since modules parameter is not supported
     return {
       symbol,
-      targetHighPrice: undefined,
-      targetLowPrice: undefined,
-      targetMeanPrice: undefined,
-      targetMedianPrice: undefined,
-      recommendationMean: undefined,
-      recommendationKey: undefined,
-      numberOfAnalystOpinions: undefined,
+      currentPrice: financialData?.currentPrice,
+      targetHighPrice: financialData?.targetHighPrice,
+      targetLowPrice: financialData?.targetLowPrice,
+      targetMeanPrice: financialData?.targetMeanPrice,
+      targetMedianPrice: financialData?.targetMedianPrice,
+      recommendationMean: financialData?.recommendationMean,
+      recommendationKey: financialData?.recommendationKey,
+      numberOfAnalystOpinions: financialData?.numberOfAnalystOpinions,
+      trend,
+      ratingHistory,
     };
   } catch (error) {
-    throw new Error(`Failed to get recommendations for ${symbol}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError(`Failed to get recommendations for ${symbol}`, error);
+  }
+}
+
+// Maps get_financials statement types to fundamentalsTimeSeries modules
+const STATEMENT_MODULES: Record<FinancialData['type'], string> = {
+  income: 'financials',
+  balance: 'balance-sheet',
+  cashflow: 'cash-flow',
+};
+
+// Headline line items shown first (in this order) for each statement; anything else follows alphabetically
+const STATEMENT_LINE_ITEMS: Record<FinancialData['type'], string[]> = {
+  income: [
+    'totalRevenue', 'costOfRevenue', 'grossProfit', 'researchAndDevelopment',
+    'sellingGeneralAndAdministration', 'operatingExpense', 'operatingIncome', 'EBITDA', 'EBIT',
+    'interestExpense', 'pretaxIncome', 'taxProvision', 'netIncome', 'basicEPS', 'dilutedEPS',
+    'basicAverageShares', 'dilutedAverageShares',
+  ],
+  balance: [
+    'totalAssets', 'currentAssets', 'cashAndCashEquivalents', 'receivables', 'inventory',
+    'netPPE', 'goodwill', 'totalLiabilitiesNetMinorityInterest', 'currentLiabilities',
+    'longTermDebt', 'totalDebt', 'netDebt', 'stockholdersEquity', 'retainedEarnings', 'workingCapital',
+  ],
+  cashflow: [
+    'operatingCashFlow', 'capitalExpenditure', 'freeCashFlow', 'investingCashFlow',
+    'financingCashFlow', 'cashDividendsPaid', 'repurchaseOfCapitalStock', 'issuanceOfDebt',
+    'repaymentOfDebt', 'changesInCash', 'endCashPosition',
+  ],
+};
+
+function toLineItemLabel(key: string): string {
+  if (key === key.toUpperCase()) {
+    return key;
   }
+  return key
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .replace(/^./, char => char.toUpperCase());
 }
 
 /**
- * Get financial statements for a stock symbol
+ * Get financial statements for a stock symbol, normalized into a row/period table
  */
-export async function getFinancials(symbol: string, type: 'income' | 'balance' | 'cashflow'): Promise<FinancialData> {
+export async function getFinancials(
+  symbol: string,
+  type: 'income' | 'balance' | 'cashflow',
+  frequency: 'annual' | 'quarterly' = 'annual'
+): Promise<FinancialData> {
   try {
-    // For now, return basic financial data since modules parameter is not supported
+    // Yahoo keeps roughly four annual and five quarterly reports
+    const startDate = marketNow();
+    startDate.setFullYear(startDate.getFullYear() - (frequency === 'annual' ? 5 : 2));
+
+    const result = await getFundamentalsTimeSeries(
+      symbol,
+      startDate.toISOString().split('T')[0],
+      undefined,
+      frequency,
+      STATEMENT_MODULES[type]
+    );
+
+    // Newest period first; skip periods that only carry a date
+    const reports = (Array.isArray(result) ? result : [])
+      .filter((report: any) => Object.entries(report).some(([key, value]) => key !== 'date' && typeof value === 'number'))
+      .sort((a: any, b: any) => new Date(b.date).getTime() - new Date(a.date).getTime());
+
+    const periods = reports.map((report: any) => new Date(report.date).toISOString().split('T')[0]);
+
+    const availableKeys = new Set<string>();
+    for (const report of reports) {
+      for (const [key, value] of Object.entries(report)) {
+        if (typeof value === 'number' && key !== 'date') {
+          availableKeys.add(key);
+        }
+      }
+    }
+
+    const headline = STATEMENT_LINE_ITEMS[type].filter(key => availableKeys.has(key));
+    const remaining = [...availableKeys].filter(key => !headline.includes(key)).sort();
+
+    const rows = [...headline, ...remaining].map(key => ({
+      key,
+      label: toLineItemLabel(key),
+      values: reports.map((report: any) => (typeof report[key] === 'number' ? report[key] : null)),
+    }));
+
     return {
       symbol,
       type,
-      data: {
-        note: `Financial statement data for ${type} is not available in the current implementation`,
-      },
+      frequency,
+      periods,
+      rows,
     };
   } catch (error) {
-    throw new Error(`Failed to get ${type} statement for ${symbol}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError(`Failed to get ${type} statement for ${symbol}`, error);
   }
 }
 
@@ -263,7 +753,7 @@ export async function getOptions(symbol: string, expiration?: string): Promise<O
       options.date = new Date(expiration);
     }
 
-    const result = await yahooFinance.options(symbol, options);
+    const result = await cached('options', [symbol, options], () => provider.options(symbol, options));
     
     return {
       symbol,
@@ -275,7 +765,105 @@ export async function getOptions(symbol: string, expiration?: string): Promise<O
       puts: result.options?.[0]?.puts || [],
     };
   } catch (error) {
-    throw new Error(`Failed to get options for ${symbol}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError(`Failed to get options for ${symbol}`, error);
+  }
+}
+
+// Each expiration is its own upstream call, so only the nearest ones in range are analyzed
+const MAX_OPTIONS_EXPIRATIONS = 8;
+const OPTIONS_CONCURRENCY = 3;
+
+/**
+ * Get options chains for the nearest expirations (optionally within a date range) with Black-Scholes
+ * Greeks, volatility smiles and IV term structure. Expirations that fail are reported in `errors`;
+ * if every one fails, so does the call.
+ */
+export async function getOptionsAnalytics(
+  symbol: string,
+  fromDate?: string,
+  toDate?: string,
+  riskFreeRate: number = 0.045,
+  strikeRange: number = 0.3
+): Promise<OptionsAnalytics> {
+  try {
+    if (!(strikeRange > 0)) {
+      throw new FinanceError('VALIDATION_FAILED', 'strikeRange must be a positive fraction of the underlying price');
+    }
+    if (!(Math.abs(riskFreeRate) <= 1)) {
+      throw new FinanceError('VALIDATION_FAILED', 'riskFreeRate must be a decimal between -1 and 1 (e.g. 0.045 for 4.5%)');
+    }
+
+    // The first call (no date) returns the nearest chain plus every listed expiration
+    const overview = await cached('options', [symbol, {}], () => provider.options(symbol, {}));
+    const underlyingPrice = overview.quote?.regularMarketPrice;
+    if (!underlyingPrice) {
+      throw new FinanceError('NO_DATA', 'Underlying price is not available');
+    }
+    const dividendYield = overview.quote?.trailingAnnualDividendYield || 0;
+
+    const from = fromDate ? new Date(fromDate).getTime() : -Infinity;
+    const to = toDate ? new Date(toDate).getTime() : Infinity;
+    const inRangeDates: Date[] = (overview.expirationDates || [])
+      .map((date: any) => new Date(date))
+      .filter(date => date.getTime() >= from && date.getTime() <= to)
+      .sort((a, b) => a.getTime() - b.getTime());
+    const expirationDates = inRangeDates.slice(0, MAX_OPTIONS_EXPIRATIONS);
+
+    // Keep payloads manageable by dropping far out-of-the-money strikes
+    const minStrike = underlyingPrice * (1 - strikeRange);
+    const maxStrike = underlyingPrice * (1 + strikeRange);
+    const inRange = (contract: any) => contract.strike >= minStrike && contract.strike <= maxStrike;
+
+    const now = marketNow();
+    const errors: OptionsExpirationError[] = [];
+    const analyzed = await mapWithConcurrency(expirationDates, OPTIONS_CONCURRENCY, async (expirationDate): Promise<OptionsExpirationAnalytics | null> => {
+      const label = expirationDate.toISOString().split('T')[0];
+      try {
+        const chainOptions = { date: expirationDate };
+        const chain = await cached('options', [symbol, chainOptions], () => provider.options(symbol, chainOptions));
+        const contracts = chain.options?.[0];
+        if (!contracts) {
+          throw new FinanceError('NO_DATA', 'No contracts returned');
+        }
+
+        const years = yearsToExpiry(expirationDate, now);
+        const calls = contracts.calls.filter(inRange) as any[];
+        const puts = contracts.puts.filter(inRange) as any[];
+        const smile = buildVolatilitySmile(calls, puts, underlyingPrice);
+
+        return {
+          expirationDate: label,
+          daysToExpiry: Math.round(years * 365),
+          atmIV: atTheMoneyVolatility(smile, underlyingPrice),
+          calls: analyzeContracts('call', calls, underlyingPrice, years, riskFreeRate, dividendYield),
+          puts: analyzeContracts('put', puts, underlyingPrice, years, riskFreeRate, dividendYield),
+          smile,
+        };
+      } catch (err) {
+        errors.push({ expirationDate: label, error: err instanceof Error ? err.message : 'Unknown error', code: classifyUpstreamError(err) });
+        return null;
+      }
+    });
+    const expirations = analyzed.filter((expiration): expiration is OptionsExpirationAnalytics => expiration !== null);
+    errors.sort((a, b) => a.expirationDate.localeCompare(b.expirationDate));
+
+    if (expirations.length === 0 && errors.length > 0) {
+      throw new FinanceError(errors[0].code, `No expiration could be fetched (${errors[0].expirationDate}: ${errors[0].error})`);
+    }
+
+    return {
+      symbol,
+      underlyingPrice,
+      riskFreeRate,
+      dividendYield,
+      asOf: now.toISOString(),
+      expirations,
+      termStructure: expirations.map(({ expirationDate, daysToExpiry, atmIV }) => ({ expirationDate, daysToExpiry, atmIV })),
+      errors,
+      omittedExpirations: inRangeDates.length - expirationDates.length,
+    };
+  } catch (error) {
+    throw financeError(`Failed to get options analytics for ${symbol}`, error);
   }
 }
 
@@ -291,32 +879,25 @@ export async function getTrendingStocks(count: number = 5): Promise<any[]> {
       'SPOT', 'TWTR', 'SNAP', 'PINS', 'SHOP', 'OKTA', 'CRWD', 'ZS', 'NET', 'DDOG'
     ];
 
-    // Get quotes for each symbol individually (yahoo-finance2 doesn't handle arrays well)
-    const quotes: any[] = [];
-    for (const symbol of popularSymbols.slice(0, 10)) { // Limit to first 10 for performance
-      try {
-        const quote = await yahooFinance.quote(symbol);
-        if (quote && quote.regularMarketPrice) {
-          quotes.push({
-            symbol,
-            name: quote.longName || quote.shortName || symbol,
-            price: quote.regularMarketPrice,
-            change: quote.regularMarketChange || 0,
-            changePercent: quote.regularMarketChangePercent || 0,
-            volume: quote.regularMarketVolume || 0,
-            marketCap: quote.marketCap || 0,
-            pe: quote.trailingPE || 0,
-            dividendYield: (quote as any).dividendYield || 0,
-            fiftyTwoWeekHigh: quote.fiftyTwoWeekHigh || 0,
-            fiftyTwoWeekLow: quote.fiftyTwoWeekLow || 0,
-            averageVolume: quote.averageDailyVolume3Month || 0
-          });
-        }
-      } catch (err) {
-        console.warn(`Failed to get quote for ${symbol}:`, err);
-        // Continue with other symbols
-      }
-    }
+    const { quotes: results, errors } = await getQuotes(popularSymbols);
+    errors.forEach(({ symbol, error }) => console.warn(`Failed to get quote for ${symbol}:`, error));
+
+    const quotes = results
+      .filter(quote => quote.regularMarketPrice)
+      .map(quote => ({
+        symbol: quote.symbol,
+        name: quote.longName || quote.shortName || quote.symbol,
+        price: quote.regularMarketPrice,
+        change: quote.regularMarketChange || 0,
+        changePercent: quote.regularMarketChangePercent || 0,
+        volume: quote.regularMarketVolume || 0,
+        marketCap: quote.marketCap || 0,
+        pe: quote.trailingPE || 0,
+        dividendYield: quote.dividendYield || 0,
+        fiftyTwoWeekHigh: quote.fiftyTwoWeekHigh || 0,
+        fiftyTwoWeekLow: quote.fiftyTwoWeekLow || 0,
+        averageVolume: quote.averageDailyVolume3Month || 0
+      }));
 
     // Sort by volume and price change to find trending stocks
     const trendingStocks = quotes
@@ -336,7 +917,7 @@ export async function getTrendingStocks(count: number = 5): Promise<any[]> {
 
     return trendingStocks;
   } catch (error) {
-    throw new Error(`Failed to get trending stocks: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError('Failed to get trending stocks', error);
   }
 }
 
@@ -348,31 +929,26 @@ export async function getTrendingETFs(count: number = 5): Promise<any[]> {
       'SMH', 'SOXX', 'IBB', 'XBI', 'ARKK', 'ARKQ', 'ARKW', 'ARKG', 'ARKF', 'TAN'
     ];
     
-    const quotes: any[] = [];
-    for (const symbol of popularETFs.slice(0, 15)) { // Limit to first 15 for performance
-      try {
-        const quote = await yahooFinance.quote(symbol);
-        if (quote && quote.regularMarketPrice) {
-          quotes.push({
-            symbol,
-            name: quote.longName || quote.shortName || symbol,
-            price: quote.regularMarketPrice,
-            change: quote.regularMarketChange || 0,
-            changePercent: quote.regularMarketChangePercent || 0,
-            volume: quote.regularMarketVolume || 0,
-            marketCap: quote.marketCap || 0,
-            pe: quote.trailingPE || 0,
-            dividendYield: (quote as any).dividendYield || 0,
-            fiftyTwoWeekHigh: quote.fiftyTwoWeekHigh || 0,
-            fiftyTwoWeekLow: quote.fiftyTwoWeekLow || 0,
-            averageVolume: quote.averageDailyVolume3Month || 0,
-            quoteType: quote.quoteType || 'ETF'
-          });
-        }
-      } catch (err) {
-        console.warn(`Failed to get quote for ${symbol}:`, err);
-      }
-    }
+    const { quotes: results, errors } = await getQuotes(popularETFs);
+    errors.forEach(({ symbol, error }) => console.warn(`Failed to get quote for ${symbol}:`, error));
+
+    const quotes = results
+      .filter(quote => quote.regularMarketPrice)
+      .map(quote => ({
+        symbol: quote.symbol,
+        name: quote.longName || quote.shortName || quote.symbol,
+        price: quote.regularMarketPrice,
+        change: quote.regularMarketChange || 0,
+        changePercent: quote.regularMarketChangePercent || 0,
+        volume: quote.regularMarketVolume || 0,
+        marketCap: quote.marketCap || 0,
+        pe: quote.trailingPE || 0,
+        dividendYield: quote.dividendYield || 0,
+        fiftyTwoWeekHigh: quote.fiftyTwoWeekHigh || 0,
+        fiftyTwoWeekLow: quote.fiftyTwoWeekLow || 0,
+        averageVolume: quote.averageDailyVolume3Month || 0,
+        quoteType: quote.quoteType || 'ETF'
+      }));
     
     const trendingETFs = quotes
       .sort((a, b) => {
@@ -391,16 +967,16 @@ export async function getTrendingETFs(count: number = 5): Promise<any[]> {
 
     return trendingETFs;
   } catch (error) {
-    throw new Error(`Failed to get trending ETFs: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError('Failed to get trending ETFs', error);
   }
 }
 
 export async function getInsights(symbol: string): Promise<any> {
   try {
-    const result = await yahooFinance.insights(symbol);
+    const result = await cached('insights', [symbol], () => provider.insights(symbol));
     return result;
   } catch (error) {
-    throw new Error(`Failed to get insights for ${symbol}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError(`Failed to get insights for ${symbol}`, error);
   }
 }
 
@@ -415,8 +991,8 @@ export async function getChart(symbol: string, period1?: string, period2?: strin
       options.period1 = new Date(period1);
     } else {
       // Default to last 30 days
-      const endDate = new Date();
-      const startDate = new Date();
+      const endDate = marketNow();
+      const startDate = marketNow();
       startDate.setDate(endDate.getDate() - 30);
       options.period1 = startDate;
     }
@@ -424,13 +1000,13 @@ export async function getChart(symbol: string, period1?: string, period2?: strin
     if (period2) {
       options.period2 = new Date(period2);
     } else {
-      options.period2 = new Date();
+      options.period2 = marketNow();
     }
     
-    const result = await yahooFinance.historical(symbol, options);
+    const result = await cached('historical', [symbol, options], () => provider.historical(symbol, options));
     return result;
   } catch (error) {
-    throw new Error(`Failed to get chart data for ${symbol}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError(`Failed to get chart data for ${symbol}`, error);
   }
 }
 
@@ -439,32 +1015,45 @@ export async function getQuoteSummary(symbol: string, modules?: string[]): Promi
     const options: any = {};
     if (modules) options.modules = modules;
     
-    const result = await yahooFinance.quoteSummary(symbol, options);
+    const result = await cached('quoteSummary', [symbol, options], () => provider.quoteSummary(symbol, options));
     return result;
   } catch (error) {
-    throw new Error(`Failed to get quote summary for ${symbol}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError(`Failed to get quote summary for ${symbol}`, error);
   }
 }
 
-export async function getFundamentalsTimeSeries(symbol: string, period1?: string, period2?: string): Promise<any> {
+export async function getFundamentalsTimeSeries(
+  symbol: string,
+  period1?: string,
+  period2?: string,
+  type: 'annual' | 'quarterly' | 'trailing' = 'annual',
+  module: string = 'all'
+): Promise<any> {
   try {
-    const options: any = {};
-    if (period1) options.period1 = new Date(period1);
+    const options: any = { type, module };
+    if (period1) {
+      options.period1 = new Date(period1);
+    } else {
+      // period1 is required upstream; default to the last five years
+      const startDate = marketNow();
+      startDate.setFullYear(startDate.getFullYear() - 5);
+      options.period1 = startDate;
+    }
     if (period2) options.period2 = new Date(period2);
     
-    const result = await yahooFinance.fundamentalsTimeSeries(symbol, options);
+    const result = await cached('fundamentalsTimeSeries', [symbol, options], () => provider.fundamentalsTimeSeries(symbol, options));
     return result;
   } catch (error) {
-    throw new Error(`Failed to get fundamentals time series for ${symbol}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError(`Failed to get fundamentals time series for ${symbol}`, error);
   }
 }
 
 export async function getTrendingSymbols(count: number = 10): Promise<any> {
   try {
-    const result = await yahooFinance.trendingSymbols('trending', { count });
+    const result = await cached('trendingSymbols', ['trending', { count }], () => provider.trendingSymbols('trending', { count }));
     return result;
   } catch (error) {
-    throw new Error(`Failed to get trending symbols: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError('Failed to get trending symbols', error);
   }
 }
 
@@ -474,18 +1063,25 @@ export async function getScreener(criteria?: string, count: number = 10): Promis
     const options: any = { count };
     if (criteria) options.criteria = criteria;
     
-    const result = await yahooFinance.screener(options);
+    const result = await cached('screener', [options], () => provider.screener(options));
     return result;
   } catch (error) {
-    throw new Error(`Failed to get screener results: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError('Failed to get screener results', error);
   }
 }
 
 export async function getAutoc(): Promise<any> {
   try {
-    const result = await yahooFinance.autoc();
+    const result = await cached('autoc', [], () => provider.autoc());
     return result;
   } catch (error) {
-    throw new Error(`Failed to get auto-complete suggestions: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw financeError('Failed to get auto-complete suggestions', error);
   }
 }
+
+/**
+ * Get hit/miss counters and occupancy for the upstream response cache
+ */
+export function getCacheStats(): CacheStats {
+  return cache.stats();
+}
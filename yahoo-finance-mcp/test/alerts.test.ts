@@ -0,0 +1,158 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Alert, AlertRule, alertRuleFromFields, describeAlert, evaluateAlert, indicatorValue, parseAlertRule, quoteValue, validateAlertRule } from '../src/alerts.js';
+
+function alertFor(rule: AlertRule, changes: Partial<Alert> = {}): Alert {
+  return {
+    id: 'a1',
+    symbol: 'AAPL',
+    rule,
+    description: describeAlert('AAPL', rule),
+    repeat: false,
+    status: 'active',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    lastCheckedAt: null,
+    lastValue: null,
+    conditionMet: false,
+    lastTriggeredAt: null,
+    triggerCount: 0,
+    lastError: null,
+    ...changes,
+  };
+}
+
+describe('parseAlertRule', () => {
+  test('reads price rules, including ones embedded in a sentence', () => {
+    assert.deepEqual(parseAlertRule('AAPL crosses above 200'), {
+      symbol: 'AAPL',
+      rule: { type: 'price', condition: 'crosses_above', threshold: 200 },
+    });
+    assert.deepEqual(parseAlertRule('alert me when MSFT drops under $350.50'), {
+      symbol: 'MSFT',
+      rule: { type: 'price', condition: 'below', threshold: 350.5 },
+    });
+  });
+
+  test('reads percent-move rules with their direction', () => {
+    assert.deepEqual(parseAlertRule('TSLA moves more than 5%'), { symbol: 'TSLA', rule: { type: 'change', direction: 'either', threshold: 5 } });
+    assert.deepEqual(parseAlertRule('NVDA is up 3%'), { symbol: 'NVDA', rule: { type: 'change', direction: 'up', threshold: 3 } });
+    assert.deepEqual(parseAlertRule('AMD falls 2.5%'), { symbol: 'AMD', rule: { type: 'change', direction: 'down', threshold: 2.5 } });
+  });
+
+  test('reads indicator rules in either word order', () => {
+    const expected = {
+      symbol: 'NVDA',
+      rule: { type: 'indicator', indicator: 'rsi', params: { period: 14 }, condition: 'below', threshold: 30 },
+    };
+    assert.deepEqual(parseAlertRule('RSI(14) on NVDA below 30'), expected);
+    assert.deepEqual(parseAlertRule("NVDA's RSI 14 below 30"), expected);
+  });
+
+  test('does not take lower-case or filler words for symbols', () => {
+    assert.equal(parseAlertRule('notify me when AAPL is above 190').symbol, 'AAPL');
+    assert.throws(() => parseAlertRule('when it goes above 190'), { code: 'VALIDATION_FAILED' });
+  });
+});
+
+describe('validateAlertRule', () => {
+  test('drops unknown fields', () => {
+    assert.deepEqual(validateAlertRule({ type: 'price', condition: 'above', threshold: 1, extra: true } as any), {
+      type: 'price',
+      condition: 'above',
+      threshold: 1,
+    });
+  });
+
+  test('rejects bad thresholds, conditions and types', () => {
+    assert.throws(() => validateAlertRule({ type: 'price', condition: 'above', threshold: NaN }), { code: 'VALIDATION_FAILED' });
+    assert.throws(() => validateAlertRule({ type: 'price', condition: 'near' as any, threshold: 1 }), { code: 'VALIDATION_FAILED' });
+    assert.throws(() => validateAlertRule({ type: 'change', direction: 'up', threshold: -5 }), { code: 'VALIDATION_FAILED' });
+    assert.throws(() => validateAlertRule({ type: 'indicator', indicator: 'foo' as any, condition: 'above', threshold: 1 }), { code: 'VALIDATION_FAILED' });
+    assert.throws(() => validateAlertRule({ type: 'volume' } as any), { code: 'VALIDATION_FAILED' });
+  });
+
+  test('alertRuleFromFields infers the type from the fields given', () => {
+    assert.equal(alertRuleFromFields({ condition: 'above', threshold: 1 }).type, 'price');
+    assert.equal(alertRuleFromFields({ direction: 'up', threshold: 1 }).type, 'change');
+    assert.equal(alertRuleFromFields({ indicator: 'rsi', condition: 'below', threshold: 30 }).type, 'indicator');
+  });
+});
+
+test('describeAlert words each kind of rule', () => {
+  assert.equal(describeAlert('AAPL', { type: 'price', condition: 'crosses_above', threshold: 200 }), 'AAPL crosses above 200');
+  assert.equal(describeAlert('TSLA', { type: 'change', direction: 'down', threshold: 5 }), 'TSLA falls more than 5% today');
+  assert.equal(
+    describeAlert('SPY', { type: 'indicator', indicator: 'macd', params: { fastPeriod: 12 }, line: 'histogram', condition: 'above', threshold: 0 }),
+    'MACD(12) histogram on SPY above 0'
+  );
+});
+
+describe('observed values', () => {
+  test('quoteValue reads the price or the percent change', () => {
+    const quote = { regularMarketPrice: 190, regularMarketChangePercent: -1.5 };
+    assert.equal(quoteValue({ type: 'price', condition: 'above', threshold: 1 }, quote), 190);
+    assert.equal(quoteValue({ type: 'change', direction: 'either', threshold: 1 }, quote), -1.5);
+    assert.equal(quoteValue({ type: 'price', condition: 'above', threshold: 1 }, {}), null);
+  });
+
+  test('indicatorValue takes the latest non-null point of the chosen line', () => {
+    const result = { indicators: [{ series: { macd: [[1, 0.5], [2, 0.7]], signal: [[1, 0.2], [2, null]] } }] };
+    const rule: AlertRule = { type: 'indicator', indicator: 'macd', condition: 'above', threshold: 0 };
+    assert.equal(indicatorValue(rule, result), 0.7);
+    assert.equal(indicatorValue({ ...rule, line: 'signal' }, result), 0.2);
+    assert.throws(() => indicatorValue({ ...rule, line: 'nope' }, result), { code: 'VALIDATION_FAILED' });
+  });
+});
+
+describe('evaluateAlert', () => {
+  const now = new Date('2024-03-01T15:00:00Z');
+
+  test('fires once when the condition starts to hold, and a one-shot alert switches to triggered', () => {
+    const { alert, trigger } = evaluateAlert(alertFor({ type: 'price', condition: 'above', threshold: 200 }), 201.234, now);
+    assert.equal(alert.status, 'triggered');
+    assert.equal(alert.triggerCount, 1);
+    assert.equal(alert.lastTriggeredAt, now.toISOString());
+    assert.equal(trigger?.message, 'AAPL above 200 (now 201.23)');
+  });
+
+  test('does not fire again while the condition keeps holding', () => {
+    const held = alertFor({ type: 'price', condition: 'above', threshold: 200 }, { repeat: true, conditionMet: true, lastValue: 205 });
+    const { alert, trigger } = evaluateAlert(held, 206, now);
+    assert.equal(trigger, undefined);
+    assert.equal(alert.lastValue, 206);
+    assert.equal(alert.status, 'active');
+  });
+
+  test('a repeating alert stays active and fires again after the condition lapses', () => {
+    const rule: AlertRule = { type: 'price', condition: 'below', threshold: 100 };
+    let alert = alertFor(rule, { repeat: true });
+    const results = [99, 101, 98].map(value => {
+      const evaluated = evaluateAlert(alert, value, now);
+      alert = evaluated.alert;
+      return !!evaluated.trigger;
+    });
+    assert.deepEqual(results, [true, false, true]);
+    assert.equal(alert.status, 'active');
+    assert.equal(alert.triggerCount, 2);
+  });
+
+  test('a crossing needs a previous value on the other side', () => {
+    const rule: AlertRule = { type: 'price', condition: 'crosses_above', threshold: 200 };
+    assert.equal(evaluateAlert(alertFor(rule), 210, now).trigger, undefined);
+    assert.equal(evaluateAlert(alertFor(rule, { lastValue: 205 }), 210, now).trigger, undefined);
+    assert.ok(evaluateAlert(alertFor(rule, { lastValue: 195 }), 210, now).trigger);
+  });
+
+  test('change rules honour their direction', () => {
+    const up: AlertRule = { type: 'change', direction: 'up', threshold: 5 };
+    const either: AlertRule = { type: 'change', direction: 'either', threshold: 5 };
+    assert.equal(evaluateAlert(alertFor(up), -6, now).trigger, undefined);
+    assert.equal(evaluateAlert(alertFor(either), -6, now).trigger?.message, 'AAPL moves more than 5% today (now -6.00%)');
+  });
+
+  test('clears the last error on a successful check', () => {
+    const { alert } = evaluateAlert(alertFor({ type: 'price', condition: 'above', threshold: 200 }, { lastError: 'timeout' }), 150, now);
+    assert.equal(alert.lastError, null);
+    assert.equal(alert.lastCheckedAt, now.toISOString());
+  });
+});
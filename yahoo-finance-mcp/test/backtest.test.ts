@@ -0,0 +1,130 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { combineCurves, performanceMetrics, runBacktest, strategyIndicators } from '../src/backtest.js';
+import { Bar } from '../src/indicators.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const YEAR = 365.25 * DAY;
+
+// Bars open at their close, with a 1-point range
+function barsFrom(closes: number[]): Bar[] {
+  return closes.map((close, i) => ({
+    date: new Date(Date.UTC(2024, 0, 1) + i * DAY),
+    open: close,
+    high: close + 1,
+    low: close - 1,
+    close,
+    volume: 1000,
+  }));
+}
+
+const ABOVE_10 = { left: 'close' as const, op: '>' as const, right: 10 };
+const BELOW_10 = { left: 'close' as const, op: '<' as const, right: 10 };
+const NEVER = { left: 'close' as const, op: '<' as const, right: 0 };
+
+describe('runBacktest', () => {
+  test('fills signals at the next bar\'s open', () => {
+    const run = runBacktest(barsFrom([8, 9, 11, 12, 13, 9, 8, 8]), 0, { entry: ABOVE_10, exit: BELOW_10 }, 1000);
+
+    assert.equal(run.trades.length, 1);
+    const [trade] = run.trades;
+    assert.equal(trade.entryDate, '2024-01-04');
+    assert.equal(trade.entryPrice, 12);
+    assert.equal(trade.exitDate, '2024-01-07');
+    assert.equal(trade.exitPrice, 8);
+    assert.equal(trade.shares, 83);
+    assert.equal(trade.pnl, 83 * (8 - 12));
+    assert.equal(trade.barsHeld, 3);
+    assert.equal(trade.exitReason, 'signal');
+    assert.equal(run.finalEquity, 1000 - 83 * 4);
+    assert.equal(run.metrics.winRate, 0);
+    assert.equal(run.equityCurve.length, 8);
+  });
+
+  test('stops out at the open when the bar gaps through the stop', () => {
+    const run = runBacktest(barsFrom([11, 12, 12, 9, 9]), 0, { entry: ABOVE_10, exit: NEVER, stopLossPercent: 10 }, 1000);
+    const [trade] = run.trades;
+    assert.equal(trade.exitReason, 'stop_loss');
+    assert.equal(trade.entryPrice, 12);
+    assert.equal(trade.exitPrice, 9);
+  });
+
+  test('takes profit at the target price', () => {
+    const run = runBacktest(barsFrom([11, 10, 10, 11, 10]), 0, { entry: ABOVE_10, exit: NEVER, takeProfitPercent: 5 }, 1000);
+    const [trade] = run.trades;
+    assert.equal(trade.exitReason, 'take_profit');
+    assert.equal(trade.exitPrice, 10.5);
+  });
+
+  test('closes an open position at the last close', () => {
+    const run = runBacktest(barsFrom([11, 12, 14]), 0, { entry: ABOVE_10, exit: NEVER }, 1200);
+    const [trade] = run.trades;
+    assert.equal(trade.exitReason, 'end_of_period');
+    assert.equal(trade.exitPrice, 14);
+    assert.equal(run.finalEquity, 1400);
+    assert.equal(run.equityCurve[run.equityCurve.length - 1][1], 1400);
+  });
+
+  test('charges flat and percentage commission on both sides', () => {
+    const run = runBacktest(barsFrom([11, 10, 10]), 0, {
+      entry: ABOVE_10,
+      exit: NEVER,
+      positionSizing: { type: 'fixed_shares', value: 10 },
+      commission: { perTrade: 1, percent: 1 },
+    }, 1000);
+    const [trade] = run.trades;
+    assert.equal(trade.shares, 10);
+    assert.equal(trade.commission, (1 + 1) + (1 + 1));
+    assert.equal(run.finalEquity, 1000 - 4);
+  });
+
+  test('evaluates indicator crossings', () => {
+    const bars = barsFrom([10, 10, 10, 12, 12, 12]);
+    const strategy = {
+      entry: { left: 'close' as const, op: 'crosses_above' as const, right: { indicator: 'sma' as const, params: { period: 3 } } },
+      exit: NEVER,
+    };
+    assert.equal(runBacktest(bars, 0, strategy, 1000).trades[0].entryDate, '2024-01-05');
+  });
+
+  test('rejects unknown price fields', () => {
+    const strategy = { entry: { left: 'price' as any, op: '>' as const, right: 1 }, exit: NEVER };
+    assert.throws(() => runBacktest(barsFrom([1, 2]), 0, strategy, 1000), { code: 'VALIDATION_FAILED' });
+  });
+
+  test('benchmarks against buying at the first open and holding', () => {
+    const run = runBacktest(barsFrom([10, 15, 20]), 0, { entry: NEVER, exit: NEVER }, 1000);
+    assert.equal(run.trades.length, 0);
+    assert.equal(run.finalEquity, 1000);
+    assert.deepEqual(run.buyAndHold.map(([, value]) => value), [1000, 1500, 2000]);
+    assert.equal(run.benchmark.totalReturn, 1);
+  });
+});
+
+describe('performanceMetrics', () => {
+  test('computes return, CAGR and drawdown', () => {
+    const metrics = performanceMetrics([[0, 100], [YEAR / 2, 120], [YEAR, 90], [2 * YEAR, 121]], 252);
+    assert.ok(Math.abs(metrics.totalReturn - 0.21) < 1e-9);
+    assert.ok(Math.abs(metrics.cagr - 0.1) < 1e-9);
+    assert.equal(metrics.maxDrawdown, 0.25);
+  });
+
+  test('has no Sharpe or Sortino ratio for a flat curve', () => {
+    const metrics = performanceMetrics([[0, 100], [DAY, 100]], 252);
+    assert.equal(metrics.sharpe, null);
+    assert.equal(metrics.sortino, null);
+  });
+});
+
+test('strategyIndicators lists every indicator in nested conditions', () => {
+  const specs = strategyIndicators({
+    entry: { all: [ABOVE_10, { left: { indicator: 'rsi', params: { period: 7 } }, op: '<', right: 30 }] },
+    exit: { any: [{ left: 'close', op: '<', right: { indicator: 'sma' } }] },
+  });
+  assert.deepEqual(specs, [{ type: 'rsi', params: { period: 7 } }, { type: 'sma', params: undefined }]);
+});
+
+test('combineCurves carries each curve forward across missing dates', () => {
+  const combined = combineCurves([[[1, 110], [3, 120]], [[2, 55]]], [100, 50]);
+  assert.deepEqual(combined, [[1, 160], [2, 165], [3, 175]]);
+});
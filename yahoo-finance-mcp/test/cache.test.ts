@@ -0,0 +1,82 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CACHE_TTLS, TTLCache, cacheKey } from '../src/cache.js';
+
+describe('TTLCache', () => {
+  let now: number;
+
+  beforeEach(() => {
+    now = Date.UTC(2024, 0, 2, 15);
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('loads once and serves repeats from the cache until the entry expires', async () => {
+    const cache = new TTLCache(10);
+    let loads = 0;
+    const load = async () => ++loads;
+
+    assert.equal(await cache.getOrLoad('search', ['apple'], load), 1);
+    assert.equal(await cache.getOrLoad('search', ['apple'], load), 1);
+    now += 5 * 60 * 1000 + 1;
+    assert.equal(await cache.getOrLoad('search', ['apple'], load), 2);
+
+    const stats = cache.stats();
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 2);
+    assert.equal(stats.byFunction.search.hitRate, 1 / 3);
+  });
+
+  test('keys entries by function and arguments', async () => {
+    const cache = new TTLCache(10);
+    assert.equal(await cache.getOrLoad('search', ['a'], async () => 'a'), 'a');
+    assert.equal(await cache.getOrLoad('search', ['b'], async () => 'b'), 'b');
+    assert.equal(await cache.getOrLoad('autoc', ['a'], async () => 'other'), 'other');
+    assert.equal(cache.stats().size, 3);
+  });
+
+  test('evicts the least recently used entry when full', async () => {
+    const cache = new TTLCache(2);
+    await cache.getOrLoad('search', ['a'], async () => 'a');
+    await cache.getOrLoad('search', ['b'], async () => 'b');
+    // Reading "a" makes "b" the oldest
+    await cache.getOrLoad('search', ['a'], async () => 'reloaded');
+    await cache.getOrLoad('search', ['c'], async () => 'c');
+
+    assert.equal(cache.stats().evictions, 1);
+    assert.equal(await cache.getOrLoad('search', ['a'], async () => 'reloaded'), 'a');
+    assert.equal(await cache.getOrLoad('search', ['b'], async () => 'reloaded'), 'reloaded');
+  });
+
+  test('does not cache failed loads', async () => {
+    const cache = new TTLCache(10);
+    await assert.rejects(cache.getOrLoad('search', ['a'], async () => { throw new Error('down'); }), /down/);
+    assert.equal(await cache.getOrLoad('search', ['a'], async () => 'ok'), 'ok');
+    assert.equal(cache.stats().size, 1);
+  });
+
+  test('clear empties the cache but keeps the counters', async () => {
+    const cache = new TTLCache(10);
+    await cache.getOrLoad('search', ['a'], async () => 'a');
+    cache.clear();
+    assert.equal(cache.stats().size, 0);
+    assert.equal(cache.stats().misses, 1);
+  });
+});
+
+test('quotes are kept longer once the market closes', () => {
+  assert.equal(CACHE_TTLS.quote({ marketState: 'REGULAR' }), 15 * 1000);
+  assert.equal(CACHE_TTLS.quote({ marketState: 'CLOSED' }), 10 * 60 * 1000);
+  assert.equal(CACHE_TTLS.quote([{ marketState: 'CLOSED' }, { marketState: 'PRE' }]), 15 * 1000);
+  assert.equal(CACHE_TTLS.options({ quote: { marketState: 'POST' } }), 60 * 1000);
+});
+
+test('cacheKey truncates dates to the day', () => {
+  const morning = new Date('2024-01-02T09:00:00Z');
+  const evening = new Date('2024-01-02T21:00:00Z');
+  assert.equal(cacheKey(['AAPL', { period1: morning }]), cacheKey(['AAPL', { period1: evening }]));
+  assert.equal(cacheKey(['AAPL', { period1: morning }]), '["AAPL",{"period1":"2024-01-02"}]');
+});
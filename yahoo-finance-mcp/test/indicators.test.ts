@@ -0,0 +1,109 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Bar, computeIndicators, ema, indicatorLines, sma, warmupBars, wma } from '../src/indicators.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// One bar per day with a fixed 1-point range around each close
+function barsFrom(closes: number[], volume: number = 100): Bar[] {
+  return closes.map((close, i) => ({
+    date: new Date(Date.UTC(2024, 0, 1) + i * DAY),
+    open: close,
+    high: close + 1,
+    low: close - 1,
+    close,
+    volume,
+  }));
+}
+
+describe('moving averages', () => {
+  test('sma averages each full window and is null before it', () => {
+    assert.deepEqual(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  });
+
+  test('sma is null over a window with a gap', () => {
+    assert.deepEqual(sma([1, null, 3, 4, 5], 2), [null, null, null, 3.5, 4.5]);
+  });
+
+  test('ema is seeded with the simple average of the first window', () => {
+    const result = ema([2, 4, 6, 8], 3);
+    assert.deepEqual(result.slice(0, 3), [null, null, 4]);
+    // alpha = 2 / (3 + 1)
+    assert.equal(result[3], 0.5 * 8 + 0.5 * 4);
+  });
+
+  test('ema starts at the first value when the series opens with nulls', () => {
+    assert.deepEqual(ema([null, 3, 3, 3], 2), [null, null, 3, 3]);
+  });
+
+  test('ema is all null when there are fewer values than the period', () => {
+    assert.deepEqual(ema([1, 2], 3), [null, null]);
+  });
+
+  test('wma weights the newest value highest', () => {
+    assert.deepEqual(wma([1, 2, 3], 3), [null, null, (1 * 1 + 2 * 2 + 3 * 3) / 6]);
+  });
+});
+
+describe('indicatorLines', () => {
+  test('rsi is 100 when every bar closes higher', () => {
+    const { rsi } = indicatorLines(barsFrom([1, 2, 3, 4, 5, 6]), { type: 'rsi', params: { period: 3 } });
+    assert.deepEqual(rsi, [null, null, null, 100, 100, 100]);
+  });
+
+  test('rsi is 50 when gains and losses balance', () => {
+    const { rsi } = indicatorLines(barsFrom([10, 11, 10, 11, 10]), { type: 'rsi', params: { period: 4 } });
+    assert.equal(rsi[4], 50);
+  });
+
+  test('bollinger bands sit stdDev deviations around the mean', () => {
+    const { middle, upper, lower } = indicatorLines(barsFrom([2, 4, 4, 4, 5, 5, 7, 9]), { type: 'bollinger', params: { period: 8 } });
+    assert.equal(middle[7], 5);
+    assert.equal(upper[7], 9);
+    assert.equal(lower[7], 1);
+  });
+
+  test('macd line is the fast ema minus the slow ema', () => {
+    const bars = barsFrom([1, 2, 3, 4, 5, 6, 7, 8]);
+    const closes = bars.map(bar => bar.close);
+    const { macd } = indicatorLines(bars, { type: 'macd', params: { fastPeriod: 2, slowPeriod: 4, signalPeriod: 2 } });
+    assert.equal(macd[7], (ema(closes, 2)[7] as number) - (ema(closes, 4)[7] as number));
+    assert.equal(macd[2], null);
+  });
+
+  test('obv adds volume on up closes and subtracts it on down closes from the anchor on', () => {
+    const { obv } = indicatorLines(barsFrom([5, 6, 5, 5, 7]), { type: 'obv' }, 1);
+    assert.deepEqual(obv, [null, 0, -100, -100, 0]);
+  });
+
+  test('rejects unknown and invalid parameters', () => {
+    assert.throws(() => indicatorLines(barsFrom([1, 2]), { type: 'sma', params: { length: 2 } }), { code: 'VALIDATION_FAILED' });
+    assert.throws(() => indicatorLines(barsFrom([1, 2]), { type: 'sma', params: { period: 0 } }), { code: 'VALIDATION_FAILED' });
+    assert.throws(() => indicatorLines(barsFrom([1, 2]), { type: 'bollinger', params: { stdDev: -1 } }), { code: 'VALIDATION_FAILED' });
+  });
+});
+
+describe('computeIndicators', () => {
+  test('drops the warm-up bars and names each result by its parameters', () => {
+    const bars = barsFrom([1, 2, 3, 4, 5]);
+    const [result] = computeIndicators(bars, [{ type: 'sma', params: { period: 2 } }], 2);
+    assert.equal(result.id, 'sma(2)');
+    assert.equal(result.overlay, true);
+    assert.deepEqual(result.series.sma, [
+      [bars[2].date.getTime(), 2.5],
+      [bars[3].date.getTime(), 3.5],
+      [bars[4].date.getTime(), 4.5],
+    ]);
+  });
+
+  test('rounds values to four decimals', () => {
+    const [result] = computeIndicators(barsFrom([1, 1, 2]), [{ type: 'sma', params: { period: 3 } }]);
+    assert.equal(result.series.sma[2][1], 1.3333);
+  });
+});
+
+test('warmupBars is the longest lookback among the indicators', () => {
+  assert.equal(warmupBars([]), 0);
+  assert.equal(warmupBars([{ type: 'sma', params: { period: 50 } }, { type: 'rsi' }]), 50);
+  assert.equal(warmupBars([{ type: 'macd' }]), 26 * 3 + 9);
+});
@@ -0,0 +1,87 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeContracts, atTheMoneyVolatility, blackScholesGreeks, buildVolatilitySmile, yearsToExpiry } from '../src/options-analytics.js';
+
+function assertClose(actual: number, expected: number, tolerance: number = 1e-4) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+describe('blackScholesGreeks', () => {
+  // Textbook case: S = K = 100, one year, 20% volatility, 5% rate, no dividend (d1 = 0.35, d2 = 0.15)
+  test('matches reference values for an at-the-money call', () => {
+    const greeks = blackScholesGreeks('call', 100, 100, 1, 0.2, 0.05);
+    assert.ok(greeks);
+    assertClose(greeks.delta, 0.636831);
+    assertClose(greeks.gamma, 0.018762);
+    assertClose(greeks.vega, 0.375240);
+    assertClose(greeks.theta, -6.414028 / 365);
+    assertClose(greeks.rho, 0.532325);
+  });
+
+  test('matches reference values for an at-the-money put', () => {
+    const greeks = blackScholesGreeks('put', 100, 100, 1, 0.2, 0.05);
+    assert.ok(greeks);
+    assertClose(greeks.delta, -0.363169);
+    assertClose(greeks.theta, -1.657880 / 365);
+    assertClose(greeks.rho, -0.418905);
+  });
+
+  test('call and put share gamma and vega, and their deltas differ by the dividend discount', () => {
+    const call = blackScholesGreeks('call', 120, 100, 0.5, 0.3, 0.04, 0.02);
+    const put = blackScholesGreeks('put', 120, 100, 0.5, 0.3, 0.04, 0.02);
+    assert.ok(call && put);
+    assertClose(call.gamma, put.gamma, 1e-12);
+    assertClose(call.vega, put.vega, 1e-12);
+    assertClose(call.delta - put.delta, Math.exp(-0.02 * 0.5), 1e-6);
+  });
+
+  test('is null for inputs it cannot price', () => {
+    assert.equal(blackScholesGreeks('call', 0, 100, 1, 0.2, 0.05), null);
+    assert.equal(blackScholesGreeks('call', 100, 100, 0, 0.2, 0.05), null);
+    // Yahoo's placeholder volatility for illiquid contracts
+    assert.equal(blackScholesGreeks('call', 100, 100, 1, 0.00001, 0.05), null);
+  });
+});
+
+test('yearsToExpiry is floored at one hour', () => {
+  const now = new Date('2024-01-01T00:00:00Z');
+  assertClose(yearsToExpiry(new Date('2025-01-01T00:00:00Z'), now), 366 / 365, 1e-12);
+  assert.equal(yearsToExpiry(new Date('2023-12-31T00:00:00Z'), now), 1 / (365 * 24));
+});
+
+test('analyzeContracts attaches Greeks, or null without a usable volatility', () => {
+  const [priced, unpriced] = analyzeContracts('call', [
+    { contractSymbol: 'A', strike: 100, impliedVolatility: 0.2 },
+    { contractSymbol: 'B', strike: 110 },
+  ], 100, 1, 0.05, 0);
+  assert.equal(priced.contractSymbol, 'A');
+  assertClose(priced.greeks?.delta as number, 0.636831);
+  assert.equal(unpriced.greeks, null);
+});
+
+describe('volatility smile', () => {
+  const calls = [
+    { contractSymbol: 'C90', strike: 90, impliedVolatility: 0.3 },
+    { contractSymbol: 'C100', strike: 100, impliedVolatility: 0.2 },
+    { contractSymbol: 'C120', strike: 120, impliedVolatility: 0.00001 },
+  ];
+  const puts = [
+    { contractSymbol: 'P100', strike: 100, impliedVolatility: 0.24 },
+    { contractSymbol: 'P110', strike: 110, impliedVolatility: 0.22 },
+  ];
+
+  test('has one point per strike with a usable volatility, in strike order', () => {
+    assert.deepEqual(buildVolatilitySmile(calls, puts, 100), [
+      { strike: 90, moneyness: 0.9, callIV: 0.3, putIV: null },
+      { strike: 100, moneyness: 1, callIV: 0.2, putIV: 0.24 },
+      { strike: 110, moneyness: 1.1, callIV: null, putIV: 0.22 },
+    ]);
+  });
+
+  test('at-the-money volatility averages the call and put nearest spot', () => {
+    const smile = buildVolatilitySmile(calls, puts, 100);
+    assertClose(atTheMoneyVolatility(smile, 101) as number, 0.22, 1e-12);
+    assert.equal(atTheMoneyVolatility(smile, 112), 0.22);
+    assert.equal(atTheMoneyVolatility([], 100), null);
+  });
+});
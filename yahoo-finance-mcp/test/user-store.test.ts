@@ -0,0 +1,159 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readdirSync, rmSync, utimesSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { UserStore } from '../src/user-store.js';
+
+describe('UserStore', () => {
+  let dir: string;
+  let store: UserStore;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'user-store-'));
+    store = new UserStore(join(dir, 'user-data.json'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('watchlists', () => {
+    test('normalizes symbols and rejects a second list with the same name in any case', async () => {
+      const watchlist = await store.createWatchlist('Tech', [' aapl', 'MSFT', 'aapl']);
+      assert.deepEqual(watchlist.symbols, ['AAPL', 'MSFT']);
+      await assert.rejects(store.createWatchlist('tech'), { code: 'VALIDATION_FAILED' });
+      assert.equal(store.getWatchlist('TECH')?.name, 'Tech');
+    });
+
+    test('rejects invalid names', async () => {
+      await assert.rejects(store.createWatchlist('   '), { code: 'VALIDATION_FAILED' });
+      await assert.rejects(store.createWatchlist('a/b'), { code: 'VALIDATION_FAILED' });
+    });
+
+    test('addToWatchlist creates the list, then appends to it', async () => {
+      await store.addToWatchlist('Tech', ['AAPL']);
+      const watchlist = await store.addToWatchlist('tech', ['nvda', 'AAPL']);
+      assert.deepEqual(watchlist.symbols, ['AAPL', 'NVDA']);
+      assert.equal(store.listWatchlists().length, 1);
+    });
+
+    test('removes symbols and whole lists', async () => {
+      await store.createWatchlist('Tech', ['AAPL', 'MSFT']);
+      assert.deepEqual((await store.removeFromWatchlist('Tech', ['msft'])).symbols, ['AAPL']);
+      await assert.rejects(store.removeFromWatchlist('Other', ['AAPL']), { code: 'NO_DATA' });
+      assert.equal(await store.deleteWatchlist('tech'), true);
+      assert.equal(await store.deleteWatchlist('tech'), false);
+    });
+  });
+
+  test('savePortfolio validates positions and replaces an existing portfolio', async () => {
+    await assert.rejects(store.savePortfolio('Main', []), { code: 'VALIDATION_FAILED' });
+    await assert.rejects(store.savePortfolio('Main', [{ symbol: 'AAPL', quantity: 0, costBasis: 1 }]), { code: 'VALIDATION_FAILED' });
+    await assert.rejects(
+      store.savePortfolio('Main', [{ symbol: 'AAPL', quantity: 1, costBasis: 1, purchaseDate: '01/02/2024' }]),
+      { code: 'VALIDATION_FAILED' }
+    );
+
+    await store.savePortfolio('Main', [{ symbol: 'aapl', quantity: 10, costBasis: 150 }]);
+    await store.savePortfolio('main', [{ symbol: 'MSFT', quantity: 5, costBasis: 300, purchaseDate: '2024-01-02' }]);
+    assert.deepEqual(store.listPortfolios().map(portfolio => [portfolio.name, portfolio.positions]), [
+      ['Main', [{ symbol: 'MSFT', quantity: 5, costBasis: 300, purchaseDate: '2024-01-02' }]],
+    ]);
+  });
+
+  test('updatePreferences merges into the saved preferences', async () => {
+    await store.updatePreferences('user-1', { theme: 'dark', currency: 'USD' });
+    await store.updatePreferences('user-1', { theme: 'light' });
+    const preferences = store.getPreferences('user-1');
+    assert.equal(preferences?.theme, 'light');
+    assert.equal(preferences?.currency, 'USD');
+  });
+
+  describe('alerts', () => {
+    test('createAlert validates the rule and describes it', async () => {
+      const alert = await store.createAlert(' aapl ', { type: 'price', condition: 'above', threshold: 200 });
+      assert.equal(alert.symbol, 'AAPL');
+      assert.equal(alert.description, 'AAPL above 200');
+      assert.equal(alert.status, 'active');
+      await assert.rejects(store.createAlert('', { type: 'price', condition: 'above', threshold: 200 }), { code: 'VALIDATION_FAILED' });
+      await assert.rejects(store.createAlert('AAPL', { type: 'price', condition: 'above' } as any), { code: 'VALIDATION_FAILED' });
+    });
+
+    test('recordAlertResults keeps changes made while the check ran', async () => {
+      const kept = await store.createAlert('AAPL', { type: 'price', condition: 'above', threshold: 200 });
+      const deleted = await store.createAlert('MSFT', { type: 'price', condition: 'above', threshold: 300 });
+      const checkedAt = '2024-03-01T15:00:00.000Z';
+      const result = (alert: typeof kept, value: number) => ({
+        ...alert,
+        lastCheckedAt: checkedAt,
+        lastValue: value,
+        conditionMet: true,
+        lastTriggeredAt: checkedAt,
+      });
+      const trigger = (alert: typeof kept, value: number) => ({
+        alertId: alert.id,
+        symbol: alert.symbol,
+        description: alert.description,
+        value,
+        message: alert.description,
+        triggeredAt: checkedAt,
+      });
+
+      await store.deleteAlert(deleted.id);
+      const recorded = await store.recordAlertResults(
+        [result(kept, 201), result(deleted, 301)],
+        [trigger(kept, 201), trigger(deleted, 301)]
+      );
+
+      assert.deepEqual(recorded.map(entry => entry.alertId), [kept.id]);
+      assert.equal(store.getAlert(deleted.id), undefined);
+      const stored = store.getAlert(kept.id);
+      assert.equal(stored?.status, 'triggered');
+      assert.equal(stored?.triggerCount, 1);
+      assert.equal(stored?.lastValue, 201);
+      assert.deepEqual(store.getAlertHistory().map(entry => entry.alertId), [kept.id]);
+
+      const rearmed = await store.rearmAlert(kept.id);
+      assert.equal(rearmed.status, 'active');
+      assert.equal(rearmed.conditionMet, false);
+      await assert.rejects(store.rearmAlert(deleted.id), { code: 'NO_DATA' });
+    });
+  });
+
+  describe('locking', () => {
+    test('concurrent writes are applied one after another', async () => {
+      const symbols = Array.from({ length: 20 }, (_, i) => `SYM${i}`);
+      await Promise.all(symbols.map(symbol => store.addToWatchlist('Busy', [symbol])));
+      assert.deepEqual([...(store.getWatchlist('Busy')?.symbols || [])].sort(), [...symbols].sort());
+      assert.deepEqual(readdirSync(dir), ['user-data.json']);
+    });
+
+    test('a write waits for a lock held by another writer', async () => {
+      const lockFile = `${store.file}.lock`;
+      writeFileSync(lockFile, '');
+      const released = new Promise<void>(resolve => setTimeout(() => {
+        rmSync(lockFile);
+        resolve();
+      }, 100));
+
+      const started = Date.now();
+      await store.createWatchlist('Tech', ['AAPL']);
+      await released;
+      assert.ok(Date.now() - started >= 90);
+      assert.deepEqual(store.getWatchlist('Tech')?.symbols, ['AAPL']);
+      assert.equal(existsSync(lockFile), false);
+    });
+
+    test('a stale lock left by a dead writer is broken', async () => {
+      const lockFile = `${store.file}.lock`;
+      writeFileSync(lockFile, '');
+      const anHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+      utimesSync(lockFile, anHourAgo, anHourAgo);
+
+      await Promise.all([store.addToWatchlist('Tech', ['AAPL']), store.addToWatchlist('Tech', ['MSFT'])]);
+      assert.equal(store.getWatchlist('Tech')?.symbols.length, 2);
+      assert.deepEqual(readdirSync(dir), ['user-data.json']);
+    });
+  });
+});